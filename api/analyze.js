@@ -0,0 +1,178 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createGeminiProvider } from '../public/lib/gemini.js';
+import { createOpenAIProvider } from '../public/lib/openai.js';
+import { analyzeWithModels, modelChain, parseTemperature, ANALYSIS_TASKS, MODEL_PROVIDERS } from '../public/lib/analysis.js';
+import { DEFAULT_MODEL, MAX_IMAGES, IMAGE_ROLES, PROMPT_LOCALES } from '../public/lib/prompt.js';
+import { ModelOutputError } from '../public/lib/schema.js';
+import { readJsonBody } from '../lib/body.js';
+import { createRateLimiter, clientIp } from '../lib/rate-limit.js';
+
+/**
+ * Server-side model proxy so users do not need their own API key.
+ *
+ * Environment:
+ *   ANALYZE_PROVIDER        gemini (default) or openai, an OpenAI-compatible
+ *                           chat completions endpoint
+ *   GEMINI_API_KEY          Server key for Gemini. Without it the endpoint
+ *                           reports itself disabled and clients fall back
+ *                           to a user-supplied key.
+ *   GEMINI_MODEL            Gemini model (default gemini-3-flash-preview)
+ *   OPENAI_BASE_URL         Endpoint for the openai provider, e.g.
+ *                           http://localhost:8080/v1 (required for it)
+ *   OPENAI_API_KEY          Bearer token for that endpoint, if it needs one
+ *   OPENAI_MODEL            Model served there (required for it)
+ *   ANALYZE_FALLBACK_MODEL  Model tried when the first one fails
+ *   ANALYZE_TEMPERATURE     Sampling temperature, 0-2 (default: the model's)
+ *   ANALYZE_RATE_LIMIT      Requests per IP per window (default 10)
+ *   ANALYZE_RATE_WINDOW_MS  Window length in ms (default 10 minutes)
+ *   TRUST_PROXY             Number of proxies in front of the server whose
+ *                           X-Forwarded-For hops identify the client
+ *                           (default 1 on Vercel, else 0: the header is
+ *                           ignored and the socket address is used)
+ *   ANALYZE_MAX_BODY_BYTES  Request size limit (default 4 MB, below the
+ *                           4.5 MB body limit of Vercel functions)
+ */
+
+const DATA_URI_PATTERN = /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+function send(res, statusCode, payload) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Create the analyze handler. Options override the environment; `fetch`
+ * replaces the network call of the openai provider (e.g. a stub server's
+ * responses in tests) and `analyze` replaces the whole model call.
+ *
+ * @param {{provider?: string, apiKey?: string, baseUrl?: string, model?: string, fallbackModel?: string,
+ *   temperature?: number, rateLimit?: number, rateWindowMs?: number, trustProxy?: number,
+ *   maxBodyBytes?: number, fetch?: Function, analyze?: Function}} [options]
+ *   `analyze({ models, task, images, roles, barcode, locale })` resolves to
+ *   { result, model }
+ */
+export function createAnalyzeHandler(options = {}) {
+  const provider = options.provider || process.env.ANALYZE_PROVIDER || 'gemini';
+  // Reported on every request instead of thrown, so a bad setting takes down
+  // this endpoint and not the server importing it
+  const configError = MODEL_PROVIDERS.includes(provider)
+    ? null
+    : `ANALYZE_PROVIDER must be one of ${MODEL_PROVIDERS.join(', ')}`;
+  if (configError) console.error(`[Analyze] ${configError}`);
+  const openai = provider === 'openai';
+  const apiKey = options.apiKey ?? (openai ? process.env.OPENAI_API_KEY : process.env.GEMINI_API_KEY);
+  const baseUrl = options.baseUrl || process.env.OPENAI_BASE_URL;
+  const model = options.model || (openai ? process.env.OPENAI_MODEL : process.env.GEMINI_MODEL || DEFAULT_MODEL);
+  const fallbackModel = options.fallbackModel || process.env.ANALYZE_FALLBACK_MODEL || '';
+  const temperature = parseTemperature(options.temperature ?? process.env.ANALYZE_TEMPERATURE) ?? undefined;
+  const models = modelChain({ model, fallbackModel });
+  // Gemini needs the key; a local endpoint may run without one
+  const enabled = models.length > 0 && (openai ? Boolean(baseUrl) : Boolean(apiKey));
+  const maxBodyBytes = options.maxBodyBytes || Number(process.env.ANALYZE_MAX_BODY_BYTES) || 4 * 1024 * 1024;
+  const limiter = createRateLimiter({
+    max: options.rateLimit || Number(process.env.ANALYZE_RATE_LIMIT) || 10,
+    windowMs: options.rateWindowMs || Number(process.env.ANALYZE_RATE_WINDOW_MS) || 10 * 60 * 1000,
+  });
+  const trustProxy = options.trustProxy ?? (Number(process.env.TRUST_PROXY ?? (process.env.VERCEL ? 1 : 0)) || 0);
+  const analyze = options.analyze || ((args) => analyzeWithModels(
+    openai
+      ? createOpenAIProvider({ baseUrl, apiKey, temperature, fetch: options.fetch })
+      : createGeminiProvider(GoogleGenerativeAI, { apiKey, temperature }),
+    args
+  ));
+
+  /**
+   * GET reports whether server-side analysis is available:
+   *   { enabled: boolean, provider: string, model: string, fallbackModel: string,
+   *     maxImages: number, maxBodyBytes: number }
+   *
+   * POST runs the analysis. Request body:
+   *   { images: string[] (data URIs, 1–6), roles?: string[], barcode?: string, locale?: string,
+   *     task?: string }
+   * `roles` tags each image (front, back, barcode, leaflet, blister);
+   * `locale` is the answer language (vi or en, default vi); `task` is drug
+   * (a package scan, the default), pill (a loose tablet photo, answered
+   * with its imprint, shape and colors) or prescription (its pages, answered
+   * with the line items).
+   * Response:
+   *   { status: 'OK', result: {...model output...}, model: string }
+   * where `model` is the one that answered (the fallback if the first failed).
+   * Errors use { error: string } with 400, 413, 429, 502 or 503, and 500
+   * for any request when ANALYZE_PROVIDER is invalid. A reply that failed
+   * schema validation also lists the `missing` fields.
+   */
+  return async function handler(req, res) {
+    if (configError) {
+      send(res, 500, { error: configError });
+      return;
+    }
+    if (req.method === 'GET') {
+      send(res, 200, { enabled, provider, model: model || '', fallbackModel, maxImages: MAX_IMAGES, maxBodyBytes });
+      return;
+    }
+    if (req.method !== 'POST') {
+      send(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    if (!enabled) {
+      send(res, 503, { error: 'Server-side analysis is not configured' });
+      return;
+    }
+
+    const limit = limiter.check(clientIp(req, trustProxy));
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', String(limit.retryAfter));
+      send(res, 429, { error: 'Too many requests', retryAfter: limit.retryAfter });
+      return;
+    }
+
+    let data;
+    try {
+      data = await readJsonBody(req, { limit: maxBodyBytes });
+    } catch (err) {
+      send(res, err.statusCode || 400, { error: err.message });
+      return;
+    }
+
+    const images = data.images;
+    if (!Array.isArray(images) || images.length === 0 || images.length > MAX_IMAGES) {
+      send(res, 400, { error: `Expected 1-${MAX_IMAGES} images` });
+      return;
+    }
+    if (!images.every(uri => typeof uri === 'string' && DATA_URI_PATTERN.test(uri))) {
+      send(res, 400, { error: 'Images must be base64 JPEG, PNG or WebP data URIs' });
+      return;
+    }
+    const roles = data.roles;
+    if (roles !== undefined && (!Array.isArray(roles) || roles.length !== images.length || !roles.every(role => IMAGE_ROLES.includes(role)))) {
+      send(res, 400, { error: `roles must list one of ${IMAGE_ROLES.join(', ')} per image` });
+      return;
+    }
+    const locale = data.locale;
+    if (locale !== undefined && !PROMPT_LOCALES.includes(locale)) {
+      send(res, 400, { error: `locale must be one of ${PROMPT_LOCALES.join(', ')}` });
+      return;
+    }
+    const task = data.task;
+    if (task !== undefined && !ANALYSIS_TASKS.includes(task)) {
+      send(res, 400, { error: `task must be one of ${ANALYSIS_TASKS.join(', ')}` });
+      return;
+    }
+    const barcode = typeof data.barcode === 'string' ? data.barcode.replace(/[^0-9A-Za-z]/g, '').slice(0, 50) : undefined;
+
+    try {
+      const { result, model: answeredBy } = await analyze({ models, task, images, roles, barcode, locale });
+      send(res, 200, { status: 'OK', result, model: answeredBy });
+    } catch (err) {
+      console.error('Model analysis error', err);
+      if (err instanceof ModelOutputError) {
+        send(res, 502, { error: 'Model returned invalid output', missing: err.missing });
+      } else {
+        send(res, 502, { error: 'Model request failed' });
+      }
+    }
+  };
+}
+
+export default createAnalyzeHandler();
@@ -0,0 +1,86 @@
+import { ndcCandidates } from '../lib/ndc.js';
+import { lookupDrug, suggestNames } from '../lib/lookup.js';
+import { getDefaultProviders } from '../lib/providers/index.js';
+import { classifyQuery, MIN_QUERY_LENGTH } from '../public/lib/search.js';
+
+const MAX_QUERY_LENGTH = 100;
+
+function send(res, statusCode, payload) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+// The lookups to try for a typed query, in order, until one finds a drug.
+// A name may be a brand or an ingredient, and the pipeline scores the two
+// against different fields.
+function queriesFor({ kind, value }) {
+  if (kind === 'ndc') return [{ identity: { ndc: value }, ndcCandidates: ndcCandidates(value) }];
+  if (kind === 'registration_number') return [{ identity: { registration_number: value } }];
+  return [{ kind, identity: { brand_name: value } }, { kind, identity: { generic_name: value } }];
+}
+
+/**
+ * Create the search handler for a provider chain (see api/identify.js);
+ * tests can pass providers backed by fixtures.
+ *
+ * @param {{providers?: Array<{name: string, lookup: Function, suggest?: Function}>, timeoutMs?: number}} [options]
+ */
+export function createSearchHandler(options = {}) {
+  const providers = options.providers || getDefaultProviders();
+
+  /**
+   * Text search, for users who type a name instead of scanning.
+   *
+   * GET /api/search?q=<text>&suggest=1 returns autocomplete suggestions:
+   *   { status: 'OK', suggestions: [ { label: string, detail?: string } ] }
+   *
+   * GET /api/search?q=<text> looks the drug up by brand name, generic
+   * name, NDC (or the barcode digits wrapping one) or Vietnamese
+   * registration number, with the same response as POST /api/identify
+   * plus the way the query was read:
+   *   { status: 'OK' | 'Not_Found', query: { kind, value }, drug, sources,
+   *     provenance, score, matches, alternates }
+   *
+   * `q` must be 2-100 characters; errors use { error: string } with 400
+   * or 405.
+   */
+  return async function handler(req, res) {
+    if (req.method !== 'GET') {
+      send(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const q = (params.get('q') || '').trim();
+    if (q.length < MIN_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+      send(res, 400, { error: `q must be ${MIN_QUERY_LENGTH}-${MAX_QUERY_LENGTH} characters` });
+      return;
+    }
+
+    if (params.has('suggest')) {
+      const suggestions = await suggestNames(providers, q, { timeoutMs: options.timeoutMs });
+      send(res, 200, { status: 'OK', suggestions });
+      return;
+    }
+
+    const query = classifyQuery(q);
+    for (const lookup of queriesFor(query)) {
+      const { best, alternates } = await lookupDrug(providers, lookup, { timeoutMs: options.timeoutMs });
+      if (!best) continue;
+      send(res, 200, {
+        status: 'OK',
+        query,
+        drug: best.drug,
+        sources: best.sources,
+        provenance: best.provenance,
+        score: best.score,
+        matches: best.matches,
+        alternates,
+      });
+      return;
+    }
+    send(res, 200, { status: 'Not_Found', query });
+  };
+}
+
+export default createSearchHandler();
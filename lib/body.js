@@ -0,0 +1,48 @@
+/**
+ * Buffer a request body up to `limit` bytes and parse it as JSON. Rejects
+ * with an error carrying `statusCode` 413 when the body is too large (the
+ * rest of the upload is not read) and 400 when it is not valid JSON.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {{limit: number}} options
+ * @returns {Promise<any>}
+ */
+export function readJsonBody(req, { limit }) {
+  return new Promise((resolve, reject) => {
+    const fail = (statusCode, message) => {
+      const err = new Error(message);
+      err.statusCode = statusCode;
+      reject(err);
+    };
+
+    const declared = Number(req.headers['content-length']);
+    if (declared > limit) {
+      fail(413, 'Payload too large');
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+    req.on('data', (chunk) => {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > limit) {
+        aborted = true;
+        req.pause();
+        fail(413, 'Payload too large');
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (aborted) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (err) {
+        fail(400, 'Invalid JSON');
+      }
+    });
+    req.on('error', reject);
+  });
+}
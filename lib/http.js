@@ -0,0 +1,57 @@
+import https from 'https';
+
+/**
+ * A simple helper around the built‑in fetch. Vercel functions run on Node 18+
+ * which includes global fetch, but older Node versions may not. To be safe
+ * this helper always falls back to https if fetch is unavailable.
+ * @param {string} url
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{status: number, json: () => Promise<any>} | any>}
+ */
+export function doFetch(url, options = {}) {
+  if (typeof fetch !== 'undefined') {
+    return fetch(url, { signal: options.signal });
+  }
+  // Fallback for environments without native fetch support
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      res.on('end', () => {
+        resolve({
+          status: res.statusCode,
+          async json() {
+            try {
+              return JSON.parse(data);
+            } catch (err) {
+              return {};
+            }
+          },
+        });
+      });
+    });
+    req.on('error', (err) => {
+      reject(err);
+    });
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => req.destroy(new Error('Aborted')));
+    }
+  });
+}
+
+/**
+ * GET a URL and parse the JSON body. Returns null for any non-200 status
+ * (openFDA answers 404 when a search has no results).
+ * @param {string} url
+ * @param {{fetch?: typeof doFetch, signal?: AbortSignal}} [options] `fetch`
+ *   replaces the network call, e.g. with fixture responses in tests
+ * @returns {Promise<any | null>}
+ */
+export async function fetchJson(url, options = {}) {
+  const fetchImpl = options.fetch || doFetch;
+  const resp = await fetchImpl(url, { signal: options.signal });
+  if (!resp || resp.status !== 200) return null;
+  return resp.json();
+}
@@ -0,0 +1,202 @@
+import { termsAgree } from '../public/lib/match.js';
+import { ndcCandidates } from './ndc.js';
+import { mergeSuggestions } from '../public/lib/search.js';
+import { normalizeRegistrationNumber } from './providers/vn-registry.js';
+
+/**
+ * Multi-provider lookup pipeline. Every provider is queried in parallel with
+ * its own timeout; each candidate drug is scored by how many identity fields
+ * it matches and the best one is returned with ranked alternates.
+ */
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.LOOKUP_TIMEOUT_MS) || 4000;
+const MAX_ALTERNATES = 5;
+
+function ingredientsOf(drug) {
+  return drug.active_ingredients && drug.active_ingredients.length > 0
+    ? drug.active_ingredients
+    : drug.generic_name;
+}
+
+// Identity field -> comparison with a candidate drug. Each returns true,
+// false, or null when either side has no value.
+const MATCHERS = {
+  registration_number: (identity, drug) => (identity.registration_number && drug.registration_number
+    ? normalizeRegistrationNumber(identity.registration_number) === normalizeRegistrationNumber(drug.registration_number)
+    : null),
+  ndc: (identity, drug, query) => {
+    const candidates = query.ndcCandidates ? query.ndcCandidates.product : [];
+    return candidates.length > 0 && drug.ndc ? candidates.includes(drug.ndc) : null;
+  },
+  brand_name: (identity, drug) => termsAgree(identity.brand_name, drug.brand_name),
+  active_ingredients: (identity, drug) => termsAgree(identity.generic_name || identity.active_ingredient, ingredientsOf(drug)),
+  dosage_form: (identity, drug) => termsAgree(identity.dosage_form, drug.dosage_form),
+  route: (identity, drug) => termsAgree(identity.route, drug.route),
+  manufacturer: (identity, drug) => termsAgree(identity.manufacturer, drug.manufacturer),
+};
+
+/**
+ * The lookup query for a POST /api/identify body. An NDC printed on the
+ * label is preferred, then one unwrapped from a UPC/GTIN barcode; every
+ * hyphenated layout the digits could stand for is searched.
+ * @param {{identity?: object, barcode?: string}} data
+ * @returns {{identity: object, barcode: string, ndcCandidates: {product: string[], package: string[]}}}
+ */
+export function buildIdentifyQuery(data) {
+  const identity = data.identity || {};
+  const barcode = data.barcode || '';
+  let candidates = { product: [], package: [] };
+  for (const value of [identity.ndc || identity.product_ndc, barcode]) {
+    if (!value) continue;
+    candidates = ndcCandidates(value);
+    if (candidates.product.length > 0) break;
+  }
+  return { identity, barcode, ndcCandidates: candidates };
+}
+
+/**
+ * Score a candidate drug against the query identity.
+ * @param {{identity?: object, ndcCandidates?: {product: string[]}}} query
+ * @param {object} drug
+ * @returns {{score: number, mismatches: number, matches: Record<string, boolean | null>}}
+ */
+export function scoreCandidate(query, drug) {
+  const identity = query.identity || {};
+  const matches = {};
+  let score = 0;
+  let mismatches = 0;
+  for (const [field, matcher] of Object.entries(MATCHERS)) {
+    const result = matcher(identity, drug, query);
+    matches[field] = result;
+    if (result === true) score++;
+    if (result === false) mismatches++;
+  }
+  return { score, mismatches, matches };
+}
+
+// Run `call(signal)`, aborting it and rejecting after `timeoutMs`
+async function withTimeout(call, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Timed out after ${timeoutMs} ms`));
+    }, timeoutMs);
+  });
+  const work = Promise.resolve().then(() => call(controller.signal));
+  // A provider that fails after its timeout must not surface as an unhandled rejection
+  work.catch(() => {});
+  try {
+    return await Promise.race([work, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run one provider with a timeout. Failures and timeouts yield no results
+ * instead of failing the whole chain.
+ * @returns {Promise<{provider: string, results: Array<{drug: object, source: object}>, error?: string}>}
+ */
+export async function runProvider(provider, query, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  try {
+    const results = await withTimeout(signal => provider.lookup(query, { signal }), timeoutMs);
+    return { provider: provider.name, results: (results || []).filter(r => r && r.drug) };
+  } catch (err) {
+    console.error(`[Lookup] ${provider.name} failed:`, err.message);
+    return { provider: provider.name, results: [], error: err.message };
+  }
+}
+
+/**
+ * Fill fields missing from the best candidate with values from other
+ * candidates describing the same product (same active ingredients and no
+ * conflicting brand name), and
+ * record which source supplied every field.
+ */
+function mergeCandidates(best, others) {
+  const drug = { ...best.drug };
+  const provenance = {};
+  const sources = [best.source];
+  for (const [field, value] of Object.entries(drug)) {
+    if (value !== undefined) provenance[field] = best.source.name;
+  }
+  for (const other of others) {
+    if (termsAgree(ingredientsOf(best.drug), ingredientsOf(other.drug)) !== true) continue;
+    if (termsAgree(best.drug.brand_name, other.drug.brand_name) === false) continue;
+    let used = false;
+    for (const [field, value] of Object.entries(other.drug)) {
+      if (value === undefined || drug[field] !== undefined) continue;
+      drug[field] = value;
+      provenance[field] = other.source.name;
+      used = true;
+    }
+    if (used && !sources.some(s => s.url === other.source.url && s.name === other.source.name)) {
+      sources.push(other.source);
+    }
+  }
+  return { drug, provenance, sources };
+}
+
+/**
+ * Query all providers and rank their candidates.
+ *
+ * @param {Array<{name: string, lookup: Function}>} providers In priority order
+ * @param {{identity?: object, barcode?: string, ndcCandidates?: {product: string[], package: string[]}, kind?: string}} query
+ *   `kind` is how /api/search read a typed query (public/lib/search.js)
+ * @param {{timeoutMs?: number}} [options]
+ * @returns {Promise<{best: object | null, alternates: object[], errors: Array<{provider: string, error: string}>}>}
+ */
+export async function lookupDrug(providers, query, options = {}) {
+  const outcomes = await Promise.all(providers.map(p => runProvider(p, query, options.timeoutMs)));
+
+  const ranked = outcomes
+    .flatMap(outcome => outcome.results.map(result => ({
+      ...result,
+      provider: outcome.provider,
+      ...scoreCandidate(query, result.drug),
+    })))
+    .filter(candidate => candidate.score > 0)
+    // Array#sort is stable, so provider priority breaks ties
+    .sort((a, b) => (b.score - a.score) || (a.mismatches - b.mismatches));
+
+  const errors = outcomes.filter(o => o.error).map(o => ({ provider: o.provider, error: o.error }));
+  if (ranked.length === 0) return { best: null, alternates: [], errors };
+
+  const [top, ...rest] = ranked;
+  const { drug, provenance, sources } = mergeCandidates(top, rest);
+  return {
+    best: { drug, sources, provenance, provider: top.provider, score: top.score, matches: top.matches },
+    alternates: rest.slice(0, MAX_ALTERNATES).map(c => ({
+      drug: c.drug,
+      sources: [c.source],
+      provider: c.provider,
+      score: c.score,
+      matches: c.matches,
+    })),
+    errors,
+  };
+}
+
+/**
+ * Autocomplete: names from every provider that can suggest them, merged in
+ * provider order without repeats. A slow or failing provider just
+ * contributes nothing.
+ *
+ * @param {Array<{name: string, suggest?: Function}>} providers
+ * @param {string} term What has been typed so far
+ * @param {{timeoutMs?: number}} [options]
+ * @returns {Promise<Array<{label: string, detail?: string}>>}
+ */
+export async function suggestNames(providers, term, options = {}) {
+  const lists = await Promise.all(providers
+    .filter(provider => typeof provider.suggest === 'function')
+    .map(provider => withTimeout(signal => provider.suggest(term, { signal }), options.timeoutMs || DEFAULT_TIMEOUT_MS)
+      .then(list => (list || []).filter(item => item && item.label))
+      .catch((err) => {
+        console.error(`[Suggest] ${provider.name} failed:`, err.message);
+        return [];
+      })));
+  return mergeSuggestions(...lists);
+}
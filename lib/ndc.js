@@ -0,0 +1,138 @@
+import { isValidGtin } from '../public/lib/gs1.js';
+
+/**
+ * NDC helpers for openFDA lookups.
+ *
+ * openFDA stores NDCs hyphenated: product NDCs as 4-4, 5-3 or 5-4 and
+ * package NDCs as 4-4-2, 5-3-2 or 5-4-1. Barcodes and the 11-digit HIPAA
+ * form lose the hyphens, so a bare digit string has to be expanded into
+ * every layout it could correspond to before it can be searched.
+ */
+
+const LAYOUTS = [
+  [4, 4, 2],
+  [5, 3, 2],
+  [5, 4, 1],
+];
+
+function split(digits, layout) {
+  const parts = [];
+  let pos = 0;
+  for (const len of layout) {
+    parts.push(digits.slice(pos, pos + len));
+    pos += len;
+  }
+  return parts;
+}
+
+/**
+ * Extract the 10-digit NDC wrapped by a UPC-A, EAN-13 or GTIN-14 barcode.
+ * US drug UPCs use number system 3: "3" + NDC10 + check digit. EAN-13 and
+ * GTIN-14 add leading zeros (and, for GTIN-14, a packaging indicator digit).
+ * Returns null when the code is not an NDC-bearing barcode or its check
+ * digit is wrong.
+ *
+ * @param {string} code Barcode digits
+ * @returns {{ndc10: string, format: 'upc-a' | 'ean-13' | 'gtin-14'} | null}
+ */
+export function ndcFromBarcode(code) {
+  const digits = String(code || '').replace(/[^0-9]/g, '');
+  let upc;
+  let format;
+  if (digits.length === 12) {
+    upc = digits;
+    format = 'upc-a';
+  } else if (digits.length === 13 && digits[0] === '0') {
+    upc = digits.slice(1);
+    format = 'ean-13';
+  } else if (digits.length === 14 && digits[1] === '0') {
+    upc = digits.slice(2);
+    format = 'gtin-14';
+  } else {
+    return null;
+  }
+  if (!isValidGtin(digits) || upc[0] !== '3') return null;
+  return { ndc10: upc.slice(1, 11), format };
+}
+
+/**
+ * Generate every hyphenated product and package NDC a value may stand for.
+ * Accepts hyphenated NDCs (kept as-is), bare 10-digit NDCs, 11-digit HIPAA
+ * NDCs (5-4-2 with a padding zero), bare 8/9-digit product NDCs and
+ * UPC/GTIN barcodes wrapping an NDC.
+ *
+ * @param {string} value
+ * @returns {{product: string[], package: string[]}}
+ */
+export function ndcCandidates(value) {
+  const raw = String(value || '').trim();
+  const product = new Set();
+  const pkg = new Set();
+
+  // Already hyphenated: trust the layout printed on the label
+  const hyphenated = raw.match(/^(\d{4,5})-(\d{3,4})(?:-(\d{1,2}))?$/);
+  if (hyphenated) {
+    const [, labeler, prod, pack = ''] = hyphenated;
+    const length = labeler.length + prod.length + pack.length;
+    // An 11-digit 5-4-2 form needs its padding zero removed
+    if (length === 11) return ndcCandidates(`${labeler}${prod}${pack}`);
+    if (labeler.length + prod.length <= 9) {
+      product.add(`${labeler}-${prod}`);
+      if (length === 10) pkg.add(`${labeler}-${prod}-${pack}`);
+    }
+    return { product: [...product], package: [...pkg] };
+  }
+
+  const digits = raw.replace(/[^0-9]/g, '');
+  const fromBarcode = ndcFromBarcode(digits);
+
+  if (fromBarcode || digits.length === 10) {
+    const ndc10 = fromBarcode ? fromBarcode.ndc10 : digits;
+    for (const layout of LAYOUTS) {
+      const [a, b, c] = split(ndc10, layout);
+      product.add(`${a}-${b}`);
+      pkg.add(`${a}-${b}-${c}`);
+    }
+  } else if (digits.length === 11) {
+    // HIPAA 5-4-2: exactly one segment carries a padding zero
+    const [a, b, c] = split(digits, [5, 4, 2]);
+    if (a[0] === '0') {
+      product.add(`${a.slice(1)}-${b}`);
+      pkg.add(`${a.slice(1)}-${b}-${c}`);
+    }
+    if (b[0] === '0') {
+      product.add(`${a}-${b.slice(1)}`);
+      pkg.add(`${a}-${b.slice(1)}-${c}`);
+    }
+    if (c[0] === '0') {
+      product.add(`${a}-${b}`);
+      pkg.add(`${a}-${b}-${c.slice(1)}`);
+    }
+  } else if (digits.length === 8) {
+    product.add(`${digits.slice(0, 4)}-${digits.slice(4)}`);
+    product.add(`${digits.slice(0, 5)}-${digits.slice(5)}`);
+  } else if (digits.length === 9) {
+    product.add(`${digits.slice(0, 5)}-${digits.slice(5)}`);
+  }
+
+  return { product: [...product], package: [...pkg] };
+}
+
+/**
+ * Build an openFDA search expression matching any of the candidates on
+ * either `product_ndc` or `package_ndc`. Terms separated by `+` are OR'ed.
+ *
+ * @param {{product: string[], package: string[]}} candidates
+ * @param {{productField?: string, packageField?: string}} [fields] Field names,
+ *   e.g. `openfda.product_ndc` for the label endpoint
+ * @returns {string} URL-safe search string, empty if there are no candidates
+ */
+export function buildNdcSearch(candidates, fields = {}) {
+  const productField = fields.productField || 'product_ndc';
+  const packageField = fields.packageField || 'packaging.package_ndc';
+  const terms = [
+    ...candidates.product.map(ndc => `${productField}:"${ndc}"`),
+    ...candidates.package.map(ndc => `${packageField}:"${ndc}"`),
+  ];
+  return terms.map(encodeURIComponent).join('+');
+}
@@ -0,0 +1,35 @@
+import { createOpenFdaNdcProvider, createOpenFdaLabelProvider } from './openfda.js';
+import { createRxNormProvider } from './rxnorm.js';
+import { createVnRegistryProvider } from './vn-registry.js';
+
+/**
+ * Build the default provider chain, in priority order (earlier providers
+ * win ties when scoring). Every provider accepts an injected `fetch` so the
+ * chain can run offline against fixture responses.
+ *
+ * @param {{fetch?: Function, openFdaBaseUrl?: string, rxNormBaseUrl?: string, registry?: object}} [options]
+ * @returns {Array<{name: string, lookup: Function}>}
+ */
+export function createDefaultProviders(options = {}) {
+  const openFda = { fetch: options.fetch, baseUrl: options.openFdaBaseUrl || process.env.OPENFDA_BASE_URL };
+  const rxNorm = { fetch: options.fetch, baseUrl: options.rxNormBaseUrl || process.env.RXNORM_BASE_URL };
+  return [
+    createOpenFdaNdcProvider(openFda),
+    createOpenFdaLabelProvider(openFda),
+    createRxNormProvider(rxNorm),
+    createVnRegistryProvider(options.registry),
+  ];
+}
+
+let defaultProviders = null;
+
+/**
+ * The default chain from the environment, built on first use and then
+ * shared by every handler in the process, so the registry is only loaded
+ * and indexed once.
+ * @returns {Array<{name: string, lookup: Function}>}
+ */
+export function getDefaultProviders() {
+  if (!defaultProviders) defaultProviders = createDefaultProviders();
+  return defaultProviders;
+}
@@ -0,0 +1,119 @@
+import { fetchJson } from '../http.js';
+import { buildNdcSearch } from '../ndc.js';
+
+/**
+ * openFDA lookup providers: the NDC directory (exact product codes) and the
+ * drug label endpoint (indications, dosage and warnings text).
+ */
+
+const DEFAULT_BASE_URL = 'https://api.fda.gov';
+
+/**
+ * Compose a response object from the openFDA API results. Extracts
+ * common fields such as active ingredients, indications, dosage
+ * instructions and warnings. This function makes a best effort to
+ * normalize the fields while preserving the original text. It may
+ * return undefined if the result structure is not recognized.
+ *
+ * @param {any} result The raw result object from openFDA
+ * @returns {object | undefined}
+ */
+export function mapOpenFdaResult(result) {
+  if (!result) return undefined;
+  const drug = {};
+  // openfda section contains harmonized fields on the label endpoint; the
+  // NDC endpoint carries the same fields at the top level instead.
+  const of = result.openfda || {};
+  const first = (v) => (Array.isArray(v) ? v[0] : v);
+  drug.brand_name = first(of.brand_name) || result.brand_name;
+  drug.generic_name = first(of.generic_name) || result.generic_name;
+  drug.ndc = first(of.product_ndc) || result.product_ndc;
+  drug.route = first(of.route) || first(result.route);
+  drug.dosage_form = first(of.dosage_form) || result.dosage_form;
+  drug.manufacturer = first(of.manufacturer_name) || result.labeler_name;
+  drug.active_ingredients = result.active_ingredient || result.active_ingredients;
+  drug.indications = result.indications_and_usage || result.indications || undefined;
+  drug.dosage = result.dosage_and_administration || undefined;
+  drug.warnings = result.warnings_and_cautions || result.warnings || undefined;
+  drug.contraindications = result.contraindications || undefined;
+  drug.adverse_reactions = result.adverse_reactions || undefined;
+  drug.information_for_patients = result.information_for_patients || undefined;
+  return drug;
+}
+
+// Quote a value for an openFDA search term; a quote or backslash in it would
+// otherwise end the phrase early
+function phrase(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Build the search expression for the label endpoint: by NDC when there are
+ * candidates, otherwise by brand and generic name (and dosage form), all of
+ * which must match. Names read off a pack match the case-sensitive `.exact`
+ * fields; a typed name (`kind: 'name'` from /api/search) matches the
+ * analyzed fields, which ignore case.
+ *
+ * @param {{brand_name?: string, generic_name?: string, dosage_form?: string}} identity
+ * @param {{product: string[], package: string[]}} [candidates] From ndcCandidates()
+ * @param {{kind?: string}} [options] The query's kind
+ * @returns {string} URL-safe search string, empty when there is nothing to search by
+ */
+export function buildLabelSearch(identity, candidates, { kind } = {}) {
+  if (candidates && candidates.product.length > 0) {
+    return buildNdcSearch(candidates, {
+      productField: 'openfda.product_ndc',
+      packageField: 'openfda.package_ndc',
+    });
+  }
+  if (!identity.brand_name && !identity.generic_name) return '';
+  const suffix = kind === 'name' ? '' : '.exact';
+  const parts = [];
+  if (identity.brand_name) parts.push(`openfda.brand_name${suffix}:${phrase(identity.brand_name)}`);
+  if (identity.generic_name) parts.push(`openfda.generic_name${suffix}:${phrase(identity.generic_name)}`);
+  if (identity.dosage_form) parts.push(`openfda.dosage_form.exact:${phrase(identity.dosage_form)}`);
+  // join with +AND+
+  return parts.map(encodeURIComponent).join('+AND+');
+}
+
+async function search(endpoint, searchExpr, options) {
+  const url = `${options.baseUrl || DEFAULT_BASE_URL}/drug/${endpoint}.json?search=${searchExpr}&limit=${options.limit || 3}`;
+  const json = await fetchJson(url, options);
+  const results = (json && json.results) || [];
+  return results.map(result => ({ drug: mapOpenFdaResult(result), source: { name: options.sourceName, url } }));
+}
+
+/**
+ * Provider for the openFDA NDC directory. Only runs when the query carries
+ * NDC candidates (from a printed NDC or a UPC/GTIN barcode).
+ *
+ * @param {{fetch?: Function, baseUrl?: string, limit?: number}} [options]
+ */
+export function createOpenFdaNdcProvider(options = {}) {
+  return {
+    name: 'openfda-ndc',
+    async lookup(query, { signal } = {}) {
+      const candidates = query.ndcCandidates;
+      if (!candidates || candidates.product.length === 0) return [];
+      return search('ndc', buildNdcSearch(candidates), { ...options, signal, sourceName: 'openFDA NDC Directory' });
+    },
+  };
+}
+
+/**
+ * Provider for openFDA drug labels (SPL). Searches by NDC when available,
+ * otherwise by brand and generic name.
+ *
+ * @param {{fetch?: Function, baseUrl?: string, limit?: number}} [options]
+ */
+export function createOpenFdaLabelProvider(options = {}) {
+  return {
+    name: 'openfda-label',
+    async lookup(query, { signal } = {}) {
+      const identity = query.identity || {};
+      const searchExpr = buildLabelSearch(identity, query.ndcCandidates, query);
+      if (!searchExpr) return [];
+      return search('label', searchExpr, { ...options, signal, sourceName: 'openFDA Drug Label' });
+    },
+  };
+}
@@ -0,0 +1,107 @@
+import { fetchJson } from '../http.js';
+
+/**
+ * RxNorm provider (NLM RxNav REST API). Resolves an ingredient or brand name
+ * to clinical/branded drug concepts such as
+ * "acetaminophen 500 MG Oral Tablet [Tylenol]" and parses the route, dosage
+ * form and strength back out of the concept name. Also suggests drug names
+ * for a partly typed or misspelled search (approximate term matching).
+ */
+
+const DEFAULT_BASE_URL = 'https://rxnav.nlm.nih.gov/REST';
+
+const ROUTES = {
+  oral: 'ORAL',
+  topical: 'TOPICAL',
+  ophthalmic: 'OPHTHALMIC',
+  otic: 'OTIC',
+  nasal: 'NASAL',
+  rectal: 'RECTAL',
+  vaginal: 'VAGINAL',
+  transdermal: 'TRANSDERMAL',
+  inhalant: 'RESPIRATORY (INHALATION)',
+  injectable: 'INJECTION',
+  injection: 'INJECTION',
+  sublingual: 'SUBLINGUAL',
+  buccal: 'BUCCAL',
+};
+
+// Strength units used in RxNorm normalized names (compound units first)
+const UNIT = '(?:MG\\/ACTUAT|MCG\\/ACTUAT|MG\\/ML|MCG\\/ML|UNT\\/ML|MG|MCG|MEQ|ML|UNT|G|%)';
+
+/**
+ * Parse an RxNorm SCD/SBD name into drug fields.
+ * @param {{rxcui: string, name: string, tty: string}} concept
+ * @returns {object}
+ */
+export function mapRxNormConcept(concept) {
+  let name = concept.name || '';
+  let brand;
+  const brandMatch = name.match(/\s*\[([^\]]+)\]\s*$/);
+  if (brandMatch) {
+    brand = brandMatch[1];
+    name = name.slice(0, brandMatch.index);
+  }
+  // Components are separated by " / "; the dose form follows the last strength
+  const unitRe = new RegExp(`([\\d.]+)\\s*${UNIT}`, 'g');
+  let lastUnitEnd = 0;
+  let m;
+  while ((m = unitRe.exec(name)) !== null) lastUnitEnd = m.index + m[0].length;
+  const doseForm = name.slice(lastUnitEnd).trim();
+  const components = name.slice(0, lastUnitEnd).split(/\s+\/\s+/).map(part => {
+    const strength = part.match(new RegExp(`[\\d.]+\\s*${UNIT}`));
+    return {
+      name: strength ? part.slice(0, strength.index).trim() : part.trim(),
+      strength: strength ? strength[0] : undefined,
+    };
+  }).filter(c => c.name);
+
+  const [firstWord, ...rest] = doseForm.split(/\s+/);
+  const route = ROUTES[(firstWord || '').toLowerCase()];
+  return {
+    brand_name: brand,
+    generic_name: components.map(c => c.name).join(', ') || undefined,
+    rxcui: concept.rxcui,
+    route,
+    dosage_form: (route ? rest.join(' ') : doseForm).toUpperCase() || undefined,
+    active_ingredients: components,
+  };
+}
+
+/**
+ * @param {{fetch?: Function, baseUrl?: string, limit?: number}} [options]
+ */
+export function createRxNormProvider(options = {}) {
+  const baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+  const limit = options.limit || 3;
+  return {
+    name: 'rxnorm',
+    async lookup(query, { signal } = {}) {
+      const identity = query.identity || {};
+      const term = identity.generic_name || identity.brand_name;
+      if (!term) return [];
+      const url = `${baseUrl}/drugs.json?name=${encodeURIComponent(term)}`;
+      const json = await fetchJson(url, { ...options, signal });
+      const groups = (json && json.drugGroup && json.drugGroup.conceptGroup) || [];
+      // Branded (SBD) concepts first: they carry the brand name to match on
+      const concepts = ['SBD', 'SCD']
+        .flatMap(tty => (groups.find(g => g.tty === tty) || {}).conceptProperties || []);
+      return concepts.slice(0, limit).map(concept => ({
+        drug: mapRxNormConcept(concept),
+        source: {
+          name: 'RxNorm',
+          url: `https://mor.nlm.nih.gov/RxNav/search?searchBy=RXCUI&searchTerm=${encodeURIComponent(concept.rxcui)}`,
+        },
+      }));
+    },
+    async suggest(term, { signal } = {}) {
+      const url = `${baseUrl}/approximateTerm.json?term=${encodeURIComponent(term)}&maxEntries=${limit * 3}&option=1`;
+      const json = await fetchJson(url, { ...options, signal });
+      const candidates = (json && json.approximateGroup && json.approximateGroup.candidate) || [];
+      // Only RxNorm's own names; other vocabularies spell them differently
+      return candidates
+        .filter(candidate => candidate.name && (!candidate.source || candidate.source === 'RXNORM'))
+        .map(candidate => ({ label: candidate.name }));
+    },
+  };
+}
@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseCsv } from '../../public/lib/csv.js';
+import { suggestionIndex, rankSuggestions } from '../../public/lib/search.js';
+
+/**
+ * Lookup provider backed by a local dump of the Vietnamese drug registry
+ * (Cục Quản lý Dược – DAV). The dump can be a CSV export or a JSON array
+ * of records; column names are matched loosely so both the Vietnamese
+ * headers of the official export ("Tên thuốc", "Số đăng ký", ...) and
+ * English keys work. The file is read and indexed once when the provider
+ * is created.
+ *
+ * Set VN_REGISTRY_FILE to point at the dump; otherwise data/vn-registry.json
+ * or data/vn-registry.csv is used if present. data/README.md describes the
+ * format, with a sample in data/vn-registry.sample.csv.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+const DEFAULT_SOURCE = { name: 'Cục Quản lý Dược (DAV)', url: 'https://dav.gov.vn' };
+
+// Normalized header -> record field
+const COLUMN_ALIASES = {
+  name: ['ten_thuoc', 'ten', 'name', 'brand_name'],
+  registration_number: ['so_dang_ky', 'sdk', 'so_dk', 'registration_number'],
+  active_ingredient: ['hoat_chat', 'hoat_chat_chinh', 'active_ingredient'],
+  strength: ['ham_luong', 'nong_do_ham_luong', 'strength'],
+  dosage_form: ['dang_bao_che', 'bao_che', 'dosage_form'],
+  packaging: ['quy_cach_dong_goi', 'dong_goi', 'packaging'],
+  manufacturer: ['cong_ty_san_xuat', 'nha_san_xuat', 'cty_sx', 'manufacturer'],
+  country: ['nuoc_san_xuat', 'country'],
+  registrant: ['cong_ty_dang_ky', 'registrant'],
+  valid_until: ['ngay_het_hieu_luc', 'han_hieu_luc', 'valid_until'],
+};
+
+// VD-12345-19, VN-12345-19, VN3-123-19, QLĐB-123-14, GC-123-16, QLSP-123-17
+const REG_NO_PATTERN = /\b(VD|VN|VS|GC|QLĐB|QLDB|QLSP)\d?\s*-\s*\d{1,6}\s*-\s*\d{2}\b/i;
+
+function stripDiacritics(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D');
+}
+
+function normalizeHeader(value) {
+  return stripDiacritics(value).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Canonical form of a registration number: upper case, no spaces, and
+ * "QLĐB" folded to "QLDB" so both spellings match.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeRegistrationNumber(value) {
+  return stripDiacritics(value).toUpperCase().replace(/[–—]/g, '-').replace(/\s+/g, '');
+}
+
+/**
+ * Find a Vietnamese registration number (Số đăng ký) inside free text.
+ * @param {string} text
+ * @returns {string | undefined} Normalized registration number
+ */
+export function extractRegistrationNumber(text) {
+  const m = String(text || '').match(REG_NO_PATTERN);
+  return m ? normalizeRegistrationNumber(m[0]) : undefined;
+}
+
+/**
+ * Normalize a brand name for index lookups: no diacritics, lower case,
+ * punctuation collapsed to single spaces.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeName(value) {
+  return stripDiacritics(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function normalizeRecord(raw) {
+  const byHeader = {};
+  for (const [key, value] of Object.entries(raw)) {
+    byHeader[normalizeHeader(key)] = typeof value === 'string' ? value.trim() : value;
+  }
+  const record = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const alias = aliases.find(a => byHeader[a]);
+    if (alias) record[field] = byHeader[alias];
+  }
+  return record;
+}
+
+function splitList(value) {
+  return String(value || '').split(/\s*[;,+]\s*/).filter(Boolean);
+}
+
+/**
+ * Map a registry record to the `drug` shape returned by /api/identify.
+ * @param {object} record
+ * @returns {object}
+ */
+export function mapRegistryRecord(record) {
+  const names = splitList(record.active_ingredient);
+  const strengths = splitList(record.strength);
+  return {
+    brand_name: record.name,
+    generic_name: record.active_ingredient,
+    registration_number: record.registration_number,
+    dosage_form: record.dosage_form,
+    active_ingredients: names.map((name, i) => ({
+      name,
+      strength: strengths.length === names.length ? strengths[i] : undefined,
+    })),
+    manufacturer: record.manufacturer,
+    country: record.country,
+    registrant: record.registrant,
+    packaging: record.packaging,
+    valid_until: record.valid_until,
+  };
+}
+
+function resolveFile(file) {
+  if (file) return file;
+  if (process.env.VN_REGISTRY_FILE) return process.env.VN_REGISTRY_FILE;
+  return ['vn-registry.json', 'vn-registry.csv']
+    .map(name => path.join(DATA_DIR, name))
+    .find(candidate => fs.existsSync(candidate));
+}
+
+/**
+ * Read a registry dump. JSON may be a bare array of records or an object
+ * `{ source: {name, url}, records: [...] }`.
+ * @param {string} file
+ * @returns {{records: object[], source: {name: string, url: string}}}
+ */
+export function loadRegistry(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let rows;
+  let source = DEFAULT_SOURCE;
+  if (file.toLowerCase().endsWith('.csv')) {
+    rows = parseCsv(text);
+  } else {
+    const json = JSON.parse(text);
+    rows = Array.isArray(json) ? json : json.records || [];
+    if (json.source && json.source.url) source = json.source;
+  }
+  const records = rows.map(normalizeRecord).filter(r => r.name || r.registration_number);
+  return { records, source };
+}
+
+/**
+ * Create the registry provider.
+ *
+ * @param {{file?: string, records?: object[], source?: {name: string, url: string}}} [options]
+ *   `records` skips file loading (useful with pre-parsed data)
+ * @returns {{name: string, size: number, lookup: (query: {identity?: object}) => Promise<Array<{drug: object, source: {name: string, url: string}}>>,
+ *   suggest: (term: string) => Promise<Array<{label: string, detail?: string}>>}}
+ */
+export function createVnRegistryProvider(options = {}) {
+  let records = [];
+  let source = options.source || DEFAULT_SOURCE;
+  if (options.records) {
+    records = options.records.map(normalizeRecord);
+  } else {
+    const file = resolveFile(options.file);
+    if (file) {
+      try {
+        ({ records, source } = loadRegistry(file));
+      } catch (err) {
+        console.error('[VN Registry] Failed to load', file, err.message);
+      }
+    } else {
+      console.warn('[VN Registry] No registry dump found; set VN_REGISTRY_FILE (see data/README.md)');
+    }
+  }
+
+  const byRegNo = new Map();
+  const byName = new Map();
+  for (const record of records) {
+    if (record.registration_number) {
+      byRegNo.set(normalizeRegistrationNumber(record.registration_number), record);
+    }
+    if (record.name) {
+      const key = normalizeName(record.name);
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).push(record);
+    }
+  }
+  // Autocomplete by brand name, ingredient or registration number
+  const suggestions = suggestionIndex(records.map(record => ({
+    label: record.name,
+    detail: record.active_ingredient,
+    terms: [record.active_ingredient, record.registration_number].filter(Boolean),
+  })));
+  if (records.length > 0) {
+    console.log(`[VN Registry] Indexed ${records.length} records`);
+  }
+
+  return {
+    name: 'vn-registry',
+    size: records.length,
+    async lookup({ identity = {} } = {}) {
+      const regNo = extractRegistrationNumber(identity.registration_number)
+        || (identity.registration_number && normalizeRegistrationNumber(identity.registration_number));
+      // A registration number identifies exactly one product; several
+      // products can share a brand name and the pipeline scores those.
+      const exact = regNo && byRegNo.get(regNo);
+      const matches = exact ? [exact] : byName.get(normalizeName(identity.brand_name || identity.name)) || [];
+
+      return matches.map(record => ({
+        drug: mapRegistryRecord(record),
+        source: {
+          name: record.registration_number ? `${source.name} – SĐK ${record.registration_number}` : source.name,
+          url: source.url,
+        },
+      }));
+    },
+    async suggest(term) {
+      return rankSuggestions(term, suggestions).map(({ label, detail }) => ({ label, detail }));
+    },
+  };
+}
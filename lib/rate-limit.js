@@ -0,0 +1,49 @@
+/**
+ * Fixed-window, in-memory rate limiter keyed by client IP. State lives in
+ * the process, so on serverless platforms each instance counts separately;
+ * that is enough to stop a single client from draining the shared key.
+ *
+ * @param {{max: number, windowMs: number}} options
+ * @returns {{check: (key: string, now?: number) => {allowed: boolean, remaining: number, retryAfter: number}}}
+ */
+export function createRateLimiter({ max, windowMs }) {
+  const hits = new Map();
+
+  return {
+    check(key, now = Date.now()) {
+      // Drop expired windows so the map does not grow without bound
+      for (const [k, entry] of hits) {
+        if (entry.resetAt <= now) hits.delete(k);
+      }
+      let entry = hits.get(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count++;
+      return {
+        allowed: entry.count <= max,
+        remaining: Math.max(0, max - entry.count),
+        retryAfter: Math.ceil((entry.resetAt - now) / 1000),
+      };
+    },
+  };
+}
+
+/**
+ * Client IP for rate limiting. X-Forwarded-For is only read behind proxies
+ * we run (`trustedHops` of them, e.g. 1 on Vercel): each proxy appends the
+ * address it received the request from, so the right-most hop they did not
+ * add is the client. Hops further left are whatever the client sent and
+ * could be anything. Without trusted proxies the header is ignored.
+ * @param {import('http').IncomingMessage} req
+ * @param {number} [trustedHops]
+ * @returns {string}
+ */
+export function clientIp(req, trustedHops = 0) {
+  const remote = (req.socket && req.socket.remoteAddress) || 'unknown';
+  const forwarded = req.headers['x-forwarded-for'];
+  if (!trustedHops || !forwarded) return remote;
+  const hops = [...String(forwarded).split(',').map(hop => hop.trim()).filter(Boolean), remote];
+  return hops[Math.max(0, hops.length - 1 - trustedHops)];
+}
@@ -0,0 +1,138 @@
+/*
+ * Drug analysis on a model provider: lib/gemini.js, or any OpenAI-compatible
+ * endpoint (lib/openai.js). A provider only sends one request and returns
+ * the reply text; the prompt, validation, the repair round and the fallback
+ * model are handled here, the same way in the browser and in
+ * api/analyze.js.
+ *
+ *   provider = { name, generate(model, { prompt, schema, images, repair? }) => text }
+ *
+ * Besides a drug package scan, a task can be a loose pill photo or a
+ * prescription (TASKS).
+ *
+ * The browser's choice of provider, models and temperature is kept in the
+ * settings store.
+ */
+import { idbGet, idbPut } from './db.js';
+import { DEFAULT_MODEL, buildPillPrompt, buildPrescriptionPrompt, buildPrompt, buildRepairPrompt, describeSchema } from './prompt.js';
+import { ModelOutputError, RESULT_SCHEMA, parseModelOutput } from './schema.js';
+import { PILL_SCHEMA, parsePillOutput } from './pills.js';
+import { PRESCRIPTION_SCHEMA, parsePrescriptionOutput } from './prescription.js';
+
+export const MODEL_PROVIDERS = ['gemini', 'openai'];
+export const MAX_TEMPERATURE = 2;
+
+// Temperature null leaves the model's own default
+export const DEFAULT_MODEL_SETTINGS = {
+  provider: 'gemini',
+  model: DEFAULT_MODEL,
+  fallbackModel: '',
+  temperature: null,
+  baseUrl: '',
+  apiKey: ''
+};
+
+const SETTINGS_KEY = 'modelSettings';
+
+// What the model is asked to read: the reply schema, the prompt and the
+// parser that validates the reply
+const TASKS = {
+  drug: { schema: RESULT_SCHEMA, prompt: buildPrompt, parse: parseModelOutput },
+  pill: { schema: PILL_SCHEMA, prompt: buildPillPrompt, parse: parsePillOutput },
+  prescription: { schema: PRESCRIPTION_SCHEMA, prompt: buildPrescriptionPrompt, parse: parsePrescriptionOutput }
+};
+export const ANALYSIS_TASKS = Object.keys(TASKS);
+
+/**
+ * @param {*} value Form input or an environment variable
+ * @returns {number|null} Between 0 and MAX_TEMPERATURE, or null when blank
+ *   or not a number
+ */
+export function parseTemperature(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+  return Math.min(Math.max(number, 0), MAX_TEMPERATURE);
+}
+
+/**
+ * Complete settings with defaults. An OpenAI-compatible endpoint has no
+ * default model, since it depends on what the server runs.
+ * @param {object} [value]
+ */
+export function normalizeModelSettings(value) {
+  const input = value || {};
+  const provider = MODEL_PROVIDERS.includes(input.provider) ? input.provider : DEFAULT_MODEL_SETTINGS.provider;
+  const text = (field) => String(input[field] || '').trim();
+  return {
+    provider,
+    model: text('model') || (provider === 'gemini' ? DEFAULT_MODEL : ''),
+    fallbackModel: text('fallbackModel'),
+    temperature: parseTemperature(input.temperature),
+    baseUrl: text('baseUrl'),
+    apiKey: text('apiKey')
+  };
+}
+
+/**
+ * The models to try, in order: the chosen one, then the fallback.
+ * @param {{model?: string, fallbackModel?: string}} settings
+ * @returns {string[]}
+ */
+export function modelChain({ model, fallbackModel }) {
+  return [...new Set([model, fallbackModel].map(name => String(name || '').trim()).filter(Boolean))];
+}
+
+export async function loadModelSettings() {
+  return normalizeModelSettings(await idbGet('settings', SETTINGS_KEY));
+}
+
+export async function saveModelSettings(value) {
+  const settings = normalizeModelSettings(value);
+  await idbPut('settings', settings, SETTINGS_KEY);
+  return settings;
+}
+
+// An invalid reply is sent back once with the list of problems; a second
+// invalid reply throws.
+async function analyzeOnce(provider, model, { task = 'drug', images, roles, barcode, locale }) {
+  const { schema, prompt, parse } = TASKS[task] || TASKS.drug;
+  const request = { prompt: prompt({ barcode, roles, locale }), schema: describeSchema(schema, { task, locale }), images };
+  const text = await provider.generate(model, request);
+  try {
+    return parse(text);
+  } catch (err) {
+    if (!(err instanceof ModelOutputError)) throw err;
+    console.warn(`[${provider.name}] Invalid reply from ${model}, asking again:`, err.message);
+    const retryText = await provider.generate(model, { ...request, repair: buildRepairPrompt(text, err.errors, locale) });
+    const data = parse(retryText);
+    data.validation.reasked = true;
+    return data;
+  }
+}
+
+/**
+ * Analyze the images with each model in turn until one gives a valid
+ * reply, so a failing or overloaded model does not end the scan.
+ *
+ * @param {{name: string, generate: Function}} provider
+ * @param {{models: string[], task?: string, images: string[], roles?: string[], barcode?: string, locale?: string}} options
+ *   `models` from modelChain(); `task` is one of ANALYSIS_TASKS (default
+ *   'drug'); `images` are data URIs; `roles` are IMAGE_ROLES keys in the
+ *   same order; `locale` is the language to answer in (PROMPT_LOCALES)
+ * @returns {Promise<{result: object, model: string}>} The validated result
+ *   (with a `validation` report) and the model that gave it
+ * @throws The last model's error, e.g. ModelOutputError
+ */
+export async function analyzeWithModels(provider, { models, ...request }) {
+  let lastError = new Error('No model configured');
+  for (const model of models) {
+    try {
+      return { result: await analyzeOnce(provider, model, request), model };
+    } catch (err) {
+      console.warn(`[${provider.name}] ${model} failed`, err);
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
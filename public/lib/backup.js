@@ -0,0 +1,155 @@
+/*
+ * JSON export and import of the scan history and the medicine cabinet, to
+ * move them to another device or hand them to a caregiver:
+ *
+ *   { format: 'drug-scanner', version: 1, exportedAt: ISO date,
+ *     history: [history entries], cabinet: [cabinet entries] }
+ *
+ * Store keys (`id`) are left out and imported records get new ones. Records
+ * are written back through lib/db.js, so on a device with a PIN they are
+ * encrypted like any other (lib/vault.js). The file itself is not.
+ */
+import { listHistory, saveToHistory } from './history.js';
+import { listCabinet, addToCabinet } from './cabinet.js';
+import { repairResult, validate } from './schema.js';
+import { t } from './i18n.js';
+
+export const EXPORT_FORMAT = 'drug-scanner';
+export const EXPORT_VERSION = 1;
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isImage = value => typeof value === 'string' && value.startsWith('data:image/');
+const asString = value => (typeof value === 'string' ? value : '');
+const asTime = value => (Number.isFinite(value) ? value : Date.now());
+
+/**
+ * The export file for some history entries and cabinet entries.
+ * @param {{history?: object[], cabinet?: object[]}} records
+ * @param {Date} [now]
+ * @returns {object}
+ */
+export function buildExport({ history = [], cabinet = [] }, now = new Date()) {
+  const withoutId = ({ id, ...record }) => record;
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    history: history.map(withoutId),
+    cabinet: cabinet.map(withoutId)
+  };
+}
+
+// The result view relies on RESULT_SCHEMA (lib/schema.js), so results are
+// checked and repaired like a model reply; one still invalid is dropped
+function importedResult(result) {
+  if (validate(result).length === 0) return result;
+  const repaired = repairResult(result);
+  return validate(repaired).length === 0 ? repaired : null;
+}
+
+// Only the fields the app stores, so a file cannot smuggle in anything else
+function historyEntry(entry) {
+  const result = isObject(entry) ? importedResult(entry.result) : null;
+  if (!result) return null;
+  const images = Array.isArray(entry.images)
+    ? entry.images
+      .filter(image => isObject(image) && isImage(image.dataUri))
+      .map(image => ({ dataUri: image.dataUri, role: asString(image.role) }))
+    : [];
+  return {
+    images,
+    thumbnails: Array.isArray(entry.thumbnails) ? entry.thumbnails.filter(isImage) : [],
+    result,
+    model: asString(entry.model),
+    barcode: isObject(entry.barcode) ? entry.barcode : null,
+    createdAt: asTime(entry.createdAt)
+  };
+}
+
+function cabinetEntry(entry) {
+  if (!isObject(entry) || !asString(entry.name).trim()) return null;
+  return {
+    name: entry.name.trim(),
+    active_ingredient: asString(entry.active_ingredient),
+    generic_name: asString(entry.generic_name),
+    dosage_form: asString(entry.dosage_form),
+    ingredients: Array.isArray(entry.ingredients) ? entry.ingredients.filter(term => typeof term === 'string') : [],
+    lot: asString(entry.lot),
+    expiry_date: asString(entry.expiry_date),
+    expiry_precision: asString(entry.expiry_precision) || 'day',
+    addedAt: asTime(entry.addedAt)
+  };
+}
+
+/**
+ * Read an export file.
+ * @param {string} text File contents
+ * @returns {{history: object[], cabinet: object[]}} The usable records;
+ *   malformed ones are dropped
+ * @throws {Error} when it is not an export file, or one from a newer
+ *   version of the app
+ */
+export function parseExport(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').replace(/^﻿/, ''));
+  } catch (err) {
+    throw new Error(t('backup.notJson'));
+  }
+  if (!isObject(data) || data.format !== EXPORT_FORMAT) throw new Error(t('backup.notExport'));
+  if (!Number.isInteger(data.version) || data.version < 1) throw new Error(t('backup.noVersion'));
+  if (data.version > EXPORT_VERSION) throw new Error(t('backup.newerVersion', { version: data.version }));
+  return {
+    history: (Array.isArray(data.history) ? data.history : []).map(historyEntry).filter(Boolean),
+    cabinet: (Array.isArray(data.cabinet) ? data.cabinet : []).map(cabinetEntry).filter(Boolean)
+  };
+}
+
+// The same scan or saved medicine imported twice is only kept once
+const historyKey = entry => `${entry.createdAt}|${(entry.result.identity || {}).name || ''}`;
+const cabinetKey = entry => `${entry.addedAt}|${entry.name}`;
+
+/**
+ * Records of `incoming` not already in `existing`.
+ * @param {object[]} incoming
+ * @param {object[]} existing
+ * @param {(record: object) => string} keyOf
+ * @returns {object[]}
+ */
+export function newRecords(incoming, existing, keyOf) {
+  const seen = new Set(existing.map(keyOf));
+  return incoming.filter(record => {
+    const key = keyOf(record);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Everything on this device, as an export file.
+ * @returns {Promise<object>}
+ */
+export async function exportData() {
+  const [history, cabinet] = await Promise.all([listHistory(), listCabinet()]);
+  return buildExport({ history, cabinet });
+}
+
+/**
+ * Add the records of a parsed export file to this device.
+ * @param {{history: object[], cabinet: object[]}} records From parseExport()
+ * @returns {Promise<{history: number, cabinet: number, skipped: number}>}
+ *   How many were added, and how many were already here
+ */
+export async function importData(records) {
+  const [history, cabinet] = await Promise.all([listHistory(), listCabinet()]);
+  const newHistory = newRecords(records.history, history, historyKey);
+  const newCabinet = newRecords(records.cabinet, cabinet, cabinetKey);
+  for (const entry of newHistory) await saveToHistory(entry);
+  for (const entry of newCabinet) await addToCabinet(entry);
+  return {
+    history: newHistory.length,
+    cabinet: newCabinet.length,
+    skipped: records.history.length + records.cabinet.length - newHistory.length - newCabinet.length
+  };
+}
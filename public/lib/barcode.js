@@ -0,0 +1,90 @@
+/*
+ * On-device barcode decoding for confirmed captures.
+ * Uses the native BarcodeDetector when it supports every format we need and
+ * falls back to the zxing-wasm based polyfill from the import map otherwise.
+ */
+import { parseGs1, isValidGtin } from './gs1.js';
+import { t } from './i18n.js';
+
+const FORMATS = ['ean_13', 'upc_a', 'data_matrix', 'code_128'];
+
+let detectorPromise = null;
+
+async function getDetector() {
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      if ('BarcodeDetector' in window) {
+        try {
+          const supported = await window.BarcodeDetector.getSupportedFormats();
+          if (FORMATS.every(f => supported.includes(f))) {
+            return new window.BarcodeDetector({ formats: FORMATS });
+          }
+        } catch (e) {
+          console.warn('[Barcode] Native detector unavailable', e);
+        }
+      }
+      const { BarcodeDetector } = await import('barcode-detector/pure');
+      return new BarcodeDetector({ formats: FORMATS });
+    })();
+    // Allow a retry if loading the polyfill failed (e.g. offline)
+    detectorPromise.catch(() => { detectorPromise = null; });
+  }
+  return detectorPromise;
+}
+
+function loadImage(dataUri) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(t('error.readImage')));
+    img.src = dataUri;
+  });
+}
+
+/**
+ * Turn a raw detector result into the fields the app uses. `digits` is the
+ * value sent to /api/identify as `barcode`.
+ * @param {{format: string, rawValue: string}} result
+ * @returns {{format: string, raw: string, digits: string, valid: boolean, gtin?: string, lot?: string, expiry?: string, serial?: string, production_date?: string}}
+ */
+export function interpretBarcode(result) {
+  const format = result.format;
+  const raw = result.rawValue || '';
+  const gs1 = (format === 'data_matrix' || format === 'code_128') ? parseGs1(raw) : null;
+
+  if (gs1) {
+    return { format, raw, digits: gs1.gtin, valid: isValidGtin(gs1.gtin), ...gs1 };
+  }
+  const digits = raw.replace(/[^0-9]/g, '');
+  const isGtin = format === 'ean_13' || format === 'upc_a';
+  return {
+    format,
+    raw,
+    digits,
+    valid: isGtin ? isValidGtin(digits) : digits.length > 0,
+    gtin: isGtin ? digits : undefined
+  };
+}
+
+/**
+ * Decode every supported barcode in an image.
+ * @param {string} dataUri
+ * @returns {Promise<Array<ReturnType<typeof interpretBarcode>>>}
+ */
+export async function decodeBarcodes(dataUri) {
+  const [detector, img] = await Promise.all([getDetector(), loadImage(dataUri)]);
+  const results = await detector.detect(img);
+  return results.map(interpretBarcode).filter(b => b.digits);
+}
+
+/**
+ * Pick the most useful barcode from a list: GS1 data first (it carries lot
+ * and expiry), then any barcode with a valid check digit.
+ * @param {Array<ReturnType<typeof interpretBarcode>>} barcodes
+ */
+export function pickBestBarcode(barcodes) {
+  if (!barcodes || barcodes.length === 0) return null;
+  return barcodes.find(b => b.valid && (b.lot || b.expiry))
+    || barcodes.find(b => b.valid)
+    || barcodes[0];
+}
@@ -0,0 +1,42 @@
+/*
+ * Medicine cabinet ("tủ thuốc"): drugs the user has saved from scans.
+ */
+import { idbGetAll, idbPut, idbDelete } from './db.js';
+import { ingredientTerms } from './interactions.js';
+import { resolvePackaging } from './expiry.js';
+import { t } from './i18n.js';
+
+/**
+ * Build a cabinet entry from a scan result. The lot and expiry date of the
+ * scanned pack are kept for the periodic expiry check.
+ * @param {{identity: object, packaging?: object, barcode?: object}} data Parsed model output
+ */
+export function cabinetEntryFromResult(data) {
+  const identity = data.identity || {};
+  const pack = resolvePackaging(data.packaging, data.barcode);
+  return {
+    name: identity.name || identity.brand_name || t('cabinet.unnamed'),
+    active_ingredient: identity.active_ingredient || '',
+    generic_name: identity.generic_name || '',
+    dosage_form: identity.dosage_form || '',
+    ingredients: [...ingredientTerms(identity.generic_name, identity.active_ingredient)],
+    lot: pack.lot,
+    expiry_date: pack.expiry_date,
+    expiry_precision: pack.expiry_precision,
+    addedAt: Date.now()
+  };
+}
+
+export async function listCabinet() {
+  const entries = await idbGetAll('cabinet');
+  return entries.sort((a, b) => b.addedAt - a.addedAt);
+}
+
+// Resolves to the new entry id
+export function addToCabinet(entry) {
+  return idbPut('cabinet', entry);
+}
+
+export function removeFromCabinet(id) {
+  return idbDelete('cabinet', id);
+}
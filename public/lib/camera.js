@@ -0,0 +1,119 @@
+/*
+ * In-app camera viewfinder: getUserMedia stream, frame sampling for the
+ * quality checks in quality.js, and auto-capture once the frame has been
+ * sharp, well exposed and still for a moment.
+ */
+import { assessFrame, frameDifference, QUALITY_THRESHOLDS } from './quality.js';
+import { t } from './i18n.js';
+
+const ANALYSIS_WIDTH = 320;
+const SAMPLE_INTERVAL_MS = 250;
+const STABLE_FRAMES = 4; // ~1s of good, steady frames before auto-capture
+const CAPTURE_MAX = 1024; // Same as compressImage(): good balance for text readability
+
+export function isCameraSupported() {
+  return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+/**
+ * Draw a video frame or image into a canvas, scaled so the longest side is
+ * at most `max` (or the width is exactly `width`).
+ * @param {HTMLVideoElement|HTMLImageElement} source
+ * @param {{max?: number, width?: number}} size
+ * @returns {HTMLCanvasElement}
+ */
+export function drawToCanvas(source, { max, width }) {
+  const sourceWidth = source.videoWidth || source.naturalWidth || source.width;
+  const sourceHeight = source.videoHeight || source.naturalHeight || source.height;
+  const scale = width
+    ? width / sourceWidth
+    : Math.min(1, max / Math.max(sourceWidth, sourceHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(sourceWidth * scale));
+  canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+  canvas.getContext('2d', { willReadFrequently: true }).drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Quality report for an image or video frame (see assessFrame()).
+ * @param {HTMLVideoElement|HTMLImageElement} source
+ */
+export function assessSource(source) {
+  const canvas = drawToCanvas(source, { width: ANALYSIS_WIDTH });
+  return assessFrame(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+}
+
+/**
+ * Quality report for a data URI (photos from the file picker).
+ * @param {string} dataUri
+ * @returns {Promise<ReturnType<typeof assessFrame>>}
+ */
+export function assessDataUri(dataUri) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(assessSource(img));
+    img.onerror = () => reject(new Error(t('error.readImage')));
+    img.src = dataUri;
+  });
+}
+
+/**
+ * Start the rear camera in `video` and sample frames.
+ *
+ * `onFrame(report)` receives each quality report plus `stable` (the frame has
+ * been good for long enough); `onAutoCapture(dataUri, report)` fires once when
+ * that happens. Call `capture()` for a manual shot and `stop()` to release
+ * the camera.
+ *
+ * @param {HTMLVideoElement} video
+ * @param {{onFrame?: Function, onAutoCapture?: Function}} handlers
+ * @returns {Promise<{capture: () => {dataUri: string, report: object}, stop: () => void}>}
+ * @throws {DOMException} When the camera is unavailable or permission is denied
+ */
+export async function startViewfinder(video, { onFrame, onAutoCapture } = {}) {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: false,
+    video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 }, height: { ideal: 1080 } }
+  });
+  video.srcObject = stream;
+  video.setAttribute('playsinline', '');
+  video.muted = true;
+  await video.play();
+
+  let previous = null;
+  let goodFrames = 0;
+  let captured = false;
+
+  const capture = () => {
+    const report = assessSource(video);
+    const dataUri = drawToCanvas(video, { max: CAPTURE_MAX }).toDataURL('image/jpeg', 0.8);
+    return { dataUri, report };
+  };
+
+  const timer = setInterval(() => {
+    if (captured || video.readyState < 2 || !video.videoWidth) return;
+    const report = assessSource(video);
+    const motion = frameDifference(previous, report.gray);
+    previous = report.gray;
+
+    const steady = motion <= QUALITY_THRESHOLDS.maxMotion;
+    goodFrames = report.ok && steady ? goodFrames + 1 : 0;
+    const stable = goodFrames >= STABLE_FRAMES;
+    if (onFrame) onFrame({ ...report, motion, stable });
+
+    if (stable && onAutoCapture) {
+      captured = true;
+      const shot = capture();
+      onAutoCapture(shot.dataUri, shot.report);
+    }
+  }, SAMPLE_INTERVAL_MS);
+
+  const stop = () => {
+    clearInterval(timer);
+    stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+  };
+
+  return { capture, stop };
+}
@@ -0,0 +1,70 @@
+/*
+ * The set of images captured for one scan: 1–MAX_IMAGES photos, each tagged
+ * with an IMAGE_ROLES key. Pure helpers; script.js owns the state.
+ *
+ * An image is { dataUri, role, barcode } where `barcode` is what was decoded
+ * on-device from that photo (or null).
+ */
+import { IMAGE_ROLES, MAX_IMAGES } from './prompt.js';
+
+export { IMAGE_ROLES, MAX_IMAGES };
+
+// Order in which roles are suggested for the next photo
+const ROLE_SUGGESTIONS = ['front', 'back', 'leaflet', 'blister', 'barcode'];
+
+/**
+ * The first role not used yet, so a plain front-then-back scan needs no tagging.
+ * @param {Array<{role: string}>} images
+ * @returns {string}
+ */
+export function suggestRole(images) {
+  const used = new Set(images.map(image => image.role));
+  return ROLE_SUGGESTIONS.find(role => !used.has(role)) || 'leaflet';
+}
+
+/**
+ * Accepts stored images in any format this app has written: plain data URI
+ * strings from two-step sessions (front, then back) or tagged objects.
+ * @param {Array<string|object>} list
+ * @returns {Array<{dataUri: string, role: string, barcode: object|null}>}
+ */
+export function normalizeCapturedImages(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((item, index) => (typeof item === 'string'
+      ? { dataUri: item, role: index === 0 ? 'front' : 'back', barcode: null }
+      : {
+        dataUri: item && item.dataUri,
+        role: item && IMAGE_ROLES.includes(item.role) ? item.role : 'front',
+        barcode: (item && item.barcode) || null
+      }))
+    .filter(item => typeof item.dataUri === 'string' && item.dataUri.startsWith('data:image/'))
+    .slice(0, MAX_IMAGES);
+}
+
+/**
+ * Returns a copy with the image at `from` moved to `to` (clamped).
+ * @template T
+ * @param {T[]} list
+ * @param {number} from
+ * @param {number} to
+ * @returns {T[]}
+ */
+export function moveImage(list, from, to) {
+  const copy = [...list];
+  if (from < 0 || from >= copy.length) return copy;
+  const target = Math.max(0, Math.min(copy.length - 1, to));
+  const [item] = copy.splice(from, 1);
+  copy.splice(target, 0, item);
+  return copy;
+}
+
+/**
+ * @template T
+ * @param {T[]} list
+ * @param {number} index
+ * @returns {T[]}
+ */
+export function removeImage(list, index) {
+  return list.filter((_, i) => i !== index);
+}
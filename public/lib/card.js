@@ -0,0 +1,144 @@
+/*
+ * Shareable image card of a result: the drug's name, ingredient, use and
+ * expiry drawn on a canvas, shared through the Web Share API where it can
+ * share files and downloaded otherwise. Only the result's text goes on the
+ * card, never the photos of the pack.
+ */
+import { resolvePackaging, formatPackDate } from './expiry.js';
+import { t, formatDate } from './i18n.js';
+
+const WIDTH = 1080;
+const HEIGHT = 1350;
+const PADDING = 80;
+const FONT = 'Inter, system-ui, sans-serif';
+// Same palette as style.css
+const COLORS = {
+  start: '#0f172a',
+  end: '#134e4a',
+  primary: '#14b8a6',
+  light: '#5eead4',
+  text: '#f8fafc',
+  secondary: '#94a3b8',
+  warning: '#fca5a5'
+};
+
+/**
+ * Break text into lines that fit `maxWidth`, ending with "…" when it takes
+ * more than `maxLines`.
+ * @param {CanvasRenderingContext2D} ctx With the font already set
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {number} maxLines
+ * @returns {string[]}
+ */
+export function wrapText(ctx, text, maxWidth, maxLines) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  for (const word of words) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (ctx.measureText(candidate).width <= maxWidth || !line) {
+      line = candidate;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+    if (lines.length === maxLines) break;
+  }
+  if (line && lines.length < maxLines) lines.push(line);
+  else if (line) lines[maxLines - 1] = truncate(ctx, `${lines[maxLines - 1]} ${line}`, maxWidth);
+  return lines;
+}
+
+function truncate(ctx, text, maxWidth) {
+  let out = text;
+  while (out.length > 1 && ctx.measureText(`${out}…`).width > maxWidth) out = out.slice(0, -1);
+  return `${out.trimEnd()}…`;
+}
+
+/**
+ * Draw the card for a result.
+ * @param {object} data Scan or lookup result (RESULT_SCHEMA)
+ * @param {Date} [now]
+ * @returns {HTMLCanvasElement}
+ */
+export function drawResultCard(data, now = new Date()) {
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const identity = data.identity || {};
+  const details = data.details || {};
+  const pack = resolvePackaging(data.packaging, data.barcode);
+  const maxWidth = WIDTH - PADDING * 2;
+
+  const background = ctx.createLinearGradient(0, 0, WIDTH, HEIGHT);
+  background.addColorStop(0, COLORS.start);
+  background.addColorStop(1, COLORS.end);
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  ctx.fillStyle = COLORS.primary;
+  ctx.fillRect(0, 0, WIDTH, 12);
+  ctx.textBaseline = 'top';
+
+  let y = PADDING;
+  const block = (text, { size, weight = 400, color = COLORS.text, maxLines = 1, gap = 24 }) => {
+    if (!text) return;
+    ctx.font = `${weight} ${size}px ${FONT}`;
+    ctx.fillStyle = color;
+    for (const line of wrapText(ctx, text, maxWidth, maxLines)) {
+      ctx.fillText(line, PADDING, y);
+      y += size * 1.3;
+    }
+    y += gap;
+  };
+  const section = (label, text, maxLines) => {
+    if (!text) return;
+    block(label.toUpperCase(), { size: 26, weight: 600, color: COLORS.light, gap: 8 });
+    block(text, { size: 36, color: COLORS.text, maxLines, gap: 40 });
+  };
+
+  block('Drug Scanner', { size: 32, weight: 600, color: COLORS.primary, gap: 48 });
+  block(identity.name || identity.brand_name, { size: 72, weight: 700, maxLines: 2, gap: 16 });
+  block(identity.manufacturer, { size: 34, color: COLORS.secondary, gap: 56 });
+  section(t('result.activeIngredient'), identity.active_ingredient || identity.generic_name, 2);
+  section(t('result.usage'), details.usage, 5);
+  section(t('pack.expiryDate'), formatPackDate(pack.expiry_date, pack.expiry_precision), 1);
+  const warnings = Array.isArray(data.warnings) ? data.warnings : [];
+  if (warnings.length > 0) section(t('result.warnings'), warnings[0], 3);
+
+  // Footer, from the bottom up
+  ctx.font = `400 26px ${FONT}`;
+  ctx.fillStyle = COLORS.secondary;
+  const footer = wrapText(ctx, t('card.disclaimer'), maxWidth, 2);
+  let footerY = HEIGHT - PADDING - footer.length * 34;
+  for (const line of footer) {
+    ctx.fillText(line, PADDING, footerY);
+    footerY += 34;
+  }
+  ctx.fillText(formatDate(now), PADDING, HEIGHT - PADDING - footer.length * 34 - 44);
+  return canvas;
+}
+
+/**
+ * The card as a PNG file.
+ * @param {object} data
+ * @param {string} filename
+ * @returns {Promise<File>}
+ */
+export function resultCardFile(data, filename) {
+  return new Promise((resolve, reject) => {
+    drawResultCard(data).toBlob(blob => {
+      if (blob) resolve(new File([blob], filename, { type: 'image/png' }));
+      else reject(new Error(t('card.drawFailed')));
+    }, 'image/png');
+  });
+}
+
+/**
+ * Whether this browser can share an image file (Web Share API level 2).
+ * @param {File} file
+ */
+export function canShareFile(file) {
+  return typeof navigator.canShare === 'function' && navigator.canShare({ files: [file] });
+}
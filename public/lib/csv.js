@@ -0,0 +1,62 @@
+/**
+ * Minimal RFC 4180 CSV parser for registry dumps and pill datasets, shared
+ * by the server and the browser. Handles quoted fields, escaped quotes, CRLF
+ * line endings and a UTF-8 BOM. The delimiter is detected from the header
+ * line (comma, semicolon or tab) because exports from Vietnamese Excel
+ * installs commonly use semicolons.
+ *
+ * @param {string} text
+ * @returns {Array<Record<string, string>>} One object per row keyed by header
+ */
+export function parseCsv(text) {
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const headerLine = src.slice(0, src.search(/\r?\n|$/));
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, headerLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  if (!header) return [];
+  return body.map(cells => {
+    const obj = {};
+    header.forEach((name, i) => {
+      obj[name.trim()] = (cells[i] || '').trim();
+    });
+    return obj;
+  });
+}
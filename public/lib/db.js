@@ -0,0 +1,106 @@
+/*
+ * IndexedDB access shared by the app modules.
+ * Stores:
+ *   settings - key/value app settings (API key, model, language, dataset caches)
+ *   session  - in-progress capture session
+ *   cabinet  - saved medicines ("tủ thuốc"), auto-increment id
+ *   history  - completed scans with images and result, auto-increment id
+ *   queue    - captures waiting for a connection, auto-increment id. Also
+ *              read and written by service-worker.js (keep the shapes in sync)
+ *   profiles - people the medicine is for (age, weight, allergies...),
+ *              auto-increment id
+ *   reminders - medication schedules, auto-increment id
+ *   doseLog  - doses taken or skipped, keyed by schedule and time
+ *   (reminders and doseLog are also used by service-worker.js)
+ *
+ * With a PIN set (lib/vault.js), sensitive records are encrypted and
+ * decrypted here, by the cipher it installs.
+ */
+
+const DB_NAME = 'DrugScannerDB';
+const DB_VERSION = 6;
+
+let cipher = null;
+let dbPromise = null;
+
+/**
+ * Encrypt and decrypt records on their way in and out of the helpers below.
+ * @param {{seal: (storeName: string, value: *, key?: IDBValidKey) => Promise<*>,
+ *   open: (storeName: string, value: *) => Promise<*>}|null} value
+ */
+export function setCipher(value) {
+  cipher = value;
+}
+
+/**
+ * The shared connection, opened on first use. It is closed when another tab
+ * or the service worker needs a newer DB_VERSION, so their upgrade is not
+ * blocked, and reopened by the next call.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB() {
+  if (!dbPromise) {
+    const opening = connect(() => {
+      if (dbPromise === opening) dbPromise = null;
+    });
+    dbPromise = opening;
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+function connect(onClose) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = e => {
+      const db = e.target.result;
+      if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings');
+      if (!db.objectStoreNames.contains('session')) db.createObjectStore('session');
+      if (!db.objectStoreNames.contains('cabinet')) db.createObjectStore('cabinet', { keyPath: 'id', autoIncrement: true });
+      if (!db.objectStoreNames.contains('history')) db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+      if (!db.objectStoreNames.contains('queue')) db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+      if (!db.objectStoreNames.contains('profiles')) db.createObjectStore('profiles', { keyPath: 'id', autoIncrement: true });
+      if (!db.objectStoreNames.contains('reminders')) db.createObjectStore('reminders', { keyPath: 'id', autoIncrement: true });
+      if (!db.objectStoreNames.contains('doseLog')) db.createObjectStore('doseLog');
+    };
+    req.onsuccess = e => {
+      const db = e.target.result;
+      db.onversionchange = () => {
+        db.close();
+        onClose();
+      };
+      // Closed by the browser, e.g. when the site data is cleared
+      db.onclose = onClose;
+      resolve(db);
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function request(storeName, mode, fn) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+export async function idbGet(storeName, key) {
+  const value = await request(storeName, 'readonly', store => store.get(key));
+  return cipher ? cipher.open(storeName, value) : value;
+}
+
+export async function idbGetAll(storeName) {
+  const values = await request(storeName, 'readonly', store => store.getAll());
+  return cipher ? Promise.all(values.map(value => cipher.open(storeName, value))) : values;
+}
+
+// `key` is omitted for stores with a keyPath; resolves to the record key
+export async function idbPut(storeName, value, key) {
+  const stored = cipher ? await cipher.seal(storeName, value, key) : value;
+  return request(storeName, 'readwrite', store => (key === undefined ? store.put(stored) : store.put(stored, key)));
+}
+
+export function idbDelete(storeName, key) {
+  return request(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,241 @@
+/*
+ * Profile-aware reading of a scan result: which dosage line applies to the
+ * person, weight-based dose arithmetic, and allergy / contraindication
+ * alerts. Everything here is deterministic text matching and arithmetic on
+ * the model's output; nothing is sent anywhere. The patterns read both
+ * Vietnamese and English results, since the model answers in the UI language.
+ */
+import { foldDiacritics, normalizeTerms } from './match.js';
+import { ageInMonths } from './profiles.js';
+import { t } from './i18n.js';
+
+const YEAR = 12;
+const ADULT_MONTHS = 18 * YEAR;
+const ELDERLY_MONTHS = 65 * YEAR;
+
+// Allergy words that cover a whole drug group (folded, as typed by users)
+export const ALLERGY_GROUPS = {
+  penicillin: ['penicillin', 'amoxicillin', 'ampicillin', 'cloxacillin', 'oxacillin', 'piperacillin', 'benzylpenicillin', 'phenoxymethylpenicillin'],
+  'beta lactam': ['penicillin', 'amoxicillin', 'ampicillin', 'cloxacillin', 'cephalexin', 'cefuroxime', 'cefixime', 'ceftriaxone', 'cefadroxil', 'cefaclor', 'cefpodoxime'],
+  cephalosporin: ['cephalexin', 'cefuroxime', 'cefixime', 'ceftriaxone', 'cefadroxil', 'cefaclor', 'cefpodoxime', 'cefdinir'],
+  sulfa: ['sulfamethoxazole', 'sulfadiazine', 'sulfasalazine'],
+  sulfonamide: ['sulfamethoxazole', 'sulfadiazine', 'sulfasalazine'],
+  nsaid: ['aspirin', 'ibuprofen', 'naproxen', 'diclofenac', 'meloxicam', 'ketoprofen', 'celecoxib', 'etoricoxib', 'piroxicam', 'indomethacin', 'ketorolac'],
+  'khang viem khong steroid': ['aspirin', 'ibuprofen', 'naproxen', 'diclofenac', 'meloxicam', 'ketoprofen', 'celecoxib', 'etoricoxib', 'piroxicam', 'indomethacin', 'ketorolac'],
+  aspirin: ['aspirin', 'acetylsalicylic'],
+  quinolone: ['ciprofloxacin', 'levofloxacin', 'moxifloxacin', 'ofloxacin', 'norfloxacin'],
+  macrolide: ['erythromycin', 'clarithromycin', 'azithromycin', 'spiramycin', 'roxithromycin']
+};
+
+// Condition phrases in dosage labels and contraindications (folded text)
+const CONDITION_PATTERNS = {
+  pregnant: /co thai|mang thai|thai ky|thai phu|pregnan/,
+  breastfeeding: /cho con bu|dang bu|nuoi con bang sua me|breast-?feeding|lactat|nursing mothers/,
+  kidney: /suy than|benh than|chuc nang than|than nang|renal|kidney/,
+  liver: /suy gan|benh gan|chuc nang gan|gan nang|hepatic|liver/
+};
+
+// Age bounds in dosage labels and contraindications (folded text), with
+// units tuổi / tháng or years / months. A range may give a unit on each end
+// ("6 tháng - 2 tuổi") or only after the second number ("1-5 tuổi").
+const AGE_UNIT = '(tuoi|thang|years?|yrs?|months?)';
+const AGE_RANGE = new RegExp(`(\\d+)\\s*(?:${AGE_UNIT}\\s*)?(?:-|–|den|to)\\s*(\\d+)\\s*${AGE_UNIT}`);
+const AGE_ABOVE = new RegExp(`(?:tren|tu|>=?|≥|over|above|from|aged)\\s*(\\d+)\\s*${AGE_UNIT}`);
+const AGE_AND_OVER = new RegExp(`(\\d+)\\s*${AGE_UNIT}\\s*(?:and|&|or)\\s*(?:older|over|above)`);
+const AGE_BELOW = new RegExp(`(?:duoi|<|nho hon|under|below|less than|younger than)\\s*(\\d+)\\s*${AGE_UNIT}`);
+const CHILD_LIMIT = new RegExp(`(?:tre (?:em |nho )?(?:duoi|<)|children (?:under|below|younger than|<)(?: the age of)?)\\s*(\\d+)\\s*${AGE_UNIT}`);
+const NOT_FOR_USE = /chong chi dinh|khong dung|khong su dung|khong khuyen cao|contraindicated|not recommended|do not use|should not be used|must not be used/;
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+const UNIT = '(mg|mcg|µg|g|ml|iu|ui)';
+const DOSE_PER_KG = new RegExp(`${NUMBER}(?:\\s*(?:-|–|den|to)\\s*${NUMBER})?\\s*${UNIT}\\s*/\\s*kg(\\s*/\\s*(?:ngay|24\\s*gio|day|24\\s*h(?:ours?)?))?`, 'g');
+
+function toNumber(text) {
+  return Number(String(text).replace(',', '.'));
+}
+
+function isMonths(unit) {
+  return unit.startsWith('thang') || unit.startsWith('month');
+}
+
+function toMonths(value, unit) {
+  return isMonths(unit) ? value : value * YEAR;
+}
+
+/**
+ * Age range (in months, max exclusive) and conditions a dosage line is for,
+ * read from its label, e.g. "Trẻ em 1-5 tuổi: ..." or "Children 1-5 years: ..."
+ * -> {min: 12, max: 72}.
+ * @param {string} line
+ * @returns {{min: number|null, max: number|null, conditions: string[]}}
+ */
+export function parseDosageLabel(line) {
+  const text = foldDiacritics(line);
+  const label = text.includes(':') ? text.slice(0, text.indexOf(':')) : text;
+  let min = null;
+  let max = null;
+
+  const range = label.match(AGE_RANGE);
+  const above = label.match(AGE_ABOVE) || label.match(AGE_AND_OVER);
+  const below = label.match(AGE_BELOW);
+  if (range) {
+    const [, from, fromUnit, to, toUnit] = range;
+    min = toMonths(Number(from), fromUnit || toUnit);
+    max = toMonths(Number(to), toUnit) + (isMonths(toUnit) ? 1 : YEAR);
+  } else {
+    if (above) min = toMonths(Number(above[1]), above[2]);
+    if (below) max = toMonths(Number(below[1]), below[2]);
+  }
+
+  if (min === null && max === null) {
+    if (/so sinh|newborn|neonat/.test(label)) { min = 0; max = 1; }
+    else if (/nhu nhi|infant/.test(label)) { min = 1; max = YEAR; }
+    else if (/nguoi (gia|cao tuoi)|elderly|older (adults|people|patients)/.test(label)) { min = ELDERLY_MONTHS; }
+    else if (/nguoi lon|adult/.test(label)) { min = ADULT_MONTHS; }
+  }
+
+  const conditions = Object.entries(CONDITION_PATTERNS)
+    .filter(([, pattern]) => pattern.test(label))
+    .map(([condition]) => condition);
+
+  return { min, max, conditions };
+}
+
+function profileConditions(profile) {
+  const conditions = [];
+  if (profile.pregnant) conditions.push('pregnant');
+  if (profile.breastfeeding) conditions.push('breastfeeding');
+  if (profile.kidney && profile.kidney !== 'none') conditions.push('kidney');
+  if (profile.liver && profile.liver !== 'none') conditions.push('liver');
+  return conditions;
+}
+
+/**
+ * Dosage lines that apply to the person: the narrowest matching age group,
+ * plus any line for a condition they have (pregnancy, kidney or liver
+ * impairment).
+ * @param {string[]} lines details.dosage
+ * @param {object} profile
+ * @param {Date} [now]
+ * @returns {number[]} Line indexes, age line first
+ */
+export function matchDosageLines(lines, profile, now = new Date()) {
+  if (!Array.isArray(lines) || !profile) return [];
+  const age = ageInMonths(profile, now);
+  const conditions = profileConditions(profile);
+  const parsed = lines.map(line => parseDosageLabel(String(line)));
+
+  let ageLine = -1;
+  let ageWidth = Infinity;
+  if (age !== null) {
+    parsed.forEach((label, index) => {
+      if (label.min === null && label.max === null) return;
+      if (label.conditions.length > 0) return;
+      if ((label.min ?? 0) > age || (label.max !== null && age >= label.max)) return;
+      const width = (label.max ?? 120 * YEAR) - (label.min ?? 0);
+      if (width < ageWidth) {
+        ageLine = index;
+        ageWidth = width;
+      }
+    });
+  }
+
+  const conditionLines = parsed
+    .map((label, index) => (label.conditions.some(c => conditions.includes(c)) ? index : -1))
+    .filter(index => index >= 0 && index !== ageLine);
+
+  return ageLine >= 0 ? [ageLine, ...conditionLines] : conditionLines;
+}
+
+function roundDose(value) {
+  return value >= 10 ? Math.round(value) : Math.round(value * 10) / 10;
+}
+
+function formatRange(min, max, unit) {
+  return max !== null && max !== min ? `${min}–${max} ${unit}` : `${min} ${unit}`;
+}
+
+/**
+ * Weight-based doses in a dosage line ("10-15 mg/kg", "tối đa 60 mg/kg/ngày")
+ * worked out for a body weight.
+ * @param {string} line
+ * @param {number} weightKg
+ * @returns {Array<{perDay: boolean, min: number, max: number|null, unit: string, text: string}>}
+ */
+export function computeWeightDoses(line, weightKg) {
+  if (!weightKg || weightKg <= 0) return [];
+  const text = foldDiacritics(line);
+  const doses = [];
+  for (const match of text.matchAll(DOSE_PER_KG)) {
+    const unit = match[3] === 'µg' ? 'mcg' : match[3].replace('ui', 'IU').replace('iu', 'IU');
+    const min = roundDose(toNumber(match[1]) * weightKg);
+    const max = match[2] ? roundDose(toNumber(match[2]) * weightKg) : null;
+    const perDay = Boolean(match[4]);
+    const rate = `${match[1]}${match[2] ? `-${match[2]}` : ''} ${unit}/kg`;
+    doses.push({
+      perDay,
+      min,
+      max,
+      unit,
+      text: t(perDay ? 'dosing.perDay' : 'dosing.perDose', { dose: formatRange(min, max, unit), weight: weightKg, rate })
+    });
+  }
+  return doses;
+}
+
+function allergyMatches(allergy, ingredientTerms) {
+  const folded = foldDiacritics(allergy).replace(/[^a-z0-9]+/g, ' ').trim();
+  const group = Object.entries(ALLERGY_GROUPS).find(([name]) => folded === name || folded.includes(name));
+  const candidates = group ? group[1] : normalizeTerms(allergy);
+  return candidates.filter(term => ingredientTerms.has(term));
+}
+
+/**
+ * Alerts for this person: allergies to an ingredient, and contraindications
+ * or warnings that mention their age group or conditions.
+ * @param {object} data Scan result
+ * @param {object} profile
+ * @param {Date} [now]
+ * @returns {Array<{level: 'danger'|'warning', message: string}>} Most serious first
+ */
+export function profileAlerts(data, profile, now = new Date()) {
+  if (!data || !profile) return [];
+  const identity = data.identity || {};
+  const details = data.details || {};
+  const alerts = [];
+
+  const ingredients = new Set(normalizeTerms([identity.generic_name, identity.active_ingredient].filter(Boolean)));
+  for (const allergy of profile.allergies || []) {
+    const hits = allergyMatches(allergy, ingredients);
+    if (hits.length > 0) {
+      alerts.push({ level: 'danger', message: t('dosing.allergy', { name: profile.name, allergy, ingredients: hits.join(', ') }) });
+    }
+  }
+
+  const contraindications = foldDiacritics(details.contraindications || '');
+  const warnings = foldDiacritics((data.warnings || []).join(' '));
+  for (const condition of profileConditions(profile)) {
+    const pattern = CONDITION_PATTERNS[condition];
+    const params = { condition: t(`condition.${condition}`), name: profile.name };
+    if (pattern.test(contraindications)) {
+      alerts.push({ level: 'danger', message: t('dosing.contraindication', params) });
+    } else if (pattern.test(warnings)) {
+      alerts.push({ level: 'warning', message: t('dosing.warning', params) });
+    }
+  }
+
+  const age = ageInMonths(profile, now);
+  if (age !== null) {
+    const childLimit = contraindications.match(CHILD_LIMIT);
+    if (childLimit && age < toMonths(Number(childLimit[1]), childLimit[2])) {
+      const limit = t(isMonths(childLimit[2]) ? 'age.months' : 'age.years', { count: childLimit[1] });
+      alerts.push({ level: 'danger', message: t('dosing.childLimit', { age: limit, name: profile.name }) });
+    }
+    const [ageLine] = matchDosageLines(Array.isArray(details.dosage) ? details.dosage : [], { birthDate: profile.birthDate }, now);
+    if (ageLine !== undefined && NOT_FOR_USE.test(foldDiacritics(details.dosage[ageLine]))) {
+      alerts.push({ level: 'danger', message: t('dosing.ageGroup', { name: profile.name }) });
+    }
+  }
+
+  return alerts.sort((a, b) => (a.level === b.level ? 0 : a.level === 'danger' ? -1 : 1));
+}
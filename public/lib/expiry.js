@@ -0,0 +1,208 @@
+/*
+ * Lot number, manufacturing and expiry dates of a pack: normalizing the
+ * dates as printed (MM/YYYY, DD/MM/YY, EXP DEC 2027...) and flagging packs
+ * that are expired or about to expire, on screen and in the cabinet.
+ *
+ * GS1 data from the barcode (lib/gs1.js) is exact, so it wins over what the
+ * model read off the label.
+ */
+import { idbGet, idbPut } from './db.js';
+import { localDate } from './reminders.js';
+import { t, formatIsoDate } from './i18n.js';
+
+export const EXPIRY_WARNING_DAYS = 90;
+export const EXPIRY_SYNC_TAG = 'expiry-check';
+
+const NOTIFIED_KEY = 'expiryNotifiedOn';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const MONTH_OR_DIGIT = new RegExp(`\\d|\\b(?:${MONTHS.join('|')})`);
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function fullYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+function buildDate(year, month, day, { endOfMonth }) {
+  const y = fullYear(year);
+  const m = Number(month);
+  if (m < 1 || m > 12 || y < 1990 || y > 2100) return null;
+  const lastDay = new Date(y, m, 0).getDate();
+  if (day === undefined) {
+    return { iso: `${y}-${pad(m)}-${pad(endOfMonth ? lastDay : 1)}`, precision: 'month' };
+  }
+  const d = Number(day);
+  if (d < 1 || d > lastDay) return null;
+  return { iso: `${y}-${pad(m)}-${pad(d)}`, precision: 'day' };
+}
+
+/**
+ * Read a printed pack date. Day-first as printed in Vietnam; a date with
+ * only month and year is the last day of that month for an expiry date
+ * (`endOfMonth`) and the first day otherwise.
+ *
+ *   "31/12/2027", "31-12-27", "311227", "12/2027", "12/27", "2027-12",
+ *   "EXP DEC 2027", "HD: 12.2027"
+ *
+ * @param {string} text
+ * @param {{endOfMonth?: boolean}} [options]
+ * @returns {{iso: string, precision: 'day'|'month'}|null}
+ */
+export function parsePackDate(text, { endOfMonth = false } = {}) {
+  if (!text) return null;
+  // Drop a leading label ("HD:", "EXP", "NSX") up to the first digit or month name
+  let value = String(text).toUpperCase().trim();
+  const start = value.search(MONTH_OR_DIGIT);
+  if (start < 0) return null;
+  value = value.slice(start).replace(/[\s.]+$/, '');
+  const options = { endOfMonth };
+  let m;
+
+  if ((m = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) return buildDate(m[1], m[2], m[3], options);
+  if ((m = value.match(/^(\d{4})[-/.](\d{1,2})$/))) return buildDate(m[1], m[2], undefined, options);
+  if ((m = value.match(/^(\d{1,2})[-/.\s](\d{1,2})[-/.\s](\d{4}|\d{2})$/))) return buildDate(m[3], m[2], m[1], options);
+  if ((m = value.match(/^(\d{1,2})[-/.\s](\d{4}|\d{2})$/))) return buildDate(m[2], m[1], undefined, options);
+  if ((m = value.match(/^(\d{2})(\d{2})(\d{4}|\d{2})$/))) return buildDate(m[3], m[2], m[1], options);
+
+  // "DEC 2027", "DEC-27", "15 DEC 2027"
+  if ((m = value.match(/^(?:(\d{1,2})[-/.\s]*)?([A-Z]{3})[A-Z]*[-/.\s]*(\d{4}|\d{2})$/))) {
+    const month = MONTHS.indexOf(m[2]) + 1;
+    if (month === 0) return null;
+    return buildDate(m[3], month, m[1], options);
+  }
+  return null;
+}
+
+/**
+ * "31/12/2027", or only month and year when that is all that was printed,
+ * in the UI language.
+ * @param {string} iso
+ * @param {'day'|'month'} [precision]
+ */
+export function formatPackDate(iso, precision = 'day') {
+  return precision === 'month'
+    ? formatIsoDate(iso, { month: '2-digit', year: 'numeric' })
+    : formatIsoDate(iso);
+}
+
+/**
+ * "Đã hết hạn", "Sắp hết hạn" or "Còn hạn" in the UI language.
+ * @param {string} status From expiryStatus()
+ */
+export function expiryStatusLabel(status) {
+  return status === 'unknown' ? '' : t(`expiry.${status}`);
+}
+
+/**
+ * Lot and dates of the scanned pack, from the barcode's GS1 data where
+ * present and otherwise from the model's `packaging` reading.
+ * @param {{lot?: string, manufacture_date?: string, expiry_date?: string}} [packaging]
+ * @param {{lot?: string, expiry?: string, production_date?: string}} [barcode]
+ * @returns {{lot: string, manufacture_date: string, expiry_date: string,
+ *   manufacture_precision: string, expiry_precision: string,
+ *   sources: {lot?: string, manufacture_date?: string, expiry_date?: string}}}
+ *   Dates are ISO ('' when unknown); sources are 'barcode' or 'label'
+ */
+export function resolvePackaging(packaging, barcode) {
+  const label = packaging || {};
+  const gs1 = barcode || {};
+  const out = {
+    lot: '',
+    manufacture_date: '',
+    expiry_date: '',
+    manufacture_precision: 'day',
+    expiry_precision: 'day',
+    sources: {}
+  };
+
+  const lot = gs1.lot || String(label.lot || '').trim();
+  if (lot) {
+    out.lot = lot;
+    out.sources.lot = gs1.lot ? 'barcode' : 'label';
+  }
+
+  const dates = [
+    ['manufacture_date', 'manufacture_precision', gs1.production_date, label.manufacture_date, false],
+    ['expiry_date', 'expiry_precision', gs1.expiry, label.expiry_date, true]
+  ];
+  for (const [field, precisionField, fromBarcode, printed, endOfMonth] of dates) {
+    const parsed = fromBarcode ? { iso: fromBarcode, precision: 'day' } : parsePackDate(printed, { endOfMonth });
+    if (!parsed) continue;
+    out[field] = parsed.iso;
+    out[precisionField] = parsed.precision;
+    out.sources[field] = fromBarcode ? 'barcode' : 'label';
+  }
+  return out;
+}
+
+/**
+ * @param {string} iso Expiry date
+ * @param {Date} [now]
+ * @param {number} [warnDays]
+ * @returns {{status: 'expired'|'soon'|'ok'|'unknown', daysLeft: number|null}}
+ *   The pack can still be used on the expiry date itself (daysLeft 0)
+ */
+export function expiryStatus(iso, now = new Date(), warnDays = EXPIRY_WARNING_DAYS) {
+  if (!iso) return { status: 'unknown', daysLeft: null };
+  const [y, m, d] = iso.split('-').map(Number);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const daysLeft = Math.round((new Date(y, m - 1, d) - today) / DAY_MS);
+  if (daysLeft < 0) return { status: 'expired', daysLeft };
+  return { status: daysLeft <= warnDays ? 'soon' : 'ok', daysLeft };
+}
+
+/**
+ * "Hết hạn 12 ngày trước", "Còn 30 ngày"
+ * @param {{status: string, daysLeft: number|null}} expiry
+ */
+export function describeExpiry({ status, daysLeft }) {
+  if (status === 'unknown') return '';
+  if (status === 'expired') return t('expiry.expiredAgo', { days: -daysLeft });
+  return daysLeft === 0 ? t('expiry.today') : t('expiry.daysLeft', { days: daysLeft });
+}
+
+/**
+ * Cabinet entries that are expired or expire within the warning period,
+ * soonest first.
+ * @param {Array<{expiry_date?: string}>} entries
+ * @param {Date} [now]
+ * @returns {Array<{entry: object, status: string, daysLeft: number}>}
+ */
+export function expiringEntries(entries, now = new Date()) {
+  return entries
+    .map(entry => ({ entry, ...expiryStatus(entry.expiry_date, now) }))
+    .filter(item => item.status === 'expired' || item.status === 'soon')
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * True at most once a day, so the cabinet check does not notify on every
+ * app start. The service worker shares the same setting.
+ * @param {Date} [now]
+ */
+export async function claimDailyExpiryNotice(now = new Date()) {
+  const today = localDate(now);
+  if (await idbGet('settings', NOTIFIED_KEY) === today) return false;
+  await idbPut('settings', today, NOTIFIED_KEY);
+  return true;
+}
+
+/**
+ * Let the service worker check the cabinet about once a day.
+ * @returns {Promise<boolean>} false when Periodic Background Sync is unavailable
+ */
+export async function registerExpiryCheck() {
+  if (!('serviceWorker' in navigator)) return false;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.periodicSync) return false;
+    await registration.periodicSync.register(EXPIRY_SYNC_TAG, { minInterval: DAY_MS });
+    return true;
+  } catch (err) {
+    console.warn('[Expiry] Periodic sync unavailable', err);
+    return false;
+  }
+}
@@ -0,0 +1,41 @@
+/*
+ * Gemini model provider (see lib/analysis.js). The SDK class is passed in
+ * because the browser loads it from the import map while the server uses
+ * the npm package.
+ */
+import { DEFAULT_MODEL, toImageParts } from './prompt.js';
+import { RESULT_SCHEMA } from './schema.js';
+
+// Suggested in settings; any model name the API accepts can be entered
+export const GEMINI_MODELS = [DEFAULT_MODEL, 'gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.5-flash-lite'];
+
+/**
+ * Requests structured JSON output, so Gemini replies in the request's
+ * schema (RESULT_SCHEMA unless given).
+ *
+ * @param {typeof import('@google/generative-ai').GoogleGenerativeAI} GoogleGenerativeAI
+ * @param {{apiKey: string, temperature?: number}} options
+ *   Without `temperature` the model's default applies
+ * @returns {{name: string, generate: Function}}
+ */
+export function createGeminiProvider(GoogleGenerativeAI, { apiKey, temperature }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  return {
+    name: 'gemini',
+    async generate(model, { prompt, schema = RESULT_SCHEMA, images, repair }) {
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema: schema,
+          temperature
+        }
+      });
+      const parts = [prompt, ...toImageParts(images)];
+      if (repair) parts.push(repair);
+      const result = await generativeModel.generateContent(parts);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+}
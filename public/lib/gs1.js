@@ -0,0 +1,125 @@
+/*
+ * GS1 element string parsing for pharma barcodes (GS1 DataMatrix, GS1-128).
+ * Handles both the raw form with <GS> separators and the human readable
+ * "(01)...(17)..." form printed under the symbol.
+ */
+
+const GS = '\x1d';
+
+// Application Identifiers we care about. `fixed` means the data has an exact
+// length; otherwise `max` is the upper bound and the field ends at <GS>.
+const AI_TABLE = {
+  '00': { key: 'sscc', fixed: 18 },
+  '01': { key: 'gtin', fixed: 14 },
+  '02': { key: 'content_gtin', fixed: 14 },
+  '10': { key: 'lot', max: 20 },
+  '11': { key: 'production_date', fixed: 6, date: true },
+  '15': { key: 'best_before', fixed: 6, date: true },
+  '17': { key: 'expiry', fixed: 6, date: true },
+  '21': { key: 'serial', max: 20 },
+  '30': { key: 'count', max: 8 },
+  '240': { key: 'additional_id', max: 30 },
+  '710': { key: 'nhrn_de', max: 20 },
+  '711': { key: 'nhrn_fr', max: 20 },
+  '712': { key: 'nhrn_es', max: 20 },
+  '713': { key: 'nhrn_br', max: 20 },
+  '714': { key: 'nhrn_pt', max: 20 },
+  '715': { key: 'nhrn_us', max: 20 }
+};
+
+/**
+ * Validate the mod-10 check digit used by GTIN-8/12/13/14 (EAN/UPC).
+ * @param {string} digits
+ * @returns {boolean}
+ */
+export function isValidGtin(digits) {
+  if (!/^\d{8}$|^\d{12,14}$/.test(digits)) return false;
+  const nums = digits.split('').map(Number);
+  const check = nums.pop();
+  let sum = 0;
+  // Weights alternate 3,1,3... starting from the digit next to the check digit.
+  for (let i = nums.length - 1, w = 3; i >= 0; i--, w = w === 3 ? 1 : 3) {
+    sum += nums[i] * w;
+  }
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * Convert a GS1 YYMMDD date to ISO (YYYY-MM-DD). A day of "00" means the
+ * last day of that month, as allowed by the GS1 General Specifications.
+ * @param {string} yymmdd
+ * @returns {string | undefined}
+ */
+export function gs1DateToIso(yymmdd) {
+  if (!/^\d{6}$/.test(yymmdd)) return undefined;
+  const year = 2000 + Number(yymmdd.slice(0, 2));
+  const month = Number(yymmdd.slice(2, 4));
+  let day = Number(yymmdd.slice(4, 6));
+  if (month < 1 || month > 12) return undefined;
+  if (day === 0) day = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function matchAi(str, pos) {
+  for (const len of [2, 3, 4]) {
+    const ai = str.slice(pos, pos + len);
+    if (AI_TABLE[ai]) return ai;
+  }
+  return null;
+}
+
+/**
+ * Parse a GS1 element string into named fields. Returns null if the value
+ * does not look like GS1 data.
+ * @param {string} raw Decoded barcode text
+ * @returns {{gtin?: string, lot?: string, expiry?: string, serial?: string, production_date?: string, [key: string]: string} | null}
+ */
+export function parseGs1(raw) {
+  if (!raw) return null;
+  let str = String(raw).trim();
+
+  // Human readable form: (01)08931234567890(17)270531(10)ABC123
+  if (str.startsWith('(')) {
+    const out = {};
+    const re = /\((\d{2,4})\)([^(]*)/g;
+    let m;
+    while ((m = re.exec(str)) !== null) {
+      const def = AI_TABLE[m[1]];
+      if (!def) continue;
+      // Printed labels often put a space between the elements
+      const value = m[2].trim();
+      out[def.key] = def.date ? gs1DateToIso(value) : value;
+    }
+    return Object.keys(out).length > 0 ? out : null;
+  }
+
+  // Strip symbology identifiers (]d2 DataMatrix, ]C1 GS1-128, ]Q3 QR) and a
+  // leading FNC1 that some decoders pass through as <GS>.
+  str = str.replace(/^\][A-Za-z]\d/, '');
+  if (str.startsWith(GS)) str = str.slice(1);
+
+  const out = {};
+  let pos = 0;
+  while (pos < str.length) {
+    const ai = matchAi(str, pos);
+    if (!ai) break;
+    const def = AI_TABLE[ai];
+    pos += ai.length;
+    let value;
+    if (def.fixed) {
+      value = str.slice(pos, pos + def.fixed);
+      pos += def.fixed;
+      // Tolerate a superfluous separator after a fixed-length field
+      if (str[pos] === GS) pos++;
+    } else {
+      const end = str.indexOf(GS, pos);
+      const stop = end === -1 ? Math.min(str.length, pos + def.max) : end;
+      value = str.slice(pos, stop);
+      pos = end === -1 ? stop : end + 1;
+    }
+    out[def.key] = def.date ? gs1DateToIso(value) : value;
+  }
+
+  // Only accept it as GS1 if at least a GTIN was found
+  return out.gtin ? out : null;
+}
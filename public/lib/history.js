@@ -0,0 +1,101 @@
+/*
+ * Scan history ("lịch sử quét"): every completed analysis with its images,
+ * so a result can be reopened offline or analysed again.
+ */
+import { idbGet, idbGetAll, idbPut, idbDelete } from './db.js';
+import { foldDiacritics } from './match.js';
+import { t } from './i18n.js';
+
+const THUMBNAIL_SIZE = 160;
+
+/**
+ * Downscale a captured image for the history list.
+ * @param {string} dataUri
+ * @param {number} [max] Longest side in pixels
+ * @returns {Promise<string>} JPEG data URI
+ */
+export function createThumbnail(dataUri, max = THUMBNAIL_SIZE) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, max / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    img.onerror = () => reject(new Error(t('error.readImage')));
+    img.src = dataUri;
+  });
+}
+
+/**
+ * Build a history entry from a finished scan. The full images are kept so
+ * the scan can be re-run; thumbnails are for the list.
+ * @param {{images: Array<{dataUri: string, role: string}>, result: object, model?: string, barcode?: object}} scan
+ *   `images` as captured (see capture.js)
+ */
+export async function historyEntryFromScan({ images, result, model, barcode }) {
+  return {
+    images,
+    thumbnails: await Promise.all(images.map(image => createThumbnail(image.dataUri))),
+    result,
+    model: model || '',
+    barcode: barcode || null,
+    createdAt: Date.now()
+  };
+}
+
+/**
+ * Text that the history search matches against: names and ingredients,
+ * folded so "dau dau" finds "đau đầu".
+ * @param {{result?: object}} entry
+ * @returns {string}
+ */
+export function historySearchText(entry) {
+  const identity = (entry.result && entry.result.identity) || {};
+  return foldDiacritics([
+    identity.name,
+    identity.brand_name,
+    identity.generic_name,
+    identity.active_ingredient
+  ].filter(Boolean).join(' '));
+}
+
+/**
+ * Every word of the query must appear in the entry's search text.
+ * @param {object} entry
+ * @param {string} query
+ * @returns {boolean}
+ */
+export function matchesHistoryQuery(entry, query) {
+  const words = foldDiacritics(query).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const text = historySearchText(entry);
+  return words.every(word => text.includes(word));
+}
+
+/**
+ * Newest first, optionally filtered by a search query.
+ * @param {string} [query]
+ */
+export async function listHistory(query = '') {
+  const entries = await idbGetAll('history');
+  return entries
+    .filter(entry => matchesHistoryQuery(entry, query))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function getHistoryEntry(id) {
+  return idbGet('history', id);
+}
+
+// Resolves to the entry id. An entry with an `id` replaces the stored one.
+export function saveToHistory(entry) {
+  return idbPut('history', entry);
+}
+
+export function removeFromHistory(id) {
+  return idbDelete('history', id);
+}
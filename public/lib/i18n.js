@@ -0,0 +1,175 @@
+/*
+ * UI language: message catalogs (lib/locales/), the current locale and
+ * locale-aware dates.
+ *
+ * Messages are plain text with {name} placeholders. `**text**` marks bold
+ * runs for richText(), which builds <strong> elements; nothing here is ever
+ * inserted as HTML. Static markup is translated through data attributes:
+ *
+ *   <h2 data-i18n="cabinet.title">Tủ thuốc</h2>
+ *   <input data-i18n-placeholder="history.search">
+ *   <button data-i18n-title="header.settings">⚙️</button>
+ *
+ * The Vietnamese text stays in index.html so the page reads correctly
+ * before the script runs.
+ */
+import { idbGet, idbPut } from './db.js';
+import { el, render } from './render.js';
+import { MESSAGES as vi } from './locales/vi.js';
+import { MESSAGES as en } from './locales/en.js';
+
+export const LOCALES = {
+  vi: 'Tiếng Việt',
+  en: 'English'
+};
+export const DEFAULT_LOCALE = 'vi';
+export const CATALOGS = { vi, en };
+
+const LOCALE_KEY = 'locale';
+// Intl tags for dates; en-GB keeps day-first dates like the packs
+const INTL_LOCALES = {
+  vi: 'vi-VN',
+  en: 'en-GB'
+};
+const ATTRIBUTES = [
+  ['i18nPlaceholder', 'placeholder'],
+  ['i18nTitle', 'title'],
+  ['i18nAriaLabel', 'aria-label']
+];
+
+let currentLocale = DEFAULT_LOCALE;
+
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Switch the UI language for later t() calls; unknown locales fall back to
+ * Vietnamese.
+ * @param {string} locale
+ * @returns {string} The locale in use
+ */
+export function setLocale(locale) {
+  currentLocale = Object.hasOwn(CATALOGS, locale) ? locale : DEFAULT_LOCALE;
+  if (typeof document !== 'undefined') document.documentElement.lang = currentLocale;
+  return currentLocale;
+}
+
+/**
+ * First supported language among the browser's preferences.
+ * @param {readonly string[]} [languages] e.g. navigator.languages
+ */
+export function detectLocale(languages = typeof navigator !== 'undefined' ? navigator.languages : []) {
+  for (const tag of languages || []) {
+    const base = String(tag).toLowerCase().split('-')[0];
+    if (Object.hasOwn(CATALOGS, base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Apply the saved language, or the browser's on first run.
+ * @returns {Promise<string>}
+ */
+export async function loadLocale() {
+  let saved = null;
+  try {
+    saved = await idbGet('settings', LOCALE_KEY);
+  } catch (err) {
+    console.warn('[i18n] Saved language unavailable', err);
+  }
+  return setLocale(saved || detectLocale());
+}
+
+// The service worker reads the same setting for its notifications
+export async function saveLocale(locale) {
+  const applied = setLocale(locale);
+  await idbPut('settings', applied, LOCALE_KEY);
+  return applied;
+}
+
+function interpolate(template, params) {
+  if (!params) return template;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+}
+
+function lookup(key) {
+  return CATALOGS[currentLocale][key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+}
+
+/**
+ * The message for `key` in the current language, falling back to
+ * Vietnamese and then to the key itself.
+ * @param {string} key
+ * @param {Object<string, *>} [params] Values for {name} placeholders
+ * @returns {string}
+ */
+export function t(key, params) {
+  return interpolate(lookup(key), params).replace(/\*\*/g, '');
+}
+
+/**
+ * Text a dataset carries in several languages, as `{ vi, en }`: the current
+ * language, falling back to Vietnamese. Plain strings, from datasets that
+ * only have one language, are returned as they are.
+ * @param {string | Object<string, string>} value
+ * @returns {string}
+ */
+export function localized(value) {
+  if (value && typeof value === 'object') return value[currentLocale] ?? value[DEFAULT_LOCALE] ?? '';
+  return value ?? '';
+}
+
+/**
+ * Like t(), with `**bold**` runs as <strong> elements. Placeholders are
+ * filled in after splitting, so values cannot add markup.
+ * @returns {Array<string|HTMLElement>} Children for el() / render()
+ */
+export function richText(key, params) {
+  return lookup(key).split('**').map((part, i) => {
+    const text = interpolate(part, params);
+    return i % 2 === 1 ? el('strong', null, text) : text;
+  });
+}
+
+/**
+ * Translate the static markup under `root` (see the data attributes above).
+ * @param {ParentNode} [root]
+ */
+export function translatePage(root = document) {
+  for (const node of root.querySelectorAll('[data-i18n]')) {
+    render(node, richText(node.dataset.i18n));
+  }
+  for (const [property, attribute] of ATTRIBUTES) {
+    const selector = `[data-${property.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}]`;
+    for (const node of root.querySelectorAll(selector)) node.setAttribute(attribute, t(node.dataset[property]));
+  }
+}
+
+/**
+ * A date in the current language (e.g. "31/12/2027").
+ * @param {Date|number|string} value
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export function formatDate(value, options = { day: '2-digit', month: '2-digit', year: 'numeric' }) {
+  return new Intl.DateTimeFormat(INTL_LOCALES[currentLocale], options).format(new Date(value));
+}
+
+/**
+ * Date and time, e.g. for history entries.
+ * @param {Date|number|string} value
+ */
+export function formatDateTime(value) {
+  return formatDate(value, { dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * A 'YYYY-MM-DD' date as a local calendar day (not UTC midnight).
+ * @param {string} iso
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export function formatIsoDate(iso, options) {
+  if (!iso) return '';
+  const [y, m, d] = iso.split('-').map(Number);
+  return formatDate(new Date(y, m - 1, d || 1), options);
+}
@@ -0,0 +1,203 @@
+/*
+ * Drug–drug interaction checks against the saved medicine cabinet and
+ * between the drugs of one prescription.
+ * The rules come from a bundled dataset (/data/interactions.json). A newer
+ * copy fetched from the server or imported from a file is kept in the
+ * settings store and used instead while its version is higher. Rule
+ * descriptions and the dataset's source are `{ vi, en }` (or a plain string
+ * in older copies) and come out in the UI language.
+ */
+import { normalizeTerms } from './match.js';
+import { idbGet, idbPut } from './db.js';
+import { t, localized } from './i18n.js';
+
+const BUNDLED_URL = '/data/interactions.json';
+const STORE_KEY = 'interactionData';
+
+// Labels are catalog messages (severity.<key>)
+export const SEVERITIES = {
+  contraindicated: { rank: 0 },
+  major: { rank: 1 },
+  duplicate: { rank: 1 },
+  moderate: { rank: 2 },
+  minor: { rank: 3 }
+};
+
+function severityLabel(severity) {
+  return t(`severity.${Object.hasOwn(SEVERITIES, severity) ? severity : 'minor'}`);
+}
+
+// Terms too generic to mean two products share an active ingredient
+const GENERIC_TERMS = new Set(['acid', 'vitamin', 'extract', 'complex', 'oral', 'tablet', 'capsule', 'film', 'coated']);
+
+/**
+ * Collect normalized ingredient terms from any number of values
+ * (strings, arrays of strings or arrays of {name, strength}).
+ * @returns {Set<string>}
+ */
+export function ingredientTerms(...values) {
+  return new Set(values.flatMap(v => normalizeTerms(v)));
+}
+
+function membersOf(ref, dataset) {
+  if (ref.startsWith('class:')) return (dataset.classes || {})[ref.slice(6)] || [];
+  return [ref];
+}
+
+// Dataset ingredients present in a term set, e.g. "isosorbide" in
+// {"isosorbide", "mononitrate"}
+function presentMembers(ref, terms, dataset) {
+  return membersOf(ref, dataset).filter(name => {
+    const nameTerms = normalizeTerms(name);
+    return nameTerms.length > 0 && nameTerms.every(t => terms.has(t));
+  });
+}
+
+/**
+ * Check a newly scanned drug against the cabinet.
+ *
+ * @param {Set<string>} terms Ingredient terms of the new drug
+ * @param {Array<{id?: number, name: string, ingredients: string[]}>} cabinet
+ * @param {{classes?: object, interactions: Array<{a: string, b: string, severity: string,
+ *   description: string | {vi: string, en: string}}>}} dataset
+ * @returns {Array<{severity: string, label: string, description: string, drug: string, ingredients: string[]}>}
+ *   Most severe first
+ */
+export function findInteractions(terms, cabinet, dataset) {
+  const found = [];
+  for (const entry of cabinet) {
+    const entryTerms = new Set(entry.ingredients || []);
+
+    const shared = [...terms].filter(t => entryTerms.has(t) && !GENERIC_TERMS.has(t));
+    if (shared.length > 0) {
+      found.push({
+        severity: 'duplicate',
+        label: severityLabel('duplicate'),
+        description: t('interactions.duplicate'),
+        drug: entry.name,
+        ingredients: shared
+      });
+    }
+
+    for (const rule of dataset.interactions || []) {
+      for (const [x, y] of [[rule.a, rule.b], [rule.b, rule.a]]) {
+        const mine = presentMembers(x, terms, dataset);
+        const theirs = presentMembers(y, entryTerms, dataset);
+        // Same-class rules (e.g. two NSAIDs) need two different ingredients
+        const pair = mine.flatMap(m => theirs.filter(t => t !== m).map(t => [m, t]))[0];
+        if (pair) {
+          found.push({
+            severity: rule.severity,
+            label: severityLabel(rule.severity),
+            description: localized(rule.description),
+            drug: entry.name,
+            ingredients: pair
+          });
+          break;
+        }
+      }
+    }
+  }
+  return bySeverity(found);
+}
+
+function bySeverity(found) {
+  const rank = s => (SEVERITIES[s] || SEVERITIES.minor).rank;
+  return found.sort((a, b) => rank(a.severity) - rank(b.severity));
+}
+
+/**
+ * Check the drugs of one prescription against each other: every pair is
+ * checked once, like a new drug against a cabinet of the other one.
+ *
+ * @param {Array<{name: string, ingredients: string[]}>} drugs Ingredient
+ *   terms as from ingredientTerms()
+ * @param {object} dataset As for findInteractions()
+ * @returns {Array<{severity: string, label: string, description: string, drugs: string[], ingredients: string[]}>}
+ *   Most severe first
+ */
+export function checkRegimen(drugs, dataset) {
+  const found = [];
+  drugs.forEach((drug, i) => {
+    for (const other of drugs.slice(i + 1)) {
+      for (const item of findInteractions(new Set(drug.ingredients), [other], dataset)) {
+        const { drug: otherName, ...rest } = item;
+        found.push({
+          ...rest,
+          description: item.severity === 'duplicate' ? t('interactions.duplicateInRegimen') : item.description,
+          drugs: [drug.name, otherName]
+        });
+      }
+    }
+  });
+  return bySeverity(found);
+}
+
+/**
+ * Compare dotted numeric versions ("2026.10.1").
+ * @returns {number} negative, zero or positive
+ */
+export function compareVersions(a, b) {
+  const pa = String(a || '0').split('.').map(Number);
+  const pb = String(b || '0').split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function isValidDataset(data) {
+  return data && typeof data.version === 'string' && Array.isArray(data.interactions);
+}
+
+async function fetchDataset(fresh) {
+  // A unique query string skips the service worker's cache-first lookup
+  const url = fresh ? `${BUNDLED_URL}?t=${Date.now()}` : BUNDLED_URL;
+  const resp = await fetch(url, fresh ? { cache: 'no-store' } : undefined);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const data = await resp.json();
+  if (!isValidDataset(data)) throw new Error(t('interactions.invalidData'));
+  return data;
+}
+
+/**
+ * Load the newest available dataset: the stored copy or the bundled file.
+ * @returns {Promise<object | null>}
+ */
+export async function loadInteractionData() {
+  const [stored, bundled] = await Promise.all([
+    idbGet('settings', STORE_KEY).catch(() => null),
+    fetchDataset(false).catch(() => null)
+  ]);
+  if (stored && bundled) return compareVersions(stored.version, bundled.version) >= 0 ? stored : bundled;
+  return stored || bundled;
+}
+
+async function storeIfNewer(data) {
+  const current = await idbGet('settings', STORE_KEY).catch(() => null);
+  if (current && compareVersions(current.version, data.version) >= 0) {
+    return { updated: false, version: current.version };
+  }
+  await idbPut('settings', data, STORE_KEY);
+  return { updated: true, version: data.version };
+}
+
+/**
+ * Fetch the dataset from the server bypassing caches and keep it if newer.
+ * @returns {Promise<{updated: boolean, version: string}>}
+ */
+export async function updateInteractionData() {
+  return storeIfNewer(await fetchDataset(true));
+}
+
+/**
+ * Import a dataset file (same format as /data/interactions.json).
+ * @param {string} text File contents
+ * @returns {Promise<{updated: boolean, version: string}>}
+ */
+export async function importInteractionData(text) {
+  const data = JSON.parse(text);
+  if (!isValidDataset(data)) throw new Error(t('interactions.invalidData'));
+  return storeIfNewer(data);
+}
@@ -0,0 +1,443 @@
+/*
+ * English UI messages. Keys match lib/locales/vi.js.
+ */
+export const MESSAGES = {
+  // Common buttons
+  'common.close': 'Close',
+  'common.cancel': 'Cancel',
+  'common.delete': 'Delete',
+  'common.edit': 'Edit',
+  'common.view': 'View',
+  'common.retry': 'Try again',
+
+  // Header
+  'header.install': 'Install app',
+  'header.queue': 'Queue',
+
+  // API key and settings
+  'key.title': 'Gemini API key',
+  'key.intro': 'For your security, please enter your own Gemini API key. It is only stored on this device. If the server has a key configured, this step is optional.',
+  'key.placeholder': 'Paste your API key here',
+  'key.save': 'Save key',
+  'key.checking': 'Checking...',
+  'key.change': 'Change API key',
+  'key.delete': 'Delete API key',
+  'key.own': 'API key saved (using your own key).',
+  'key.server': 'Using the server\'s API key. You can enter your own key if you prefer.',
+  'key.none': 'No API key yet.',
+  'key.endpoint': 'Using the model server at {url}.',
+  'settings.title': 'Settings',
+  'settings.language': 'Language',
+  'model.title': 'AI model',
+  'model.note': 'Used when analyzing on this device (your own API key or an OpenAI-compatible server). With the server\'s key, the server picks the model.',
+  'model.provider': 'Provider',
+  'model.provider.gemini': 'Google Gemini',
+  'model.provider.openai': 'OpenAI-compatible server',
+  'model.baseUrl': 'Server address',
+  'model.endpointKey': 'Server API key (if required)',
+  'model.model': 'Model',
+  'model.fallback': 'Fallback model (when the main model fails)',
+  'model.temperature': 'Temperature (0–2, leave blank for the default)',
+  'model.save': 'Save model settings',
+  'model.saved': 'Model settings saved.',
+  'model.saveFailed': 'Could not save the model settings: {message}',
+  'security.title': 'PIN',
+  'security.note': 'A PIN encrypts the API key, history, profiles, cabinet and reminders on this device. If you forget it, this data can only be erased.',
+  'security.on': 'PIN is on: data is encrypted.',
+  'security.off': 'No PIN set: data is not encrypted.',
+  'security.autoLock': 'Lock when unused for',
+  'security.minutes': '{count} min',
+  'security.set': 'Set a PIN',
+  'security.change': 'Change PIN',
+  'security.remove': 'Turn off PIN',
+  'security.lockNow': 'Lock now',
+  'pin.title.set': 'Set a PIN',
+  'pin.title.change': 'Change PIN',
+  'pin.title.remove': 'Turn off PIN',
+  'pin.current': 'Current PIN',
+  'pin.new': 'New PIN (at least 4 characters)',
+  'pin.confirm': 'Repeat the new PIN',
+  'pin.save': 'Confirm',
+  'pin.tooShort': 'The PIN needs at least {min} characters.',
+  'pin.mismatch': 'The two PINs do not match.',
+  'pin.wrong': 'Wrong PIN.',
+  'pin.working': 'Updating encrypted data...',
+  'pin.failed': 'Could not update the PIN: {message}',
+  'lock.title': 'App locked',
+  'lock.intro': 'Enter your PIN to see the medicine data on this device.',
+  'lock.pin': 'PIN',
+  'lock.unlock': 'Unlock',
+  'lock.forgot': 'Forgot PIN',
+  'lock.resetConfirm': 'Data cannot be recovered without the PIN. Erase the API key, history, profiles, cabinet, reminders and the PIN on this device?',
+  'update.available': 'A new version is available.',
+  'update.reload': 'Reload',
+
+  // Capture
+  'instructions.initial': 'Tap **SCAN** to start.',
+  'instructions.start': 'Tap **SCAN** to photograph the medicine. You can take 1–{max} photos: front, back, barcode, leaflet or blister pack.',
+  'instructions.captured': '**{count}/{max}** photos taken. Tag, reorder or add more, then tap **Analyze**.',
+  'instructions.done': 'Done.',
+  'scan.start': 'SCAN',
+  'scan.more': 'ADD A PHOTO',
+  'scan.again': 'SCAN ANOTHER',
+  'camera.pickFile': 'Choose photo',
+  'camera.shutter': 'Capture',
+  'camera.opening': 'Opening camera...',
+  'camera.capturing': '✓ Capturing...',
+  'camera.steady': '✓ Sharp, hold still',
+  'camera.hint.front': 'Fit the drug name inside the frame',
+  'camera.hint.back': 'Fit the back of the pack inside the frame',
+  'camera.hint.barcode': 'Fit the barcode inside the frame',
+  'camera.hint.leaflet': 'Fit the leaflet inside the frame',
+  'camera.hint.blister': 'Fit the blister pack inside the frame',
+  'quality.blurry': 'the photo is blurry',
+  'quality.dark': 'the photo is too dark',
+  'quality.bright': 'the photo is too bright',
+  'quality.glare': 'the photo has glare',
+  'quality.confirm': 'The photo may not be good enough: {issues}. The identification may be inaccurate.\n\nUse this photo anyway?',
+  'review.role': 'This photo shows:',
+  'review.retake': 'Retake',
+  'review.confirm': 'Continue',
+  'role.front': 'Front (drug name)',
+  'role.back': 'Back',
+  'role.barcode': 'Barcode',
+  'role.leaflet': 'Package leaflet',
+  'role.blister': 'Blister pack',
+  'capture.imageAlt': 'Photo {n}',
+  'capture.roleLabel': 'Type of photo {n}',
+  'capture.moveUp': 'Move up',
+  'capture.moveDown': 'Move down',
+  'capture.remove': 'Remove photo',
+  'capture.reset': 'Start over',
+  'capture.resetConfirm': 'Remove all photos and start over?',
+  'capture.analyze': 'Analyze',
+  'loading.image': 'Processing photo...',
+  'loading.barcode': 'Reading barcode...',
+  'loading.analyze': 'Analyzing...',
+
+  // Analysis errors
+  'error.title': '⚠️ Something went wrong',
+  'error.image': 'Could not process the photo: {message}',
+  'error.noKey': 'No API key configured. Please open Settings.',
+  'error.rateLimited': 'Too many requests. Please try again in {seconds} seconds.',
+  'error.tooLarge': 'The photos are too large to send to the server. Please retake them.',
+  'error.missingFields': 'The model reply is missing or has invalid fields: {fields}',
+  'error.invalidReply': 'The model reply is not valid JSON',
+  'error.readImage': 'Could not read the image',
+  'error.server': 'The server could not analyze the photos ({reason}).',
+
+  // Text search
+  'search.placeholder': 'Or type a drug name, NDC or registration number',
+  'search.label': 'Search for a drug by name',
+  'search.submit': 'Search',
+  'search.loading': 'Searching...',
+  'search.notFound': 'No drug found for "{query}"',
+  'search.notFoundHint': 'Check the spelling, or try the generic name or the registration number (SĐK) on the box.',
+  'search.failed': 'Search failed: {message}',
+  'search.offline': 'Searching needs an internet connection. You can still scan the box; the photos will be analyzed once you are online.',
+  'search.missingFields': 'ℹ️ The official record has no {fields}. Check the package leaflet or the sources below.',
+  'search.sources': 'Information from:',
+
+  // Result
+  'result.unrecognized': '⚠️ Could not identify the medicine',
+  'result.unrecognizedHint': 'The photo may be blurry or the drug name unclear.',
+  'result.activeIngredient': 'Active ingredient',
+  'result.manufacturer': 'Manufacturer',
+  'result.usage': 'Indications',
+  'result.dosage': 'Dosage',
+  'result.contraindications': 'Contraindications',
+  'result.warnings': '⚠️ Important warnings:',
+  'result.missingFields': '⚠️ The AI did not return all the information: {fields}. Look it up in the sources below.',
+  'result.expired': '⛔ This pack has expired',
+  'result.expiringSoon': '⚠️ This pack expires soon',
+  'result.addToCabinet': '➕ Add to cabinet',
+  'result.addedToCabinet': '✓ Added to cabinet',
+  'result.cabinetSaveFailed': 'Could not save to the cabinet: {message}',
+  'result.createReminder': '⏰ Create a medication reminder',
+  'result.verifying': '🔍 Checking against official data...',
+  'field.details': 'Details',
+  'field.warnings': 'Warnings',
+  'field.searchFallback': 'Search suggestions',
+  'fallback.title': '🔎 Look it up at:',
+  'fallback.defaultQuery': 'medicine',
+
+  // Lot, expiry and barcode
+  'pack.title': '🏷️ Lot & expiry:',
+  'pack.lot': 'Lot',
+  'pack.manufactureDate': 'Manufactured',
+  'pack.expiryDate': 'Expiry',
+  'pack.fromBarcode': 'barcode',
+  'pack.noExpiry': 'Could not read the expiry date. Check the packaging before use.',
+  'expiry.expired': 'Expired',
+  'expiry.soon': 'Expires soon',
+  'expiry.ok': 'In date',
+  'expiry.expiredAgo': 'Expired {days} days ago',
+  'expiry.today': 'Expires today',
+  'expiry.daysLeft': '{days} days left',
+  'barcode.title': '📦 Barcode ({format})',
+  'barcode.badCheckDigit': 'check digit mismatch',
+  'barcode.code': 'Code',
+  'barcode.serial': 'Serial number',
+
+  // Official source verification
+  'verify.notFound': 'ℹ️ This drug was not found in openFDA or the Vietnamese drug registry. The information above comes from the AI only; please check it against the package leaflet.',
+  'verify.unavailable': '⚠️ Cannot check against official data right now.',
+  'verify.title': '🏛️ Compared with {source}',
+  'verify.officialSource': 'official sources',
+  'verify.mismatches': '⚠️ {count} field(s) differ between the AI and {source}. Check with a pharmacist or the leaflet.',
+  'verify.match': '✓ The main details match {source}.',
+  'verify.name': 'Name',
+  'verify.route': 'Route',
+  'verify.dosageForm': 'Dosage form',
+  'verify.registration': 'Registration no.',
+  'verify.sources': 'Sources:',
+  'verify.alternates': 'Other results ({count})',
+
+  // Medicine cabinet and interactions
+  'cabinet.title': 'Medicine cabinet',
+  'cabinet.empty': 'Your cabinet is empty. After a scan, tap "Add to cabinet" to save the medicine.',
+  'cabinet.unnamed': 'Unknown name',
+  'cabinet.expiry': 'EXP: {date}',
+  'cabinet.lot': 'Lot {lot}',
+  'cabinet.flagged': 'Cabinet: {count} medicine(s) expired or expiring soon',
+  'cabinet.notification': 'Your cabinet has {count} medicine(s) that have expired or expire soon.',
+  'cabinet.updateData': 'Update interaction data',
+  'cabinet.importData': 'Import data file',
+  'interactions.title': '💊 Interactions with medicines in your cabinet:',
+  'interactions.none': '✓ No interactions found with the {count} medicine(s) in your cabinet.',
+  'interactions.duplicate': 'This medicine has the same active ingredient as one in your cabinet. Taking both may cause an overdose.',
+  'interactions.duplicateInRegimen': 'Two drugs on the prescription share an active ingredient. Check with your doctor or pharmacist before taking both.',
+  'interactions.invalidData': 'Invalid interaction data',
+  'interactions.dataStatus': 'Interaction data: version {version} ({count} rules)',
+  'interactions.dataMissing': 'Interaction data has not been loaded.',
+  'interactions.updated': 'Interaction data updated to version {version}.',
+  'interactions.upToDate': 'Interaction data is already up to date ({version}).',
+  'interactions.updateFailed': 'Could not update the interaction data: {message}',
+  'interactions.imported': 'Imported interaction data version {version}.',
+  'interactions.notNewer': 'A newer or equal version is already in use ({version}).',
+  'interactions.invalidFile': 'Invalid data file: {message}',
+  'severity.contraindicated': 'Do not combine',
+  'severity.major': 'Major',
+  'severity.duplicate': 'Same ingredient',
+  'severity.moderate': 'Moderate',
+  'severity.minor': 'Minor',
+
+  // Profiles and dosage advice
+  'profiles.title': 'Profiles',
+  'profiles.note': 'Age, weight and allergies are used to pick the right dose and to warn you. Stored on this device only.',
+  'profiles.heading': 'Profile',
+  'profiles.add': 'Add profile',
+  'profiles.edit': 'Edit profile',
+  'profiles.save': 'Save profile',
+  'profiles.saveFailed': 'Could not save the profile: {message}',
+  'profiles.deleteConfirm': 'Delete profile "{name}"?',
+  'profiles.empty': 'No profiles yet.',
+  'profiles.unnamed': 'Unnamed',
+  'profiles.name': 'Name',
+  'profiles.namePlaceholder': 'e.g. Anna',
+  'profiles.birthDate': 'Date of birth',
+  'profiles.weight': 'Weight (kg)',
+  'profiles.isPregnant': 'Pregnant',
+  'profiles.isBreastfeeding': 'Breastfeeding',
+  'profiles.allergiesLabel': 'Allergies (comma-separated)',
+  'profiles.allergiesPlaceholder': 'e.g. penicillin, ibuprofen',
+  'profiles.kidney': 'Kidney function',
+  'profiles.liver': 'Liver function',
+  'profiles.pregnant': 'pregnant',
+  'profiles.breastfeeding': 'breastfeeding',
+  'profiles.allergies': 'allergies: {list}',
+  'profiles.hint': '👤 Add a profile in Settings to see matching doses and allergy alerts.',
+  'profiles.none': 'No profile',
+  'profiles.usedFor': '👤 For: ',
+  'profiles.computedFor': '⚖️ For {name}: ',
+  'impairment.none': 'Normal',
+  'impairment.mild': 'Mild impairment',
+  'impairment.moderate': 'Moderate impairment',
+  'impairment.severe': 'Severe impairment',
+  'age.months': '{count} months',
+  'age.years': '{count} years',
+  'condition.pregnant': 'pregnancy',
+  'condition.breastfeeding': 'breastfeeding',
+  'condition.kidney': 'kidney impairment',
+  'condition.liver': 'liver impairment',
+  'dosing.allergy': '{name} is allergic to "{allergy}": this medicine contains {ingredients}. Do not use it.',
+  'dosing.contraindication': 'The contraindications mention {condition}, which matches {name}\'s profile.',
+  'dosing.warning': 'The warnings mention {condition}, which matches {name}\'s profile.',
+  'dosing.childLimit': 'Contraindicated for children under {age}; {name} is in this group.',
+  'dosing.ageGroup': 'The dosage for {name}\'s age group says not to use it or that it is contraindicated.',
+  'dosing.perDose': '{dose} per dose ({weight} kg × {rate})',
+  'dosing.perDay': '{dose}/day ({weight} kg × {rate}/day)',
+
+  // Medication reminders
+  'reminders.title': 'Medication reminders',
+  'reminders.permission': 'Allow notifications to get reminders on time.',
+  'reminders.exportAll': 'Export calendar (.ics)',
+  'reminders.export': 'Export .ics',
+  'reminders.fileName': 'reminders',
+  'reminders.create': 'Create reminder',
+  'reminders.edit': 'Edit reminder',
+  'reminders.save': 'Save reminder',
+  'reminders.saveFailed': 'Could not save the reminder: {message}',
+  'reminders.deleteConfirm': 'Delete reminder "{name}"?',
+  'reminders.empty': 'No reminders yet. After a scan, tap "Create a medication reminder".',
+  'reminders.name': 'Medicine',
+  'reminders.defaultName': 'Medicine',
+  'reminders.dose': 'Dose each time',
+  'reminders.dosePlaceholder': 'e.g. 1 tablet',
+  'reminders.timesPerDay': 'Times per day',
+  'reminders.times': '{count} times',
+  'reminders.time': 'Dose {n}',
+  'reminders.startDate': 'From',
+  'reminders.endDate': 'Until',
+  'reminders.adherence': 'Taken {taken}/{total}',
+  'reminders.missed': 'missed {count}',
+  'reminders.today': 'Today {time}',
+  'reminders.due': 'Time to take your medicine ({time})',
+  'reminders.daily': '{times} daily',
+  'dose.taken': 'Taken',
+  'dose.skipped': 'Skipped',
+
+  // Pill identification
+  'pills.title': 'Identify a pill',
+  'pills.note': 'Photograph a single loose pill on a plain background, both sides if it has an imprint. Matches come from the pill dataset imported on this device, not from the model.',
+  'pills.addPhoto': 'Take pill photo',
+  'pills.read': 'Read features',
+  'pills.reading': 'Reading the pill...',
+  'pills.readFailed': 'Could not read the pill: {message}',
+  'pills.readConfidence': 'Imprint read with {percent}% confidence. Check the fields before searching.',
+  'pills.removePhoto': 'Remove photo',
+  'pills.imprint': 'Imprint (sides separated by ;)',
+  'pills.shape': 'Shape',
+  'pills.colors': 'Colors',
+  'pills.score': 'Score line',
+  'pills.score.1': 'None',
+  'pills.score.2': 'Splits in 2',
+  'pills.score.3': 'Splits in 3',
+  'pills.score.4': 'Splits in 4',
+  'pills.unknown': 'Unknown',
+  'pills.search': 'Find pill',
+  'pills.needFeatures': 'Enter an imprint, a shape or a color first.',
+  'pills.noMatch': 'No pill in the dataset matches these features.',
+  'pills.confidence': '{percent}% match',
+  'pills.ndc': 'NDC {ndc}',
+  'pills.disclaimer': 'Candidates are ranked by how well the features agree. Confirm with a pharmacist before taking an unidentified pill.',
+  'pills.importData': 'Import pill dataset',
+  'pills.dataStatus': 'Pill dataset: {source} ({count} pills)',
+  'pills.dataMissing': 'No pill dataset yet. Import an NLM Pillbox CSV or RxImage JSON export.',
+  'pills.imported': 'Imported {count} pills.',
+  'pills.invalidFile': 'Invalid pill dataset: {message}',
+  'pill.shape.round': 'Round',
+  'pill.shape.oval': 'Oval',
+  'pill.shape.capsule': 'Capsule',
+  'pill.shape.triangle': 'Triangle',
+  'pill.shape.square': 'Square',
+  'pill.shape.rectangle': 'Rectangle',
+  'pill.shape.diamond': 'Diamond',
+  'pill.shape.pentagon': 'Pentagon',
+  'pill.shape.hexagon': 'Hexagon',
+  'pill.shape.octagon': 'Octagon',
+  'pill.shape.tear': 'Tear',
+  'pill.shape.semi-circle': 'Semi-circle',
+  'pill.shape.freeform': 'Freeform',
+  'pill.shape.bullet': 'Bullet',
+  'pill.shape.clover': 'Clover',
+  'pill.shape.double-circle': 'Double circle',
+  'pill.shape.gear': 'Gear',
+  'pill.shape.heart': 'Heart',
+  'pill.shape.kidney': 'Kidney',
+  'pill.shape.trapezoid': 'Trapezoid',
+  'pill.color.white': 'White',
+  'pill.color.yellow': 'Yellow',
+  'pill.color.orange': 'Orange',
+  'pill.color.red': 'Red',
+  'pill.color.pink': 'Pink',
+  'pill.color.purple': 'Purple',
+  'pill.color.blue': 'Blue',
+  'pill.color.green': 'Green',
+  'pill.color.turquoise': 'Turquoise',
+  'pill.color.brown': 'Brown',
+  'pill.color.black': 'Black',
+  'pill.color.gray': 'Gray',
+
+  // Prescription mode
+  'prescription.open': '📄 Scan a prescription',
+  'prescription.title': 'Scan a prescription',
+  'prescription.note': 'Photograph each page of the prescription straight and well lit, or choose images or a PDF. Each drug on it is looked up on its own and the whole prescription is checked for shared ingredients.',
+  'prescription.addPhoto': 'Photograph a page',
+  'prescription.upload': 'Choose images or a PDF',
+  'prescription.read': 'Read prescription',
+  'prescription.pageAlt': 'Page {n}',
+  'prescription.removePage': 'Remove page',
+  'prescription.tooManyPages': 'At most {max} pages can be read at once.',
+  'prescription.openingPdf': 'Opening the PDF...',
+  'prescription.fileFailed': 'Could not open the file: {message}',
+  'prescription.reading': 'Reading the prescription...',
+  'prescription.offline': 'Reading a prescription needs a network connection.',
+  'prescription.empty': 'No drugs could be read from the prescription',
+  'prescription.emptyHint': 'Photograph it again straight, well lit and in focus, one page per photo.',
+  'prescription.resultTitle': '📄 Prescription ({count} drugs)',
+  'prescription.readConfidence': 'Read with {percent}% confidence. Check each drug against the original prescription.',
+  'prescription.field.prescriber': 'Prescriber',
+  'prescription.field.facility': 'Clinic or hospital',
+  'prescription.field.patient': 'Patient',
+  'prescription.field.date': 'Date',
+  'prescription.field.diagnosis': 'Diagnosis',
+  'prescription.field.notes': 'Instructions',
+  'prescription.field.dose': 'Dose',
+  'prescription.field.frequency': 'How often',
+  'prescription.field.duration': 'Duration',
+  'prescription.field.quantity': 'Quantity',
+  'prescription.field.route': 'Route',
+  'prescription.looking': 'Looking up official sources...',
+  'prescription.found': 'Official source: {name}',
+  'prescription.notFound': 'This drug was not found in official sources.',
+  'prescription.details': 'Uses, dosage and warnings',
+  'prescription.checking': 'Checking the whole prescription...',
+  'prescription.regimenTitle': '⚖️ Whole prescription check:',
+  'prescription.regimenNone': '✓ No shared ingredients or interactions found between the {count} drugs on the prescription.',
+  'prescription.disclaimer': 'The drug list was read from the photo by AI and may be wrong. Always follow the original prescription and your doctor or pharmacist.',
+
+  // Export, share and backup
+  'export.print': '🖨️ Print / PDF',
+  'export.share': '📤 Share card',
+  'export.json': '⬇️ Export JSON',
+  'export.printHeader': 'Drug Scanner · Printed {date}',
+  'export.shareText': '{name} drug information from Drug Scanner',
+  'export.shareFailed': 'Could not share: {message}',
+  'card.disclaimer': 'For information only; not a substitute for advice from a doctor or pharmacist.',
+  'card.drawFailed': 'Could not draw the card',
+  'backup.title': 'Backup',
+  'backup.note': 'Export your scan history and medicine cabinet as a JSON file to move them to another device or give them to a caregiver. The file is not encrypted, even with a PIN set.',
+  'backup.export': 'Export data',
+  'backup.import': 'Import data',
+  'backup.exportFailed': 'Could not export the data: {message}',
+  'backup.imported': 'Imported {history} scans and {cabinet} cabinet medicines ({skipped} were already here).',
+  'backup.invalidFile': 'Invalid backup file: {message}',
+  'backup.notJson': 'Not a JSON file',
+  'backup.notExport': 'Not a Drug Scanner export',
+  'backup.noVersion': 'Missing export version',
+  'backup.newerVersion': 'Made by a newer version of the app (version {version})',
+
+  // Scan history
+  'history.title': 'Scan history',
+  'history.search': 'Search by drug name or ingredient',
+  'history.empty': 'No scans yet.',
+  'history.noMatch': 'No matching scans.',
+  'history.unrecognized': 'Not identified',
+  'history.rerun': 'Analyze again',
+  'history.deleteConfirm': 'Remove this scan from history?',
+
+  // Offline queue
+  'queue.title': 'Analysis queue',
+  'queue.note': 'Scans taken without a connection are analyzed automatically once you are back online.',
+  'queue.empty': 'No scans in the queue.',
+  'queue.saved': '📥 Saved to the queue',
+  'queue.savedWithSync': 'No network connection. The photos will be analyzed automatically when the connection returns, even if the app is closed.',
+  'queue.savedWithoutSync': 'No network connection. The photos will be analyzed automatically once you are online and open the app again.',
+  'queue.view': 'View queue',
+  'queue.deleteConfirm': 'Remove this scan from the queue?',
+  'queue.notification': 'Results are ready for {count} queued scan(s).',
+  'queue.status.pending': '⏳ Waiting for a connection',
+  'queue.status.failed': '⚠️ Could not be analyzed',
+  'queue.status.done': '✓ Result ready'
+};
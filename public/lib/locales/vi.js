@@ -0,0 +1,444 @@
+/*
+ * Vietnamese UI messages, the reference catalog: every other locale has
+ * the same keys (see lib/i18n.js for placeholders and **bold** runs).
+ */
+export const MESSAGES = {
+  // Common buttons
+  'common.close': 'Đóng',
+  'common.cancel': 'Hủy',
+  'common.delete': 'Xóa',
+  'common.edit': 'Sửa',
+  'common.view': 'Xem',
+  'common.retry': 'Thử lại',
+
+  // Header
+  'header.install': 'Cài đặt ứng dụng',
+  'header.queue': 'Hàng chờ',
+
+  // API key and settings
+  'key.title': 'Khóa API Gemini',
+  'key.intro': 'Để bảo mật, vui lòng nhập khóa API Gemini của bạn. Khóa chỉ được lưu trên thiết bị này. Nếu máy chủ đã cấu hình khóa, bước này là tùy chọn.',
+  'key.placeholder': 'Dán khóa API của bạn vào đây',
+  'key.save': 'Lưu Khóa',
+  'key.checking': 'Đang kiểm tra...',
+  'key.change': 'Đổi Khóa API',
+  'key.delete': 'Xóa Khóa API',
+  'key.own': 'Đã lưu khóa API (đang dùng khóa riêng của bạn).',
+  'key.server': 'Đang dùng khóa API của máy chủ. Bạn có thể nhập khóa riêng nếu muốn.',
+  'key.none': 'Chưa có khóa API.',
+  'key.endpoint': 'Đang dùng máy chủ mô hình {url}.',
+  'settings.title': 'Cài đặt',
+  'settings.language': 'Ngôn ngữ',
+  'model.title': 'Mô hình AI',
+  'model.note': 'Dùng khi phân tích ngay trên thiết bị này (khóa API riêng hoặc máy chủ tương thích OpenAI). Khi dùng khóa của máy chủ, máy chủ tự chọn mô hình.',
+  'model.provider': 'Nhà cung cấp',
+  'model.provider.gemini': 'Google Gemini',
+  'model.provider.openai': 'Máy chủ tương thích OpenAI',
+  'model.baseUrl': 'Địa chỉ máy chủ',
+  'model.endpointKey': 'Khóa API của máy chủ (nếu cần)',
+  'model.model': 'Mô hình',
+  'model.fallback': 'Mô hình dự phòng (khi mô hình chính lỗi)',
+  'model.temperature': 'Nhiệt độ (0–2, để trống để dùng mặc định)',
+  'model.save': 'Lưu cài đặt mô hình',
+  'model.saved': 'Đã lưu cài đặt mô hình.',
+  'model.saveFailed': 'Không lưu được cài đặt mô hình: {message}',
+  'security.title': 'Mã PIN',
+  'security.note': 'Mã PIN mã hóa khóa API, lịch sử, hồ sơ, tủ thuốc và lịch nhắc trên thiết bị này. Quên mã PIN thì chỉ có thể xóa các dữ liệu này.',
+  'security.on': 'Đã bật mã PIN: dữ liệu được mã hóa.',
+  'security.off': 'Chưa đặt mã PIN: dữ liệu chưa được mã hóa.',
+  'security.autoLock': 'Tự khóa khi không dùng sau',
+  'security.minutes': '{count} phút',
+  'security.set': 'Đặt mã PIN',
+  'security.change': 'Đổi mã PIN',
+  'security.remove': 'Tắt mã PIN',
+  'security.lockNow': 'Khóa ngay',
+  'pin.title.set': 'Đặt mã PIN',
+  'pin.title.change': 'Đổi mã PIN',
+  'pin.title.remove': 'Tắt mã PIN',
+  'pin.current': 'Mã PIN hiện tại',
+  'pin.new': 'Mã PIN mới (ít nhất 4 ký tự)',
+  'pin.confirm': 'Nhập lại mã PIN mới',
+  'pin.save': 'Xác nhận',
+  'pin.tooShort': 'Mã PIN cần ít nhất {min} ký tự.',
+  'pin.mismatch': 'Hai mã PIN không khớp.',
+  'pin.wrong': 'Mã PIN không đúng.',
+  'pin.working': 'Đang cập nhật mã hóa dữ liệu...',
+  'pin.failed': 'Không cập nhật được mã PIN: {message}',
+  'lock.title': 'Ứng dụng đã khóa',
+  'lock.intro': 'Nhập mã PIN để xem dữ liệu thuốc trên thiết bị này.',
+  'lock.pin': 'Mã PIN',
+  'lock.unlock': 'Mở khóa',
+  'lock.forgot': 'Quên mã PIN',
+  'lock.resetConfirm': 'Không thể khôi phục dữ liệu khi quên mã PIN. Xóa khóa API, lịch sử, hồ sơ, tủ thuốc, lịch nhắc và mã PIN trên thiết bị này?',
+  'update.available': 'Đã có phiên bản mới.',
+  'update.reload': 'Tải lại',
+
+  // Capture
+  'instructions.initial': 'Nhấn nút **SCAN** để bắt đầu.',
+  'instructions.start': 'Nhấn **SCAN** để chụp ảnh thuốc. Bạn có thể chụp 1–{max} ảnh: mặt trước, mặt sau, mã vạch, tờ hướng dẫn hoặc vỉ thuốc.',
+  'instructions.captured': 'Đã chụp **{count}/{max}** ảnh. Gắn nhãn, sắp xếp hoặc chụp thêm rồi nhấn **Phân tích**.',
+  'instructions.done': 'Đã hoàn thành.',
+  'scan.start': 'SCAN',
+  'scan.more': 'CHỤP THÊM ẢNH',
+  'scan.again': 'QUÉT THUỐC KHÁC',
+  'camera.pickFile': 'Chọn ảnh',
+  'camera.shutter': 'Chụp',
+  'camera.opening': 'Đang mở camera...',
+  'camera.capturing': '✓ Đang chụp...',
+  'camera.steady': '✓ Rõ nét, giữ yên máy',
+  'camera.hint.front': 'Đặt tên thuốc nằm gọn trong khung',
+  'camera.hint.back': 'Đặt mặt sau vào trong khung',
+  'camera.hint.barcode': 'Đặt mã vạch vào trong khung',
+  'camera.hint.leaflet': 'Đặt tờ hướng dẫn sử dụng vào trong khung',
+  'camera.hint.blister': 'Đặt vỉ thuốc vào trong khung',
+  'quality.blurry': 'ảnh bị mờ',
+  'quality.dark': 'ảnh quá tối',
+  'quality.bright': 'ảnh quá sáng',
+  'quality.glare': 'ảnh bị lóa sáng',
+  'quality.confirm': 'Ảnh có vẻ chưa đạt: {issues}. Kết quả nhận diện có thể không chính xác.\n\nVẫn dùng ảnh này?',
+  'review.role': 'Ảnh này là:',
+  'review.retake': 'Chụp lại',
+  'review.confirm': 'Tiếp tục',
+  'role.front': 'Mặt trước (tên thuốc)',
+  'role.back': 'Mặt sau',
+  'role.barcode': 'Mã vạch',
+  'role.leaflet': 'Tờ hướng dẫn sử dụng',
+  'role.blister': 'Vỉ thuốc',
+  'capture.imageAlt': 'Ảnh {n}',
+  'capture.roleLabel': 'Loại ảnh {n}',
+  'capture.moveUp': 'Đưa lên',
+  'capture.moveDown': 'Đưa xuống',
+  'capture.remove': 'Xóa ảnh',
+  'capture.reset': 'Bắt đầu lại',
+  'capture.resetConfirm': 'Xóa tất cả ảnh đã chụp và bắt đầu lại?',
+  'capture.analyze': 'Phân tích',
+  'loading.image': 'Đang xử lý ảnh...',
+  'loading.barcode': 'Đang đọc mã vạch...',
+  'loading.analyze': 'Đang phân tích dữ liệu...',
+
+  // Analysis errors
+  'error.title': '⚠️ Có lỗi xảy ra',
+  'error.image': 'Lỗi xử lý ảnh: {message}',
+  'error.noKey': 'Chưa cấu hình API Key. Vui lòng vào Cài đặt.',
+  'error.rateLimited': 'Bạn đã gửi quá nhiều yêu cầu. Vui lòng thử lại sau {seconds} giây.',
+  'error.tooLarge': 'Ảnh quá lớn để gửi lên máy chủ. Vui lòng chụp lại.',
+  'error.missingFields': 'Phản hồi của mô hình thiếu hoặc sai trường: {fields}',
+  'error.invalidReply': 'Phản hồi của mô hình không phải JSON hợp lệ',
+  'error.readImage': 'Không đọc được ảnh',
+  'error.server': 'Máy chủ không phân tích được ảnh ({reason}).',
+
+  // Text search
+  'search.placeholder': 'Hoặc nhập tên thuốc, NDC hoặc số đăng ký',
+  'search.label': 'Tìm thuốc theo tên',
+  'search.submit': 'Tìm',
+  'search.loading': 'Đang tìm...',
+  'search.notFound': 'Không tìm thấy thuốc "{query}"',
+  'search.notFoundHint': 'Hãy kiểm tra chính tả, hoặc thử tên hoạt chất hay số đăng ký (SĐK) in trên hộp.',
+  'search.failed': 'Tìm kiếm thất bại: {message}',
+  'search.offline': 'Cần có kết nối mạng để tìm kiếm. Bạn vẫn có thể quét hộp thuốc; ảnh sẽ được phân tích khi có mạng.',
+  'search.missingFields': 'ℹ️ Hồ sơ chính thức không có {fields}. Hãy xem tờ hướng dẫn sử dụng hoặc các nguồn bên dưới.',
+  'search.sources': 'Thông tin từ:',
+
+  // Result
+  'result.unrecognized': '⚠️ Không nhận diện được thuốc',
+  'result.unrecognizedHint': 'Hình ảnh có thể bị mờ hoặc không rõ tên thuốc.',
+  'result.activeIngredient': 'Hoạt chất',
+  'result.manufacturer': 'NSX',
+  'result.usage': 'Chỉ định',
+  'result.dosage': 'Liều dùng',
+  'result.contraindications': 'Chống chỉ định',
+  'result.warnings': '⚠️ Lưu ý quan trọng:',
+  'result.missingFields': '⚠️ AI không trả về đủ thông tin: {fields}. Hãy tra cứu thêm ở các nguồn bên dưới.',
+  'result.expired': '⛔ Hộp thuốc này đã hết hạn',
+  'result.expiringSoon': '⚠️ Hộp thuốc này sắp hết hạn',
+  'result.addToCabinet': '➕ Thêm vào tủ thuốc',
+  'result.addedToCabinet': '✓ Đã thêm vào tủ thuốc',
+  'result.cabinetSaveFailed': 'Không lưu được vào tủ thuốc: {message}',
+  'result.createReminder': '⏰ Tạo lịch nhắc uống thuốc',
+  'result.verifying': '🔍 Đang đối chiếu với dữ liệu chính thức...',
+  'field.details': 'Thông tin chi tiết',
+  'field.warnings': 'Lưu ý',
+  'field.searchFallback': 'Gợi ý tra cứu',
+  'fallback.title': '🔎 Tra cứu thêm tại:',
+  'fallback.defaultQuery': 'thuốc',
+
+  // Lot, expiry and barcode
+  'pack.title': '🏷️ Lô sản xuất & hạn dùng:',
+  'pack.lot': 'Số lô',
+  'pack.manufactureDate': 'Ngày SX',
+  'pack.expiryDate': 'Hạn dùng',
+  'pack.fromBarcode': 'mã vạch',
+  'pack.noExpiry': 'Không đọc được hạn dùng. Hãy kiểm tra trên bao bì trước khi dùng.',
+  'expiry.expired': 'Đã hết hạn',
+  'expiry.soon': 'Sắp hết hạn',
+  'expiry.ok': 'Còn hạn',
+  'expiry.expiredAgo': 'Hết hạn {days} ngày trước',
+  'expiry.today': 'Hết hạn hôm nay',
+  'expiry.daysLeft': 'Còn {days} ngày',
+  'barcode.title': '📦 Mã vạch ({format})',
+  'barcode.badCheckDigit': 'sai số kiểm tra',
+  'barcode.code': 'Mã',
+  'barcode.serial': 'Số serial',
+
+  // Official source verification
+  'verify.notFound': 'ℹ️ Không tìm thấy thuốc này trong openFDA hoặc danh mục thuốc đăng ký tại Việt Nam. Thông tin trên chỉ do AI cung cấp, vui lòng đối chiếu với tờ hướng dẫn sử dụng.',
+  'verify.unavailable': '⚠️ Không thể đối chiếu với dữ liệu chính thức lúc này.',
+  'verify.title': '🏛️ Đối chiếu {source}',
+  'verify.officialSource': 'nguồn chính thức',
+  'verify.mismatches': '⚠️ Có {count} trường không khớp giữa AI và {source}. Hãy kiểm tra lại với dược sĩ hoặc tờ hướng dẫn.',
+  'verify.match': '✓ Thông tin chính khớp với {source}.',
+  'verify.name': 'Tên',
+  'verify.route': 'Đường dùng',
+  'verify.dosageForm': 'Dạng bào chế',
+  'verify.registration': 'Số đăng ký',
+  'verify.sources': 'Nguồn:',
+  'verify.alternates': 'Kết quả khác ({count})',
+
+  // Medicine cabinet and interactions
+  'cabinet.title': 'Tủ thuốc',
+  'cabinet.empty': 'Tủ thuốc trống. Sau khi quét, nhấn "Thêm vào tủ thuốc" để lưu thuốc.',
+  'cabinet.unnamed': 'Không rõ tên',
+  'cabinet.expiry': 'HD: {date}',
+  'cabinet.lot': 'Lô {lot}',
+  'cabinet.flagged': 'Tủ thuốc: {count} thuốc hết hạn hoặc sắp hết hạn',
+  'cabinet.notification': 'Tủ thuốc có {count} thuốc đã hết hạn hoặc sắp hết hạn.',
+  'cabinet.updateData': 'Cập nhật dữ liệu tương tác',
+  'cabinet.importData': 'Nhập tệp dữ liệu',
+  'interactions.title': '💊 Tương tác với thuốc trong tủ:',
+  'interactions.none': '✓ Không phát hiện tương tác với {count} thuốc trong tủ thuốc.',
+  'interactions.duplicate': 'Thuốc này có cùng hoạt chất với một thuốc trong tủ. Dùng cả hai có thể gây quá liều.',
+  'interactions.duplicateInRegimen': 'Hai thuốc trong đơn có cùng hoạt chất. Hãy hỏi lại bác sĩ hoặc dược sĩ trước khi dùng cả hai.',
+  'interactions.invalidData': 'Dữ liệu tương tác không hợp lệ',
+  'interactions.dataStatus': 'Dữ liệu tương tác: phiên bản {version} ({count} quy tắc)',
+  'interactions.dataMissing': 'Chưa tải được dữ liệu tương tác.',
+  'interactions.updated': 'Đã cập nhật dữ liệu tương tác lên phiên bản {version}.',
+  'interactions.upToDate': 'Dữ liệu tương tác đã là mới nhất ({version}).',
+  'interactions.updateFailed': 'Không cập nhật được dữ liệu tương tác: {message}',
+  'interactions.imported': 'Đã nhập dữ liệu tương tác phiên bản {version}.',
+  'interactions.notNewer': 'Đang dùng phiên bản mới hơn hoặc bằng ({version}).',
+  'interactions.invalidFile': 'Tệp dữ liệu không hợp lệ: {message}',
+  'severity.contraindicated': 'Chống chỉ định phối hợp',
+  'severity.major': 'Nghiêm trọng',
+  'severity.duplicate': 'Trùng hoạt chất',
+  'severity.moderate': 'Trung bình',
+  'severity.minor': 'Nhẹ',
+
+  // Profiles and dosage advice
+  'profiles.title': 'Hồ sơ người dùng',
+  'profiles.note': 'Tuổi, cân nặng và dị ứng dùng để chọn liều phù hợp và cảnh báo. Chỉ lưu trên thiết bị này.',
+  'profiles.heading': 'Hồ sơ',
+  'profiles.add': 'Thêm hồ sơ',
+  'profiles.edit': 'Sửa hồ sơ',
+  'profiles.save': 'Lưu hồ sơ',
+  'profiles.saveFailed': 'Không lưu được hồ sơ: {message}',
+  'profiles.deleteConfirm': 'Xóa hồ sơ "{name}"?',
+  'profiles.empty': 'Chưa có hồ sơ nào.',
+  'profiles.unnamed': 'Không tên',
+  'profiles.name': 'Tên',
+  'profiles.namePlaceholder': 'Ví dụ: Bé An',
+  'profiles.birthDate': 'Ngày sinh',
+  'profiles.weight': 'Cân nặng (kg)',
+  'profiles.isPregnant': 'Đang mang thai',
+  'profiles.isBreastfeeding': 'Đang cho con bú',
+  'profiles.allergiesLabel': 'Dị ứng (cách nhau bằng dấu phẩy)',
+  'profiles.allergiesPlaceholder': 'Ví dụ: penicillin, ibuprofen',
+  'profiles.kidney': 'Chức năng thận',
+  'profiles.liver': 'Chức năng gan',
+  'profiles.pregnant': 'mang thai',
+  'profiles.breastfeeding': 'cho con bú',
+  'profiles.allergies': 'dị ứng: {list}',
+  'profiles.hint': '👤 Thêm hồ sơ trong Cài đặt để xem liều phù hợp và cảnh báo dị ứng.',
+  'profiles.none': 'Không chọn hồ sơ',
+  'profiles.usedFor': '👤 Dùng cho: ',
+  'profiles.computedFor': '⚖️ Với {name}: ',
+  'impairment.none': 'Bình thường',
+  'impairment.mild': 'Suy nhẹ',
+  'impairment.moderate': 'Suy vừa',
+  'impairment.severe': 'Suy nặng',
+  'age.months': '{count} tháng',
+  'age.years': '{count} tuổi',
+  'condition.pregnant': 'đang mang thai',
+  'condition.breastfeeding': 'đang cho con bú',
+  'condition.kidney': 'suy thận',
+  'condition.liver': 'suy gan',
+  'dosing.allergy': '{name} dị ứng với "{allergy}": thuốc có {ingredients}. Không dùng thuốc này.',
+  'dosing.contraindication': 'Chống chỉ định có nhắc đến {condition}, phù hợp với hồ sơ của {name}.',
+  'dosing.warning': 'Lưu ý có nhắc đến {condition}, phù hợp với hồ sơ của {name}.',
+  'dosing.childLimit': 'Chống chỉ định cho trẻ dưới {age}; {name} thuộc nhóm này.',
+  'dosing.ageGroup': 'Liều dùng cho nhóm tuổi của {name} ghi là không dùng hoặc chống chỉ định.',
+  'dosing.perDose': '{dose} mỗi lần ({weight} kg × {rate})',
+  'dosing.perDay': '{dose}/ngày ({weight} kg × {rate}/ngày)',
+
+  // Medication reminders
+  'reminders.title': 'Lịch nhắc uống thuốc',
+  'reminders.permission': 'Hãy cho phép thông báo để nhận nhắc nhở đúng giờ.',
+  'reminders.exportAll': 'Xuất lịch (.ics)',
+  'reminders.export': 'Xuất .ics',
+  'reminders.fileName': 'lich-nhac',
+  'reminders.create': 'Tạo lịch nhắc',
+  'reminders.edit': 'Sửa lịch nhắc',
+  'reminders.save': 'Lưu lịch nhắc',
+  'reminders.saveFailed': 'Không lưu được lịch nhắc: {message}',
+  'reminders.deleteConfirm': 'Xóa lịch nhắc "{name}"?',
+  'reminders.empty': 'Chưa có lịch nhắc nào. Sau khi quét, nhấn "Tạo lịch nhắc uống thuốc".',
+  'reminders.name': 'Tên thuốc',
+  'reminders.defaultName': 'Thuốc',
+  'reminders.dose': 'Liều mỗi lần',
+  'reminders.dosePlaceholder': 'Ví dụ: 1 viên',
+  'reminders.timesPerDay': 'Số lần mỗi ngày',
+  'reminders.times': '{count} lần',
+  'reminders.time': 'Lần {n}',
+  'reminders.startDate': 'Từ ngày',
+  'reminders.endDate': 'Đến ngày',
+  'reminders.adherence': 'Đã uống {taken}/{total}',
+  'reminders.missed': 'quên {count}',
+  'reminders.today': 'Hôm nay {time}',
+  'reminders.due': 'Đến giờ uống thuốc ({time})',
+  'reminders.daily': '{times} mỗi ngày',
+  'dose.taken': 'Đã uống',
+  'dose.skipped': 'Bỏ qua',
+
+  // Pill identification
+  'pills.title': 'Nhận dạng viên thuốc',
+  'pills.note': 'Chụp một viên thuốc rời trên nền trơn, cả hai mặt nếu có chữ khắc. Kết quả được tìm trong bộ dữ liệu viên thuốc đã nhập trên máy, không phải do mô hình đoán.',
+  'pills.addPhoto': 'Chụp ảnh viên thuốc',
+  'pills.read': 'Đọc đặc điểm',
+  'pills.reading': 'Đang đọc viên thuốc...',
+  'pills.readFailed': 'Không đọc được viên thuốc: {message}',
+  'pills.readConfidence': 'Đọc chữ khắc với độ tin cậy {percent}%. Hãy kiểm tra các trường trước khi tìm.',
+  'pills.removePhoto': 'Xóa ảnh',
+  'pills.imprint': 'Chữ khắc (các mặt cách nhau bằng ;)',
+  'pills.shape': 'Hình dạng',
+  'pills.colors': 'Màu sắc',
+  'pills.score': 'Vạch bẻ',
+  'pills.score.1': 'Không có',
+  'pills.score.2': 'Chia đôi',
+  'pills.score.3': 'Chia ba',
+  'pills.score.4': 'Chia tư',
+  'pills.unknown': 'Không rõ',
+  'pills.search': 'Tìm viên thuốc',
+  'pills.needFeatures': 'Hãy nhập chữ khắc, hình dạng hoặc màu sắc trước.',
+  'pills.noMatch': 'Không có viên thuốc nào trong bộ dữ liệu khớp với các đặc điểm này.',
+  'pills.confidence': 'Khớp {percent}%',
+  'pills.ndc': 'NDC {ndc}',
+  'pills.disclaimer': 'Các kết quả được xếp theo mức độ khớp đặc điểm. Hãy hỏi dược sĩ trước khi dùng một viên thuốc chưa rõ nguồn gốc.',
+  'pills.importData': 'Nhập dữ liệu viên thuốc',
+  'pills.dataStatus': 'Dữ liệu viên thuốc: {source} ({count} viên)',
+  'pills.dataMissing': 'Chưa có dữ liệu viên thuốc. Hãy nhập tệp CSV của NLM Pillbox hoặc JSON của RxImage.',
+  'pills.imported': 'Đã nhập {count} viên thuốc.',
+  'pills.invalidFile': 'Tệp dữ liệu viên thuốc không hợp lệ: {message}',
+  'pill.shape.round': 'Tròn',
+  'pill.shape.oval': 'Bầu dục',
+  'pill.shape.capsule': 'Hình nang',
+  'pill.shape.triangle': 'Tam giác',
+  'pill.shape.square': 'Vuông',
+  'pill.shape.rectangle': 'Chữ nhật',
+  'pill.shape.diamond': 'Hình thoi',
+  'pill.shape.pentagon': 'Ngũ giác',
+  'pill.shape.hexagon': 'Lục giác',
+  'pill.shape.octagon': 'Bát giác',
+  'pill.shape.tear': 'Giọt nước',
+  'pill.shape.semi-circle': 'Bán nguyệt',
+  'pill.shape.freeform': 'Tự do',
+  'pill.shape.bullet': 'Đầu đạn',
+  'pill.shape.clover': 'Cỏ ba lá',
+  'pill.shape.double-circle': 'Hai vòng tròn',
+  'pill.shape.gear': 'Bánh răng',
+  'pill.shape.heart': 'Trái tim',
+  'pill.shape.kidney': 'Hình thận',
+  'pill.shape.trapezoid': 'Hình thang',
+  'pill.color.white': 'Trắng',
+  'pill.color.yellow': 'Vàng',
+  'pill.color.orange': 'Cam',
+  'pill.color.red': 'Đỏ',
+  'pill.color.pink': 'Hồng',
+  'pill.color.purple': 'Tím',
+  'pill.color.blue': 'Xanh dương',
+  'pill.color.green': 'Xanh lá',
+  'pill.color.turquoise': 'Xanh ngọc',
+  'pill.color.brown': 'Nâu',
+  'pill.color.black': 'Đen',
+  'pill.color.gray': 'Xám',
+
+  // Prescription mode
+  'prescription.open': '📄 Quét đơn thuốc',
+  'prescription.title': 'Quét đơn thuốc',
+  'prescription.note': 'Chụp từng trang đơn thuốc cho thẳng và đủ sáng, hoặc chọn ảnh hay tệp PDF. Mỗi thuốc trong đơn được tra cứu riêng và cả đơn được kiểm tra trùng hoạt chất.',
+  'prescription.addPhoto': 'Chụp trang đơn',
+  'prescription.upload': 'Chọn ảnh hoặc PDF',
+  'prescription.read': 'Đọc đơn thuốc',
+  'prescription.pageAlt': 'Trang {n}',
+  'prescription.removePage': 'Xóa trang',
+  'prescription.tooManyPages': 'Chỉ đọc được tối đa {max} trang một lần.',
+  'prescription.openingPdf': 'Đang mở tệp PDF...',
+  'prescription.fileFailed': 'Không mở được tệp: {message}',
+  'prescription.reading': 'Đang đọc đơn thuốc...',
+  'prescription.offline': 'Cần có kết nối mạng để đọc đơn thuốc.',
+  'prescription.empty': 'Không đọc được thuốc nào trong đơn',
+  'prescription.emptyHint': 'Hãy chụp lại cho thẳng, đủ sáng và rõ chữ, mỗi ảnh một trang.',
+  'prescription.resultTitle': '📄 Đơn thuốc ({count} thuốc)',
+  'prescription.readConfidence': 'Đọc đơn với độ tin cậy {percent}%. Hãy đối chiếu từng thuốc với đơn gốc.',
+  'prescription.field.prescriber': 'Bác sĩ kê đơn',
+  'prescription.field.facility': 'Cơ sở khám chữa bệnh',
+  'prescription.field.patient': 'Bệnh nhân',
+  'prescription.field.date': 'Ngày kê đơn',
+  'prescription.field.diagnosis': 'Chẩn đoán',
+  'prescription.field.notes': 'Lời dặn',
+  'prescription.field.dose': 'Liều mỗi lần',
+  'prescription.field.frequency': 'Cách dùng',
+  'prescription.field.duration': 'Thời gian dùng',
+  'prescription.field.quantity': 'Số lượng',
+  'prescription.field.route': 'Đường dùng',
+  'prescription.looking': 'Đang tra cứu nguồn chính thức...',
+  'prescription.found': 'Nguồn chính thức: {name}',
+  'prescription.notFound': 'Không tìm thấy thuốc này trong nguồn chính thức.',
+  'prescription.details': 'Công dụng, liều dùng và cảnh báo',
+  'prescription.checking': 'Đang kiểm tra cả đơn...',
+  'prescription.regimenTitle': '⚖️ Kiểm tra cả đơn:',
+  'prescription.regimenNone': '✓ Không phát hiện trùng hoạt chất hay tương tác giữa {count} thuốc trong đơn.',
+  'prescription.disclaimer': 'Danh sách thuốc do AI đọc từ ảnh đơn và có thể sai. Luôn dùng thuốc theo đơn gốc và hướng dẫn của bác sĩ, dược sĩ.',
+
+  // Export, share and backup
+  'export.print': '🖨️ In / Lưu PDF',
+  'export.share': '📤 Chia sẻ ảnh',
+  'export.json': '⬇️ Xuất JSON',
+  'export.printHeader': 'Drug Scanner · In lúc {date}',
+  'export.shareText': 'Thông tin thuốc {name} từ Drug Scanner',
+  'export.shareFailed': 'Không chia sẻ được: {message}',
+  'card.disclaimer': 'Thông tin chỉ để tham khảo, không thay thế tư vấn của bác sĩ hoặc dược sĩ.',
+  'card.drawFailed': 'Không vẽ được thẻ',
+  'backup.title': 'Sao lưu dữ liệu',
+  'backup.note': 'Xuất lịch sử quét và tủ thuốc ra tệp JSON để chuyển sang thiết bị khác hoặc gửi cho người chăm sóc. Tệp không được mã hóa, kể cả khi đã đặt mã PIN.',
+  'backup.export': 'Xuất dữ liệu',
+  'backup.import': 'Nhập dữ liệu',
+  'backup.exportFailed': 'Không xuất được dữ liệu: {message}',
+  'backup.imported': 'Đã nhập {history} lượt quét và {cabinet} thuốc trong tủ ({skipped} mục đã có sẵn).',
+  'backup.invalidFile': 'Tệp sao lưu không hợp lệ: {message}',
+  'backup.notJson': 'Không phải tệp JSON',
+  'backup.notExport': 'Không phải tệp sao lưu của Drug Scanner',
+  'backup.noVersion': 'Tệp không ghi phiên bản',
+  'backup.newerVersion': 'Tệp được tạo bởi phiên bản mới hơn của ứng dụng (phiên bản {version})',
+
+  // Scan history
+  'history.title': 'Lịch sử quét',
+  'history.search': 'Tìm theo tên thuốc hoặc hoạt chất',
+  'history.empty': 'Chưa có lượt quét nào.',
+  'history.noMatch': 'Không tìm thấy lượt quét phù hợp.',
+  'history.unrecognized': 'Không nhận diện được',
+  'history.rerun': 'Phân tích lại',
+  'history.deleteConfirm': 'Xóa lượt quét này khỏi lịch sử?',
+
+  // Offline queue
+  'queue.title': 'Hàng chờ phân tích',
+  'queue.note': 'Các lượt quét khi không có mạng sẽ được phân tích tự động khi có kết nối.',
+  'queue.empty': 'Không có lượt quét nào trong hàng chờ.',
+  'queue.saved': '📥 Đã lưu vào hàng chờ',
+  'queue.savedWithSync': 'Không có kết nối mạng. Ảnh sẽ được phân tích tự động khi có mạng trở lại, kể cả khi ứng dụng đang đóng.',
+  'queue.savedWithoutSync': 'Không có kết nối mạng. Ảnh sẽ được phân tích tự động khi có mạng và bạn mở lại ứng dụng.',
+  'queue.view': 'Xem hàng chờ',
+  'queue.deleteConfirm': 'Xóa lượt quét này khỏi hàng chờ?',
+  'queue.notification': 'Đã có kết quả cho {count} lượt quét trong hàng chờ.',
+  'queue.status.pending': '⏳ Đang chờ kết nối',
+  'queue.status.failed': '⚠️ Không phân tích được',
+  'queue.status.done': '✓ Đã có kết quả'
+};
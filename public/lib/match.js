@@ -0,0 +1,79 @@
+/*
+ * Loose matching of drug identity fields (ingredients, dosage form, route)
+ * across sources that spell them differently: Vietnamese labels, the DAV
+ * registry, openFDA and RxNorm. Shared by the result view and the server
+ * lookup pipeline.
+ */
+
+// Common INN <-> USAN name pairs, so "Paracetamol" on a Vietnamese box
+// matches "ACETAMINOPHEN" in openFDA.
+export const INGREDIENT_ALIASES = {
+  paracetamol: 'acetaminophen',
+  salbutamol: 'albuterol',
+  adrenaline: 'epinephrine',
+  noradrenaline: 'norepinephrine',
+  glibenclamide: 'glyburide',
+  lignocaine: 'lidocaine',
+  frusemide: 'furosemide',
+  aciclovir: 'acyclovir',
+  amoxycillin: 'amoxicillin',
+  cefalexin: 'cephalexin',
+  ciclosporin: 'cyclosporine',
+  rifampicin: 'rifampin',
+  colecalciferol: 'cholecalciferol'
+};
+
+// Vietnamese dosage form phrases (as written in the DAV registry) mapped to
+// openFDA terms. Longer phrases first.
+const DOSAGE_FORM_ALIASES = [
+  [/vien nen bao phim/g, 'tablet film coated'],
+  [/vien nen sui|vien sui/g, 'tablet effervescent'],
+  [/vien nen/g, 'tablet'],
+  [/vien nang mem/g, 'capsule liquid filled'],
+  [/vien nang/g, 'capsule'],
+  [/dung dich tiem|thuoc tiem/g, 'injection'],
+  [/hon dich/g, 'suspension'],
+  [/dung dich/g, 'solution'],
+  [/siro/g, 'syrup'],
+  [/thuoc mo/g, 'ointment'],
+  [/\bkem\b/g, 'cream'],
+  [/thuoc bot|\bbot\b/g, 'powder'],
+  [/uong/g, 'oral'],
+  [/boi ngoai da|dung ngoai/g, 'topical']
+];
+
+// Lowercase and strip Vietnamese diacritics ("Đau đầu" -> "dau dau").
+export function foldDiacritics(text) {
+  return String(text ?? '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/đ/gi, 'd')
+    .toLowerCase();
+}
+
+// Lowercase, strip diacritics and punctuation, drop strengths and map aliases.
+export function normalizeTerms(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  let text = foldDiacritics(list
+    .map(v => (v && typeof v === 'object') ? v.name : v)
+    .filter(Boolean)
+    .join(' '))
+    .replace(/[^a-z0-9.,%]+/g, ' ')
+    .replace(/[0-9]+([.,][0-9]+)?\s*(mg|mcg|g|ml|iu|%)?/g, ' ')
+    .replace(/\s+/g, ' ');
+  for (const [pattern, term] of DOSAGE_FORM_ALIASES) text = text.replace(pattern, term);
+  return text
+    .split(/[^a-z]+/)
+    .filter(t => t.length > 2 && !['and', 'hydrochloride', 'hcl', 'sodium', 'with'].includes(t))
+    .map(t => INGREDIENT_ALIASES[t] || t);
+}
+
+// Two values agree when the terms of one are all contained in the other,
+// e.g. "TABLET" vs "TABLET, FILM COATED". Returns null when either side is empty.
+export function termsAgree(a, b) {
+  const ta = new Set(normalizeTerms(a));
+  const tb = new Set(normalizeTerms(b));
+  if (ta.size === 0 || tb.size === 0) return null;
+  const aInB = [...ta].every(t => tb.has(t));
+  const bInA = [...tb].every(t => ta.has(t));
+  return aInB || bInA;
+}
@@ -0,0 +1,59 @@
+/*
+ * Model provider for OpenAI-compatible chat completion endpoints (see
+ * lib/analysis.js): a self-hosted vision model behind llama.cpp, vLLM,
+ * Ollama or LM Studio, or a stub server in tests.
+ */
+import { RESULT_SCHEMA } from './schema.js';
+
+/**
+ * Endpoint URL as entered: trailing slashes and a pasted
+ * "/chat/completions" are dropped.
+ * @param {string} url e.g. "http://localhost:8080/v1"
+ */
+export function normalizeBaseUrl(url) {
+  return String(url || '').trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+}
+
+/**
+ * Images are sent as data URI `image_url` parts and the reply is requested
+ * as JSON following the request's schema (RESULT_SCHEMA unless given);
+ * servers that ignore `response_format` still get the schema through the
+ * prompt and the repair round.
+ *
+ * @param {{baseUrl: string, apiKey?: string, temperature?: number, fetch?: Function}} options
+ *   `fetch` replaces the network call, e.g. in tests
+ * @returns {{name: string, generate: Function}}
+ */
+export function createOpenAIProvider({ baseUrl, apiKey, temperature, fetch: fetchImpl = globalThis.fetch }) {
+  const url = `${normalizeBaseUrl(baseUrl)}/chat/completions`;
+  return {
+    name: 'openai',
+    async generate(model, { prompt, schema = RESULT_SCHEMA, images, repair }) {
+      const content = [
+        { type: 'text', text: prompt },
+        ...images.map(uri => ({ type: 'image_url', image_url: { url: uri } }))
+      ];
+      if (repair) content.push({ type: 'text', text: repair });
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+      const resp = await fetchImpl(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          temperature,
+          messages: [{ role: 'user', content }],
+          response_format: { type: 'json_schema', json_schema: { name: 'drug_analysis', schema } }
+        })
+      });
+      const json = await resp.json().catch(() => ({}));
+      if (!resp.ok) {
+        const reason = typeof json.error === 'string' ? json.error : (json.error && json.error.message) || resp.statusText;
+        throw new Error(`Endpoint replied ${resp.status}: ${reason}`);
+      }
+      const message = json.choices && json.choices[0] && json.choices[0].message;
+      return (message && message.content) || '';
+    }
+  };
+}
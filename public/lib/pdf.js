@@ -0,0 +1,61 @@
+/*
+ * PDF pages as images, for prescriptions uploaded as a PDF (lib/prescription.js).
+ * pdf.js comes from the import map and is only loaded when a PDF is picked;
+ * its worker must be the same version (keep both in sync with index.html).
+ */
+const WORKER_SRC = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build/pdf.worker.min.mjs';
+// Long side of a rendered page: small print stays readable for the model
+const PAGE_SIZE = 1400;
+
+let pdfjsPromise = null;
+
+async function getPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist').then(pdfjs => {
+      pdfjs.GlobalWorkerOptions.workerSrc = WORKER_SRC;
+      return pdfjs;
+    });
+    // Allow a retry if loading failed (e.g. offline)
+    pdfjsPromise.catch(() => { pdfjsPromise = null; });
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * @param {File} file
+ */
+export function isPdf(file) {
+  return file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '');
+}
+
+/**
+ * Render the first pages of a PDF as JPEG data URIs.
+ * @param {File} file
+ * @param {{maxPages?: number}} [options]
+ * @returns {Promise<string[]>}
+ */
+export async function pdfToImages(file, { maxPages = 6 } = {}) {
+  const pdfjs = await getPdfjs();
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+  try {
+    const images = [];
+    for (let n = 1; n <= Math.min(doc.numPages, maxPages); n++) {
+      const page = await doc.getPage(n);
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: PAGE_SIZE / Math.max(base.width, base.height) });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(viewport.width);
+      canvas.height = Math.round(viewport.height);
+      const context = canvas.getContext('2d');
+      // Transparent PDFs would otherwise turn black as JPEG
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport }).promise;
+      images.push(canvas.toDataURL('image/jpeg', 0.85));
+      page.cleanup();
+    }
+    return images;
+  } finally {
+    doc.destroy();
+  }
+}
@@ -0,0 +1,279 @@
+/*
+ * Loose pill identification: the features the model reads off a tablet or
+ * capsule photo (imprint, shape, colors, score) and a ranked search of a
+ * local imprint dataset imported from an NLM Pillbox or RxImage export.
+ *
+ * Pill record, as stored:
+ *   { name, strength, manufacturer, imprint, shape, colors, score, size, ndc, rxcui }
+ * `imprint` keeps the sides separated by ';' as in Pillbox ("M;367"),
+ * `score` is the number of pieces the score lines make (1 = unscored) and
+ * `size` is the longest dimension in mm (0 when unknown).
+ */
+import { ModelOutputError, extractJson, validate } from './schema.js';
+import { parseCsv } from './csv.js';
+import { idbGet, idbPut } from './db.js';
+
+// SPL shape and color vocabularies used by Pillbox, lowercased; labels are
+// catalog messages (pill.shape.<key>, pill.color.<key>)
+export const PILL_SHAPES = [
+  'round', 'oval', 'capsule', 'triangle', 'square', 'rectangle', 'diamond', 'pentagon', 'hexagon',
+  'octagon', 'tear', 'semi-circle', 'freeform', 'bullet', 'clover', 'double-circle', 'gear', 'heart',
+  'kidney', 'trapezoid'
+];
+export const PILL_COLORS = [
+  'white', 'yellow', 'orange', 'red', 'pink', 'purple', 'blue', 'green', 'turquoise', 'brown', 'black', 'gray'
+];
+export const PILL_FORMS = ['tablet', 'capsule'];
+
+const STRING = { type: 'string' };
+
+export const PILL_SCHEMA = {
+  type: 'object',
+  properties: {
+    form: STRING,
+    imprint: STRING,
+    shape: STRING,
+    colors: { type: 'array', items: { type: 'string' } },
+    score: { type: 'number' },
+    size: { type: 'number' },
+    confidence: { type: 'number' }
+  },
+  required: ['imprint', 'shape', 'colors', 'confidence']
+};
+
+const STORE_KEY = 'pillData';
+const SIMILAR_SHAPES = [['oval', 'capsule'], ['square', 'rectangle'], ['round', 'double-circle']];
+// How much each feature counts towards a candidate's confidence. A pill
+// without a readable imprint can reach 0.4 at most.
+const WEIGHTS = { imprint: 0.6, colors: 0.2, shape: 0.15, score: 0.05 };
+// Characters a photo of an engraving often confuses, compared as one
+const LOOSE_CHARS = { O: '0', I: '1', L: '1', S: '5', B: '8' };
+
+/**
+ * "PENTAGON (5 sided)" -> "pentagon"; unknown shapes become ''.
+ * @param {*} value
+ */
+export function normalizeShape(value) {
+  const shape = String(value || '').toLowerCase().replace(/\(.*?\)/g, '').trim().replace(/[\s_]+/g, '-');
+  return PILL_SHAPES.includes(shape) ? shape : '';
+}
+
+/**
+ * "WHITE;BLUE", "white, blue" or ['White'] -> ['white', 'blue'].
+ * @param {*} value
+ * @returns {string[]}
+ */
+export function normalizeColors(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[;,/]+/);
+  const colors = list
+    .map(color => String(color).trim().toLowerCase().replace(/^grey$/, 'gray'))
+    .filter(color => PILL_COLORS.includes(color));
+  return [...new Set(colors)];
+}
+
+function asNumber(value) {
+  const number = typeof value === 'string' ? parseFloat(value.replace(',', '.')) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Coerce the fields the model returned; absent fields stay absent so
+ * validation can report them.
+ * @param {any} value
+ * @returns {object}
+ */
+export function normalizePillFeatures(value) {
+  const input = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const out = {};
+  if (input.form !== undefined && input.form !== null) {
+    out.form = PILL_FORMS.includes(String(input.form).toLowerCase()) ? String(input.form).toLowerCase() : 'tablet';
+  }
+  if (input.imprint !== undefined && input.imprint !== null) {
+    out.imprint = String(Array.isArray(input.imprint) ? input.imprint.join(';') : input.imprint).trim();
+  }
+  if (input.shape !== undefined && input.shape !== null) out.shape = normalizeShape(input.shape);
+  if (input.colors !== undefined && input.colors !== null) out.colors = normalizeColors(input.colors);
+  const score = asNumber(input.score);
+  out.score = score >= 1 && score <= 4 ? Math.round(score) : 1;
+  const size = asNumber(input.size);
+  out.size = size > 0 ? size : 0;
+  let confidence = asNumber(input.confidence);
+  if (confidence !== undefined) {
+    // "95" means a percentage
+    if (confidence > 1) confidence /= 100;
+    out.confidence = Math.min(1, Math.max(0, confidence));
+  }
+  return out;
+}
+
+/**
+ * Parse and validate the model's reading of a pill photo.
+ * @param {string} text Raw reply text
+ * @returns {object} The features, with a `validation` report like
+ *   parseModelOutput()
+ * @throws {ModelOutputError}
+ */
+export function parsePillOutput(text) {
+  const features = normalizePillFeatures(extractJson(text));
+  const errors = validate(features, PILL_SCHEMA);
+  if (errors.length > 0) {
+    throw new ModelOutputError(
+      `The model reply has missing or invalid fields: ${errors.map(e => e.path).join(', ')}`,
+      { errors, text }
+    );
+  }
+  return { ...features, validation: { repaired: false, missing: [] } };
+}
+
+/**
+ * Upper-case alphanumeric runs of an imprint, one per side or word, with
+ * look-alike characters folded: "M 367" and "m;367" give ['M', '367'].
+ * @param {string} imprint
+ * @returns {string[]}
+ */
+export function imprintTokens(imprint) {
+  return String(imprint || '')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter(Boolean)
+    .map(token => token.replace(/[OILSB]/g, c => LOOSE_CHARS[c]));
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * How well two imprints agree, 0 to 1. Sides may be read in either order
+ * or run together ("M367" against "M;367").
+ * @param {string} read What the model read
+ * @param {string} listed The dataset's imprint
+ */
+export function imprintSimilarity(read, listed) {
+  const a = imprintTokens(read);
+  const b = imprintTokens(listed);
+  if (a.length === 0 || b.length === 0) return 0;
+  const bySide = a.reduce((sum, token) => sum + Math.max(...b.map(other => similarity(token, other))), 0)
+    / Math.max(a.length, b.length);
+  const joined = a.join('');
+  const whole = Math.max(similarity(joined, b.join('')), similarity(joined, [...b].reverse().join('')));
+  return Math.max(bySide, whole);
+}
+
+function colorSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const shared = a.filter(color => b.includes(color)).length;
+  return shared / new Set([...a, ...b]).size;
+}
+
+function shapeSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return SIMILAR_SHAPES.some(pair => pair.includes(a) && pair.includes(b)) ? 0.5 : 0;
+}
+
+/**
+ * Score one dataset pill against the features read from the photo.
+ * @param {{imprint?: string, shape?: string, colors?: string[], score?: number}} features
+ * @param {object} pill
+ * @returns {number} 0 to 1
+ */
+export function matchPill(features, pill) {
+  return WEIGHTS.imprint * imprintSimilarity(features.imprint, pill.imprint)
+    + WEIGHTS.colors * colorSimilarity(features.colors || [], pill.colors || [])
+    + WEIGHTS.shape * shapeSimilarity(features.shape, pill.shape)
+    + WEIGHTS.score * ((features.score || 1) === (pill.score || 1) ? 1 : 0);
+}
+
+/**
+ * Best matching pills, most likely first.
+ * @param {object} features From parsePillOutput() or entered by hand
+ * @param {object[]} pills Dataset records
+ * @param {{limit?: number, minConfidence?: number}} [options]
+ * @returns {Array<{pill: object, confidence: number}>}
+ */
+export function searchPills(features, pills, { limit = 10, minConfidence = 0.3 } = {}) {
+  return pills
+    .map(pill => ({ pill, confidence: matchPill(features, pill) }))
+    .filter(candidate => candidate.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
+
+// A Pillbox CSV row, an RxImage record or our own export
+function pillFromRow(row) {
+  if (!row || typeof row !== 'object') return null;
+  const pick = (...names) => {
+    const name = names.find(key => row[key] !== undefined && row[key] !== null && String(row[key]).trim() !== '');
+    return name === undefined ? '' : row[name];
+  };
+  const pill = {
+    name: String(pick('name', 'medicine_name', 'rxstring', 'title')).trim(),
+    strength: String(pick('strength', 'spl_strength')).trim(),
+    manufacturer: String(pick('manufacturer', 'author', 'labeler')).trim(),
+    imprint: String(pick('imprint', 'splimprint')).trim(),
+    shape: normalizeShape(pick('shape', 'splshape_text')),
+    colors: normalizeColors(pick('colors', 'color', 'splcolor_text')),
+    score: Math.round(asNumber(pick('score', 'splscore')) || 1),
+    size: asNumber(pick('size', 'splsize')) || 0,
+    ndc: String(pick('ndc', 'product_code', 'ndc9', 'ndc11')).trim(),
+    rxcui: String(pick('rxcui')).trim()
+  };
+  // Nothing to match a photo against
+  if (!pill.name || (!pill.imprint && !pill.shape && pill.colors.length === 0)) return null;
+  return pill;
+}
+
+/**
+ * Read a dataset file: a Pillbox CSV export, RxImage JSON (`nlmRxImages`)
+ * or a JSON array of pill records.
+ * @param {string} text File contents
+ * @returns {object[]} Pill records; rows without a name or any feature are
+ *   dropped
+ */
+export function parsePillDataset(text) {
+  const src = String(text || '').replace(/^﻿/, '').trimStart();
+  let rows;
+  if (src.startsWith('{') || src.startsWith('[')) {
+    const json = JSON.parse(src);
+    rows = Array.isArray(json) ? json : json.pills || json.nlmRxImages || [];
+  } else {
+    rows = parseCsv(src);
+  }
+  return rows.map(pillFromRow).filter(Boolean);
+}
+
+/**
+ * The imported dataset, or null before the first import.
+ * @returns {Promise<{source: string, importedAt: number, pills: object[]} | null>}
+ */
+export function loadPillData() {
+  return idbGet('settings', STORE_KEY).catch(() => null);
+}
+
+/**
+ * Replace the stored dataset with an imported file.
+ * @param {string} text File contents
+ * @param {string} source File name, shown with the dataset
+ * @throws {Error} when the file holds no usable pill records
+ */
+export async function importPillData(text, source) {
+  const pills = parsePillDataset(text);
+  if (pills.length === 0) throw new Error('No pill records with an imprint, shape or color');
+  const data = { source, importedAt: Date.now(), pills };
+  await idbPut('settings', data, STORE_KEY);
+  return data;
+}
@@ -0,0 +1,134 @@
+/*
+ * Prescription (đơn thuốc) mode: the model reads a photographed or PDF
+ * prescription into one entry per line item, which the result view then
+ * looks up one by one (/api/identify) and checks as a whole regimen
+ * (lib/interactions.js checkRegimen()).
+ *
+ *   { prescriber, facility, patient, date, diagnosis, notes,
+ *     items: [{ name, generic_name, strength, dose, frequency, times_per_day,
+ *               duration, days, quantity, route, notes }],
+ *     confidence }
+ *
+ * Text fields are kept as written; `times_per_day` and `days` are the
+ * model's reading of frequency and duration as numbers (0 when unclear).
+ */
+import { ModelOutputError, extractJson, validate } from './schema.js';
+
+const STRING = { type: 'string' };
+
+export const PRESCRIPTION_ITEM_FIELDS = ['strength', 'dose', 'frequency', 'duration', 'quantity', 'route', 'notes'];
+
+export const PRESCRIPTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    prescriber: STRING,
+    facility: STRING,
+    patient: STRING,
+    date: STRING,
+    diagnosis: STRING,
+    notes: STRING,
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: STRING,
+          generic_name: STRING,
+          strength: STRING,
+          dose: STRING,
+          frequency: STRING,
+          times_per_day: { type: 'number' },
+          duration: STRING,
+          days: { type: 'number' },
+          quantity: STRING,
+          route: STRING,
+          notes: STRING
+        },
+        required: ['name']
+      }
+    },
+    confidence: { type: 'number' }
+  },
+  required: ['items', 'confidence']
+};
+
+function asText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(asText).filter(Boolean).join('; ');
+  if (typeof value === 'object') return '';
+  return String(value).trim();
+}
+
+function asCount(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) && number > 0 ? Math.round(number) : 0;
+}
+
+function normalizeItem(value) {
+  const input = value && typeof value === 'object' ? value : { name: value };
+  const item = {
+    name: asText(input.name),
+    generic_name: asText(input.generic_name),
+    times_per_day: asCount(input.times_per_day),
+    days: asCount(input.days)
+  };
+  for (const field of PRESCRIPTION_ITEM_FIELDS) item[field] = asText(input[field]);
+  return item;
+}
+
+/**
+ * Coerce the model's reply: text fields become strings and line items
+ * without a drug name are dropped. Absent `items` and `confidence` stay
+ * absent so validation can report them.
+ * @param {any} value
+ * @returns {object}
+ */
+export function normalizePrescription(value) {
+  const input = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const out = {};
+  for (const field of ['prescriber', 'facility', 'patient', 'date', 'diagnosis', 'notes']) out[field] = asText(input[field]);
+  if (Array.isArray(input.items)) out.items = input.items.map(normalizeItem).filter(item => item.name);
+  if (input.confidence !== undefined && input.confidence !== null) {
+    let confidence = Number(input.confidence);
+    if (confidence > 1) confidence /= 100;
+    out.confidence = Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : confidence;
+  }
+  return out;
+}
+
+/**
+ * Parse and validate the model's reading of a prescription.
+ * @param {string} text Raw reply text
+ * @returns {object} The prescription, with a `validation` report like
+ *   parseModelOutput()
+ * @throws {ModelOutputError}
+ */
+export function parsePrescriptionOutput(text) {
+  const prescription = normalizePrescription(extractJson(text));
+  const errors = validate(prescription, PRESCRIPTION_SCHEMA);
+  if (errors.length > 0) {
+    throw new ModelOutputError(
+      `The model reply has missing or invalid fields: ${errors.map(e => e.path).join(', ')}`,
+      { errors, text }
+    );
+  }
+  return { ...prescription, validation: { repaired: false, missing: [] } };
+}
+
+/**
+ * The /api/identify request for one line item. A prescription names either
+ * a brand or the ingredient, so the name is offered as the brand and the
+ * model's generic name (if any) as the ingredient.
+ * @param {object} item
+ * @returns {{identity: object, barcode: string}}
+ */
+export function identifyRequestForItem(item) {
+  return {
+    identity: {
+      brand_name: item.name,
+      generic_name: item.generic_name || undefined,
+      route: item.route || undefined
+    },
+    barcode: ''
+  };
+}
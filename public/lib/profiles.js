@@ -0,0 +1,104 @@
+/*
+ * User and family profiles ("hồ sơ"): who is going to take the medicine.
+ * Stored on this device only and never sent to the model or the server.
+ *
+ * Profile: { id, name, birthDate ('YYYY-MM-DD'), weightKg, pregnant,
+ *            breastfeeding, allergies: string[], kidney, liver }
+ * kidney/liver: one of IMPAIRMENT_LEVELS
+ */
+import { idbGet, idbGetAll, idbPut, idbDelete } from './db.js';
+import { t, getLocale } from './i18n.js';
+
+const ACTIVE_KEY = 'activeProfileId';
+
+// Labels are catalog messages (impairment.<level>)
+export const IMPAIRMENT_LEVELS = ['none', 'mild', 'moderate', 'severe'];
+
+/**
+ * Clean up form input into a stored profile.
+ * @param {object} input
+ * @returns {object}
+ */
+export function normalizeProfile(input) {
+  const weight = Number(String(input.weightKg ?? '').replace(',', '.'));
+  const allergies = Array.isArray(input.allergies)
+    ? input.allergies
+    : String(input.allergies || '').split(/[,;\n]/);
+  const level = value => (IMPAIRMENT_LEVELS.includes(value) ? value : 'none');
+
+  const profile = {
+    name: String(input.name || '').trim() || t('profiles.unnamed'),
+    birthDate: /^\d{4}-\d{2}-\d{2}$/.test(input.birthDate || '') ? input.birthDate : '',
+    weightKg: Number.isFinite(weight) && weight > 0 ? weight : null,
+    pregnant: Boolean(input.pregnant),
+    breastfeeding: Boolean(input.breastfeeding),
+    allergies: allergies.map(a => String(a).trim()).filter(Boolean),
+    kidney: level(input.kidney),
+    liver: level(input.liver)
+  };
+  if (input.id !== undefined && input.id !== null && input.id !== '') profile.id = Number(input.id);
+  return profile;
+}
+
+/**
+ * Whole months between the birth date and `now`, or null without a birth date.
+ * @param {{birthDate?: string}} profile
+ * @param {Date} [now]
+ * @returns {number|null}
+ */
+export function ageInMonths(profile, now = new Date()) {
+  if (!profile || !profile.birthDate) return null;
+  const [y, m, d] = profile.birthDate.split('-').map(Number);
+  let months = (now.getFullYear() - y) * 12 + (now.getMonth() + 1 - m);
+  if (now.getDate() < d) months--;
+  return months >= 0 ? months : null;
+}
+
+/**
+ * "3 tuổi", "8 tháng" (in the UI language); empty without a birth date.
+ * @param {object} profile
+ * @param {Date} [now]
+ */
+export function describeAge(profile, now = new Date()) {
+  const months = ageInMonths(profile, now);
+  if (months === null) return '';
+  return months < 24 ? t('age.months', { count: months }) : t('age.years', { count: Math.floor(months / 12) });
+}
+
+export async function listProfiles() {
+  const profiles = await idbGetAll('profiles');
+  return profiles.sort((a, b) => a.name.localeCompare(b.name, getLocale()));
+}
+
+export function getProfile(id) {
+  return idbGet('profiles', id);
+}
+
+// Resolves to the profile id
+export function saveProfile(profile) {
+  return idbPut('profiles', normalizeProfile(profile));
+}
+
+export async function removeProfile(id) {
+  await idbDelete('profiles', id);
+  if (await getActiveProfileId() === id) await setActiveProfileId(null);
+}
+
+export async function getActiveProfileId() {
+  return (await idbGet('settings', ACTIVE_KEY)) ?? null;
+}
+
+// `null` clears the selection
+export function setActiveProfileId(id) {
+  return idbPut('settings', id, ACTIVE_KEY);
+}
+
+/**
+ * The selected profile, if it still exists.
+ * @returns {Promise<object|null>}
+ */
+export async function getActiveProfile() {
+  const id = await getActiveProfileId();
+  if (id === null) return null;
+  return (await getProfile(id)) || null;
+}
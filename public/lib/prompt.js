@@ -0,0 +1,529 @@
+/*
+ * The drug analysis prompt, shared by the browser (bring-your-own-key) and
+ * the server proxy (api/analyze.js) so both ask the model the same thing.
+ * There is one template per UI language so the model answers in it. Pill
+ * identification (lib/pills.js) has its own prompt for a loose tablet photo
+ * and prescription mode (lib/prescription.js) one for a prescription.
+ */
+import { PILL_COLORS, PILL_SHAPES } from './pills.js';
+
+export const DEFAULT_MODEL = 'gemini-3-flash-preview';
+
+export const MAX_IMAGES = 6;
+
+// What each captured image shows. The keys travel with the images (session,
+// history, /api/analyze); the prompt names them in its own language and the
+// UI from the catalogs (role.<key>).
+export const IMAGE_ROLES = ['front', 'back', 'barcode', 'leaflet', 'blister'];
+
+// Languages the model can be asked to answer in (keys of PROMPT_TEMPLATES)
+export const PROMPT_LOCALES = ['vi', 'en'];
+export const DEFAULT_PROMPT_LOCALE = 'vi';
+
+const IMAGE_ROLES_VI = {
+  front: 'Mặt trước (tên thuốc)',
+  back: 'Mặt sau',
+  barcode: 'Mã vạch',
+  leaflet: 'Tờ hướng dẫn sử dụng',
+  blister: 'Vỉ thuốc'
+};
+
+const IMAGE_ROLES_EN = {
+  front: 'Front (drug name)',
+  back: 'Back',
+  barcode: 'Barcode',
+  leaflet: 'Package leaflet',
+  blister: 'Blister pack'
+};
+
+// Descriptions of the reply fields for structured output, per task, keyed by
+// path ("identity.name"; array items add "[]")
+const FIELDS_VI = {
+  drug: {
+    'identity.name': 'Tên thuốc',
+    'identity.active_ingredient': 'Hoạt chất chính',
+    'identity.manufacturer': 'Nhà sản xuất',
+    'identity.brand_name': 'Tên thương mại',
+    'identity.generic_name': 'Tên hoạt chất tiếng Anh (USAN/INN)',
+    'identity.dosage_form': 'Dạng bào chế theo openFDA',
+    'identity.route': 'Đường dùng theo openFDA',
+    'identity.ndc': 'Mã NDC',
+    'identity.registration_number': 'Số đăng ký',
+    'identity.barcode': 'Dãy số mã vạch',
+    'identity.confidence': 'Độ tin cậy từ 0 đến 1',
+    'details.usage': 'Chỉ định',
+    'details.dosage': 'Liều dùng theo nhóm tuổi',
+    'details.contraindications': 'Chống chỉ định',
+    'details.side_effects': 'Tác dụng phụ',
+    'packaging.lot': 'Số lô sản xuất',
+    'packaging.manufacture_date': 'Ngày sản xuất, giữ nguyên như in',
+    'packaging.expiry_date': 'Hạn dùng, giữ nguyên như in',
+    'search_fallback.query': 'Tên thuốc để tìm kiếm'
+  },
+  pill: {
+    form: 'tablet hoặc capsule',
+    imprint: 'Chữ khắc, các mặt cách nhau bằng ;',
+    shape: 'Hình dạng theo PILL_SHAPES',
+    colors: 'Màu theo PILL_COLORS',
+    score: 'Số phần do vạch bẻ chia ra',
+    size: 'Kích thước dài nhất (mm)',
+    confidence: 'Độ tin cậy khi đọc chữ khắc, từ 0 đến 1'
+  },
+  prescription: {
+    prescriber: 'Bác sĩ kê đơn',
+    facility: 'Cơ sở khám chữa bệnh',
+    patient: 'Tên bệnh nhân',
+    date: 'Ngày kê đơn',
+    diagnosis: 'Chẩn đoán',
+    notes: 'Lời dặn chung',
+    'items[].name': 'Tên thuốc như ghi trong đơn',
+    'items[].generic_name': 'Hoạt chất tiếng Anh (USAN/INN)',
+    'items[].strength': 'Hàm lượng',
+    'items[].dose': 'Liều mỗi lần',
+    'items[].frequency': 'Số lần dùng',
+    'items[].times_per_day': 'Số lần mỗi ngày',
+    'items[].duration': 'Thời gian dùng',
+    'items[].days': 'Số ngày dùng',
+    'items[].quantity': 'Số lượng',
+    'items[].route': 'Đường dùng theo openFDA',
+    'items[].notes': 'Ghi chú cho thuốc này',
+    confidence: 'Độ tin cậy từ 0 đến 1'
+  }
+};
+
+const FIELDS_EN = {
+  drug: {
+    'identity.name': 'Drug name',
+    'identity.active_ingredient': 'Main active ingredient',
+    'identity.manufacturer': 'Manufacturer',
+    'identity.brand_name': 'Brand name',
+    'identity.generic_name': 'Active ingredient name in English (USAN/INN)',
+    'identity.dosage_form': 'Dosage form per openFDA',
+    'identity.route': 'Route per openFDA',
+    'identity.ndc': 'NDC code',
+    'identity.registration_number': 'Registration number',
+    'identity.barcode': 'Barcode digits',
+    'identity.confidence': 'Confidence from 0 to 1',
+    'details.usage': 'Indications',
+    'details.dosage': 'Dosage by age group',
+    'details.contraindications': 'Contraindications',
+    'details.side_effects': 'Side effects',
+    'packaging.lot': 'Lot number',
+    'packaging.manufacture_date': 'Manufacturing date, exactly as printed',
+    'packaging.expiry_date': 'Expiry date, exactly as printed',
+    'search_fallback.query': 'Drug name to search for'
+  },
+  pill: {
+    form: 'tablet or capsule',
+    imprint: 'Imprint, sides separated by ;',
+    shape: 'Shape from PILL_SHAPES',
+    colors: 'Colors from PILL_COLORS',
+    score: 'Number of pieces the score lines make',
+    size: 'Longest dimension (mm)',
+    confidence: 'Confidence in the imprint reading, from 0 to 1'
+  },
+  prescription: {
+    prescriber: 'Prescribing doctor',
+    facility: 'Clinic or hospital',
+    patient: 'Patient name',
+    date: 'Prescription date',
+    diagnosis: 'Diagnosis',
+    notes: 'General instructions',
+    'items[].name': 'Drug name as written',
+    'items[].generic_name': 'Active ingredient in English (USAN/INN)',
+    'items[].strength': 'Strength',
+    'items[].dose': 'Dose each time',
+    'items[].frequency': 'How often',
+    'items[].times_per_day': 'Times per day',
+    'items[].duration': 'How long',
+    'items[].days': 'Number of days',
+    'items[].quantity': 'Quantity',
+    'items[].route': 'Route per openFDA',
+    'items[].notes': 'Notes for this drug',
+    confidence: 'Confidence from 0 to 1'
+  }
+};
+
+// Trusted Search Sites
+export const TRUSTED_SITES = [
+  'nhathuoclongchau.com.vn',
+  'vinmec.com',
+  'pharmacity.vn',
+  'tamanhhospital.vn',
+  'nhathuocankhang.com',
+  'upharma.vn'
+];
+
+/**
+ * @param {{barcode?: string, roles?: string[], locale?: string}} [options]
+ *   `barcode` is the value decoded on-device; `roles` are IMAGE_ROLES keys in
+ *   image order; `locale` is one of PROMPT_LOCALES (default Vietnamese)
+ * @returns {string}
+ */
+export function buildPrompt({ barcode, roles, locale = DEFAULT_PROMPT_LOCALE } = {}) {
+  const template = PROMPT_TEMPLATES[locale] || PROMPT_TEMPLATES[DEFAULT_PROMPT_LOCALE];
+  return template.prompt({ barcode, roles });
+}
+
+/**
+ * A reply schema with the field descriptions in the prompt's language, for
+ * structured output. The schemas themselves only define the structure.
+ * @param {object} schema
+ * @param {{task?: string, locale?: string}} [options] `task` picks the
+ *   descriptions (default 'drug', the RESULT_SCHEMA reply)
+ * @returns {object}
+ */
+export function describeSchema(schema, { task = 'drug', locale = DEFAULT_PROMPT_LOCALE } = {}) {
+  const template = PROMPT_TEMPLATES[locale] || PROMPT_TEMPLATES[DEFAULT_PROMPT_LOCALE];
+  return withDescriptions(schema, template.fields[task] || {}, '');
+}
+
+function withDescriptions(schema, descriptions, path) {
+  const out = { ...schema };
+  if (descriptions[path]) out.description = descriptions[path];
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties)
+      .map(([key, field]) => [key, withDescriptions(field, descriptions, path ? `${path}.${key}` : key)]));
+  }
+  if (schema.items) out.items = withDescriptions(schema.items, descriptions, `${path}[]`);
+  return out;
+}
+
+function vietnamesePrompt({ barcode, roles }) {
+  return `
+  Bạn là dược sĩ AI chuyên nghiệp. Hãy phân tích hình ảnh thuốc và cung cấp thông tin chi tiết.
+  ${roles && roles.length > 0 ? describeImageRolesVi(roles) : ''}
+
+  Yêu cầu trả về JSON thuần túy (không có markdown code block) với cấu trúc sau:
+  {
+    "identity": {
+      "name": "Tên thuốc",
+      "active_ingredient": "Hoạt chất chính",
+      "manufacturer": "Nhà sản xuất",
+      "brand_name": "Tên thương mại (giữ nguyên như in trên hộp)",
+      "generic_name": "Tên hoạt chất bằng tiếng Anh theo USAN/INN, ví dụ: acetaminophen",
+      "dosage_form": "Dạng bào chế bằng tiếng Anh theo openFDA, ví dụ: TABLET, CAPSULE, SYRUP",
+      "route": "Đường dùng bằng tiếng Anh theo openFDA, ví dụ: ORAL, TOPICAL",
+      "ndc": "Mã NDC nếu in trên bao bì, nếu không có để chuỗi rỗng",
+      "registration_number": "Số đăng ký (SĐK) in trên hộp, ví dụ VD-12345-19, nếu không có để chuỗi rỗng",
+      "barcode": "Dãy số dưới mã vạch nếu đọc được, nếu không có để chuỗi rỗng",
+      "confidence": 0.95
+    },
+    "details": {
+      "usage": "Chỉ định (Công dụng)",
+      "dosage": [
+        "Sơ sinh: ...",
+        "Trẻ em 1-5 tuổi: ...",
+        "Người lớn: ..."
+      ],
+      "contraindications": "Chống chỉ định (quan trọng)",
+      "side_effects": "Tác dụng phụ thường gặp"
+    },
+    "packaging": {
+      "lot": "Số lô (Số lô SX, Lot, Batch) in trên hộp hoặc vỉ, nếu không có để chuỗi rỗng",
+      "manufacture_date": "Ngày sản xuất (NSX, MFG) giữ nguyên như in, nếu không có để chuỗi rỗng",
+      "expiry_date": "Hạn dùng (HD, HSD, EXP) giữ nguyên như in, nếu không có để chuỗi rỗng"
+    },
+    "warnings": ["Lưu ý quan trọng 1", "Lưu ý quan trọng 2"],
+    "search_fallback": {
+        "query": "Tên thuốc chính xác để tìm kiếm",
+        "suggested_links": [
+            {"title": "Long Châu", "url": "link tìm kiếm tại nhathuoclongchau.com.vn"},
+            {"title": "Vinmec", "url": "link tìm kiếm tại vinmec.com"},
+            {"title": "Pharmacity", "url": "link tìm kiếm tại pharmacity.vn"}
+        ]
+    }
+  }
+
+  LƯU Ý QUAN TRỌNG VỀ LIỀU DÙNG:
+  - Bắt buộc phân chia liều dùng theo từng nhóm tuổi/đối tượng cụ thể.
+  - Sắp xếp thứ tự từ nhỏ đến lớn: Sơ sinh -> Trẻ em (chia theo mốc tuổi) -> Người lớn -> Người già/Suy gan thận (nếu có).
+  - Nếu thuốc không dùng cho đối tượng nào (ví dụ trẻ em), hãy ghi rõ "Chống chỉ định".
+
+  Số lô, ngày sản xuất và hạn dùng thường in ở mặt sau, cạnh hộp hoặc trên vỉ. Chép đúng ký tự đã in, không tự đổi định dạng ngày và không suy đoán nếu không đọc rõ.
+
+  Nếu không nhận diện được rõ ràng, hãy để confidence thấp và cung cấp "search_fallback" mạnh mẽ để người dùng tự tra cứu trên các trang uy tín sau: ${TRUSTED_SITES.join(', ')}.
+  ${barcode ? `Mã vạch đã được giải mã trên thiết bị: ${barcode}. Hãy dùng giá trị này cho trường "barcode".` : ''}
+  `;
+}
+
+// e.g. "Ảnh 1: Mặt trước (tên thuốc)", so the model knows where to look for what
+function describeImageRolesVi(roles) {
+  const lines = roles.map((role, i) => `  - Ảnh ${i + 1}: ${IMAGE_ROLES_VI[role] || 'Không rõ'}`);
+  return `Các ảnh được gửi theo thứ tự sau:
+${lines.join('\n')}
+  Ưu tiên đọc tên thuốc ở mặt trước, liều dùng và chống chỉ định ở tờ hướng dẫn sử dụng (nếu có), số lô và hạn dùng ở vỉ thuốc hoặc mặt sau.`;
+}
+
+function englishPrompt({ barcode, roles }) {
+  return `
+  You are a professional AI pharmacist. Analyze the images of this medicine and provide detailed information.
+  Write every descriptive field in English, even when the packaging is in another language.
+  ${roles && roles.length > 0 ? describeImageRolesEn(roles) : ''}
+
+  Return plain JSON (no markdown code block) with the following structure:
+  {
+    "identity": {
+      "name": "Drug name",
+      "active_ingredient": "Main active ingredient",
+      "manufacturer": "Manufacturer",
+      "brand_name": "Brand name (exactly as printed on the box)",
+      "generic_name": "Active ingredient name in English per USAN/INN, e.g. acetaminophen",
+      "dosage_form": "Dosage form in English per openFDA, e.g. TABLET, CAPSULE, SYRUP",
+      "route": "Route in English per openFDA, e.g. ORAL, TOPICAL",
+      "ndc": "NDC code if printed on the packaging, otherwise an empty string",
+      "registration_number": "Registration number (SĐK) printed on the box, e.g. VD-12345-19, otherwise an empty string",
+      "barcode": "Digits under the barcode if readable, otherwise an empty string",
+      "confidence": 0.95
+    },
+    "details": {
+      "usage": "Indications (what it is used for)",
+      "dosage": [
+        "Newborns: ...",
+        "Children 1-5 years: ...",
+        "Adults: ..."
+      ],
+      "contraindications": "Contraindications (important)",
+      "side_effects": "Common side effects"
+    },
+    "packaging": {
+      "lot": "Lot number (Số lô SX, Lot, Batch) printed on the box or blister, otherwise an empty string",
+      "manufacture_date": "Manufacturing date (NSX, MFG) exactly as printed, otherwise an empty string",
+      "expiry_date": "Expiry date (HD, HSD, EXP) exactly as printed, otherwise an empty string"
+    },
+    "warnings": ["Important warning 1", "Important warning 2"],
+    "search_fallback": {
+        "query": "Exact drug name to search for",
+        "suggested_links": [
+            {"title": "Long Châu", "url": "search link on nhathuoclongchau.com.vn"},
+            {"title": "Vinmec", "url": "search link on vinmec.com"},
+            {"title": "Pharmacity", "url": "search link on pharmacity.vn"}
+        ]
+    }
+  }
+
+  IMPORTANT NOTES ON DOSAGE:
+  - Always split the dosage by age group or patient group.
+  - Order from youngest to oldest: Newborns -> Children (by age band) -> Adults -> Elderly / Kidney or liver impairment (if any).
+  - If the drug must not be used by a group (e.g. children), state "Contraindicated".
+
+  The lot number, manufacturing date and expiry date are usually printed on the back, the side of the box or the blister. Copy the characters exactly as printed, do not reformat the dates and do not guess when they are unreadable.
+
+  If the drug cannot be identified clearly, set a low confidence and provide a strong "search_fallback" so the user can look it up on these trusted sites: ${TRUSTED_SITES.join(', ')}.
+  ${barcode ? `The barcode was decoded on the device: ${barcode}. Use this value for the "barcode" field.` : ''}
+  `;
+}
+
+// e.g. "Image 1: Front (drug name)"
+function describeImageRolesEn(roles) {
+  const lines = roles.map((role, i) => `  - Image ${i + 1}: ${IMAGE_ROLES_EN[role] || 'Unknown'}`);
+  return `The images are sent in this order:
+${lines.join('\n')}
+  Read the drug name from the front, the dosage and contraindications from the package leaflet (if any), and the lot number and expiry date from the blister or the back.`;
+}
+
+/**
+ * Prompt for reading a loose tablet or capsule photo; the model answers
+ * with the features lib/pills.js searches the imprint dataset by.
+ * @param {{locale?: string}} [options]
+ * @returns {string}
+ */
+export function buildPillPrompt({ locale = DEFAULT_PROMPT_LOCALE } = {}) {
+  const template = PROMPT_TEMPLATES[locale] || PROMPT_TEMPLATES[DEFAULT_PROMPT_LOCALE];
+  return template.pill();
+}
+
+function vietnamesePillPrompt() {
+  return `
+  Bạn là dược sĩ AI. Ảnh chụp một viên thuốc rời (viên nén hoặc viên nang), có thể chụp cả hai mặt.
+  Hãy đọc các đặc điểm nhận dạng của viên thuốc, KHÔNG đoán tên thuốc.
+
+  Yêu cầu trả về JSON thuần túy (không có markdown code block) với cấu trúc sau:
+  {
+    "form": "tablet hoặc capsule",
+    "imprint": "Chữ/số khắc hoặc in trên viên, giữ nguyên chữ hoa; mỗi mặt cách nhau bằng dấu ; ví dụ: M;367. Nếu không có để chuỗi rỗng",
+    "shape": "Một trong: ${PILL_SHAPES.join(', ')}",
+    "colors": ["Một hoặc nhiều màu trong: ${PILL_COLORS.join(', ')}"],
+    "score": 1,
+    "size": 0,
+    "confidence": 0.9
+  }
+
+  Lưu ý:
+  - score: số phần mà vạch bẻ chia viên thuốc ra (1 nếu không có vạch bẻ, 2 nếu có một vạch).
+  - size: chiều dài lớn nhất tính bằng mm nếu ước lượng được, nếu không để 0.
+  - confidence: độ tin cậy khi đọc chữ khắc, từ 0 đến 1. Ký tự khó đọc (O/0, I/1, S/5, B/8) thì giảm độ tin cậy.
+  - Tên hình dạng và màu sắc phải viết bằng tiếng Anh, chữ thường, đúng như danh sách trên.
+  `;
+}
+
+function englishPillPrompt() {
+  return `
+  You are a professional AI pharmacist. The photo shows a single loose pill (tablet or capsule), possibly both sides.
+  Read the pill's identifying features. Do NOT guess the drug name.
+
+  Return plain JSON (no markdown code block) with this structure:
+  {
+    "form": "tablet or capsule",
+    "imprint": "Letters/digits engraved or printed on the pill, upper case as shown; sides separated by ; e.g. M;367. Empty string if none",
+    "shape": "One of: ${PILL_SHAPES.join(', ')}",
+    "colors": ["One or more of: ${PILL_COLORS.join(', ')}"],
+    "score": 1,
+    "size": 0,
+    "confidence": 0.9
+  }
+
+  Notes:
+  - score: the number of pieces the score lines divide the pill into (1 when unscored, 2 for one line).
+  - size: the longest dimension in mm if you can estimate it, otherwise 0.
+  - confidence: how sure you are of the imprint, from 0 to 1. Lower it for ambiguous characters (O/0, I/1, S/5, B/8).
+  - Shape and color names must be lowercase English, exactly as listed.
+  `;
+}
+
+/**
+ * Prompt for reading a prescription (photos or PDF pages) into its line
+ * items (lib/prescription.js).
+ * @param {{locale?: string}} [options]
+ * @returns {string}
+ */
+export function buildPrescriptionPrompt({ locale = DEFAULT_PROMPT_LOCALE } = {}) {
+  const template = PROMPT_TEMPLATES[locale] || PROMPT_TEMPLATES[DEFAULT_PROMPT_LOCALE];
+  return template.prescription();
+}
+
+function vietnamesePrescriptionPrompt() {
+  return `
+  Bạn là dược sĩ AI chuyên nghiệp. Các ảnh là một đơn thuốc (có thể nhiều trang, in hoặc viết tay).
+  Hãy đọc TẤT CẢ các thuốc trong đơn, mỗi dòng thuốc là một phần tử trong "items", theo đúng thứ tự trong đơn.
+
+  Yêu cầu trả về JSON thuần túy (không có markdown code block) với cấu trúc sau:
+  {
+    "prescriber": "Bác sĩ kê đơn",
+    "facility": "Cơ sở khám chữa bệnh",
+    "patient": "Tên bệnh nhân",
+    "date": "Ngày kê đơn, giữ nguyên như ghi",
+    "diagnosis": "Chẩn đoán",
+    "notes": "Lời dặn chung của bác sĩ",
+    "items": [
+      {
+        "name": "Tên thuốc như ghi trong đơn",
+        "generic_name": "Tên hoạt chất bằng tiếng Anh theo USAN/INN, ví dụ: amoxicillin",
+        "strength": "Hàm lượng, ví dụ: 500mg",
+        "dose": "Liều mỗi lần, ví dụ: 1 viên",
+        "frequency": "Cách dùng như ghi, ví dụ: Ngày 2 lần sáng, tối",
+        "times_per_day": 2,
+        "duration": "Thời gian dùng như ghi, ví dụ: 7 ngày",
+        "days": 7,
+        "quantity": "Số lượng, ví dụ: 14 viên",
+        "route": "Đường dùng bằng tiếng Anh theo openFDA, ví dụ: ORAL",
+        "notes": "Ghi chú riêng cho thuốc này, ví dụ: uống sau ăn"
+      }
+    ],
+    "confidence": 0.9
+  }
+
+  Lưu ý:
+  - Giữ nguyên chữ như trong đơn, KHÔNG tự thêm thuốc hay liều không có trong đơn.
+  - Trường nào không đọc được thì để chuỗi rỗng; times_per_day và days để 0 nếu không rõ.
+  - confidence: độ tin cậy khi đọc toàn bộ đơn, từ 0 đến 1 (đơn viết tay khó đọc thì giảm xuống).
+  `;
+}
+
+function englishPrescriptionPrompt() {
+  return `
+  You are a professional AI pharmacist. The images are a prescription (possibly several pages, printed or handwritten).
+  Read EVERY drug on it, one element of "items" per line item, in the order they appear.
+
+  Return plain JSON (no markdown code block) with this structure:
+  {
+    "prescriber": "Prescribing doctor",
+    "facility": "Clinic or hospital",
+    "patient": "Patient name",
+    "date": "Prescription date, as written",
+    "diagnosis": "Diagnosis",
+    "notes": "The doctor's general instructions",
+    "items": [
+      {
+        "name": "Drug name as written",
+        "generic_name": "Generic name in English (USAN/INN), e.g. amoxicillin",
+        "strength": "Strength, e.g. 500mg",
+        "dose": "Dose each time, e.g. 1 tablet",
+        "frequency": "How often, as written, e.g. twice daily, morning and evening",
+        "times_per_day": 2,
+        "duration": "How long, as written, e.g. 7 days",
+        "days": 7,
+        "quantity": "Quantity, e.g. 14 tablets",
+        "route": "Route in English per openFDA, e.g. ORAL",
+        "notes": "Notes for this drug, e.g. take after meals"
+      }
+    ],
+    "confidence": 0.9
+  }
+
+  Notes:
+  - Keep drug names, strengths and doses exactly as written; do NOT add drugs or doses that are not on it.
+  - Leave unreadable fields as empty strings; set times_per_day and days to 0 when unclear.
+  - Translate the doctor's wording into English for the text fields.
+  - confidence: how sure you are of the whole reading, from 0 to 1 (lower it for hard-to-read handwriting).
+  `;
+}
+
+/**
+ * Convert captured data URIs into Gemini inline image parts.
+ * @param {string[]} dataUris
+ */
+export function toImageParts(dataUris) {
+  return dataUris.map(uri => {
+    const base64Data = uri.split(',')[1];
+    const mimeType = uri.split(';')[0].split(':')[1];
+    return { inlineData: { data: base64Data, mimeType } };
+  });
+}
+
+/**
+ * Follow-up sent once when the first reply failed validation.
+ * @param {string} previous The rejected reply
+ * @param {Array<{path: string, message: string}>} errors
+ * @param {string} [locale] One of PROMPT_LOCALES
+ * @returns {string}
+ */
+export function buildRepairPrompt(previous, errors, locale = DEFAULT_PROMPT_LOCALE) {
+  const template = PROMPT_TEMPLATES[locale] || PROMPT_TEMPLATES[DEFAULT_PROMPT_LOCALE];
+  return template.repair(String(previous || '').slice(0, 4000), errors);
+}
+
+function vietnameseRepair(previous, errors) {
+  const problems = errors.length > 0
+    ? errors.map(e => `- ${e.path}: ${e.message === 'missing' ? 'bị thiếu' : e.message}`).join('\n')
+    : '- Phản hồi không phải JSON hợp lệ';
+  return `
+  Phản hồi trước của bạn không đúng cấu trúc JSON yêu cầu:
+  ${previous}
+
+  Các lỗi:
+  ${problems}
+
+  Hãy trả lời lại CHỈ bằng một đối tượng JSON đầy đủ theo đúng cấu trúc đã nêu, không kèm giải thích.
+  `;
+}
+
+function englishRepair(previous, errors) {
+  const problems = errors.length > 0
+    ? errors.map(e => `- ${e.path}: ${e.message}`).join('\n')
+    : '- The reply is not valid JSON';
+  return `
+  Your previous reply did not match the required JSON structure:
+  ${previous}
+
+  Problems:
+  ${problems}
+
+  Reply again with ONLY one complete JSON object in the structure given above, without explanations.
+  `;
+}
+
+const PROMPT_TEMPLATES = {
+  vi: { prompt: vietnamesePrompt, repair: vietnameseRepair, pill: vietnamesePillPrompt, prescription: vietnamesePrescriptionPrompt, fields: FIELDS_VI },
+  en: { prompt: englishPrompt, repair: englishRepair, pill: englishPillPrompt, prescription: englishPrescriptionPrompt, fields: FIELDS_EN }
+};
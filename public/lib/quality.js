@@ -0,0 +1,111 @@
+/*
+ * Local image quality checks for the viewfinder and picked photos: sharpness
+ * (variance of the Laplacian), exposure and glare, and frame-to-frame
+ * stability. Works on ImageData-like objects ({data, width, height}, RGBA),
+ * normally a downscaled frame of ~320px.
+ */
+import { t } from './i18n.js';
+
+// Tuned on 320px-wide frames of printed boxes and blister packs
+export const QUALITY_THRESHOLDS = {
+  minSharpness: 40,   // Laplacian variance below this reads as blurry
+  minBrightness: 60,  // mean luma (0-255)
+  maxBrightness: 235,
+  maxGlare: 0.08,     // share of near-white pixels
+  maxMotion: 6        // mean absolute luma change between frames
+};
+
+/**
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image RGBA pixels
+ * @returns {Uint8ClampedArray} Luma per pixel
+ */
+export function toGrayscale(image) {
+  const { data, width, height } = image;
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+    gray[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  return gray;
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian; higher is sharper.
+ * @param {Uint8ClampedArray} gray
+ * @param {number} width
+ * @param {number} height
+ */
+export function laplacianVariance(gray, width, height) {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += value;
+      sumSq += value * value;
+      count++;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+}
+
+/**
+ * @param {Uint8ClampedArray} gray
+ * @returns {{brightness: number, glare: number}} Mean luma and share of near-white pixels
+ */
+export function exposure(gray) {
+  let sum = 0;
+  let bright = 0;
+  for (const value of gray) {
+    sum += value;
+    if (value >= 250) bright++;
+  }
+  const count = gray.length || 1;
+  return { brightness: sum / count, glare: bright / count };
+}
+
+/**
+ * Mean absolute difference between two frames of the same size; Infinity
+ * when they cannot be compared.
+ * @param {Uint8ClampedArray} a
+ * @param {Uint8ClampedArray} b
+ */
+export function frameDifference(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return Infinity;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff += Math.abs(a[i] - b[i]);
+  return diff / a.length;
+}
+
+/**
+ * Score a frame and list what is wrong with it.
+ * @param {{data: ArrayLike<number>, width: number, height: number}} image
+ * @param {Partial<typeof QUALITY_THRESHOLDS>} [thresholds]
+ * @returns {{sharpness: number, brightness: number, glare: number, issues: string[], ok: boolean, gray: Uint8ClampedArray}}
+ *   `issues` are 'blurry', 'dark', 'bright' or 'glare'
+ */
+export function assessFrame(image, thresholds = {}) {
+  const limits = { ...QUALITY_THRESHOLDS, ...thresholds };
+  const gray = toGrayscale(image);
+  const sharpness = laplacianVariance(gray, image.width, image.height);
+  const { brightness, glare } = exposure(gray);
+
+  const issues = [];
+  if (sharpness < limits.minSharpness) issues.push('blurry');
+  if (brightness < limits.minBrightness) issues.push('dark');
+  else if (brightness > limits.maxBrightness) issues.push('bright');
+  if (glare > limits.maxGlare) issues.push('glare');
+
+  return { sharpness, brightness, glare, issues, ok: issues.length === 0, gray };
+}
+
+/**
+ * @param {string[]} issues
+ * @returns {string} e.g. "ảnh bị mờ, ảnh quá tối" in the UI language
+ */
+export function describeIssues(issues) {
+  return issues.map(issue => t(`quality.${issue}`)).join(', ');
+}
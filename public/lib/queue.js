@@ -0,0 +1,139 @@
+/*
+ * Offline scan queue ("hàng chờ"): confirmed captures that could not be
+ * analysed because the device was offline. They are retried by Background
+ * Sync where the browser supports it (see service-worker.js) and otherwise
+ * when the app regains focus or connectivity.
+ *
+ * Entry: { id, images: [{dataUri, role}], barcode, status, attempts, error,
+ *          result, model, historyId, saved, createdAt, updatedAt }
+ * status: 'pending' -> 'done' (result ready) or 'failed' (gave up)
+ * saved:  the result has been written to history (as `historyId`); the
+ *         entry stays in the queue until the user has looked at it
+ */
+import { idbGet, idbGetAll, idbPut, idbDelete } from './db.js';
+
+export const SYNC_TAG = 'scan-queue';
+export const MAX_ATTEMPTS = 5;
+
+let running = false;
+
+/**
+ * True when an analysis failed because there was no connection rather than
+ * because the request or the model output was bad.
+ * @param {Error} err
+ * @param {boolean} [online] navigator.onLine
+ */
+export function isOfflineError(err, online = navigator.onLine) {
+  if (!online) return true;
+  if (!err) return false;
+  if (err.name === 'TypeError') return true;
+  return /failed to fetch|network ?error|load failed|networkerror/i.test(err.message || '');
+}
+
+/**
+ * Queue a capture; resolves to the entry id.
+ * @param {{images: Array<{dataUri: string, role: string}>, barcode?: object, historyId?: number}} capture
+ *   `historyId` when re-running a history entry, so the result replaces it
+ */
+export function enqueueScan({ images, barcode, historyId }) {
+  const now = Date.now();
+  return idbPut('queue', {
+    images: images.map(({ dataUri, role }) => ({ dataUri, role })),
+    barcode: barcode || null,
+    historyId,
+    saved: false,
+    status: 'pending',
+    attempts: 0,
+    error: '',
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+// Oldest first
+export async function listQueue() {
+  const entries = await idbGetAll('queue');
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export function getQueueEntry(id) {
+  return idbGet('queue', id);
+}
+
+export function updateQueueEntry(entry) {
+  return idbPut('queue', { ...entry, updatedAt: Date.now() });
+}
+
+export function removeFromQueue(id) {
+  return idbDelete('queue', id);
+}
+
+/**
+ * Ask the service worker to process the queue once the device is online.
+ * @returns {Promise<boolean>} false when Background Sync is unavailable
+ *   (callers then rely on retry-on-focus)
+ */
+export async function requestQueueSync() {
+  if (!('serviceWorker' in navigator)) return false;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.sync) return false;
+    await registration.sync.register(SYNC_TAG);
+    return true;
+  } catch (err) {
+    console.warn('[Queue] Background Sync unavailable', err);
+    return false;
+  }
+}
+
+/**
+ * Analyse pending entries one at a time. Stops at the first connection
+ * failure (the rest would fail too); other failures count as an attempt and
+ * mark the entry failed after MAX_ATTEMPTS. Only one run at a time.
+ *
+ * @param {(images: Array<{dataUri: string, role: string}>, barcode: string|undefined) => Promise<{result: object, model: string}>} analyze
+ * @returns {Promise<number>} How many entries completed
+ */
+export async function processQueue(analyze) {
+  if (running) return 0;
+  running = true;
+  let completed = 0;
+  try {
+    const pending = (await listQueue()).filter(entry => entry.status === 'pending');
+    for (const entry of pending) {
+      try {
+        const { result, model } = await analyze(entry.images, entry.barcode ? entry.barcode.digits : undefined);
+        if (entry.barcode) result.barcode = entry.barcode;
+        const done = { ...entry, status: 'done', result, model: model || '', error: '' };
+        await updateQueueEntry(done);
+        completed++;
+      } catch (err) {
+        if (isOfflineError(err)) break;
+        const attempts = (entry.attempts || 0) + 1;
+        await updateQueueEntry({
+          ...entry,
+          attempts,
+          error: err.message,
+          status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending'
+        });
+      }
+    }
+  } finally {
+    running = false;
+  }
+  return completed;
+}
+
+/**
+ * Show the number of results waiting to be viewed on the app icon, where
+ * the Badging API is supported.
+ * @param {number} count
+ */
+export async function setQueueBadge(count) {
+  try {
+    if (count > 0 && navigator.setAppBadge) await navigator.setAppBadge(count);
+    else if (count === 0 && navigator.clearAppBadge) await navigator.clearAppBadge();
+  } catch (err) {
+    console.warn('[Queue] Badge update failed', err);
+  }
+}
@@ -0,0 +1,324 @@
+/*
+ * Medication reminders ("lịch nhắc"): a regimen built from a scanned drug,
+ * the log of doses taken or skipped, and .ics export.
+ *
+ * Schedule: { id, name, ingredient, dose, times: ['08:00', ...], startDate,
+ *             endDate ('YYYY-MM-DD', inclusive), lastNotified, createdAt }
+ * Dose log: { scheduleId, due: 'YYYY-MM-DDTHH:MM', status, loggedAt },
+ *           keyed by doseLogKey(); status is 'taken' or 'skipped'
+ *
+ * Notifications come from the page while it is open and from the service
+ * worker's periodic sync otherwise; both read and write these records (keep
+ * the shapes in sync with service-worker.js). `lastNotified` is the latest
+ * `due` already notified, so the two never announce the same dose twice.
+ */
+import { idbGetAll, idbPut, idbDelete } from './db.js';
+import { t } from './i18n.js';
+
+export const REMINDER_SYNC_TAG = 'reminders';
+export const MAX_TIMES_PER_DAY = 6;
+// Labels are catalog messages (dose.<status>)
+export const DOSE_STATUSES = ['taken', 'skipped'];
+
+// Doses older than this are no longer announced, only shown as missed
+export const NOTIFY_WINDOW_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 7;
+const TIME_PRESETS = {
+  1: ['08:00'],
+  2: ['08:00', '20:00'],
+  3: ['07:00', '13:00', '19:00'],
+  4: ['07:00', '11:00', '15:00', '19:00']
+};
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * 'YYYY-MM-DD' of a date in local time.
+ * @param {Date} date
+ */
+export function localDate(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseLocal(day, time = '00:00') {
+  const [y, m, d] = day.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  return new Date(y, m - 1, d, hh, mm);
+}
+
+/**
+ * Evenly spread dose times for a number of doses per day.
+ * @param {number} count
+ * @returns {string[]} 'HH:MM'
+ */
+export function defaultTimes(count) {
+  const n = Math.min(Math.max(Math.round(count) || 1, 1), MAX_TIMES_PER_DAY);
+  if (TIME_PRESETS[n]) return [...TIME_PRESETS[n]];
+  // Waking hours, 07:00 to 22:00
+  const step = (15 * 60) / (n - 1);
+  return Array.from({ length: n }, (_, i) => {
+    const minutes = 7 * 60 + Math.round(step * i / 30) * 30;
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+  });
+}
+
+/**
+ * Clean up form input into a stored schedule.
+ * @param {object} input
+ * @returns {object}
+ */
+export function normalizeSchedule(input) {
+  const times = [...new Set((input.times || []).filter(t => /^([01]\d|2[0-3]):[0-5]\d$/.test(t)))].sort();
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  const startDate = isDate(input.startDate) ? input.startDate : localDate(new Date());
+  const endDate = isDate(input.endDate) && input.endDate >= startDate ? input.endDate : startDate;
+
+  const schedule = {
+    name: String(input.name || '').trim() || t('reminders.defaultName'),
+    ingredient: String(input.ingredient || '').trim(),
+    dose: String(input.dose || '').trim(),
+    times: times.length > 0 ? times : defaultTimes(1),
+    startDate,
+    endDate,
+    lastNotified: input.lastNotified || '',
+    createdAt: input.createdAt || Date.now()
+  };
+  if (input.id !== undefined && input.id !== null && input.id !== '') schedule.id = Number(input.id);
+  return schedule;
+}
+
+/**
+ * A draft schedule for the drug on screen: twice a day for a week from today.
+ * @param {object} data Scan result
+ * @param {Date} [now]
+ */
+export function scheduleFromResult(data, now = new Date()) {
+  const identity = (data && data.identity) || {};
+  return normalizeSchedule({
+    name: identity.name,
+    ingredient: identity.generic_name || identity.active_ingredient,
+    times: defaultTimes(2),
+    startDate: localDate(now),
+    endDate: localDate(new Date(now.getTime() + (DEFAULT_DAYS - 1) * DAY_MS))
+  });
+}
+
+/**
+ * A draft schedule for one prescription line item: as many doses a day and
+ * for as many days as the prescription says, twice a day for a week when it
+ * is unclear.
+ * @param {object} item From lib/prescription.js
+ * @param {Date} [now]
+ */
+export function scheduleFromPrescriptionItem(item, now = new Date()) {
+  const days = item.days || DEFAULT_DAYS;
+  return normalizeSchedule({
+    name: [item.name, item.strength].filter(Boolean).join(' '),
+    ingredient: item.generic_name,
+    dose: item.dose,
+    times: defaultTimes(item.times_per_day || 2),
+    startDate: localDate(now),
+    endDate: localDate(new Date(now.getTime() + (days - 1) * DAY_MS))
+  });
+}
+
+/**
+ * Doses due in [from, to), oldest first.
+ * @param {object} schedule
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<{scheduleId: number, due: string, at: Date}>}
+ */
+export function occurrences(schedule, from, to) {
+  const result = [];
+  const first = localDate(from) > schedule.startDate ? localDate(from) : schedule.startDate;
+  for (let day = parseLocal(first); localDate(day) <= schedule.endDate && day < to; day.setDate(day.getDate() + 1)) {
+    const date = localDate(day);
+    for (const time of schedule.times) {
+      const at = parseLocal(date, time);
+      if (at >= from && at < to) result.push({ scheduleId: schedule.id, due: `${date}T${time}`, at });
+    }
+  }
+  return result;
+}
+
+/**
+ * The next dose of any schedule after `now`, for the in-page timer.
+ * @param {object[]} schedules
+ * @param {Date} [now]
+ * @returns {{scheduleId: number, due: string, at: Date}|null}
+ */
+export function nextOccurrence(schedules, now = new Date()) {
+  const horizon = new Date(now.getTime() + 2 * DAY_MS);
+  const upcoming = schedules
+    .flatMap(schedule => occurrences(schedule, new Date(now.getTime() + 1), horizon).slice(0, 1))
+    .sort((a, b) => a.at - b.at);
+  return upcoming[0] || null;
+}
+
+/**
+ * Doses to announce now: for each schedule, the latest dose within
+ * NOTIFY_WINDOW_MS that has not been announced yet.
+ * @param {object[]} schedules
+ * @param {Date} [now]
+ * @returns {Array<{schedule: object, due: string}>}
+ */
+export function dueReminders(schedules, now = new Date()) {
+  const from = new Date(now.getTime() - NOTIFY_WINDOW_MS);
+  const to = new Date(now.getTime() + 1);
+  return schedules.flatMap(schedule => occurrences(schedule, from, to)
+    .filter(occurrence => occurrence.due > (schedule.lastNotified || ''))
+    .slice(-1)
+    .map(occurrence => ({ schedule, due: occurrence.due })));
+}
+
+/**
+ * Taken / skipped / missed counts from the start date up to `now`.
+ * @param {object} schedule
+ * @param {object[]} log Dose log entries (any schedule)
+ * @param {Date} [now]
+ */
+export function adherence(schedule, log, now = new Date()) {
+  const past = occurrences(schedule, parseLocal(schedule.startDate), now);
+  const statuses = new Map(log.filter(e => e.scheduleId === schedule.id).map(e => [e.due, e.status]));
+  const counts = { total: past.length, taken: 0, skipped: 0, missed: 0 };
+  for (const { due, at } of past) {
+    const status = statuses.get(due);
+    if (status) counts[status]++;
+    // Still within the reminder window: not missed yet
+    else if (now - at > NOTIFY_WINDOW_MS) counts.missed++;
+  }
+  return counts;
+}
+
+export function doseLogKey(scheduleId, due) {
+  return `${scheduleId}@${due}`;
+}
+
+// Oldest first
+export async function listSchedules() {
+  const schedules = await idbGetAll('reminders');
+  return schedules.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Resolves to the schedule id
+export function saveSchedule(schedule) {
+  return idbPut('reminders', normalizeSchedule(schedule));
+}
+
+export async function removeSchedule(id) {
+  await idbDelete('reminders', id);
+  const log = await listDoseLog();
+  await Promise.all(log
+    .filter(entry => entry.scheduleId === id)
+    .map(entry => idbDelete('doseLog', doseLogKey(entry.scheduleId, entry.due))));
+}
+
+export function listDoseLog() {
+  return idbGetAll('doseLog');
+}
+
+/**
+ * Record a dose as taken or skipped (replaces an earlier answer).
+ * @param {number} scheduleId
+ * @param {string} due
+ * @param {'taken'|'skipped'} status
+ */
+export function logDose(scheduleId, due, status) {
+  return idbPut('doseLog', { scheduleId, due, status, loggedAt: Date.now() }, doseLogKey(scheduleId, due));
+}
+
+/**
+ * Let the service worker check for due doses while the app is closed.
+ * @returns {Promise<boolean>} false when Periodic Background Sync is
+ *   unavailable (reminders then only fire while the app is open)
+ */
+export async function registerReminderSync() {
+  if (!('serviceWorker' in navigator)) return false;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.periodicSync) return false;
+    await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: 15 * 60 * 1000 });
+    return true;
+  } catch (err) {
+    console.warn('[Reminders] Periodic sync unavailable', err);
+    return false;
+  }
+}
+
+// iCalendar export
+function icsText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space (RFC 5545)
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsDateTime(day, time) {
+  return `${day.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * An iCalendar file with one daily event per dose time, in floating local
+ * time so it stays at 08:00 wherever the calendar is.
+ * @param {object[]} schedules
+ * @param {Date} [now] DTSTAMP
+ * @returns {string}
+ */
+export function buildIcs(schedules, now = new Date()) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Drug Scanner//Reminders//VI',
+    'CALSCALE:GREGORIAN'
+  ];
+  for (const schedule of schedules) {
+    const summary = schedule.dose ? `💊 ${schedule.name} – ${schedule.dose}` : `💊 ${schedule.name}`;
+    const description = [schedule.ingredient, t('reminders.daily', { times: schedule.times.join(', ') })].filter(Boolean).join('\n');
+    for (const time of schedule.times) {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:reminder-${schedule.id}-${time.replace(':', '')}@drug-scanner`,
+        `DTSTAMP:${utcStamp(now)}`,
+        `DTSTART:${icsDateTime(schedule.startDate, time)}`,
+        'DURATION:PT15M',
+        `RRULE:FREQ=DAILY;UNTIL=${icsDateTime(schedule.endDate, '23:59')}`,
+        `SUMMARY:${icsText(summary)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'TRIGGER:PT0M',
+        `DESCRIPTION:${icsText(summary)}`,
+        'END:VALARM',
+        'END:VEVENT'
+      );
+    }
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,143 @@
+/*
+ * Safe DOM rendering for anything that comes from the model or a lookup API.
+ *
+ * Text is only ever inserted as text nodes, elements are built with
+ * createElement, inline handlers must be functions, and href/src values are
+ * checked against an allow-list. Nothing in here assigns innerHTML.
+ */
+import { TRUSTED_SITES } from './prompt.js';
+
+// Hosts we are willing to link to (subdomains included)
+export const ALLOWED_LINK_HOSTS = [
+  ...TRUSTED_SITES,
+  'google.com',
+  'fda.gov',
+  'nih.gov',
+  'dav.gov.vn'
+];
+
+const SAFE_IMAGE_DATA_URI = /^data:image\/(jpeg|png|webp);base64,[a-z0-9+/=]+$/i;
+
+/**
+ * Returns the normalised URL if it is an http(s) link to an allowed host, or
+ * an in-page `#fragment`; otherwise null.
+ * @param {*} url
+ * @param {string[]} [allowedHosts]
+ * @returns {string|null}
+ */
+export function safeUrl(url, allowedHosts = ALLOWED_LINK_HOSTS) {
+  if (typeof url !== 'string') return null;
+  const value = url.trim();
+  if (/^#[\w-]*$/.test(value)) return value;
+
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+  if (parsed.username || parsed.password) return null;
+
+  const host = parsed.hostname.toLowerCase();
+  const allowed = allowedHosts.some(allowedHost => host === allowedHost || host.endsWith('.' + allowedHost));
+  return allowed ? parsed.href : null;
+}
+
+/**
+ * Returns the value if it is a base64 JPEG/PNG/WebP data URI or a blob: URL
+ * (what the camera and file picker produce); otherwise null.
+ * @param {*} src
+ * @returns {string|null}
+ */
+export function safeImageSrc(src) {
+  if (typeof src !== 'string') return null;
+  if (SAFE_IMAGE_DATA_URI.test(src)) return src;
+  if (src.startsWith('blob:')) return src;
+  return null;
+}
+
+function appendChildren(parent, children) {
+  for (const child of children) {
+    if (child === null || child === undefined || child === false || child === '') continue;
+    if (Array.isArray(child)) {
+      appendChildren(parent, child);
+    } else if (typeof child === 'object' && typeof child.nodeType === 'number') {
+      parent.appendChild(child);
+    } else {
+      parent.appendChild(document.createTextNode(String(child)));
+    }
+  }
+}
+
+/**
+ * Builds an element. Children may be strings (inserted as text), nodes,
+ * arrays, or null/false (skipped).
+ *
+ * Props: `class`, `style` (string or object), `dataset` (object), `on<event>`
+ * (functions only), `href`/`src` (dropped unless safeUrl/safeImageSrc accept
+ * them); anything else is set as an attribute, with `true` meaning present
+ * and `false`/null meaning absent.
+ *
+ * @param {string} tag
+ * @param {Object} [props]
+ * @param {...*} children
+ * @returns {HTMLElement}
+ */
+export function el(tag, props, ...children) {
+  const node = document.createElement(tag);
+
+  for (const [name, value] of Object.entries(props || {})) {
+    if (value === null || value === undefined || value === false) continue;
+
+    if (/^on/i.test(name)) {
+      // Never accept string handlers: they would be evaluated as code
+      if (typeof value === 'function') node.addEventListener(name.slice(2).toLowerCase(), value);
+    } else if (name === 'class') {
+      node.className = String(value);
+    } else if (name === 'style' && typeof value === 'object') {
+      Object.assign(node.style, value);
+    } else if (name === 'dataset') {
+      for (const [key, data] of Object.entries(value)) node.dataset[key] = String(data);
+    } else if (name === 'href') {
+      const href = safeUrl(value);
+      if (href) node.setAttribute('href', href);
+    } else if (name === 'src') {
+      const src = safeImageSrc(value);
+      if (src) node.setAttribute('src', src);
+    } else if (/^(innerHTML|outerHTML|srcdoc)$/i.test(name)) {
+      continue;
+    } else {
+      node.setAttribute(name, value === true ? '' : String(value));
+    }
+  }
+
+  appendChildren(node, children);
+  return node;
+}
+
+/**
+ * An external link that opens in a new tab, or plain text when the URL is
+ * not on the allow-list.
+ * @param {*} text
+ * @param {*} url
+ * @param {Object} [props] extra props for the <a>
+ * @returns {HTMLElement}
+ */
+export function link(text, url, props = {}) {
+  const href = safeUrl(url);
+  if (!href) return el('span', null, text);
+  return el('a', { ...props, href, target: '_blank', rel: 'noopener noreferrer' }, text);
+}
+
+/**
+ * Replaces the contents of a container with the given children.
+ * @param {Element} container
+ * @param {...*} children same forms as el()
+ * @returns {Element}
+ */
+export function render(container, ...children) {
+  container.replaceChildren();
+  appendChildren(container, children);
+  return container;
+}
@@ -0,0 +1,250 @@
+/*
+ * Schema for the model's drug analysis reply. The same definition is sent
+ * to Gemini as `responseSchema` (structured output) and used to validate
+ * and repair whatever comes back, so a reply with extra prose or a missing
+ * section does not break the result view. The field descriptions the model
+ * sees are added in the prompt's language by lib/prompt.js describeSchema().
+ */
+
+const STRING = { type: 'string' };
+
+export const RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    identity: {
+      type: 'object',
+      properties: {
+        name: STRING,
+        active_ingredient: STRING,
+        manufacturer: STRING,
+        brand_name: STRING,
+        generic_name: STRING,
+        dosage_form: STRING,
+        route: STRING,
+        ndc: STRING,
+        registration_number: STRING,
+        barcode: STRING,
+        confidence: { type: 'number' }
+      },
+      required: ['name', 'confidence']
+    },
+    details: {
+      type: 'object',
+      properties: {
+        usage: STRING,
+        dosage: { type: 'array', items: { type: 'string' } },
+        contraindications: STRING,
+        side_effects: STRING
+      },
+      required: ['usage', 'dosage', 'contraindications']
+    },
+    packaging: {
+      type: 'object',
+      properties: {
+        lot: STRING,
+        manufacture_date: STRING,
+        expiry_date: STRING
+      }
+    },
+    warnings: { type: 'array', items: { type: 'string' } },
+    search_fallback: {
+      type: 'object',
+      properties: {
+        query: STRING,
+        suggested_links: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { title: { type: 'string' }, url: { type: 'string' } },
+            required: ['title', 'url']
+          }
+        }
+      },
+      required: ['query']
+    }
+  },
+  required: ['identity', 'details', 'warnings', 'search_fallback']
+};
+
+/**
+ * Thrown when a reply cannot be parsed or repaired into a valid result.
+ * `missing` lists the required fields that were absent (e.g. "identity.name").
+ * The message is for logs; the UI words it from `errors` in its own language.
+ */
+export class ModelOutputError extends Error {
+  constructor(message, { errors = [], text = '' } = {}) {
+    super(message);
+    this.name = 'ModelOutputError';
+    this.errors = errors;
+    this.missing = errors.filter(e => e.missing).map(e => e.path);
+    this.text = text;
+  }
+}
+
+/**
+ * Pull a JSON object out of a reply that may be wrapped in a code fence or
+ * surrounded by prose, and tolerate trailing commas.
+ * @param {string} text
+ * @returns {any}
+ * @throws {ModelOutputError} when no JSON object can be recovered
+ */
+export function extractJson(text) {
+  const raw = String(text || '').trim();
+  const candidates = [raw.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '')];
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(raw.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    for (const attempt of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+      try {
+        return JSON.parse(attempt);
+      } catch (e) {
+        // try the next form
+      }
+    }
+  }
+  throw new ModelOutputError('The model reply is not valid JSON', { text: raw });
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema (the subset used by RESULT_SCHEMA).
+ * @returns {Array<{path: string, message: string, missing?: boolean}>}
+ */
+export function validate(value, schema = RESULT_SCHEMA, path = '') {
+  const errors = [];
+  const here = path || '(root)';
+  const actual = typeOf(value);
+
+  if (schema.type === 'number' ? actual !== 'number' || Number.isNaN(value) : actual !== schema.type) {
+    errors.push({ path: here, message: `expected ${schema.type}, got ${actual}` });
+    return errors;
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'missing', missing: true });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validate(value[key], sub, path ? `${path}.${key}` : key));
+      }
+    }
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+function asString(value) {
+  if (value === undefined || value === null) return value;
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function asStringArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(asString).filter(Boolean);
+  if (typeof value === 'string') return value.split(/\n+/).map(s => s.replace(/^\s*[-•*]\s*/, '').trim()).filter(Boolean);
+  return [asString(value)];
+}
+
+function asConfidence(value) {
+  if (typeof value === 'string') value = parseFloat(value.replace(',', '.'));
+  if (typeof value !== 'number' || Number.isNaN(value)) return undefined;
+  // "95" or "95%" means a percentage
+  if (value > 1) value = value / 100;
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Coerce a parsed reply towards the schema: fix types (a dosage string
+ * becomes a list, "95%" becomes 0.95) and fill sections the UI can live
+ * without. Identity fields are never invented.
+ * @param {any} value
+ * @returns {object}
+ */
+export function repairResult(value) {
+  const input = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  const out = { ...input };
+
+  if (input.identity && typeof input.identity === 'object') {
+    const identity = { ...input.identity };
+    for (const key of Object.keys(RESULT_SCHEMA.properties.identity.properties)) {
+      if (key === 'confidence') continue;
+      if (identity[key] !== undefined && identity[key] !== null) identity[key] = asString(identity[key]);
+    }
+    const confidence = asConfidence(identity.confidence);
+    if (confidence === undefined) delete identity.confidence;
+    else identity.confidence = confidence;
+    out.identity = identity;
+  }
+
+  const details = input.details && typeof input.details === 'object' ? { ...input.details } : {};
+  details.usage = asString(details.usage) ?? '';
+  details.dosage = asStringArray(details.dosage);
+  details.contraindications = asString(details.contraindications) ?? '';
+  if (details.side_effects !== undefined) details.side_effects = asString(details.side_effects);
+  out.details = details;
+
+  if (input.packaging && typeof input.packaging === 'object') {
+    const packaging = {};
+    for (const key of Object.keys(RESULT_SCHEMA.properties.packaging.properties)) {
+      packaging[key] = asString(input.packaging[key]) ?? '';
+    }
+    out.packaging = packaging;
+  } else {
+    delete out.packaging;
+  }
+
+  out.warnings = asStringArray(input.warnings);
+
+  const fallback = input.search_fallback && typeof input.search_fallback === 'object' ? { ...input.search_fallback } : {};
+  fallback.query = asString(fallback.query) || (out.identity && out.identity.name) || '';
+  fallback.suggested_links = Array.isArray(fallback.suggested_links)
+    ? fallback.suggested_links.filter(l => l && typeof l.title === 'string' && typeof l.url === 'string')
+    : [];
+  out.search_fallback = fallback;
+
+  return out;
+}
+
+/**
+ * Parse, validate and if needed repair a model reply.
+ *
+ * @param {string} text Raw reply text
+ * @returns {object} The result, with a `validation` report attached:
+ *   { repaired: boolean, missing: string[] } where `missing` lists the
+ *   required fields the model left out and that were filled with defaults
+ * @throws {ModelOutputError} when the reply is not JSON or is still invalid
+ *   after repair (e.g. no identity)
+ */
+export function parseModelOutput(text) {
+  const parsed = extractJson(text);
+  const errors = validate(parsed);
+  if (errors.length === 0) {
+    return { ...parsed, validation: { repaired: false, missing: [] } };
+  }
+
+  const repaired = repairResult(parsed);
+  const remaining = validate(repaired);
+  if (remaining.length > 0) {
+    throw new ModelOutputError(
+      `The model reply has missing or invalid fields: ${remaining.map(e => e.path).join(', ')}`,
+      { errors: remaining, text }
+    );
+  }
+  return {
+    ...repaired,
+    validation: { repaired: true, missing: errors.filter(e => e.missing).map(e => e.path) }
+  };
+}
@@ -0,0 +1,171 @@
+/*
+ * Text search, the typed alternative to a scan: what kind of identifier a
+ * query is, diacritic-insensitive ranking of autocomplete suggestions, and
+ * the conversion of a lookup (GET /api/search) into the same result shape
+ * the model returns, so it goes through the same result view. Shared by the
+ * browser and api/search.js.
+ */
+import { foldDiacritics } from './match.js';
+
+export const MIN_QUERY_LENGTH = 2;
+export const MAX_SUGGESTIONS = 8;
+
+// VD-12345-19, VN3-123-19, QLĐB-123-14, ... (see lib/providers/vn-registry.js)
+const REGISTRATION_PATTERN = /^(VD|VN|VS|GC|QLĐB|QLDB|QLSP)\d?\s*-\s*\d{1,6}\s*-\s*\d{2}$/i;
+// Hyphenated NDCs, bare 10/11-digit NDCs and UPC/GTIN barcodes
+const NDC_PATTERN = /^(\d{4,5}-\d{3,4}(-\d{1,2})?|\d{10,14})$/;
+
+/**
+ * What the user typed: an NDC (or the barcode digits wrapping one), a
+ * Vietnamese registration number, or a brand or generic name.
+ * @param {string} query
+ * @returns {{kind: 'ndc' | 'registration_number' | 'name', value: string}}
+ */
+export function classifyQuery(query) {
+  const value = String(query || '').trim().replace(/\s+/g, ' ');
+  if (NDC_PATTERN.test(value.replace(/\s/g, ''))) return { kind: 'ndc', value: value.replace(/\s/g, '') };
+  if (REGISTRATION_PATTERN.test(value)) return { kind: 'registration_number', value };
+  return { kind: 'name', value };
+}
+
+function fold(text) {
+  return foldDiacritics(text).replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Edits needed to turn `a` into `b`, giving up once past `max`
+function withinDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...current) > max) return false;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+}
+
+/**
+ * Fold every entry's label and extra terms once, for rankSuggestions().
+ * @param {Array<{label: string, terms?: string[]}>} entries
+ * @returns {Array<{entry: object, keys: string[]}>}
+ */
+export function suggestionIndex(entries) {
+  return entries
+    .filter(entry => entry && entry.label)
+    .map(entry => ({ entry, keys: [entry.label, ...(entry.terms || [])].map(fold).filter(Boolean) }));
+}
+
+// 4 exact, 3 prefix, 2 word prefix, 1 substring, 0.5 a typo away from a
+// word's beginning (one edit per four letters typed), 0 no match
+function matchScore(term, key) {
+  if (key === term) return 4;
+  if (key.startsWith(term)) return 3;
+  const words = key.split(' ');
+  if (words.some(word => word.startsWith(term))) return 2;
+  if (key.includes(term)) return 1;
+  if (term.length < 4) return 0;
+  const maxEdits = Math.floor(term.length / 4);
+  return words.some(word => withinDistance(term, word.slice(0, term.length), maxEdits)) ? 0.5 : 0;
+}
+
+/**
+ * Entries matching what has been typed so far, best first, ignoring case,
+ * Vietnamese diacritics and punctuation: "hapacol" finds "Hapacol 250",
+ * "vitamin c" finds "Vitamin C 500mg" and "paracetmol" still finds
+ * "Paracetamol".
+ * @param {string} term
+ * @param {Array<{entry: object, keys: string[]}>} index From suggestionIndex()
+ * @param {{limit?: number}} [options]
+ * @returns {object[]} The matching entries
+ */
+export function rankSuggestions(term, index, { limit = MAX_SUGGESTIONS } = {}) {
+  const folded = fold(term);
+  if (folded.length < MIN_QUERY_LENGTH) return [];
+  return index
+    .map(({ entry, keys }) => ({ entry, score: Math.max(...keys.map(key => matchScore(folded, key))) }))
+    .filter(item => item.score > 0)
+    // Stable sort: equal scores keep the index order
+    .sort((a, b) => (b.score - a.score) || (a.entry.label.length - b.entry.label.length))
+    .slice(0, limit)
+    .map(item => item.entry);
+}
+
+/**
+ * Suggestions from several sources without repeating a name.
+ * @param {...object[]} lists In priority order
+ * @returns {object[]}
+ */
+export function mergeSuggestions(...lists) {
+  const seen = new Set();
+  const merged = [];
+  for (const item of lists.flat()) {
+    const key = fold(item.label);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(item);
+  }
+  return merged.slice(0, MAX_SUGGESTIONS);
+}
+
+function text(value) {
+  if (value === undefined || value === null) return '';
+  return Array.isArray(value) ? value.filter(Boolean).join('\n') : String(value);
+}
+
+function lines(value) {
+  return text(value).split(/\n+/).map(line => line.trim()).filter(Boolean);
+}
+
+function ingredientText(drug) {
+  const list = drug.active_ingredients || [];
+  const names = list
+    .map(item => (item && typeof item === 'object') ? [item.name, item.strength].filter(Boolean).join(' ') : item)
+    .filter(Boolean);
+  return names.length > 0 ? names.join(', ') : drug.generic_name || '';
+}
+
+/**
+ * The result view's shape (RESULT_SCHEMA in lib/schema.js) built from an
+ * official record instead of the model's reading. Label text that is not
+ * in the record stays empty; `validation.missing` lists it and
+ * `validation.lookup` tells the view it was not the model that left it out.
+ * @param {{drug: object}} lookup The GET /api/search response
+ * @returns {object}
+ */
+export function resultFromLookup(lookup) {
+  const drug = lookup.drug || {};
+  const name = drug.brand_name || drug.generic_name || '';
+  const missing = [
+    ['details.usage', drug.indications],
+    ['details.dosage', drug.dosage],
+    ['details.contraindications', drug.contraindications]
+  ].filter(([, value]) => !text(value)).map(([path]) => path);
+  return {
+    identity: {
+      name,
+      active_ingredient: ingredientText(drug),
+      manufacturer: drug.manufacturer || '',
+      brand_name: drug.brand_name || '',
+      generic_name: drug.generic_name || '',
+      dosage_form: drug.dosage_form || '',
+      route: drug.route || '',
+      ndc: drug.ndc || '',
+      registration_number: drug.registration_number || '',
+      barcode: '',
+      confidence: 1
+    },
+    details: {
+      usage: text(drug.indications),
+      dosage: lines(drug.dosage),
+      contraindications: text(drug.contraindications),
+      side_effects: text(drug.adverse_reactions)
+    },
+    warnings: lines(drug.warnings),
+    packaging: { lot: '', manufacture_date: '', expiry_date: '' },
+    search_fallback: { query: name, suggested_links: [] },
+    validation: { repaired: false, missing, lookup: true }
+  };
+}
@@ -0,0 +1,62 @@
+/*
+ * The Gemini API key saved on this device and the capture in progress,
+ * which survives a reload until it has been analysed. Both go through the
+ * lib/db.js helpers, so they are encrypted when a PIN is set (lib/vault.js).
+ *
+ * Session: { capturedImages: [{ dataUri, role, barcode }], decodedBarcode }
+ */
+import { idbGet, idbPut, idbDelete } from './db.js';
+import { normalizeCapturedImages } from './capture.js';
+
+export const KEY_ID = 'geminiKey';
+export const SESSION_ID = 'drug_scanner_session';
+
+/**
+ * @returns {Promise<string | undefined>}
+ */
+export function getKey() {
+  return idbGet('settings', KEY_ID);
+}
+
+export async function saveKey(key) {
+  await idbPut('settings', key, KEY_ID);
+}
+
+export async function deleteKey() {
+  await idbDelete('settings', KEY_ID);
+}
+
+/**
+ * Save the capture in progress. Best effort: a failure is only logged.
+ * @param {{capturedImages: object[], decodedBarcode: object | null}} session
+ */
+export async function writeSession({ capturedImages, decodedBarcode }) {
+  try {
+    await idbPut('session', { capturedImages, decodedBarcode }, SESSION_ID);
+  } catch (e) {
+    console.error('Session save failed', e);
+  }
+}
+
+/**
+ * The saved capture, or null when there is none with images.
+ * @returns {Promise<{capturedImages: object[], decodedBarcode: object | null} | null>}
+ */
+export async function readSession() {
+  try {
+    const data = await idbGet('session', SESSION_ID);
+
+    // Older two-step sessions stored plain data URIs; normalizeCapturedImages() tags them
+    if (data && Array.isArray(data.capturedImages) && data.capturedImages.length > 0) {
+      const capturedImages = normalizeCapturedImages(data.capturedImages);
+      if (capturedImages.length > 0) return { capturedImages, decodedBarcode: data.decodedBarcode || null };
+    }
+  } catch (e) { console.error(e); }
+  return null;
+}
+
+export async function clearSession() {
+  try {
+    await idbDelete('session', SESSION_ID);
+  } catch (e) { }
+}
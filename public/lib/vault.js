@@ -0,0 +1,318 @@
+/*
+ * Optional PIN lock. With a PIN set, the API key and the medical records
+ * (history, profiles, cabinet, reminders, queued and in-progress captures)
+ * are encrypted with AES-GCM under a key derived from the PIN (PBKDF2), and
+ * the app asks for the PIN on start and after a period of inactivity. The
+ * PIN and the derived key are never stored: a forgotten PIN can only be
+ * reset, which erases the protected data.
+ *
+ * Encryption happens in lib/db.js through the cipher installed here. A
+ * sealed record keeps the fields listed in SEALED_STORES readable, so the
+ * store key and the service worker's background work (reminders, expiry
+ * check, queue badge) still function while the app is locked:
+ *
+ *   { id: 3, expiry_date: '2027-12-31', sealed: { iv, data } }
+ *
+ * Cache Storage cannot be encrypted, so the service worker stops caching
+ * lookup responses while a PIN is set and the ones it kept are deleted.
+ */
+import { openDB, setCipher, idbGet, idbPut } from './db.js';
+
+export const PIN_MIN_LENGTH = 4;
+export const AUTO_LOCK_OPTIONS = [1, 5, 15, 30];
+export const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+// Readable fields of each encrypted store (keep in sync with
+// service-worker.js, which reads them)
+export const SEALED_STORES = {
+  session: [],
+  history: ['id'],
+  profiles: ['id'],
+  cabinet: ['id', 'expiry_date'],
+  queue: ['id', 'status', 'attempts', 'createdAt', 'updatedAt'],
+  reminders: ['id', 'startDate', 'endDate', 'times', 'lastNotified', 'createdAt']
+};
+// Encrypted keys of the settings store
+export const SEALED_SETTINGS = ['geminiKey', 'modelSettings'];
+
+const VAULT_KEY = 'vault';
+const PBKDF2_ITERATIONS = 600000;
+const CHECK_VALUE = 'drug-scanner';
+// Lookup responses cached by service-worker.js without a PIN (keep in sync)
+const LOOKUP_CACHE = 'drug-scanner-api';
+
+export class VaultLockedError extends Error {
+  constructor() {
+    super('The app is locked');
+    this.name = 'VaultLockedError';
+  }
+}
+
+// settings 'vault': { salt, iterations, check, autoLockMinutes }, null without a PIN
+let meta = null;
+let vaultKey = null;
+
+async function clearLookupCache() {
+  if (typeof caches !== 'undefined') await caches.delete(LOOKUP_CACHE);
+}
+
+function isSealed(storeName, key) {
+  return storeName === 'settings' ? SEALED_SETTINGS.includes(key) : Object.hasOwn(SEALED_STORES, storeName);
+}
+
+async function deriveKey(pin, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encrypt(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv, data };
+}
+
+async function decrypt(key, { iv, data }) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/**
+ * Encrypt a record for `storeName`, keeping its readable fields.
+ * @param {CryptoKey} key
+ * @param {string} storeName
+ * @param {*} value
+ * @returns {Promise<{sealed: {iv: Uint8Array, data: ArrayBuffer}}>}
+ */
+export async function sealRecord(key, storeName, value) {
+  const record = { sealed: await encrypt(key, value) };
+  if (value && typeof value === 'object') {
+    for (const field of SEALED_STORES[storeName] || []) {
+      if (value[field] !== undefined) record[field] = value[field];
+    }
+  }
+  return record;
+}
+
+/**
+ * Decrypt a sealed record; anything else is returned as it is. The readable
+ * fields win, since the service worker updates them in place.
+ * @param {CryptoKey} key
+ * @param {*} record
+ */
+export async function openRecord(key, record) {
+  if (!record || !record.sealed) return record;
+  const { sealed, ...readable } = record;
+  const value = await decrypt(key, sealed);
+  return value && typeof value === 'object' ? { ...value, ...readable } : value;
+}
+
+const vaultCipher = {
+  async seal(storeName, value, key) {
+    if (!meta || !isSealed(storeName, key)) return value;
+    if (!vaultKey) throw new VaultLockedError();
+    return sealRecord(vaultKey, storeName, value);
+  },
+  async open(storeName, value) {
+    if (!value || !value.sealed) return value;
+    if (!vaultKey) throw new VaultLockedError();
+    return openRecord(vaultKey, value);
+  }
+};
+
+/**
+ * Read the PIN settings and route database access through the cipher.
+ * Call before anything else reads the database.
+ * @returns {Promise<boolean>} Whether a PIN is set
+ */
+export async function loadVault() {
+  meta = (await idbGet('settings', VAULT_KEY)) || null;
+  setCipher(vaultCipher);
+  return meta !== null;
+}
+
+export function isPinSet() {
+  return meta !== null;
+}
+
+export function isLocked() {
+  return meta !== null && vaultKey === null;
+}
+
+export function autoLockMinutes() {
+  return meta ? meta.autoLockMinutes : DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+/**
+ * @param {string} pin
+ * @returns {Promise<boolean>} false for a wrong PIN
+ */
+export async function unlock(pin) {
+  if (!meta) return true;
+  const key = await deriveKey(pin, meta.salt, meta.iterations);
+  try {
+    if (await decrypt(key, meta.check) !== CHECK_VALUE) return false;
+  } catch (err) {
+    return false;
+  }
+  vaultKey = key;
+  return true;
+}
+
+// Forget the key; the page should reload so nothing decrypted stays on screen
+export function lock() {
+  vaultKey = null;
+}
+
+async function createVault(pin, autoLock) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(pin, salt, PBKDF2_ITERATIONS);
+  const next = { salt, iterations: PBKDF2_ITERATIONS, check: await encrypt(key, CHECK_VALUE), autoLockMinutes: autoLock };
+  return { key, meta: next };
+}
+
+function readStore(db, storeName) {
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const keys = store.getAllKeys();
+    const values = store.getAll();
+    values.onsuccess = () => resolve(keys.result.map((key, i) => [storeName, key, values.result[i]]));
+    values.onerror = () => reject(values.error);
+  });
+}
+
+// Every protected record as stored: [storeName, key, value]
+async function readProtected(db) {
+  const records = [];
+  for (const storeName of Object.keys(SEALED_STORES)) {
+    records.push(...await readStore(db, storeName));
+  }
+  const settings = await readStore(db, 'settings');
+  return records.concat(settings.filter(([, key]) => SEALED_SETTINGS.includes(key)));
+}
+
+// A single transaction, so a failure part way leaves every record (and
+// the PIN) as it was
+function writeProtected(db, records, nextMeta, { clear = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([...Object.keys(SEALED_STORES), 'settings'], 'readwrite');
+    const settings = tx.objectStore('settings');
+    if (clear) {
+      for (const storeName of Object.keys(SEALED_STORES)) tx.objectStore(storeName).clear();
+      for (const key of SEALED_SETTINGS) settings.delete(key);
+    }
+    for (const [storeName, key, value] of records) {
+      const store = tx.objectStore(storeName);
+      if (store.keyPath === null) store.put(value, key);
+      else store.put(value);
+    }
+    if (nextMeta) settings.put(nextMeta, VAULT_KEY);
+    else settings.delete(VAULT_KEY);
+    tx.oncomplete = () => resolve();
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Re-encrypt everything from one key to another (null: plaintext)
+async function rewrite(fromKey, toKey, nextMeta) {
+  const db = await openDB();
+  const rewritten = [];
+  for (const [storeName, key, value] of await readProtected(db)) {
+    const plain = fromKey ? await openRecord(fromKey, value) : value;
+    rewritten.push([storeName, key, toKey ? await sealRecord(toKey, storeName, plain) : plain]);
+  }
+  await writeProtected(db, rewritten, nextMeta);
+}
+
+/**
+ * Turn the lock on and encrypt the existing data.
+ * @param {string} pin At least PIN_MIN_LENGTH characters
+ */
+export async function setPin(pin) {
+  const next = await createVault(pin, DEFAULT_AUTO_LOCK_MINUTES);
+  await rewrite(null, next.key, next.meta);
+  meta = next.meta;
+  vaultKey = next.key;
+  await clearLookupCache();
+}
+
+/**
+ * Re-encrypt everything under the new PIN (with a new salt), so nothing
+ * readable with the old PIN is left behind.
+ * @returns {Promise<boolean>} false when `currentPin` is wrong
+ */
+export async function changePin(currentPin, newPin) {
+  if (!await unlock(currentPin)) return false;
+  const next = await createVault(newPin, meta.autoLockMinutes);
+  await rewrite(vaultKey, next.key, next.meta);
+  meta = next.meta;
+  vaultKey = next.key;
+  return true;
+}
+
+/**
+ * Turn the lock off and store the data unencrypted again.
+ * @returns {Promise<boolean>} false when `currentPin` is wrong
+ */
+export async function removePin(currentPin) {
+  if (!await unlock(currentPin)) return false;
+  await rewrite(vaultKey, null, null);
+  meta = null;
+  vaultKey = null;
+  return true;
+}
+
+/**
+ * For a forgotten PIN: erase the protected data, the cached drug lookups
+ * and the PIN itself. Language and dataset settings are kept.
+ */
+export async function resetVault() {
+  await writeProtected(await openDB(), [], null, { clear: true });
+  await clearLookupCache();
+  meta = null;
+  vaultKey = null;
+}
+
+// Only with a PIN set; there is nothing to lock otherwise
+export async function setAutoLockMinutes(minutes) {
+  if (!meta) return;
+  meta = { ...meta, autoLockMinutes: minutes };
+  await idbPut('settings', meta, VAULT_KEY);
+}
+
+/**
+ * Call `onLock` once there has been no input for `minutes`, counting time
+ * the app spent in the background.
+ * @param {number} minutes
+ * @param {() => void} onLock
+ * @returns {() => void} Stops watching
+ */
+export function watchInactivity(minutes, onLock) {
+  const limit = minutes * 60 * 1000;
+  const events = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+  let last = Date.now();
+  const touch = () => { last = Date.now(); };
+  const check = () => {
+    if (Date.now() - last < limit) return;
+    stop();
+    onLock();
+  };
+  const onVisibility = () => {
+    if (!document.hidden) check();
+  };
+  const timer = setInterval(check, 15 * 1000);
+  events.forEach(type => document.addEventListener(type, touch, { capture: true, passive: true }));
+  document.addEventListener('visibilitychange', onVisibility);
+
+  function stop() {
+    clearInterval(timer);
+    events.forEach(type => document.removeEventListener(type, touch, { capture: true }));
+    document.removeEventListener('visibilitychange', onVisibility);
+  }
+  return stop;
+}
@@ -1,12 +1,134 @@
 /*
  * Drug Scanner PWA - Front-end Logic
- * Flow: Instruction -> Scan (Label) -> Review -> Confirm -> Scan (Barcode/Back) -> Review -> Confirm -> API
+ * Flow: Scan -> Review (tag role) -> Confirm -> [Scan more, reorder, remove; up to 6] -> Analyze -> API
  */
+import { decodeBarcodes, pickBestBarcode } from './lib/barcode.js';
+import { isCameraSupported, startViewfinder, assessDataUri } from './lib/camera.js';
+import { describeIssues } from './lib/quality.js';
+import { termsAgree, foldDiacritics } from './lib/match.js';
+import { el, link, render } from './lib/render.js';
+import { createGeminiProvider, GEMINI_MODELS } from './lib/gemini.js';
+import { createOpenAIProvider } from './lib/openai.js';
+import {
+  MODEL_PROVIDERS,
+  analyzeWithModels,
+  modelChain,
+  loadModelSettings,
+  saveModelSettings
+} from './lib/analysis.js';
+import { DEFAULT_MODEL } from './lib/prompt.js';
+import { ModelOutputError } from './lib/schema.js';
+import { getKey, saveKey, deleteKey, writeSession, readSession, clearSession } from './lib/session.js';
+import {
+  PIN_MIN_LENGTH,
+  AUTO_LOCK_OPTIONS,
+  loadVault,
+  isPinSet,
+  autoLockMinutes,
+  unlock,
+  lock,
+  setPin,
+  changePin,
+  removePin,
+  resetVault,
+  setAutoLockMinutes,
+  watchInactivity
+} from './lib/vault.js';
+import {
+  LOCALES,
+  t,
+  richText,
+  getLocale,
+  localized,
+  loadLocale,
+  saveLocale,
+  translatePage,
+  formatDateTime,
+  formatIsoDate
+} from './lib/i18n.js';
+import { cabinetEntryFromResult, listCabinet, addToCabinet, removeFromCabinet } from './lib/cabinet.js';
+import {
+  resolvePackaging,
+  formatPackDate,
+  expiryStatus,
+  expiryStatusLabel,
+  describeExpiry,
+  expiringEntries,
+  claimDailyExpiryNotice,
+  registerExpiryCheck
+} from './lib/expiry.js';
+import { historyEntryFromScan, listHistory, saveToHistory, removeFromHistory } from './lib/history.js';
+import {
+  IMPAIRMENT_LEVELS,
+  describeAge,
+  listProfiles,
+  saveProfile,
+  removeProfile,
+  getActiveProfileId,
+  setActiveProfileId
+} from './lib/profiles.js';
+import { matchDosageLines, computeWeightDoses, profileAlerts } from './lib/dosing.js';
+import {
+  MAX_TIMES_PER_DAY,
+  DOSE_STATUSES,
+  localDate,
+  defaultTimes,
+  scheduleFromResult,
+  scheduleFromPrescriptionItem,
+  occurrences,
+  nextOccurrence,
+  dueReminders,
+  adherence,
+  listSchedules,
+  saveSchedule,
+  removeSchedule,
+  listDoseLog,
+  logDose,
+  doseLogKey,
+  registerReminderSync,
+  buildIcs
+} from './lib/reminders.js';
+import {
+  isOfflineError,
+  enqueueScan,
+  listQueue,
+  updateQueueEntry,
+  removeFromQueue,
+  requestQueueSync,
+  processQueue,
+  setQueueBadge
+} from './lib/queue.js';
+import {
+  IMAGE_ROLES,
+  MAX_IMAGES,
+  suggestRole,
+  normalizeCapturedImages,
+  moveImage,
+  removeImage
+} from './lib/capture.js';
+import {
+  ingredientTerms,
+  findInteractions,
+  checkRegimen,
+  loadInteractionData,
+  updateInteractionData,
+  importInteractionData
+} from './lib/interactions.js';
+import { PILL_SHAPES, PILL_COLORS, searchPills, loadPillData, importPillData } from './lib/pills.js';
+import { MIN_QUERY_LENGTH, suggestionIndex, rankSuggestions, mergeSuggestions, resultFromLookup } from './lib/search.js';
+import { PRESCRIPTION_ITEM_FIELDS, identifyRequestForItem } from './lib/prescription.js';
+import { isPdf, pdfToImages } from './lib/pdf.js';
+import { buildExport, exportData, parseExport, importData } from './lib/backup.js';
+import { resultCardFile, canShareFile } from './lib/card.js';
 
 // DOM Elements
 const scanButton = document.getElementById('scanButton');
 const instructionsDiv = document.getElementById('instructions');
 const fileInput = document.getElementById('fileInput');
+const searchForm = document.getElementById('searchForm');
+const searchInput = document.getElementById('searchInput');
+const searchSuggestions = document.getElementById('searchSuggestions');
+const prescriptionButton = document.getElementById('prescriptionButton');
 const resultsDiv = document.getElementById('results');
 const keyModal = document.getElementById('keyModal');
 const settingsModal = document.getElementById('settingsModal');
@@ -18,67 +140,287 @@ const deleteKeyButton = document.getElementById('deleteKeyButton');
 const closeSettingsButton = document.getElementById('closeSettingsButton');
 const closeSettingsModalButton = document.getElementById('closeSettingsModalButton');
 const keyStatus = document.getElementById('keyStatus');
+const languageSelect = document.getElementById('languageSelect');
+const modelForm = document.getElementById('modelForm');
+const endpointFields = document.getElementById('endpointFields');
+const modelSuggestions = document.getElementById('modelSuggestions');
+const modelStatus = document.getElementById('modelStatus');
+const exportDataButton = document.getElementById('exportDataButton');
+const importDataButton = document.getElementById('importDataButton');
+const backupFileInput = document.getElementById('backupFileInput');
+// PIN lock UI
+const lockModal = document.getElementById('lockModal');
+const lockForm = document.getElementById('lockForm');
+const lockError = document.getElementById('lockError');
+const forgotPinButton = document.getElementById('forgotPinButton');
+const securityStatus = document.getElementById('securityStatus');
+const setPinButton = document.getElementById('setPinButton');
+const changePinButton = document.getElementById('changePinButton');
+const removePinButton = document.getElementById('removePinButton');
+const lockNowButton = document.getElementById('lockNowButton');
+const autoLockField = document.getElementById('autoLockField');
+const autoLockSelect = document.getElementById('autoLockSelect');
+const pinModal = document.getElementById('pinModal');
+const pinModalTitle = document.getElementById('pinModalTitle');
+const pinForm = document.getElementById('pinForm');
+const currentPinField = document.getElementById('currentPinField');
+const newPinFields = document.getElementById('newPinFields');
+const pinError = document.getElementById('pinError');
+const cancelPinButton = document.getElementById('cancelPinButton');
 // Review UI
 const reviewContainer = document.getElementById('reviewContainer');
 const reviewImage = document.getElementById('reviewImage');
+const roleSelect = document.getElementById('roleSelect');
 const retakeButton = document.getElementById('retakeButton');
 const confirmButton = document.getElementById('confirmButton');
 const loadingOverlay = document.getElementById('loadingOverlay');
 const loadingText = document.getElementById('loadingText');
-
-// Session Key
-const SESSION_ID = 'drug_scanner_session';
+// Capture tray (images taken so far)
+const captureTray = document.getElementById('captureTray');
+const capturedList = document.getElementById('capturedList');
+const analyzeButton = document.getElementById('analyzeButton');
+const resetCaptureButton = document.getElementById('resetCaptureButton');
+// Camera UI
+const cameraView = document.getElementById('cameraView');
+const cameraVideo = document.getElementById('cameraVideo');
+const cameraGuide = document.getElementById('cameraGuide');
+const cameraHint = document.getElementById('cameraHint');
+const cameraStatus = document.getElementById('cameraStatus');
+const cameraShutterButton = document.getElementById('cameraShutterButton');
+const cameraFileButton = document.getElementById('cameraFileButton');
+const cameraCancelButton = document.getElementById('cameraCancelButton');
+// Cabinet UI
+const cabinetModal = document.getElementById('cabinetModal');
+const cabinetButton = document.getElementById('cabinetButton');
+const cabinetBadge = document.getElementById('cabinetBadge');
+const cabinetList = document.getElementById('cabinetList');
+const interactionDataStatus = document.getElementById('interactionDataStatus');
+const updateInteractionsButton = document.getElementById('updateInteractionsButton');
+const importInteractionsButton = document.getElementById('importInteractionsButton');
+const interactionFileInput = document.getElementById('interactionFileInput');
+const closeCabinetButton = document.getElementById('closeCabinetButton');
+// History UI
+const historyModal = document.getElementById('historyModal');
+const historyButton = document.getElementById('historyButton');
+const historyList = document.getElementById('historyList');
+const historySearchInput = document.getElementById('historySearchInput');
+const closeHistoryButton = document.getElementById('closeHistoryButton');
+// Pill identification UI
+const pillModal = document.getElementById('pillModal');
+const pillButton = document.getElementById('pillButton');
+const pillPhotos = document.getElementById('pillPhotos');
+const pillPhotoButton = document.getElementById('pillPhotoButton');
+const pillReadButton = document.getElementById('pillReadButton');
+const pillReadStatus = document.getElementById('pillReadStatus');
+const pillFileInput = document.getElementById('pillFileInput');
+const pillForm = document.getElementById('pillForm');
+const pillColors = document.getElementById('pillColors');
+const pillResults = document.getElementById('pillResults');
+const pillDataStatus = document.getElementById('pillDataStatus');
+const importPillDataButton = document.getElementById('importPillDataButton');
+const pillDataInput = document.getElementById('pillDataInput');
+const closePillButton = document.getElementById('closePillButton');
+// Prescription UI
+const prescriptionModal = document.getElementById('prescriptionModal');
+const prescriptionPageList = document.getElementById('prescriptionPageList');
+const prescriptionPhotoButton = document.getElementById('prescriptionPhotoButton');
+const prescriptionUploadButton = document.getElementById('prescriptionUploadButton');
+const prescriptionReadButton = document.getElementById('prescriptionReadButton');
+const prescriptionPhotoInput = document.getElementById('prescriptionPhotoInput');
+const prescriptionFileInput = document.getElementById('prescriptionFileInput');
+const closePrescriptionButton = document.getElementById('closePrescriptionButton');
+// Offline queue UI
+const queueModal = document.getElementById('queueModal');
+const queueButton = document.getElementById('queueButton');
+const queueBadge = document.getElementById('queueBadge');
+const queueList = document.getElementById('queueList');
+const closeQueueButton = document.getElementById('closeQueueButton');
+// Profiles UI
+const profileList = document.getElementById('profileList');
+const addProfileButton = document.getElementById('addProfileButton');
+const profileModal = document.getElementById('profileModal');
+const profileModalTitle = document.getElementById('profileModalTitle');
+const profileForm = document.getElementById('profileForm');
+const cancelProfileButton = document.getElementById('cancelProfileButton');
+// Reminders UI
+const remindersModal = document.getElementById('remindersModal');
+const remindersButton = document.getElementById('remindersButton');
+const reminderList = document.getElementById('reminderList');
+const reminderPermissionNote = document.getElementById('reminderPermissionNote');
+const exportAllRemindersButton = document.getElementById('exportAllRemindersButton');
+const closeRemindersButton = document.getElementById('closeRemindersButton');
+const reminderFormModal = document.getElementById('reminderFormModal');
+const reminderFormTitle = document.getElementById('reminderFormTitle');
+const reminderForm = document.getElementById('reminderForm');
+const reminderTimes = document.getElementById('reminderTimes');
+const cancelReminderButton = document.getElementById('cancelReminderButton');
+// Update prompt
+const updateBanner = document.getElementById('updateBanner');
+const updateReloadButton = document.getElementById('updateReloadButton');
 
 // ========== STATE ==========
-let imageCounter = 0; // 0: Front Label, 1: Back/Barcode
-let capturedImages = [];
+let capturedImages = []; // [{ dataUri, role, barcode }], see lib/capture.js
 let currentDraft = null;
 let isProcessingFile = false;
-
-// Instructions for each step
-const INSTRUCTIONS = [
-  'Bước 1/2: Chụp ảnh <strong>mặt trước (tên thuốc)</strong>',
-  'Bước 2/2: Chụp ảnh <strong>mặt sau hoặc mã vạch</strong>'
-];
-
-// Trusted Search Sites
-const TRUSTED_SITES = [
-  'nhathuoclongchau.com.vn',
-  'vinmec.com',
-  'pharmacity.vn',
-  'tamanhhospital.vn',
-  'nhathuocankhang.com',
-  'upharma.vn'
-];
+let decodedBarcode = null; // Best barcode decoded on-device from confirmed images
+let scanCompleted = false; // A result is on screen
+let serverAnalysis = { enabled: false }; // GET /api/analyze: can the server run the model?
+let viewfinder = null; // Running camera from startViewfinder()
+let pillImages = []; // Data URIs of the loose pill being identified (both sides)
+let prescriptionPages = []; // Data URIs of the prescription pages to read
+
+// Viewfinder framing guide for the role the next photo is likely to have;
+// the hint is the camera.hint.<role> message
+const CAMERA_GUIDES = {
+  front: 'guide-front',
+  back: 'guide-back',
+  barcode: 'guide-back',
+  leaflet: 'guide-front',
+  blister: 'guide-back'
+};
 
 // ========== SHOW CURRENT STEP ==========
+// No images yet: prompt to scan. Otherwise show the capture tray, where
+// images can be tagged, reordered and removed before analysis.
 function showCurrentStep() {
-  console.log('[UI] Showing step, counter =', imageCounter);
+  console.log('[UI] Showing step, images =', capturedImages.length);
 
   // Reset UI states
   reviewContainer.classList.add('hidden');
   loadingOverlay.classList.add('hidden');
   resultsDiv.classList.add('hidden');
+  // Typing a name or reading a prescription is the alternative to starting a capture
+  searchForm.classList.toggle('hidden', capturedImages.length > 0);
+  prescriptionButton.classList.toggle('hidden', capturedImages.length > 0);
 
-  if (imageCounter >= 2) return;
+  if (scanCompleted) return;
 
-  // Show instruction
-  instructionsDiv.innerHTML = `<p>${INSTRUCTIONS[imageCounter]}</p>`;
-  scanButton.textContent = imageCounter === 0 ? 'SCAN' : 'TIẾP TỤC';
-  scanButton.style.display = 'flex';
   scanButton.disabled = false;
+  if (capturedImages.length === 0) {
+    captureTray.classList.add('hidden');
+    render(instructionsDiv, el('p', null, richText('instructions.start', { max: MAX_IMAGES })));
+    scanButton.textContent = t('scan.start');
+    scanButton.style.display = 'flex';
+    return;
+  }
+
+  render(instructionsDiv, el('p', null, richText('instructions.captured', { count: capturedImages.length, max: MAX_IMAGES })));
+  scanButton.textContent = t('scan.more');
+  scanButton.style.display = capturedImages.length < MAX_IMAGES ? 'flex' : 'none';
+  renderCaptureTray();
+  captureTray.classList.remove('hidden');
+}
+
+function renderCaptureTray() {
+  const last = capturedImages.length - 1;
+  render(capturedList, capturedImages.map((image, index) => el('div', { class: 'captured-item' },
+    el('img', { src: image.dataUri, alt: t('capture.imageAlt', { n: index + 1 }) }),
+    el('select', {
+      'aria-label': t('capture.roleLabel', { n: index + 1 }),
+      onchange: e => updateCapturedImages(capturedImages.map((item, i) => (i === index ? { ...item, role: e.target.value } : item)))
+    }, roleOptions(image.role)),
+    el('div', { class: 'captured-actions' },
+      el('button', { class: 'outline-btn', title: t('capture.moveUp'), disabled: index === 0, onclick: () => updateCapturedImages(moveImage(capturedImages, index, index - 1)) }, '↑'),
+      el('button', { class: 'outline-btn', title: t('capture.moveDown'), disabled: index === last, onclick: () => updateCapturedImages(moveImage(capturedImages, index, index + 1)) }, '↓'),
+      el('button', { class: 'outline-btn', title: t('capture.remove'), onclick: () => updateCapturedImages(removeImage(capturedImages, index)) }, '✕')
+    )
+  )));
+}
+
+function roleOptions(selected) {
+  return IMAGE_ROLES.map(role =>
+    el('option', { value: role, selected: role === selected }, t(`role.${role}`)));
+}
+
+async function updateCapturedImages(images) {
+  capturedImages = images;
+  decodedBarcode = pickBestBarcode(capturedImages.map(image => image.barcode).filter(Boolean));
+  await saveSession();
+  showCurrentStep();
 }
 
 // ========== SHOW REVIEW ==========
 function showReview(dataUri) {
   console.log('[UI] Showing review');
-  instructionsDiv.innerHTML = '';
+  render(instructionsDiv);
   scanButton.style.display = 'none';
+  searchForm.classList.add('hidden');
+  prescriptionButton.classList.add('hidden');
+  captureTray.classList.add('hidden');
 
   reviewImage.src = dataUri;
+  render(roleSelect, roleOptions(suggestRole(capturedImages)));
   reviewContainer.classList.remove('hidden');
 }
 
+// ========== CAMERA VIEWFINDER ==========
+// Auto-captures once the frame is sharp, well exposed and steady; the file
+// picker stays available as a fallback.
+async function openCapture() {
+  if (!isCameraSupported()) {
+    openFilePicker();
+    return;
+  }
+
+  const suggested = suggestRole(capturedImages);
+  const role = Object.hasOwn(CAMERA_GUIDES, suggested) ? suggested : 'front';
+  render(instructionsDiv);
+  scanButton.style.display = 'none';
+  searchForm.classList.add('hidden');
+  prescriptionButton.classList.add('hidden');
+  captureTray.classList.add('hidden');
+  cameraGuide.className = `camera-guide ${CAMERA_GUIDES[role]}`;
+  cameraHint.textContent = t(`camera.hint.${role}`);
+  cameraStatus.textContent = t('camera.opening');
+  cameraStatus.classList.remove('warn');
+  cameraView.classList.remove('hidden');
+
+  try {
+    viewfinder = await startViewfinder(cameraVideo, {
+      onFrame: updateCameraStatus,
+      onAutoCapture: dataUri => useCapturedImage(dataUri)
+    });
+  } catch (err) {
+    console.warn('[Camera] Unavailable, using file picker', err);
+    closeViewfinder();
+    showCurrentStep();
+    openFilePicker();
+  }
+}
+
+function closeViewfinder() {
+  if (viewfinder) viewfinder.stop();
+  viewfinder = null;
+  cameraView.classList.add('hidden');
+}
+
+function updateCameraStatus(report) {
+  cameraGuide.classList.toggle('ready', report.ok);
+  cameraStatus.classList.toggle('warn', !report.ok);
+  if (!report.ok) {
+    cameraStatus.textContent = `⚠️ ${describeIssues(report.issues)}`;
+  } else {
+    cameraStatus.textContent = report.stable ? t('camera.capturing') : t('camera.steady');
+  }
+}
+
+// Warn about blurry, dark or glaring images before they reach the review screen
+function confirmImageQuality(report) {
+  if (!report || report.ok) return true;
+  return confirm(t('quality.confirm', { issues: describeIssues(report.issues) }));
+}
+
+function useCapturedImage(dataUri) {
+  closeViewfinder();
+  currentDraft = dataUri;
+  showReview(currentDraft);
+}
+
+function openFilePicker() {
+  fileInput.value = '';
+  setTimeout(() => fileInput.click(), 50);
+}
+
 // ========== COMPRESS IMAGE ==========
 function compressImage(file) {
   return new Promise((resolve) => {
@@ -107,20 +449,40 @@ function compressImage(file) {
 scanButton.addEventListener('click', async (e) => {
   e.preventDefault();
 
-  if (imageCounter >= 2) {
+  if (scanCompleted) {
     // Reset flow
-    await clearSession();
-    imageCounter = 0;
-    capturedImages = [];
-    resultsDiv.innerHTML = '';
-    showCurrentStep();
+    await resetCapture();
     return;
   }
 
-  if (isProcessingFile) return;
+  if (isProcessingFile || capturedImages.length >= MAX_IMAGES) return;
 
-  fileInput.value = '';
-  setTimeout(() => fileInput.click(), 50);
+  openCapture();
+});
+
+cameraShutterButton.addEventListener('click', () => {
+  if (!viewfinder) return;
+  const { dataUri, report } = viewfinder.capture();
+  if (confirmImageQuality(report)) useCapturedImage(dataUri);
+});
+
+cameraFileButton.addEventListener('click', () => {
+  closeViewfinder();
+  showCurrentStep();
+  openFilePicker();
+});
+
+cameraCancelButton.addEventListener('click', () => {
+  closeViewfinder();
+  showCurrentStep();
+});
+
+// Release the camera when the app goes to the background
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden && viewfinder) {
+    closeViewfinder();
+    showCurrentStep();
+  }
 });
 
 fileInput.addEventListener('change', async (e) => {
@@ -130,16 +492,21 @@ fileInput.addEventListener('change', async (e) => {
 
   isProcessingFile = true;
   loadingOverlay.classList.remove('hidden'); // Short loading feedback
-  loadingText.textContent = 'Đang xử lý ảnh...';
+  loadingText.textContent = t('loading.image');
 
   try {
     const dataUri = await compressImage(file);
-    currentDraft = dataUri;
+    const report = await assessDataUri(dataUri).catch(() => null);
     loadingOverlay.classList.add('hidden');
+    if (!confirmImageQuality(report)) {
+      showCurrentStep();
+      return;
+    }
+    currentDraft = dataUri;
     showReview(currentDraft);
   } catch (err) {
     loadingOverlay.classList.add('hidden');
-    alert('Lỗi xử lý ảnh: ' + err.message);
+    alert(t('error.image', { message: err.message }));
     showCurrentStep();
   } finally {
     isProcessingFile = false;
@@ -150,328 +517,2195 @@ fileInput.addEventListener('change', async (e) => {
 retakeButton.addEventListener('click', () => {
   currentDraft = null;
   showCurrentStep();
+  openCapture();
 });
 
 confirmButton.addEventListener('click', async () => {
   if (!currentDraft) return;
 
-  capturedImages.push(currentDraft);
-  imageCounter++;
-  await saveSession(); // Save progress
+  const draft = currentDraft;
+  const role = roleSelect.value;
   currentDraft = null;
+  const barcode = await readBarcode(draft);
+  await updateCapturedImages([...capturedImages, { dataUri: draft, role, barcode }]); // Saves progress
+});
 
-  if (imageCounter >= 2) {
-    processImages();
-  } else {
-    showCurrentStep();
-  }
+// ========== CAPTURE TRAY ACTIONS ==========
+analyzeButton.addEventListener('click', () => {
+  if (capturedImages.length === 0) return;
+  processImages();
 });
 
-// ========== API PROCESSING ==========
-async function processImages() {
-  // Hide UI
-  instructionsDiv.innerHTML = '';
-  scanButton.style.display = 'none';
-  reviewContainer.classList.add('hidden');
+resetCaptureButton.addEventListener('click', async () => {
+  if (!confirm(t('capture.resetConfirm'))) return;
+  await resetCapture();
+});
+
+async function resetCapture() {
+  await clearSession();
+  scanCompleted = false;
+  capturedImages = [];
+  decodedBarcode = null;
+  render(resultsDiv);
+  showCurrentStep();
+}
+
+// ========== BARCODE DECODING ==========
+// Resolves to the best barcode in the image, or null
+async function readBarcode(dataUri) {
   loadingOverlay.classList.remove('hidden');
-  loadingText.textContent = 'Đang phân tích dữ liệu...';
+  loadingText.textContent = t('loading.barcode');
+  try {
+    const found = await decodeBarcodes(dataUri);
+    const best = pickBestBarcode(found);
+    if (best) console.log('[Barcode] Decoded', best);
+    return best;
+  } catch (err) {
+    // Decoding is best effort; the model still sees the image
+    console.warn('[Barcode] Decoding failed', err);
+    return null;
+  } finally {
+    loadingOverlay.classList.add('hidden');
+  }
+}
 
+// ========== ANALYSIS BACKENDS ==========
+// An OpenAI-compatible endpoint chosen in settings, or a Gemini key saved on
+// this device (bring-your-own-key), is used straight from the browser with
+// the models chosen in settings; otherwise the server proxy runs the model
+// with its own key and configuration.
+async function fetchServerAnalysisConfig() {
   try {
-    const apiKey = await getKey();
-    if (!apiKey) {
-      throw new Error('Chưa cấu hình API Key. Vui lòng vào Cài đặt.');
-    }
+    const resp = await fetch('/api/analyze');
+    if (resp.ok) return await resp.json();
+  } catch (e) {
+    console.warn('[Analyze] Server config unavailable', e);
+  }
+  return { enabled: false };
+}
 
-    const { GoogleGenerativeAI } = await import("@google/generative-ai");
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
+// `captured` are tagged images ({ dataUri, role }). Resolves to { result, model }.
+// The model answers in the current UI language.
+async function analyzeImages(captured, barcode) {
+  const images = captured.map(image => image.dataUri);
+  const roles = captured.map(image => image.role);
+  return runModel({ images, roles, barcode, locale: getLocale() });
+}
 
-    // Prepare inputs
-    const imageParts = capturedImages.map(uri => {
-      const base64Data = uri.split(',')[1];
-      const mimeType = uri.split(';')[0].split(':')[1];
-      return { inlineData: { data: base64Data, mimeType } };
-    });
+// `request` as for analyzeWithModels() without `models`, which come from
+// settings on this device and from the server's configuration otherwise
+async function runModel(request) {
+  const settings = await loadModelSettings();
+  const provider = await browserProvider(settings);
+  if (provider) {
+    return analyzeWithModels(provider, { models: modelChain(settings), ...request });
+  }
+  if (serverAnalysis.enabled) {
+    return analyzeOnServer(request);
+  }
+  throw new Error(t('error.noKey'));
+}
 
-    const prompt = `
-      Bạn là dược sĩ AI chuyên nghiệp. Hãy phân tích hình ảnh thuốc (mặt trước và mặt sau/mã vạch) và cung cấp thông tin chi tiết.
-
-      Yêu cầu trả về JSON thuần túy (không có markdown code block) với cấu trúc sau:
-      {
-        "identity": {
-          "name": "Tên thuốc",
-          "active_ingredient": "Hoạt chất chính",
-          "manufacturer": "Nhà sản xuất",
-          "confidence": 0.95
-        },
-        "details": {
-          "usage": "Chỉ định (Công dụng)",
-          "dosage": [
-            "Sơ sinh: ...",
-            "Trẻ em 1-5 tuổi: ...",
-            "Người lớn: ..."
-          ],
-          "contraindications": "Chống chỉ định (quan trọng)",
-          "side_effects": "Tác dụng phụ thường gặp"
-        },
-        "warnings": ["Lưu ý quan trọng 1", "Lưu ý quan trọng 2"],
-        "search_fallback": {
-            "query": "Tên thuốc chính xác để tìm kiếm",
-            "suggested_links": [
-                {"title": "Long Châu", "url": "link tìm kiếm tại nhathuoclongchau.com.vn"},
-                {"title": "Vinmec", "url": "link tìm kiếm tại vinmec.com"},
-                {"title": "Pharmacity", "url": "link tìm kiếm tại pharmacity.vn"}
-            ]
-        }
-      }
+// null when this device has neither an endpoint nor a key of its own
+async function browserProvider(settings) {
+  const temperature = settings.temperature ?? undefined;
+  if (usesEndpoint(settings)) {
+    return createOpenAIProvider({ baseUrl: settings.baseUrl, apiKey: settings.apiKey, temperature });
+  }
+  const apiKey = await getKey();
+  if (!apiKey) return null;
+  const { GoogleGenerativeAI } = await import("@google/generative-ai");
+  return createGeminiProvider(GoogleGenerativeAI, { apiKey, temperature });
+}
+
+function usesEndpoint(settings) {
+  return settings.provider === 'openai' && Boolean(settings.baseUrl);
+}
+
+async function analyzeOnServer(body) {
+  const resp = await fetch('/api/analyze', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const json = await resp.json().catch(() => ({}));
+  if (resp.status === 429) {
+    throw new Error(t('error.rateLimited', { seconds: json.retryAfter || 60 }));
+  }
+  if (resp.status === 413) {
+    throw new Error(t('error.tooLarge'));
+  }
+  if (json.missing && json.missing.length > 0) {
+    throw new Error(t('error.missingFields', { fields: json.missing.join(', ') }));
+  }
+  if (!resp.ok || json.status !== 'OK') {
+    throw new Error(t('error.server', { reason: json.error || resp.status }));
+  }
+  return { result: json.result, model: json.model };
+}
 
-      LƯU Ý QUAN TRỌNG VỀ LIỀU DÙNG:
-      - Bắt buộc phân chia liều dùng theo từng nhóm tuổi/đối tượng cụ thể.
-      - Sắp xếp thứ tự từ nhỏ đến lớn: Sơ sinh -> Trẻ em (chia theo mốc tuổi) -> Người lớn -> Người già/Suy gan thận (nếu có).
-      - Nếu thuốc không dùng cho đối tượng nào (ví dụ trẻ em), hãy ghi rõ "Chống chỉ định".
+// Validation errors from lib/schema.js carry English developer messages
+function describeError(err) {
+  if (!(err instanceof ModelOutputError)) return err.message;
+  const fields = err.errors.map(e => e.path);
+  return fields.length > 0
+    ? t('error.missingFields', { fields: fields.join(', ') })
+    : t('error.invalidReply');
+}
 
-      Nếu không nhận diện được rõ ràng, hãy để confidence thấp và cung cấp "search_fallback" mạnh mẽ để người dùng tự tra cứu trên các trang uy tín sau: ${TRUSTED_SITES.join(', ')}.
-    `;
+async function refreshKeyStatus() {
+  const [key, settings] = await Promise.all([getKey(), loadModelSettings()]);
+  if (usesEndpoint(settings)) keyStatus.textContent = t('key.endpoint', { url: settings.baseUrl });
+  else if (key) keyStatus.textContent = t('key.own');
+  else if (serverAnalysis.enabled) keyStatus.textContent = t('key.server');
+  else keyStatus.textContent = t('key.none');
+}
 
-    const result = await model.generateContent([prompt, ...imageParts]);
-    const response = await result.response;
-    const text = response.text().replace(/^```json\n?/, '').replace(/\n?```$/, '').trim();
+// ========== API PROCESSING ==========
+// `historyId` is set when re-running a scan from history, so the stored
+// entry is updated instead of a new one being added.
+async function processImages({ historyId } = {}) {
+  // Hide UI
+  render(instructionsDiv);
+  scanButton.style.display = 'none';
+  reviewContainer.classList.add('hidden');
+  captureTray.classList.add('hidden');
+  loadingOverlay.classList.remove('hidden');
+  loadingText.textContent = t('loading.analyze');
 
-    const data = JSON.parse(text);
+  try {
+    const { result: data, model } = await analyzeImages(capturedImages, decodedBarcode ? decodedBarcode.digits : undefined);
+    if (decodedBarcode) data.barcode = decodedBarcode;
     displayResult(data);
+    verifyIdentity(data);
+    checkCabinetInteractions(data);
+    applyProfileAdvice(data);
+    // Saved to history, so a reload should not resume this capture
+    recordScan({ images: capturedImages, result: data, model, barcode: decodedBarcode, historyId }).then(() => clearSession());
 
   } catch (err) {
     console.error(err);
     resultsDiv.classList.remove('hidden');
-    resultsDiv.innerHTML = `<div class="error-msg">
-      <h3>⚠️ Có lỗi xảy ra</h3>
-      <p>${err.message}</p>
-      <button class="outline-btn" onclick="location.reload()">Thử lại</button>
-    </div>`;
+    if (isOfflineError(err)) {
+      await queueCapture(historyId);
+      return;
+    }
+    render(resultsDiv, el('div', { class: 'error-msg' },
+      el('h3', null, t('error.title')),
+      el('p', null, describeError(err)),
+      el('button', { class: 'outline-btn', onclick: () => location.reload() }, t('common.retry'))
+    ));
   } finally {
     loadingOverlay.classList.add('hidden');
-    // Reset state for new scan
-    imageCounter = 2; // Keep at 2 to show "Scan New" logic if we wanted, but logic below handles it
-    scanButton.textContent = 'QUÉT THUỐC KHÁC';
-    scanButton.style.display = 'flex';
-    scanButton.onclick = async () => {
-      await clearSession();
-      window.location.reload();
-    };
-    instructionsDiv.innerHTML = '<p>Đã hoàn thành.</p>';
-    // Auto-scroll to show the "Scan New" button at top and results below
-    setTimeout(() => {
-      scanButton.scrollIntoView({ behavior: 'smooth', block: 'start' });
-    }, 300);
+    showScanComplete();
   }
 }
 
+// Result is on screen: offer a fresh scan
+function showScanComplete() {
+  // Reset state for new scan
+  scanCompleted = true;
+  scanButton.textContent = t('scan.again');
+  scanButton.style.display = 'flex';
+  scanButton.onclick = async () => {
+    await clearSession();
+    window.location.reload();
+  };
+  render(instructionsDiv, el('p', null, t('instructions.done')));
+  // Auto-scroll to show the "Scan New" button at top and results below
+  setTimeout(() => {
+    scanButton.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, 300);
+}
+
 // ========== DISPLAY RESULT ==========
+// Everything below is built with el()/render() from lib/render.js: model and
+// lookup output is only ever inserted as text, and links go through an allow-list.
+const LIST_STYLE = 'margin: 5px 0 0 20px; color: var(--text-secondary); list-style-type: disc;';
+
+function field(label, value) {
+  return el('p', null, el('strong', null, `${label}:`), ' ', value || '—');
+}
+
 function displayResult(data) {
   resultsDiv.classList.remove('hidden');
 
   if (!data || !data.identity || data.identity.confidence < 0.4) {
-    resultsDiv.innerHTML = `
-      <h3>⚠️ Không nhận diện được thuốc</h3>
-      <p>Hình ảnh có thể bị mờ hoặc không rõ tên thuốc.</p>
-      ${data?.search_fallback ? buildFallbackLinks(data.search_fallback) : ''}
-    `;
+    render(resultsDiv,
+      el('h3', null, t('result.unrecognized')),
+      el('p', null, t('result.unrecognizedHint')),
+      data?.search_fallback ? buildFallbackLinks(data.search_fallback) : null
+    );
     return;
   }
 
   const { identity, details, warnings, search_fallback } = data;
-
-  let html = `
-    <h3>💊 ${identity.name}</h3>
-    <p><strong>Hoạt chất:</strong> ${identity.active_ingredient}</p>
-    <p><strong>NSX:</strong> ${identity.manufacturer}</p>
-    <hr style="border: 0; border-top: 1px solid var(--border); margin: 10px 0;">
-    
-    <p><strong>Chỉ định:</strong> ${details.usage}</p>
-    <div style="margin: 10px 0;">
-        <strong>Liều dùng:</strong>
-        ${Array.isArray(details.dosage)
-      ? `<ul style="margin: 5px 0 0 20px; color: var(--text-secondary); list-style-type: disc;">${details.dosage.map(d => `<li>${d}</li>`).join('')}</ul>`
-      : `<p style="display:inline;">${details.dosage}</p>`
+  const pack = resolvePackaging(data.packaging, data.barcode);
+  const expiry = expiryStatus(pack.expiry_date);
+
+  const addButton = el('button', { id: 'addToCabinetButton', class: 'outline-btn cabinet-add-btn' }, t('result.addToCabinet'));
+  addButton.onclick = async () => {
+    addButton.disabled = true;
+    try {
+      await addToCabinet(cabinetEntryFromResult(data));
+      addButton.textContent = t('result.addedToCabinet');
+      checkCabinetExpiry();
+    } catch (err) {
+      console.error('[Cabinet] Save failed', err);
+      addButton.disabled = false;
+      alert(t('result.cabinetSaveFailed', { message: err.message }));
     }
-    </div>
-    <p><strong>Chống chỉ định:</strong> ${details.contraindications}</p>
-  `;
-
-  if (warnings && warnings.length > 0) {
-    html += `<div style="background: rgba(239, 68, 68, 0.1); padding: 10px; border-radius: 8px; margin-top: 10px;">
-      <strong style="color: #fca5a5;">⚠️ Lưu ý quan trọng:</strong>
-      <ul style="margin: 5px 0 0 20px; color: #fecaca;">
-        ${warnings.map(w => `<li>${w}</li>`).join('')}
-      </ul>
-    </div>`;
-  }
-
-  html += buildFallbackLinks(search_fallback);
+  };
 
-  resultsDiv.innerHTML = html;
+  render(resultsDiv,
+    el('h3', null, `💊 ${identity.name}`),
+    buildMissingFieldsNote(data.validation),
+    expiry.status === 'expired' || expiry.status === 'soon'
+      ? el('div', { class: `profile-alert profile-alert-${expiry.status === 'expired' ? 'danger' : 'warning'}`, role: 'alert' },
+        expiry.status === 'expired' ? t('result.expired') : t('result.expiringSoon'),
+        ` (${formatPackDate(pack.expiry_date, pack.expiry_precision)}, ${describeExpiry(expiry).toLowerCase()}).`)
+      : null,
+    el('div', { id: 'profileAdvice', class: 'profile-advice' }),
+    field(t('result.activeIngredient'), identity.active_ingredient),
+    field(t('result.manufacturer'), identity.manufacturer),
+    el('hr', { style: 'border: 0; border-top: 1px solid var(--border); margin: 10px 0;' }),
+
+    field(t('result.usage'), details.usage),
+    el('div', { style: 'margin: 10px 0;' },
+      el('strong', null, `${t('result.dosage')}:`),
+      Array.isArray(details.dosage)
+        ? el('ul', { id: 'dosageList', style: LIST_STYLE }, details.dosage.map(d => el('li', null, d)))
+        : el('p', { style: 'display:inline;' }, ' ', details.dosage)
+    ),
+    field(t('result.contraindications'), details.contraindications),
+
+    warnings && warnings.length > 0
+      ? el('div', { style: 'background: rgba(239, 68, 68, 0.1); padding: 10px; border-radius: 8px; margin-top: 10px;' },
+        el('strong', { style: 'color: #fca5a5;' }, t('result.warnings')),
+        el('ul', { style: 'margin: 5px 0 0 20px; color: #fecaca;' }, warnings.map(w => el('li', null, w)))
+      )
+      : null,
+
+    buildPackagingInfo(pack, expiry),
+    data.barcode ? buildBarcodeInfo(data.barcode) : null,
+
+    el('div', { id: 'interactions', class: 'interactions' }),
+    addButton,
+    el('button', {
+      class: 'outline-btn cabinet-add-btn',
+      onclick: () => openReminderForm(scheduleFromResult(data))
+    }, t('result.createReminder')),
+    buildExportActions(data),
+
+    el('div', { id: 'verification', class: 'verification' },
+      el('p', { class: 'verification-status' }, t('result.verifying'))
+    ),
+
+    buildFallbackLinks(search_fallback)
+  );
 }
 
-function buildFallbackLinks(fallback) {
-  if (!fallback) return '';
+// Messages for required fields the model may leave out (see lib/schema.js)
+const FIELD_LABELS = {
+  'details': 'field.details',
+  'details.usage': 'result.usage',
+  'details.dosage': 'result.dosage',
+  'details.contraindications': 'result.contraindications',
+  'warnings': 'field.warnings',
+  'search_fallback': 'field.searchFallback'
+};
+
+function buildMissingFieldsNote(validation) {
+  if (!validation || !validation.missing || validation.missing.length === 0) return null;
+  const labels = [...new Set(validation.missing.map(path => (FIELD_LABELS[path] ? t(FIELD_LABELS[path]) : path)))];
+  // A typed search shows an official record, which may just not have the text
+  const message = validation.lookup ? 'search.missingFields' : 'result.missingFields';
+  return el('p', { class: 'verification-warning' }, t(message, { fields: labels.join(', ') }));
+}
 
-  // Generate links if AI didn't provide them perfectly, or strictly use AI's 
-  // Ideally AI gives us good links, but we can also auto-generate reliable search links.
-  const query = encodeURIComponent(fallback.query || 'thuốc');
+// Lot and dates from lib/expiry.js resolvePackaging(); GS1 values are marked
+function buildPackagingInfo(pack, expiry) {
+  const fromBarcode = field => (pack.sources[field] === 'barcode' ? ` (${t('pack.fromBarcode')})` : '');
+  const rows = [
+    [t('pack.lot'), pack.lot, 'lot'],
+    [t('pack.manufactureDate'), formatPackDate(pack.manufacture_date, pack.manufacture_precision), 'manufacture_date'],
+    [t('pack.expiryDate'), formatPackDate(pack.expiry_date, pack.expiry_precision), 'expiry_date']
+  ].filter(([, v]) => v);
+
+  return el('div', { class: 'barcode-info' },
+    el('p', null, el('strong', null, t('pack.title'))),
+    rows.length > 0
+      ? el('ul', { style: LIST_STYLE }, rows.map(([k, v, f]) => el('li', null,
+        `${k}: ${v}${fromBarcode(f)}`,
+        f === 'expiry_date' ? el('span', { class: `expiry-badge expiry-${expiry.status}` }, expiryStatusLabel(expiry.status)) : null
+      )))
+      : null,
+    pack.expiry_date ? null : el('p', { class: 'modal-note' }, t('pack.noExpiry'))
+  );
+}
 
-  return `
-      <div style="margin-top: 20px;">
-        <p><strong>🔎 Tra cứu thêm tại:</strong></p>
-        <div style="display: flex; gap: 10px; flex-wrap: wrap; margin-top: 10px;">
-           <a href="https://nhathuoclongchau.com.vn/tim-kiem/${query}" target="_blank" class="outline-btn" style="padding: 8px 12px; font-size: 0.9em; text-decoration: none;">Long Châu</a>
-           <a href="https://www.google.com/search?q=site:vinmec.com+${query}" target="_blank" class="outline-btn" style="padding: 8px 12px; font-size: 0.9em; text-decoration: none;">Vinmec</a>
-           <a href="https://www.pharmacity.vn/tim-kiem/${query}" target="_blank" class="outline-btn" style="padding: 8px 12px; font-size: 0.9em; text-decoration: none;">Pharmacity</a>
-        </div>
-      </div>
-    `;
+function buildBarcodeInfo(barcode) {
+  const FORMAT_LABELS = {
+    ean_13: 'EAN-13',
+    upc_a: 'UPC-A',
+    data_matrix: 'GS1 DataMatrix',
+    code_128: 'Code 128'
+  };
+  // Lot and dates are shown with the packaging info
+  const rows = [
+    [barcode.gtin ? 'GTIN' : t('barcode.code'), barcode.gtin || barcode.digits],
+    [t('barcode.serial'), barcode.serial]
+  ].filter(([, v]) => v);
+
+  return el('div', { class: 'barcode-info' },
+    el('p', null, el('strong', null,
+      t('barcode.title', { format: FORMAT_LABELS[barcode.format] || barcode.format }),
+      barcode.valid ? '' : ` ⚠️ ${t('barcode.badCheckDigit')}`,
+      ':')),
+    el('ul', { style: LIST_STYLE }, rows.map(([k, v]) => el('li', null, `${k}: ${v}`)))
+  );
 }
 
-// ========== INDEXEDDB & STORAGE ==========
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open('DrugScannerDB', 1);
-    req.onupgradeneeded = e => {
-      const db = e.target.result;
-      if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings');
-      if (!db.objectStoreNames.contains('session')) db.createObjectStore('session');
-    };
-    req.onsuccess = e => resolve(e.target.result);
-    req.onerror = () => reject(req.error);
-  });
+// ========== TEXT SEARCH ==========
+// Typing a brand or generic name, an NDC or a registration number instead
+// of scanning. GET /api/search looks the drug up and the official record
+// goes through the same result view as a scan. Suggestions come from the
+// server (registry, RxNorm) and from names already on this device.
+const SUGGEST_DELAY_MS = 250;
+let suggestTimer = null;
+let suggestAbort = null; // Cancels the suggestion request still in flight
+let localSuggestions = null; // suggestionIndex() of history and cabinet names
+
+async function loadLocalSuggestions() {
+  const [history, cabinet] = await Promise.all([
+    listHistory().catch(() => []),
+    listCabinet().catch(() => [])
+  ]);
+  const fromHistory = history.map(entry => (entry.result && entry.result.identity) || {}).map(identity => ({
+    label: identity.name || identity.brand_name,
+    detail: identity.active_ingredient || identity.generic_name,
+    terms: [identity.generic_name, identity.active_ingredient].filter(Boolean)
+  }));
+  const fromCabinet = cabinet.map(entry => ({
+    label: entry.name,
+    detail: entry.active_ingredient || entry.generic_name,
+    terms: [entry.generic_name, entry.active_ingredient].filter(Boolean)
+  }));
+  return suggestionIndex([...fromCabinet, ...fromHistory]);
 }
 
-async function getKey() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const req = db.transaction('settings', 'readonly').objectStore('settings').get('geminiKey');
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
+function scheduleSuggestions() {
+  clearTimeout(suggestTimer);
+  suggestTimer = setTimeout(updateSuggestions, SUGGEST_DELAY_MS);
 }
 
-async function saveKey(key) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const req = db.transaction('settings', 'readwrite').objectStore('settings').put(key, 'geminiKey');
-    req.onsuccess = () => resolve();
-    req.onerror = () => reject(req.error);
-  });
+async function updateSuggestions() {
+  const term = searchInput.value.trim();
+  if (suggestAbort) suggestAbort.abort();
+  if (term.length < MIN_QUERY_LENGTH) {
+    showSuggestions([]);
+    return;
+  }
+  if (!localSuggestions) localSuggestions = await loadLocalSuggestions();
+  const local = rankSuggestions(term, localSuggestions);
+  showSuggestions(local);
+  if (!navigator.onLine) return;
+
+  const controller = new AbortController();
+  suggestAbort = controller;
+  try {
+    const resp = await fetch(`/api/search?suggest=1&q=${encodeURIComponent(term)}`, { signal: controller.signal });
+    if (!resp.ok) return;
+    const json = await resp.json();
+    if (searchInput.value.trim() === term) showSuggestions(mergeSuggestions(local, json.suggestions || []));
+  } catch (err) {
+    if (err.name !== 'AbortError') console.warn('[Search] Suggestions unavailable', err);
+  }
 }
 
-async function deleteKey() {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const req = db.transaction('settings', 'readwrite').objectStore('settings').delete('geminiKey');
-    req.onsuccess = () => resolve();
-    req.onerror = () => reject(req.error);
-  });
+function showSuggestions(items) {
+  render(searchSuggestions, items.map(item => el('li', { role: 'option' },
+    el('button', {
+      type: 'button',
+      onclick: () => {
+        searchInput.value = item.label;
+        showSuggestions([]);
+        runSearch(item.label);
+      }
+    }, item.label, item.detail ? el('small', null, item.detail) : null)
+  )));
+  searchSuggestions.classList.toggle('hidden', items.length === 0);
+  searchInput.setAttribute('aria-expanded', String(items.length > 0));
 }
 
-async function saveSession() {
+async function runSearch(query) {
+  clearTimeout(suggestTimer);
+  if (suggestAbort) suggestAbort.abort();
+  showSuggestions([]);
+  searchInput.blur();
+  loadingOverlay.classList.remove('hidden');
+  loadingText.textContent = t('search.loading');
+
   try {
-    const db = await openDB();
-    const data = { imageCounter, capturedImages };
-    const tx = db.transaction('session', 'readwrite');
-    tx.objectStore('session').put(data, SESSION_ID);
-  } catch (e) {
-    console.error('Session save failed', e);
+    const resp = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
+    resultsDiv.classList.remove('hidden');
+    if (json.status !== 'OK' || !json.drug) {
+      render(resultsDiv,
+        el('h3', null, t('search.notFound', { query })),
+        el('p', null, t('search.notFoundHint')),
+        buildFallbackLinks({ query })
+      );
+    } else {
+      showLookupResult(json);
+    }
+  } catch (err) {
+    console.error('[Search] Lookup failed', err);
+    resultsDiv.classList.remove('hidden');
+    render(resultsDiv, el('div', { class: 'error-msg' },
+      el('h3', null, t('error.title')),
+      el('p', null, isOfflineError(err) ? t('search.offline') : t('search.failed', { message: err.message }))
+    ));
+  } finally {
+    loadingOverlay.classList.add('hidden');
+    showScanComplete();
   }
 }
 
-async function loadSession() {
+// `lookup` is a GET /api/search response or one of its alternates
+function showLookupResult(lookup) {
+  const data = resultFromLookup(lookup);
+  displayResult(data);
+  checkCabinetInteractions(data);
+  applyProfileAdvice(data);
+  const container = document.getElementById('verification');
+  if (container) render(container, buildLookupSources(lookup));
+}
+
+// Where the record came from, and the other matches to switch to
+function buildLookupSources(lookup) {
+  const { sources = [], alternates = [] } = lookup;
+  return [
+    el('p', null, el('strong', null, t('search.sources'))),
+    el('ol', { class: 'citations' }, sources.map(src => el('li', null, link(src.name, src.url)))),
+    alternates.length > 0
+      ? el('details', { class: 'alternates' },
+        el('summary', null, t('verify.alternates', { count: alternates.length })),
+        el('ul', null, alternates.map(alt => el('li', null,
+          el('button', {
+            type: 'button',
+            class: 'link-btn',
+            onclick: () => {
+              showLookupResult({ ...alt, alternates: [] });
+              resultsDiv.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+          }, [alt.drug.brand_name, alt.drug.generic_name].filter(Boolean).join(' – ') || '—'),
+          alt.drug.dosage_form ? ` (${alt.drug.dosage_form})` : null
+        ))))
+      : null
+  ];
+}
+
+// ========== OFFICIAL SOURCE VERIFICATION ==========
+function buildVerificationRequest(data) {
+  const identity = data.identity || {};
+  return {
+    identity: {
+      brand_name: identity.brand_name || identity.name || undefined,
+      generic_name: identity.generic_name || undefined,
+      active_ingredient: identity.active_ingredient || undefined,
+      dosage_form: identity.dosage_form || undefined,
+      route: identity.route || undefined,
+      manufacturer: identity.manufacturer || undefined,
+      ndc: identity.ndc || undefined,
+      registration_number: identity.registration_number || undefined
+    },
+    barcode: data.barcode?.digits || identity.barcode || ''
+  };
+}
+
+async function verifyIdentity(data) {
+  const container = document.getElementById('verification');
+  if (!container) return;
+
   try {
-    const db = await openDB();
-    const data = await new Promise(resolve => {
-      const req = db.transaction('session', 'readonly').objectStore('session').get(SESSION_ID);
-      req.onsuccess = () => resolve(req.result);
-      req.onerror = () => resolve(null);
+    const resp = await fetch('/api/identify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildVerificationRequest(data))
     });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const json = await resp.json();
 
-    if (data && typeof data.imageCounter === 'number') {
-      imageCounter = data.imageCounter;
-      capturedImages = data.capturedImages || [];
-      return true;
+    if (json.status !== 'OK' || !json.drug) {
+      render(container, el('p', { class: 'verification-status' },
+        t('verify.notFound')));
+      return;
     }
-  } catch (e) { console.error(e); }
-  return false;
+    render(container, buildVerificationTable(data.identity, json));
+  } catch (err) {
+    console.error('[Verify] Lookup failed', err);
+    render(container, el('p', { class: 'verification-status' }, t('verify.unavailable')));
+  }
+}
+
+function buildVerificationTable(identity, lookup) {
+  const { drug, sources = [], provenance = {}, alternates = [] } = lookup;
+  const rows = [
+    { label: t('verify.name'), field: 'brand_name', ai: identity.brand_name || identity.name, fda: drug.brand_name || drug.generic_name, compare: false },
+    { label: t('result.activeIngredient'), field: 'active_ingredients', ai: identity.generic_name || identity.active_ingredient, fda: drug.active_ingredients || drug.generic_name, compare: true },
+    { label: t('verify.route'), field: 'route', ai: identity.route, fda: drug.route, compare: true },
+    { label: t('verify.dosageForm'), field: 'dosage_form', ai: identity.dosage_form, fda: drug.dosage_form, compare: true },
+    { label: t('result.manufacturer'), field: 'manufacturer', ai: identity.manufacturer, fda: drug.manufacturer, compare: false },
+    { label: t('verify.registration'), field: 'registration_number', ai: identity.registration_number, fda: drug.registration_number, compare: false },
+    { label: 'NDC', field: 'ndc', ai: identity.ndc, fda: drug.ndc, compare: false }
+  ].filter(row => row.ai || row.fda);
+
+  const display = v => {
+    if (!v || (Array.isArray(v) && v.length === 0)) return '—';
+    const list = Array.isArray(v) ? v : [v];
+    return list
+      .map(x => (x && typeof x === 'object') ? [x.name, x.strength].filter(Boolean).join(' ') : x)
+      .join(', ');
+  };
+
+  const sourceName = sources.length === 1 ? String(sources[0].name).split(' – ')[0] : t('verify.officialSource');
+  // Per-field provenance -> citation number
+  const citeFor = field => {
+    const index = sources.findIndex(src => src.name === provenance[field]);
+    return index >= 0 ? el('sup', null, el('a', { href: `#cite-${index + 1}` }, `[${index + 1}]`)) : null;
+  };
+
+  let mismatches = 0;
+  const body = rows.map(row => {
+    const agree = row.compare ? termsAgree(row.ai, row.fda) : null;
+    if (agree === false) mismatches++;
+    const flag = agree === false ? ' ⚠️' : agree === true ? ' ✓' : '';
+    return el('tr', { class: agree === false ? 'mismatch' : null },
+      el('th', null, row.label),
+      el('td', null, display(row.ai)),
+      el('td', null, display(row.fda), flag, row.fda ? citeFor(row.field) : null)
+    );
+  });
+
+  const others = alternates.map(alt => {
+    const name = [alt.drug.brand_name, alt.drug.generic_name].filter(Boolean).join(' – ');
+    const src = alt.sources && alt.sources[0];
+    return el('li', null,
+      name || '—',
+      alt.drug.dosage_form ? ` (${alt.drug.dosage_form})` : null,
+      src ? [' · ', link(src.name, src.url)] : null
+    );
+  });
+
+  const citations = sources.map((src, i) => el('li', { id: `cite-${i + 1}` }, link(src.name, src.url)));
+
+  return [
+    el('h3', null, t('verify.title', { source: sourceName })),
+    mismatches > 0
+      ? el('p', { class: 'verification-warning' }, t('verify.mismatches', { count: mismatches, source: sourceName }))
+      : el('p', { class: 'verification-status' }, t('verify.match', { source: sourceName })),
+    el('table', { class: 'verification-table' },
+      el('thead', null, el('tr', null, el('th'), el('th', null, 'AI'), el('th', null, sourceName))),
+      el('tbody', null, body)
+    ),
+    citations.length > 0
+      ? [el('p', null, el('strong', null, t('verify.sources'))), el('ol', { class: 'citations' }, citations)]
+      : null,
+    others.length > 0
+      ? el('details', { class: 'alternates' },
+        el('summary', null, t('verify.alternates', { count: alternates.length })),
+        el('ul', null, others))
+      : null
+  ];
 }
 
-async function clearSession() {
+// ========== MEDICINE CABINET & INTERACTIONS ==========
+async function checkCabinetInteractions(data) {
+  const container = document.getElementById('interactions');
+  if (!container) return;
+
   try {
-    const db = await openDB();
-    const tx = db.transaction('session', 'readwrite');
-    tx.objectStore('session').delete(SESSION_ID);
-  } catch (e) { }
+    const [cabinet, dataset] = await Promise.all([listCabinet(), loadInteractionData()]);
+    if (cabinet.length === 0 || !dataset) return;
+
+    const identity = data.identity || {};
+    const terms = ingredientTerms(identity.generic_name, identity.active_ingredient);
+    const found = findInteractions(terms, cabinet, dataset);
+
+    if (found.length === 0) {
+      render(container, el('p', { class: 'verification-status' }, t('interactions.none', { count: cabinet.length })));
+      return;
+    }
+    render(container, el('div', { class: 'interaction-box' },
+      el('strong', null, t('interactions.title')),
+      el('ul', null, found.map(item => el('li', { class: `severity-${item.severity}` },
+        el('span', { class: 'severity-badge' }, item.label),
+        ' ',
+        el('strong', null, item.drug),
+        ` (${item.ingredients.join(' + ')})`,
+        el('br'),
+        item.description
+      ))),
+      el('p', { class: 'modal-note' }, localized(dataset.source))
+    ));
+  } catch (err) {
+    console.error('[Interactions] Check failed', err);
+  }
 }
 
-// ========== INITIALIZATION ==========
-window.addEventListener('DOMContentLoaded', async () => {
-  // Service Worker
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('service-worker.js');
+async function renderCabinet() {
+  const [entries, dataset] = await Promise.all([listCabinet(), loadInteractionData()]);
+
+  if (entries.length === 0) {
+    render(cabinetList, el('p', null, t('cabinet.empty')));
+  } else {
+    render(cabinetList, entries.map(entry => {
+      const expiry = expiryStatus(entry.expiry_date);
+      return el('div', { class: 'cabinet-item' },
+        el('div', null,
+          el('strong', null, entry.name),
+          el('small', null, entry.generic_name || entry.active_ingredient),
+          entry.expiry_date
+            ? el('small', null,
+              t('cabinet.expiry', { date: formatPackDate(entry.expiry_date, entry.expiry_precision) }),
+              entry.lot ? ` · ${t('cabinet.lot', { lot: entry.lot })}` : '',
+              ' ',
+              el('span', { class: `expiry-badge expiry-${expiry.status}` }, describeExpiry(expiry)))
+            : null
+        ),
+        el('button', {
+          class: 'outline-btn',
+          onclick: async () => {
+            await removeFromCabinet(entry.id);
+            renderCabinet();
+            checkCabinetExpiry();
+          }
+        }, t('common.delete'))
+      );
+    }));
   }
+  interactionDataStatus.textContent = dataset
+    ? t('interactions.dataStatus', { version: dataset.version, count: dataset.interactions.length })
+    : t('interactions.dataMissing');
+}
 
-  // PWA Install Logic
-  let deferredPrompt;
-  const installButton = document.getElementById('installButton');
+async function openCabinetView() {
+  await renderCabinet();
+  cabinetModal.classList.add('show');
+}
 
-  window.addEventListener('beforeinstallprompt', (e) => {
-    e.preventDefault();
-    deferredPrompt = e;
-    installButton.classList.remove('hidden');
-  });
+// Periodic check over saved medicines: runs on start and whenever the app
+// comes back, and daily from the service worker (Periodic Background Sync)
+async function checkCabinetExpiry() {
+  try {
+    const flagged = expiringEntries(await listCabinet());
+    const expired = flagged.filter(item => item.status === 'expired').length;
+    cabinetBadge.textContent = String(flagged.length);
+    cabinetBadge.classList.toggle('hidden', flagged.length === 0);
+    cabinetBadge.classList.toggle('expired', expired > 0);
+    cabinetButton.title = flagged.length > 0 ? t('cabinet.flagged', { count: flagged.length }) : t('cabinet.title');
+
+    if (flagged.length === 0 || !('Notification' in window) || Notification.permission !== 'granted') return;
+    if (!(await claimDailyExpiryNotice())) return;
+    const registration = await navigator.serviceWorker.ready;
+    // Same notification as the service worker's checkExpiryInWorker()
+    registration.showNotification('Drug Scanner', {
+      body: t('cabinet.notification', { count: flagged.length }),
+      icon: '192.png',
+      tag: 'expiry-check',
+      data: { url: '/?view=cabinet' }
+    });
+  } catch (err) {
+    console.warn('[Expiry] Cabinet check failed', err);
+  }
+}
 
-  installButton.addEventListener('click', async () => {
-    if (!deferredPrompt) return;
-    deferredPrompt.prompt();
-    const { outcome } = await deferredPrompt.userChoice;
-    console.log(`User response to the install prompt: ${outcome}`);
-    deferredPrompt = null;
-    installButton.classList.add('hidden');
-  });
+function buildFallbackLinks(fallback) {
+  if (!fallback) return null;
 
-  window.addEventListener('appinstalled', () => {
-    installButton.classList.add('hidden');
-    deferredPrompt = null;
-    console.log('PWA was installed');
-  });
+  // Generate links if AI didn't provide them perfectly, or strictly use AI's 
+  // Ideally AI gives us good links, but we can also auto-generate reliable search links.
+  const query = encodeURIComponent(fallback.query || t('fallback.defaultQuery'));
+  const linkStyle = 'padding: 8px 12px; font-size: 0.9em; text-decoration: none;';
+
+  return el('div', { style: 'margin-top: 20px;' },
+    el('p', null, el('strong', null, t('fallback.title'))),
+    el('div', { style: 'display: flex; gap: 10px; flex-wrap: wrap; margin-top: 10px;' },
+      link('Long Châu', `https://nhathuoclongchau.com.vn/tim-kiem/${query}`, { class: 'outline-btn', style: linkStyle }),
+      link('Vinmec', `https://www.google.com/search?q=site:vinmec.com+${query}`, { class: 'outline-btn', style: linkStyle }),
+      link('Pharmacity', `https://www.pharmacity.vn/tim-kiem/${query}`, { class: 'outline-btn', style: linkStyle })
+    )
+  );
+}
 
-  // Modal Events
-  const showModal = m => m.classList.add('show');
-  const hideModal = m => m.classList.remove('show');
+// ========== PROFILES & DOSAGE ADVICE ==========
+// Profiles stay on the device (lib/profiles.js); the advice is worked out
+// locally from the result text (lib/dosing.js), never by the model.
+async function applyProfileAdvice(data) {
+  const container = document.getElementById('profileAdvice');
+  if (!container) return;
 
-  // Check API Key
-  const key = await getKey();
-  if (!key) showModal(keyModal);
-  keyStatus.textContent = key ? 'Đã lưu khóa API.' : 'Chưa có khóa API.';
+  try {
+    const [profiles, activeId] = await Promise.all([listProfiles(), getActiveProfileId()]);
+    if (profiles.length === 0) {
+      render(container, el('p', { class: 'modal-note' }, t('profiles.hint')));
+      return;
+    }
+    const profile = profiles.find(p => p.id === activeId) || null;
+
+    const select = el('select', {
+      class: 'profile-select',
+      'aria-label': t('profiles.title'),
+      onchange: async () => {
+        await setActiveProfileId(select.value ? Number(select.value) : null);
+        applyProfileAdvice(data);
+      }
+    },
+      el('option', { value: '' }, t('profiles.none')),
+      profiles.map(p => el('option', { value: p.id, selected: p.id === activeId }, p.name))
+    );
+
+    const alerts = profile ? profileAlerts(data, profile) : [];
+    render(container,
+      el('label', { class: 'profile-picker' }, t('profiles.usedFor'), select),
+      alerts.map(alert => el('div', { class: `profile-alert profile-alert-${alert.level}`, role: 'alert' },
+        alert.level === 'danger' ? '⛔ ' : '⚠️ ', alert.message))
+    );
+    highlightDosage(data, profile);
+  } catch (err) {
+    console.error('[Profiles] Advice failed', err);
+  }
+}
 
-  saveKeyButton.onclick = async () => {
-    const val = apiKeyInput.value.trim();
-    if (val) {
-      await saveKey(val);
-      hideModal(keyModal);
-      keyStatus.textContent = 'Đã lưu khóa API.';
+function highlightDosage(data, profile) {
+  const list = document.getElementById('dosageList');
+  if (!list) return;
+  const items = [...list.children];
+  items.forEach(item => {
+    item.classList.remove('dosage-match');
+    item.querySelectorAll('.dosage-computed').forEach(node => node.remove());
+  });
+  if (!profile) return;
+
+  const lines = data.details.dosage;
+  for (const index of matchDosageLines(lines, profile)) {
+    items[index].classList.add('dosage-match');
+    const doses = computeWeightDoses(lines[index], profile.weightKg);
+    if (doses.length > 0) {
+      items[index].append(el('div', { class: 'dosage-computed' },
+        t('profiles.computedFor', { name: profile.name }), doses.map(dose => dose.text).join('; ')));
     }
-  };
+  }
+}
 
-  // Settings Button Logic
-  settingsButton.onclick = () => {
-    // Check key status again when opening settings
-    getKey().then(k => {
-      keyStatus.textContent = k ? 'Đã lưu khóa API.' : 'Chưa có khóa API.';
-      showModal(settingsModal);
+function describeProfile(profile) {
+  return [
+    describeAge(profile),
+    profile.weightKg ? `${profile.weightKg} kg` : '',
+    profile.pregnant ? t('profiles.pregnant') : '',
+    profile.breastfeeding ? t('profiles.breastfeeding') : '',
+    profile.allergies.length > 0 ? t('profiles.allergies', { list: profile.allergies.join(', ') }) : ''
+  ].filter(Boolean).join(' · ');
+}
+
+async function renderProfiles() {
+  const [profiles, activeId] = await Promise.all([listProfiles(), getActiveProfileId()]);
+  if (profiles.length === 0) {
+    render(profileList, el('p', null, t('profiles.empty')));
+    return;
+  }
+  render(profileList, profiles.map(profile => el('div', { class: 'cabinet-item' },
+    el('div', null,
+      el('strong', null, profile.id === activeId ? `${profile.name} ✓` : profile.name),
+      el('small', null, describeProfile(profile))
+    ),
+    el('div', { class: 'profile-actions' },
+      el('button', { class: 'outline-btn', onclick: () => openProfileForm(profile) }, t('common.edit')),
+      el('button', {
+        class: 'outline-btn',
+        onclick: async () => {
+          if (!confirm(t('profiles.deleteConfirm', { name: profile.name }))) return;
+          await removeProfile(profile.id);
+          renderProfiles();
+        }
+      }, t('common.delete'))
+    )
+  )));
+}
+
+function openProfileForm(profile) {
+  const levels = IMPAIRMENT_LEVELS.map(value => el('option', { value }, t(`impairment.${value}`)));
+  render(profileForm.elements.kidney, levels);
+  render(profileForm.elements.liver, levels.map(option => option.cloneNode(true)));
+
+  profileForm.reset();
+  const fields = profileForm.elements;
+  fields.id.value = profile ? profile.id : '';
+  fields.name.value = profile ? profile.name : '';
+  fields.birthDate.value = profile ? profile.birthDate : '';
+  fields.weightKg.value = profile && profile.weightKg ? profile.weightKg : '';
+  fields.pregnant.checked = Boolean(profile && profile.pregnant);
+  fields.breastfeeding.checked = Boolean(profile && profile.breastfeeding);
+  fields.allergies.value = profile ? profile.allergies.join(', ') : '';
+  fields.kidney.value = profile ? profile.kidney : 'none';
+  fields.liver.value = profile ? profile.liver : 'none';
+
+  profileModalTitle.textContent = profile ? t('profiles.edit') : t('profiles.add');
+  profileModal.classList.add('show');
+}
+
+async function submitProfileForm(event) {
+  event.preventDefault();
+  const fields = profileForm.elements;
+  try {
+    const id = await saveProfile({
+      id: fields.id.value,
+      name: fields.name.value,
+      birthDate: fields.birthDate.value,
+      weightKg: fields.weightKg.value,
+      pregnant: fields.pregnant.checked,
+      breastfeeding: fields.breastfeeding.checked,
+      allergies: fields.allergies.value,
+      kidney: fields.kidney.value,
+      liver: fields.liver.value
     });
-  };
+    // The first profile is selected automatically
+    if (await getActiveProfileId() === null) await setActiveProfileId(id);
+    profileModal.classList.remove('show');
+    renderProfiles();
+  } catch (err) {
+    console.error('[Profiles] Save failed', err);
+    alert(t('profiles.saveFailed', { message: err.message }));
+  }
+}
 
-  changeKeyButton.onclick = () => { hideModal(settingsModal); showModal(keyModal); };
-  deleteKeyButton.onclick = async () => { await deleteKey(); hideModal(settingsModal); showModal(keyModal); keyStatus.textContent = 'Chưa có khóa API.'; };
-  closeSettingsModalButton.onclick = () => hideModal(settingsModal);
+// ========== MEDICATION REMINDERS ==========
+// Schedules and the dose log live in IndexedDB (lib/reminders.js). While
+// the page is open a timer announces each dose; when it is closed the
+// service worker does, where Periodic Background Sync is available.
+let reminderTimer = null;
+let editingSchedule = null;
+
+// Same notification as the service worker's showReminder()
+async function showReminder(schedule, due) {
+  const registration = await navigator.serviceWorker.ready;
+  await registration.showNotification(`💊 ${schedule.name}`, {
+    body: `${t('reminders.due', { time: due.slice(11) })}${schedule.dose ? `: ${schedule.dose}` : ''}`,
+    icon: '192.png',
+    tag: `reminder-${schedule.id}-${due}`,
+    requireInteraction: true,
+    actions: DOSE_STATUSES.map(status => ({ action: status, title: t(`dose.${status}`) })),
+    data: { scheduleId: schedule.id, due, url: '/?view=reminders' }
+  });
+}
+
+async function announceDueReminders() {
+  if (!('serviceWorker' in navigator) || !('Notification' in window) || Notification.permission !== 'granted') return;
+  try {
+    for (const { schedule, due } of dueReminders(await listSchedules())) {
+      await showReminder(schedule, due);
+      await saveSchedule({ ...schedule, lastNotified: due });
+    }
+  } catch (err) {
+    console.warn('[Reminders] Notification failed', err);
+  }
+}
+
+// Wakes up at the next dose; re-checks hourly so long waits and clock
+// changes do not drift
+async function scheduleReminderTimer() {
+  clearTimeout(reminderTimer);
+  try {
+    const next = nextOccurrence(await listSchedules());
+    const delay = next ? Math.min(next.at - Date.now(), 60 * 60 * 1000) : 60 * 60 * 1000;
+    reminderTimer = setTimeout(async () => {
+      await announceDueReminders();
+      if (remindersModal.classList.contains('show')) renderReminders();
+      scheduleReminderTimer();
+    }, Math.max(delay, 0));
+  } catch (err) {
+    console.error('[Reminders] Timer failed', err);
+  }
+}
+
+function renderTimeInputs(times) {
+  render(reminderTimes, times.map((time, i) => el('label', null, t('reminders.time', { n: i + 1 }),
+    el('input', { type: 'time', value: time, required: true }))));
+}
+
+function openReminderForm(schedule) {
+  editingSchedule = schedule;
+  const fields = reminderForm.elements;
+  render(fields.timesPerDay, Array.from({ length: MAX_TIMES_PER_DAY }, (_, i) =>
+    el('option', { value: i + 1 }, t('reminders.times', { count: i + 1 }))));
+
+  fields.id.value = schedule.id ?? '';
+  fields.name.value = schedule.name;
+  fields.dose.value = schedule.dose;
+  fields.timesPerDay.value = String(schedule.times.length);
+  fields.startDate.value = schedule.startDate;
+  fields.endDate.value = schedule.endDate;
+  renderTimeInputs(schedule.times);
+
+  reminderFormTitle.textContent = schedule.id ? t('reminders.edit') : t('reminders.create');
+  reminderFormModal.classList.add('show');
+}
+
+async function submitReminderForm(event) {
+  event.preventDefault();
+  const fields = reminderForm.elements;
+  try {
+    await saveSchedule({
+      ...editingSchedule,
+      name: fields.name.value,
+      dose: fields.dose.value,
+      times: [...reminderTimes.querySelectorAll('input[type="time"]')].map(input => input.value),
+      startDate: fields.startDate.value,
+      endDate: fields.endDate.value
+    });
+  } catch (err) {
+    console.error('[Reminders] Save failed', err);
+    alert(t('reminders.saveFailed', { message: err.message }));
+    return;
+  }
+  reminderFormModal.classList.remove('show');
+  if ('Notification' in window && Notification.permission === 'default') {
+    await Notification.requestPermission().catch(() => { });
+  }
+  registerReminderSync();
+  scheduleReminderTimer();
+  openRemindersView();
+}
+
+async function openRemindersView() {
+  await renderReminders();
+  reminderPermissionNote.classList.toggle('hidden', !('Notification' in window) || Notification.permission === 'granted');
+  remindersModal.classList.add('show');
+}
+
+async function renderReminders() {
+  const [schedules, log] = await Promise.all([listSchedules(), listDoseLog()]);
+  exportAllRemindersButton.disabled = schedules.length === 0;
+
+  if (schedules.length === 0) {
+    render(reminderList, el('p', null, t('reminders.empty')));
+    return;
+  }
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+  const statuses = new Map(log.map(entry => [doseLogKey(entry.scheduleId, entry.due), entry.status]));
+
+  render(reminderList, schedules.map(schedule => {
+    const counts = adherence(schedule, log, now);
+    const todayDoses = occurrences(schedule, today, tomorrow);
+    return el('div', { class: 'history-item reminder-item' },
+      el('div', { class: 'history-info' },
+        el('strong', null, schedule.name),
+        el('small', null, [schedule.dose, schedule.times.join(', ')].filter(Boolean).join(' · ')),
+        el('small', null, `${formatIsoDate(schedule.startDate)} – ${formatIsoDate(schedule.endDate)} · ` +
+          `${t('reminders.adherence', counts)}${counts.missed ? `, ${t('reminders.missed', { count: counts.missed })}` : ''}`)
+      ),
+      todayDoses.length > 0
+        ? el('ul', { class: 'dose-list' }, todayDoses.map(({ due }) => {
+          const status = statuses.get(doseLogKey(schedule.id, due));
+          return el('li', null,
+            el('span', null, t('reminders.today', { time: due.slice(11) })),
+            DOSE_STATUSES.map(value => el('button', {
+              class: `outline-btn${status === value ? ' selected' : ''}`,
+              'aria-pressed': status === value ? 'true' : 'false',
+              onclick: async () => {
+                await logDose(schedule.id, due, value);
+                renderReminders();
+              }
+            }, t(`dose.${value}`)))
+          );
+        }))
+        : null,
+      el('div', { class: 'history-actions' },
+        el('button', { class: 'outline-btn', onclick: () => openReminderForm(schedule) }, t('common.edit')),
+        el('button', { class: 'outline-btn', onclick: () => exportReminders([schedule]) }, t('reminders.export')),
+        el('button', {
+          class: 'outline-btn',
+          onclick: async () => {
+            if (!confirm(t('reminders.deleteConfirm', { name: schedule.name }))) return;
+            await removeSchedule(schedule.id);
+            scheduleReminderTimer();
+            renderReminders();
+          }
+        }, t('common.delete'))
+      )
+    );
+  }));
+}
+
+function exportReminders(schedules) {
+  const name = schedules.length === 1
+    ? `${t('reminders.fileName')}-${fileSlug(schedules[0].name)}`
+    : `${t('reminders.fileName')}-${localDate(new Date())}`;
+  downloadFile(`${name}.ics`, buildIcs(schedules), 'text/calendar;charset=utf-8');
+}
+
+// "Hapacol 250" -> "hapacol-250"
+function fileSlug(text) {
+  return foldDiacritics(text || '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Not built with link(): it only allows web URLs, and this blob is our own
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.append(anchor);
+  anchor.click();
+  anchor.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ========== EXPORT & SHARE ==========
+// The result on screen as a printout (saved as PDF from the print dialog),
+// as an image card through the Web Share API, or as a JSON file that can be
+// imported on another device (lib/backup.js), like the full backup in
+// settings.
+function buildExportActions(data) {
+  return el('div', { class: 'export-actions' },
+    el('button', { class: 'outline-btn', onclick: printResult }, t('export.print')),
+    el('button', { class: 'outline-btn', onclick: () => shareResultCard(data) }, t('export.share')),
+    el('button', { class: 'outline-btn', onclick: () => exportResult(data) }, t('export.json'))
+  );
+}
+
+// style.css prints only the results, with this header and footer
+function printResult() {
+  resultsDiv.dataset.printHeader = t('export.printHeader', { date: formatDateTime(Date.now()) });
+  resultsDiv.dataset.printFooter = t('card.disclaimer');
+  window.print();
+}
+
+async function shareResultCard(data) {
+  const name = data.identity.name || data.identity.brand_name || '';
+  try {
+    const file = await resultCardFile(data, `${fileSlug(name) || 'drug-scanner'}.png`);
+    if (canShareFile(file)) {
+      await navigator.share({ files: [file], title: name, text: t('export.shareText', { name }) });
+    } else {
+      downloadFile(file.name, file, file.type);
+    }
+  } catch (err) {
+    // Closing the share sheet
+    if (err.name === 'AbortError') return;
+    console.error('[Export] Sharing failed', err);
+    alert(t('export.shareFailed', { message: err.message }));
+  }
+}
+
+// One history entry without the photos, which the result view does not have
+function exportResult(data) {
+  const entry = { images: [], thumbnails: [], result: data, model: '', barcode: data.barcode || null, createdAt: Date.now() };
+  const name = fileSlug(data.identity.name) || localDate(new Date());
+  downloadFile(`drug-scanner-${name}.json`, JSON.stringify(buildExport({ history: [entry] }), null, 2), 'application/json');
+}
+
+async function exportAllData() {
+  try {
+    const data = await exportData();
+    downloadFile(`drug-scanner-${localDate(new Date())}.json`, JSON.stringify(data), 'application/json');
+  } catch (err) {
+    console.error('[Export] Backup failed', err);
+    alert(t('backup.exportFailed', { message: err.message }));
+  }
+}
+
+async function importBackupFile(file) {
+  try {
+    const { history, cabinet, skipped } = await importData(parseExport(await file.text()));
+    alert(t('backup.imported', { history, cabinet, skipped }));
+    localSuggestions = null;
+    checkCabinetExpiry();
+  } catch (err) {
+    alert(t('backup.invalidFile', { message: err.message }));
+  }
+}
+
+// ========== SCAN HISTORY ==========
+// Resolves to the history id, or undefined when saving failed
+async function recordScan({ images, result, model, barcode, historyId }) {
+  try {
+    const entry = await historyEntryFromScan({ images, result, model, barcode });
+    if (historyId !== undefined) entry.id = historyId;
+    return await saveToHistory(entry);
+  } catch (err) {
+    console.error('[History] Save failed', err);
+  }
+}
+
+async function renderHistory() {
+  const query = historySearchInput.value;
+  const entries = await listHistory(query);
+
+  if (entries.length === 0) {
+    render(historyList, el('p', null, query.trim() ? t('history.noMatch') : t('history.empty')));
+    return;
+  }
+  render(historyList, entries.map(entry => {
+    const identity = (entry.result && entry.result.identity) || {};
+    return el('div', { class: 'history-item' },
+      el('div', { class: 'history-thumbs' }, (entry.thumbnails || []).map(src => el('img', { src, alt: '' }))),
+      el('div', { class: 'history-info' },
+        el('strong', null, identity.name || t('history.unrecognized')),
+        el('small', null, identity.generic_name || identity.active_ingredient),
+        el('small', null, [formatDateTime(entry.createdAt), entry.model].filter(Boolean).join(' · '))
+      ),
+      el('div', { class: 'history-actions' },
+        el('button', { class: 'outline-btn', onclick: () => openHistoryEntry(entry) }, t('common.view')),
+        // Imported results may come without their photos
+        entry.images && entry.images.length > 0
+          ? el('button', { class: 'outline-btn', onclick: () => rerunHistoryEntry(entry) }, t('history.rerun'))
+          : null,
+        el('button', {
+          class: 'outline-btn',
+          onclick: async () => {
+            if (!confirm(t('history.deleteConfirm'))) return;
+            await removeFromHistory(entry.id);
+            renderHistory();
+          }
+        }, t('common.delete'))
+      )
+    );
+  }));
+}
+
+// Shows the stored result; needs no network (verification just reports it is unavailable)
+function openHistoryEntry(entry) {
+  historyModal.classList.remove('show');
+  reviewContainer.classList.add('hidden');
+  displayResult(entry.result);
+  verifyIdentity(entry.result);
+  checkCabinetInteractions(entry.result);
+  applyProfileAdvice(entry.result);
+  showScanComplete();
+}
+
+async function rerunHistoryEntry(entry) {
+  historyModal.classList.remove('show');
+  await clearSession();
+  capturedImages = normalizeCapturedImages(entry.images);
+  decodedBarcode = entry.barcode || null;
+  resultsDiv.classList.add('hidden');
+  processImages({ historyId: entry.id });
+}
+
+// ========== OFFLINE QUEUE ==========
+// Captures confirmed while offline wait in IndexedDB (lib/queue.js). The
+// service worker retries them via Background Sync; without it the app
+// retries on focus and when the connection returns.
+
+async function queueCapture(historyId) {
+  await enqueueScan({ images: capturedImages, barcode: decodedBarcode, historyId });
+  await clearSession();
+  const synced = await requestQueueSync();
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission().catch(() => { });
+  }
+
+  render(resultsDiv, el('div', { class: 'queue-notice' },
+    el('h3', null, t('queue.saved')),
+    el('p', null, synced ? t('queue.savedWithSync') : t('queue.savedWithoutSync')),
+    el('button', { class: 'outline-btn', onclick: openQueueView }, t('queue.view'))
+  ));
+  await refreshQueueIndicator();
+}
+
+async function runQueue() {
+  if (!navigator.onLine) return;
+  try {
+    // The app may have started offline, before the server config was known
+    if (!serverAnalysis.enabled) serverAnalysis = await fetchServerAnalysisConfig();
+    const completed = await processQueue(analyzeImages);
+    await saveQueuedResults();
+    await refreshQueueIndicator();
+    if (completed > 0) notifyQueueResults(completed);
+    if (queueModal.classList.contains('show')) renderQueue();
+  } catch (err) {
+    console.error('[Queue] Processing failed', err);
+  }
+}
+
+// Results from this page or from the service worker go to history once
+async function saveQueuedResults() {
+  const entries = await listQueue();
+  for (const entry of entries.filter(item => item.status === 'done' && !item.saved)) {
+    const historyId = await recordScan({
+      images: entry.images,
+      result: entry.result,
+      model: entry.model,
+      barcode: entry.barcode,
+      historyId: entry.historyId
+    });
+    if (historyId !== undefined) await updateQueueEntry({ ...entry, saved: true, historyId });
+  }
+}
+
+async function notifyQueueResults(count) {
+  if (!document.hidden || !('Notification' in window) || Notification.permission !== 'granted') return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    registration.showNotification('Drug Scanner', {
+      body: t('queue.notification', { count }),
+      icon: '192.png',
+      tag: 'scan-queue',
+      data: { url: '/?view=queue' }
+    });
+  } catch (err) {
+    console.warn('[Queue] Notification failed', err);
+  }
+}
+
+// Header button: number of results ready (or captures waiting), plus the app icon badge
+async function refreshQueueIndicator() {
+  const entries = await listQueue();
+  const ready = entries.filter(entry => entry.status === 'done').length;
+  const waiting = entries.length - ready;
+  queueButton.classList.toggle('hidden', entries.length === 0);
+  queueBadge.textContent = String(ready || waiting);
+  queueBadge.classList.toggle('ready', ready > 0);
+  setQueueBadge(ready);
+}
+
+async function openQueueView() {
+  await renderQueue();
+  queueModal.classList.add('show');
+}
+
+async function renderQueue() {
+  const entries = await listQueue();
+
+  if (entries.length === 0) {
+    render(queueList, el('p', null, t('queue.empty')));
+    return;
+  }
+  render(queueList, entries.map(entry => {
+    const identity = (entry.result && entry.result.identity) || {};
+    return el('div', { class: 'history-item' },
+      el('div', { class: 'history-thumbs' }, entry.images.map(image => el('img', { src: image.dataUri, alt: '' }))),
+      el('div', { class: 'history-info' },
+        el('strong', null, t(`queue.status.${entry.status}`)),
+        entry.status === 'done' ? el('small', null, identity.name) : null,
+        entry.error ? el('small', null, entry.error) : null,
+        el('small', null, formatDateTime(entry.createdAt))
+      ),
+      el('div', { class: 'history-actions' },
+        entry.status === 'done'
+          ? el('button', { class: 'outline-btn', onclick: () => openQueuedResult(entry) }, t('common.view'))
+          : el('button', {
+            class: 'outline-btn',
+            onclick: async () => {
+              await updateQueueEntry({ ...entry, status: 'pending', attempts: 0, error: '' });
+              await runQueue();
+              renderQueue();
+            }
+          }, t('common.retry')),
+        el('button', {
+          class: 'outline-btn',
+          onclick: async () => {
+            if (entry.status !== 'done' && !confirm(t('queue.deleteConfirm'))) return;
+            await removeFromQueue(entry.id);
+            await refreshQueueIndicator();
+            renderQueue();
+          }
+        }, t('common.delete'))
+      )
+    );
+  }));
+}
+
+// The result is already in history; viewing it takes it off the queue
+async function openQueuedResult(entry) {
+  queueModal.classList.remove('show');
+  reviewContainer.classList.add('hidden');
+  captureTray.classList.add('hidden');
+  displayResult(entry.result);
+  verifyIdentity(entry.result);
+  checkCabinetInteractions(entry.result);
+  applyProfileAdvice(entry.result);
+  showScanComplete();
+  await removeFromQueue(entry.id);
+  refreshQueueIndicator();
+}
+
+// ========== PILL IDENTIFICATION ==========
+// A loose tablet or capsule: the model only reads its features (imprint,
+// shape, colors, score) into the form, where they can be corrected or
+// typed in; the candidates come from the imported dataset (lib/pills.js).
+const MAX_PILL_IMAGES = 2;
+const PILL_SCORES = [1, 2, 3, 4];
+
+async function openPillView() {
+  pillImages = [];
+  renderPillPhotos();
+  renderPillForm({});
+  pillReadStatus.textContent = '';
+  render(pillResults);
+  await renderPillDataStatus();
+  pillModal.classList.add('show');
+}
+
+function renderPillPhotos() {
+  render(pillPhotos, pillImages.map((dataUri, i) => el('figure', null,
+    el('img', { src: dataUri, alt: '' }),
+    el('button', {
+      type: 'button',
+      class: 'outline-btn',
+      title: t('pills.removePhoto'),
+      onclick: () => {
+        pillImages.splice(i, 1);
+        renderPillPhotos();
+      }
+    }, '✕')
+  )));
+  pillPhotoButton.disabled = pillImages.length >= MAX_PILL_IMAGES;
+  pillReadButton.disabled = pillImages.length === 0;
+}
+
+function renderPillForm(features) {
+  const fields = pillForm.elements;
+  const colors = features.colors || [];
+  fields.imprint.value = features.imprint || '';
+  render(fields.shape, [
+    el('option', { value: '' }, t('pills.unknown')),
+    PILL_SHAPES.map(shape => el('option', { value: shape, selected: shape === features.shape }, t(`pill.shape.${shape}`)))
+  ]);
+  render(fields.score, PILL_SCORES.map(score =>
+    el('option', { value: score, selected: score === (features.score || 1) }, t(`pills.score.${score}`))));
+  render(pillColors, PILL_COLORS.map(color => el('label', { class: 'profile-check' },
+    el('input', { type: 'checkbox', name: 'colors', value: color, checked: colors.includes(color) }),
+    ' ',
+    t(`pill.color.${color}`)
+  )));
+}
+
+function readPillForm() {
+  const fields = pillForm.elements;
+  return {
+    imprint: fields.imprint.value.trim(),
+    shape: fields.shape.value,
+    colors: [...pillColors.querySelectorAll('input:checked')].map(input => input.value),
+    score: Number(fields.score.value) || 1
+  };
+}
+
+async function addPillPhoto(file) {
+  try {
+    const dataUri = await compressImage(file);
+    const report = await assessDataUri(dataUri).catch(() => null);
+    if (!confirmImageQuality(report)) return;
+    pillImages.push(dataUri);
+    renderPillPhotos();
+  } catch (err) {
+    alert(t('error.image', { message: err.message }));
+  }
+}
+
+async function readPillPhotos() {
+  if (pillImages.length === 0) return;
+  loadingOverlay.classList.remove('hidden');
+  loadingText.textContent = t('pills.reading');
+  try {
+    const { result } = await runModel({ task: 'pill', images: pillImages, locale: getLocale() });
+    renderPillForm(result);
+    pillReadStatus.textContent = t('pills.readConfidence', { percent: Math.round(result.confidence * 100) });
+    await searchPillForm();
+  } catch (err) {
+    console.error('[Pills] Reading failed', err);
+    pillReadStatus.textContent = t('pills.readFailed', { message: describeError(err) });
+  } finally {
+    loadingOverlay.classList.add('hidden');
+  }
+}
+
+async function searchPillForm(e) {
+  if (e) e.preventDefault();
+  const features = readPillForm();
+  if (!features.imprint && !features.shape && features.colors.length === 0) {
+    render(pillResults, el('p', null, t('pills.needFeatures')));
+    return;
+  }
+  const dataset = await loadPillData();
+  if (!dataset) {
+    render(pillResults, el('p', null, t('pills.dataMissing')));
+    return;
+  }
+  const candidates = searchPills(features, dataset.pills);
+  if (candidates.length === 0) {
+    render(pillResults, el('p', null, t('pills.noMatch')));
+    return;
+  }
+  render(pillResults, [
+    candidates.map(({ pill, confidence }) => el('div', { class: 'cabinet-item' },
+      el('div', null,
+        el('strong', null, [pill.name, pill.strength].filter(Boolean).join(' ')),
+        el('small', null, [
+          pill.imprint,
+          pill.shape ? t(`pill.shape.${pill.shape}`) : '',
+          pill.colors.map(color => t(`pill.color.${color}`)).join(', ')
+        ].filter(Boolean).join(' · ')),
+        el('small', null, [pill.manufacturer, pill.ndc ? t('pills.ndc', { ndc: pill.ndc }) : ''].filter(Boolean).join(' · '))
+      ),
+      el('span', { class: 'pill-match' }, t('pills.confidence', { percent: Math.round(confidence * 100) }))
+    )),
+    el('p', { class: 'modal-note' }, t('pills.disclaimer'))
+  ]);
+}
+
+async function renderPillDataStatus() {
+  const dataset = await loadPillData();
+  pillDataStatus.textContent = dataset
+    ? t('pills.dataStatus', { source: dataset.source, count: dataset.pills.length })
+    : t('pills.dataMissing');
+}
+
+async function importPillFile(file) {
+  try {
+    const { pills } = await importPillData(await file.text(), file.name);
+    alert(t('pills.imported', { count: pills.length }));
+    await renderPillDataStatus();
+  } catch (err) {
+    alert(t('pills.invalidFile', { message: err.message }));
+  }
+}
+
+// ========== PRESCRIPTION MODE ==========
+// A prescription (đơn thuốc), photographed page by page or uploaded as a
+// PDF: the model only reads its line items (lib/prescription.js). Each item
+// is then looked up like a verification (/api/identify) and the drugs are
+// checked against each other for shared ingredients and interactions.
+function openPrescriptionView() {
+  prescriptionPages = [];
+  renderPrescriptionPages();
+  prescriptionModal.classList.add('show');
+}
+
+function renderPrescriptionPages() {
+  render(prescriptionPageList, prescriptionPages.map((dataUri, i) => el('figure', null,
+    el('img', { src: dataUri, alt: t('prescription.pageAlt', { n: i + 1 }) }),
+    el('button', {
+      type: 'button',
+      class: 'outline-btn',
+      title: t('prescription.removePage'),
+      onclick: () => {
+        prescriptionPages.splice(i, 1);
+        renderPrescriptionPages();
+      }
+    }, '✕')
+  )));
+  const full = prescriptionPages.length >= MAX_IMAGES;
+  prescriptionPhotoButton.disabled = full;
+  prescriptionUploadButton.disabled = full;
+  prescriptionReadButton.disabled = prescriptionPages.length === 0;
+}
+
+// Photos and PDFs, up to MAX_IMAGES pages in all
+async function addPrescriptionFiles(files) {
+  loadingOverlay.classList.remove('hidden');
+  loadingText.textContent = t('loading.image');
+  try {
+    for (const file of files) {
+      const room = MAX_IMAGES - prescriptionPages.length;
+      if (room <= 0) {
+        alert(t('prescription.tooManyPages', { max: MAX_IMAGES }));
+        break;
+      }
+      if (isPdf(file)) {
+        loadingText.textContent = t('prescription.openingPdf');
+        prescriptionPages.push(...await pdfToImages(file, { maxPages: room }));
+        continue;
+      }
+      const dataUri = await compressImage(file);
+      const report = await assessDataUri(dataUri).catch(() => null);
+      if (confirmImageQuality(report)) prescriptionPages.push(dataUri);
+    }
+  } catch (err) {
+    console.error('[Prescription] File failed', err);
+    alert(t('prescription.fileFailed', { message: err.message }));
+  } finally {
+    loadingOverlay.classList.add('hidden');
+    renderPrescriptionPages();
+  }
+}
+
+async function readPrescription() {
+  if (prescriptionPages.length === 0) return;
+  prescriptionModal.classList.remove('show');
+  render(instructionsDiv);
+  scanButton.style.display = 'none';
+  searchForm.classList.add('hidden');
+  prescriptionButton.classList.add('hidden');
+  loadingOverlay.classList.remove('hidden');
+  loadingText.textContent = t('prescription.reading');
+
+  try {
+    const { result } = await runModel({ task: 'prescription', images: prescriptionPages, locale: getLocale() });
+    showPrescription(result);
+  } catch (err) {
+    console.error('[Prescription] Reading failed', err);
+    resultsDiv.classList.remove('hidden');
+    render(resultsDiv, el('div', { class: 'error-msg' },
+      el('h3', null, t('error.title')),
+      el('p', null, isOfflineError(err) ? t('prescription.offline') : describeError(err))
+    ));
+  } finally {
+    loadingOverlay.classList.add('hidden');
+    showScanComplete();
+  }
+}
+
+function showPrescription(prescription) {
+  resultsDiv.classList.remove('hidden');
+  const { items } = prescription;
+  if (items.length === 0) {
+    render(resultsDiv,
+      el('h3', null, t('prescription.empty')),
+      el('p', null, t('prescription.emptyHint'))
+    );
+    return;
+  }
+
+  // Filled in as the lookups come back
+  const lookups = items.map(() => el('div', { class: 'prescription-lookup' },
+    el('p', { class: 'verification-status' }, t('prescription.looking'))));
+  const regimen = el('div', { class: 'prescription-regimen' },
+    el('p', { class: 'verification-status' }, t('prescription.checking')));
+
+  render(resultsDiv,
+    el('h3', null, t('prescription.resultTitle', { count: items.length })),
+    el('p', { class: 'verification-warning' }, t('prescription.readConfidence', { percent: Math.round(prescription.confidence * 100) })),
+    buildPrescriptionHeader(prescription),
+    regimen,
+    items.map((item, i) => buildPrescriptionItem(item, i, lookups[i])),
+    el('p', { class: 'modal-note' }, t('prescription.disclaimer'))
+  );
+  checkPrescription(items, lookups, regimen);
+}
+
+const PRESCRIPTION_HEADER_FIELDS = ['prescriber', 'facility', 'patient', 'date', 'diagnosis', 'notes'];
+
+function buildPrescriptionHeader(prescription) {
+  const rows = PRESCRIPTION_HEADER_FIELDS.filter(name => prescription[name]);
+  if (rows.length === 0) return null;
+  return el('div', { class: 'prescription-header' },
+    rows.map(name => field(t(`prescription.field.${name}`), prescription[name])));
+}
+
+function buildPrescriptionItem(item, index, lookup) {
+  const rows = PRESCRIPTION_ITEM_FIELDS.filter(name => name !== 'strength' && item[name]);
+  return el('div', { class: 'prescription-item' },
+    el('h4', null, `${index + 1}. ${[item.name, item.strength].filter(Boolean).join(' ')}`),
+    item.generic_name ? el('small', null, item.generic_name) : null,
+    rows.length > 0
+      ? el('ul', { style: LIST_STYLE }, rows.map(name => el('li', null, `${t(`prescription.field.${name}`)}: ${item[name]}`)))
+      : null,
+    lookup,
+    el('button', {
+      class: 'outline-btn cabinet-add-btn',
+      onclick: () => openReminderForm(scheduleFromPrescriptionItem(item))
+    }, t('result.createReminder'))
+  );
+}
+
+// Resolves to the official record, or null when there is none
+async function lookupPrescriptionItem(item, container) {
+  try {
+    const resp = await fetch('/api/identify', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(identifyRequestForItem(item))
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const json = await resp.json();
+    if (json.status !== 'OK' || !json.drug) {
+      render(container, el('p', { class: 'verification-status' }, t('prescription.notFound')));
+      return null;
+    }
+    render(container, buildPrescriptionLookup(json));
+    return json.drug;
+  } catch (err) {
+    console.error('[Prescription] Lookup failed', err);
+    render(container, el('p', { class: 'verification-status' }, t('verify.unavailable')));
+    return null;
+  }
+}
+
+// The official record in short, with the label text folded away
+function buildPrescriptionLookup(lookup) {
+  const data = resultFromLookup(lookup);
+  const { identity, details, warnings } = data;
+  const src = (lookup.sources || [])[0];
+
+  const addButton = el('button', { class: 'outline-btn cabinet-add-btn' }, t('result.addToCabinet'));
+  addButton.onclick = async () => {
+    addButton.disabled = true;
+    try {
+      await addToCabinet(cabinetEntryFromResult(data));
+      addButton.textContent = t('result.addedToCabinet');
+      checkCabinetExpiry();
+    } catch (err) {
+      console.error('[Cabinet] Save failed', err);
+      addButton.disabled = false;
+      alert(t('result.cabinetSaveFailed', { message: err.message }));
+    }
+  };
+
+  return [
+    el('p', { class: 'verification-status' },
+      `✓ ${t('prescription.found', { name: identity.name })}`,
+      src ? [' · ', link(src.name, src.url)] : null),
+    field(t('result.activeIngredient'), identity.active_ingredient),
+    el('details', { class: 'alternates' },
+      el('summary', null, t('prescription.details')),
+      field(t('result.usage'), details.usage),
+      details.dosage.length > 0
+        ? el('div', null, el('strong', null, `${t('result.dosage')}:`),
+          el('ul', { style: LIST_STYLE }, details.dosage.map(d => el('li', null, d))))
+        : null,
+      field(t('result.contraindications'), details.contraindications),
+      warnings.length > 0
+        ? el('div', null, el('strong', null, t('result.warnings')),
+          el('ul', { style: LIST_STYLE }, warnings.map(w => el('li', null, w))))
+        : null
+    ),
+    addButton
+  ];
+}
+
+// The model's generic name and the record's ingredients; the name as written
+// only when neither is known, as it is then often the generic name itself
+function regimenTerms(item, drug) {
+  const recorded = drug ? drug.active_ingredients || drug.generic_name : null;
+  if (!item.generic_name && !recorded) return ingredientTerms(item.name);
+  return ingredientTerms(item.generic_name, recorded);
+}
+
+async function checkPrescription(items, lookups, container) {
+  const [drugs, dataset] = await Promise.all([
+    Promise.all(items.map((item, i) => lookupPrescriptionItem(item, lookups[i]))),
+    loadInteractionData().catch(() => null)
+  ]);
+  // Shared ingredients are still found without the interaction dataset
+  const found = checkRegimen(
+    items.map((item, i) => ({ name: item.name, ingredients: [...regimenTerms(item, drugs[i])] })),
+    dataset || {}
+  );
+
+  if (found.length === 0) {
+    render(container, el('p', { class: 'verification-status' }, t('prescription.regimenNone', { count: items.length })));
+    return;
+  }
+  render(container, el('div', { class: 'interaction-box' },
+    el('strong', null, t('prescription.regimenTitle')),
+    el('ul', null, found.map(item => el('li', { class: `severity-${item.severity}` },
+      el('span', { class: 'severity-badge' }, item.label),
+      ' ',
+      el('strong', null, item.drugs.join(' + ')),
+      ` (${item.ingredients.join(' + ')})`,
+      el('br'),
+      item.description
+    ))),
+    dataset ? el('p', { class: 'modal-note' }, localized(dataset.source)) : null
+  ));
+}
+
+// ========== INDEXEDDB & STORAGE ==========
+// The key and session helpers are in lib/session.js; these keep the capture
+// state of this page in step with the saved session.
+async function saveSession() {
+  await writeSession({ capturedImages, decodedBarcode });
+}
+
+async function loadSession() {
+  const session = await readSession();
+  if (!session) return false;
+  capturedImages = session.capturedImages;
+  decodedBarcode = session.decodedBarcode;
+  return true;
+}
+
+// ========== MODEL SETTINGS ==========
+// Provider, models and temperature for analysis on this device; the server
+// proxy is configured through its environment (api/analyze.js).
+function renderProviderOptions(selected) {
+  render(modelForm.elements.provider, MODEL_PROVIDERS.map(value =>
+    el('option', { value, selected: value === selected }, t(`model.provider.${value}`))));
+}
+
+function renderModelForm(settings) {
+  const fields = modelForm.elements;
+  renderProviderOptions(settings.provider);
+  fields.baseUrl.value = settings.baseUrl;
+  fields.apiKey.value = settings.apiKey;
+  fields.model.value = settings.model;
+  fields.fallbackModel.value = settings.fallbackModel;
+  fields.temperature.value = settings.temperature ?? '';
+  modelStatus.textContent = '';
+  showProviderFields();
+}
+
+// The endpoint fields only apply to an OpenAI-compatible server, which has
+// no default model; Gemini model names are suggested.
+function showProviderFields() {
+  const fields = modelForm.elements;
+  const openai = fields.provider.value === 'openai';
+  endpointFields.classList.toggle('hidden', !openai);
+  fields.baseUrl.required = openai;
+  fields.model.required = openai;
+  render(modelSuggestions, openai ? [] : GEMINI_MODELS.map(value => el('option', { value })));
+}
+
+// Model names do not carry over between providers
+function changeProvider() {
+  const fields = modelForm.elements;
+  fields.model.value = fields.provider.value === 'gemini' ? DEFAULT_MODEL : '';
+  fields.fallbackModel.value = '';
+  showProviderFields();
+}
+
+async function submitModelForm(event) {
+  event.preventDefault();
+  const fields = modelForm.elements;
+  try {
+    const settings = await saveModelSettings({
+      provider: fields.provider.value,
+      baseUrl: fields.baseUrl.value,
+      apiKey: fields.apiKey.value,
+      model: fields.model.value,
+      fallbackModel: fields.fallbackModel.value,
+      temperature: fields.temperature.value
+    });
+    renderModelForm(settings);
+    modelStatus.textContent = t('model.saved');
+    refreshKeyStatus();
+  } catch (err) {
+    console.error('[Model] Save failed', err);
+    alert(t('model.saveFailed', { message: err.message }));
+  }
+}
+
+// ========== PIN LOCK ==========
+// With a PIN set (lib/vault.js) nothing is read from the database before it
+// is entered. Locking reloads the page, so no decrypted result, profile or
+// image stays in memory or on screen.
+let stopAutoLock = null;
+
+// Resolves once the right PIN is entered
+function requestUnlock() {
+  return new Promise(resolve => {
+    lockModal.classList.add('show');
+    lockForm.elements.pin.focus();
+    lockForm.onsubmit = async (event) => {
+      event.preventDefault();
+      const submit = lockForm.querySelector('button[type="submit"]');
+      submit.disabled = true;
+      lockError.textContent = '';
+      const unlocked = await unlock(lockForm.elements.pin.value);
+      submit.disabled = false;
+      if (!unlocked) {
+        lockError.textContent = t('pin.wrong');
+        lockForm.elements.pin.select();
+        return;
+      }
+      lockForm.reset();
+      lockModal.classList.remove('show');
+      resolve();
+    };
+    forgotPinButton.onclick = async () => {
+      if (!confirm(t('lock.resetConfirm'))) return;
+      await resetVault();
+      location.reload();
+    };
+  });
+}
+
+function lockApp() {
+  lock();
+  location.reload();
+}
+
+function startAutoLock() {
+  if (stopAutoLock) stopAutoLock();
+  stopAutoLock = isPinSet() ? watchInactivity(autoLockMinutes(), lockApp) : null;
+}
+
+function renderSecurity() {
+  const pinSet = isPinSet();
+  securityStatus.textContent = pinSet ? t('security.on') : t('security.off');
+  setPinButton.classList.toggle('hidden', pinSet);
+  for (const button of [changePinButton, removePinButton, lockNowButton, autoLockField]) {
+    button.classList.toggle('hidden', !pinSet);
+  }
+  render(autoLockSelect, AUTO_LOCK_OPTIONS.map(minutes =>
+    el('option', { value: minutes, selected: minutes === autoLockMinutes() }, t('security.minutes', { count: minutes }))));
+}
+
+// `mode` is 'set', 'change' or 'remove'
+function openPinForm(mode) {
+  pinForm.reset();
+  pinForm.dataset.mode = mode;
+  pinModalTitle.textContent = t(`pin.title.${mode}`);
+  currentPinField.classList.toggle('hidden', mode === 'set');
+  newPinFields.classList.toggle('hidden', mode === 'remove');
+  pinForm.elements.currentPin.required = mode !== 'set';
+  pinForm.elements.newPin.required = mode !== 'remove';
+  pinForm.elements.confirmPin.required = mode !== 'remove';
+  pinError.textContent = '';
+  pinModal.classList.add('show');
+}
+
+// Encrypting or decrypting every record can take a moment on a long history
+async function submitPinForm(event) {
+  event.preventDefault();
+  const fields = pinForm.elements;
+  const mode = pinForm.dataset.mode;
+  if (mode !== 'remove') {
+    if (fields.newPin.value.length < PIN_MIN_LENGTH) {
+      pinError.textContent = t('pin.tooShort', { min: PIN_MIN_LENGTH });
+      return;
+    }
+    if (fields.newPin.value !== fields.confirmPin.value) {
+      pinError.textContent = t('pin.mismatch');
+      return;
+    }
+  }
+
+  loadingText.textContent = t('pin.working');
+  loadingOverlay.classList.remove('hidden');
+  try {
+    let accepted = true;
+    if (mode === 'set') await setPin(fields.newPin.value);
+    else if (mode === 'change') accepted = await changePin(fields.currentPin.value, fields.newPin.value);
+    else accepted = await removePin(fields.currentPin.value);
+    if (!accepted) {
+      pinError.textContent = t('pin.wrong');
+      return;
+    }
+    pinForm.reset();
+    pinModal.classList.remove('show');
+    renderSecurity();
+    startAutoLock();
+  } catch (err) {
+    console.error('[PIN] Update failed', err);
+    pinError.textContent = t('pin.failed', { message: err.message });
+  } finally {
+    loadingOverlay.classList.add('hidden');
+  }
+}
+
+async function changeAutoLock() {
+  await setAutoLockMinutes(Number(autoLockSelect.value));
+  startAutoLock();
+}
+
+// ========== LANGUAGE ==========
+// Static markup is translated from its data-i18n attributes; views built in
+// script are redrawn. A result already on screen stays in the language the
+// model answered in.
+function renderLanguageOptions() {
+  render(languageSelect, Object.entries(LOCALES).map(([value, label]) =>
+    el('option', { value, selected: value === getLocale() }, label)));
+}
+
+async function changeLanguage(locale) {
+  await saveLocale(locale);
+  translatePage();
+  refreshKeyStatus();
+  renderProviderOptions(modelForm.elements.provider.value);
+  renderSecurity();
+  renderProfiles();
+  checkCabinetExpiry();
+  if (scanCompleted) {
+    scanButton.textContent = t('scan.again');
+    render(instructionsDiv, el('p', null, t('instructions.done')));
+  } else if (!reviewContainer.classList.contains('hidden')) {
+    render(roleSelect, roleOptions(roleSelect.value));
+  } else if (!viewfinder) {
+    showCurrentStep();
+  }
+}
+
+// ========== APP UPDATES ==========
+// A new build's service worker installs and waits (see service-worker.js);
+// the user decides when to switch, so a capture in progress is not cut off.
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  let updateRequested = false;
+
+  navigator.serviceWorker.register('service-worker.js').then(registration => {
+    if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+      });
+    });
+    // Check for a new build whenever the app comes back to the foreground
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) registration.update().catch(() => { });
+    });
+  }).catch(err => console.warn('[SW] Registration failed', err));
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateRequested) window.location.reload();
+  });
+
+  function showUpdatePrompt(worker) {
+    updateBanner.classList.remove('hidden');
+    updateReloadButton.onclick = () => {
+      updateRequested = true;
+      updateReloadButton.disabled = true;
+      worker.postMessage({ type: 'skip-waiting' });
+    };
+  }
+}
+
+// ========== INITIALIZATION ==========
+window.addEventListener('DOMContentLoaded', async () => {
+  // Language first, so everything below renders in it
+  await loadLocale();
+  translatePage();
+  renderLanguageOptions();
+  languageSelect.onchange = () => changeLanguage(languageSelect.value);
+
+  // PIN lock before anything reads the protected data
+  if (await loadVault()) await requestUnlock();
+  startAutoLock();
+
+  // Service Worker
+  registerServiceWorker();
+
+  // PWA Install Logic
+  let deferredPrompt;
+  const installButton = document.getElementById('installButton');
+
+  window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    deferredPrompt = e;
+    installButton.classList.remove('hidden');
+  });
+
+  installButton.addEventListener('click', async () => {
+    if (!deferredPrompt) return;
+    deferredPrompt.prompt();
+    const { outcome } = await deferredPrompt.userChoice;
+    console.log(`User response to the install prompt: ${outcome}`);
+    deferredPrompt = null;
+    installButton.classList.add('hidden');
+  });
+
+  window.addEventListener('appinstalled', () => {
+    installButton.classList.add('hidden');
+    deferredPrompt = null;
+    console.log('PWA was installed');
+  });
+
+  // Modal Events
+  const showModal = m => m.classList.add('show');
+  const hideModal = m => m.classList.remove('show');
+
+  // Check API Key. The key prompt is only needed when the server has no key.
+  serverAnalysis = await fetchServerAnalysisConfig();
+  const key = await getKey();
+  if (!key && !serverAnalysis.enabled && !usesEndpoint(await loadModelSettings())) showModal(keyModal);
+  refreshKeyStatus();
+
+  saveKeyButton.onclick = async () => {
+    const val = apiKeyInput.value.trim();
+    if (val) {
+      await saveKey(val);
+      hideModal(keyModal);
+      refreshKeyStatus();
+    }
+  };
+
+  // Settings Button Logic
+  settingsButton.onclick = async () => {
+    // Check key status again when opening settings
+    await refreshKeyStatus();
+    renderModelForm(await loadModelSettings());
+    renderSecurity();
+    showModal(settingsModal);
+    renderProfiles();
+  };
+
+  changeKeyButton.onclick = () => { hideModal(settingsModal); showModal(keyModal); };
+  deleteKeyButton.onclick = async () => {
+    await deleteKey();
+    hideModal(settingsModal);
+    if (!serverAnalysis.enabled && !usesEndpoint(await loadModelSettings())) showModal(keyModal);
+    refreshKeyStatus();
+  };
+  closeSettingsModalButton.onclick = () => hideModal(settingsModal);
+
+  // Backup
+  exportDataButton.onclick = exportAllData;
+  importDataButton.onclick = () => {
+    backupFileInput.value = '';
+    backupFileInput.click();
+  };
+  backupFileInput.onchange = () => {
+    const file = backupFileInput.files && backupFileInput.files[0];
+    if (file) importBackupFile(file);
+  };
+
+  // Model
+  modelForm.onsubmit = submitModelForm;
+  modelForm.elements.provider.onchange = changeProvider;
+
+  // PIN lock
+  setPinButton.onclick = () => openPinForm('set');
+  changePinButton.onclick = () => openPinForm('change');
+  removePinButton.onclick = () => openPinForm('remove');
+  lockNowButton.onclick = lockApp;
+  autoLockSelect.onchange = changeAutoLock;
+  pinForm.onsubmit = submitPinForm;
+  cancelPinButton.onclick = () => hideModal(pinModal);
+
+  // Profiles
+  addProfileButton.onclick = () => openProfileForm(null);
+  profileForm.onsubmit = submitProfileForm;
+  cancelProfileButton.onclick = () => hideModal(profileModal);
+
+  // Cabinet
+  cabinetButton.onclick = openCabinetView;
+  checkCabinetExpiry();
+  registerExpiryCheck();
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) checkCabinetExpiry();
+  });
+  if (new URLSearchParams(location.search).get('view') === 'cabinet') openCabinetView();
+  closeCabinetButton.onclick = () => hideModal(cabinetModal);
+
+  // History
+  historyButton.onclick = async () => {
+    historySearchInput.value = '';
+    await renderHistory();
+    showModal(historyModal);
+  };
+  historySearchInput.oninput = () => renderHistory();
+  closeHistoryButton.onclick = () => hideModal(historyModal);
+
+  // Reminders
+  remindersButton.onclick = openRemindersView;
+  closeRemindersButton.onclick = () => hideModal(remindersModal);
+  exportAllRemindersButton.onclick = async () => exportReminders(await listSchedules());
+  reminderForm.onsubmit = submitReminderForm;
+  reminderForm.elements.timesPerDay.onchange = e => renderTimeInputs(defaultTimes(Number(e.target.value)));
+  cancelReminderButton.onclick = () => hideModal(reminderFormModal);
+  announceDueReminders().then(scheduleReminderTimer);
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) announceDueReminders().then(scheduleReminderTimer);
+  });
+  if (new URLSearchParams(location.search).get('view') === 'reminders') openRemindersView();
+
+  // Text search
+  searchInput.oninput = scheduleSuggestions;
+  searchInput.onfocus = () => { localSuggestions = null; };
+  searchInput.onkeydown = e => {
+    if (e.key === 'Escape') showSuggestions([]);
+  };
+  searchForm.onsubmit = e => {
+    e.preventDefault();
+    const query = searchInput.value.trim();
+    if (query.length >= MIN_QUERY_LENGTH) runSearch(query);
+  };
+  document.addEventListener('click', e => {
+    if (!searchForm.contains(e.target)) showSuggestions([]);
+  });
+
+  // Pill identification
+  pillButton.onclick = openPillView;
+  closePillButton.onclick = () => hideModal(pillModal);
+  pillPhotoButton.onclick = () => {
+    pillFileInput.value = '';
+    pillFileInput.click();
+  };
+  pillFileInput.onchange = () => {
+    const file = pillFileInput.files && pillFileInput.files[0];
+    if (file) addPillPhoto(file);
+  };
+  pillReadButton.onclick = readPillPhotos;
+  pillForm.onsubmit = searchPillForm;
+  importPillDataButton.onclick = () => {
+    pillDataInput.value = '';
+    pillDataInput.click();
+  };
+  pillDataInput.onchange = () => {
+    const file = pillDataInput.files && pillDataInput.files[0];
+    if (file) importPillFile(file);
+  };
+
+  // Prescription
+  prescriptionButton.onclick = openPrescriptionView;
+  closePrescriptionButton.onclick = () => hideModal(prescriptionModal);
+  prescriptionPhotoButton.onclick = () => {
+    prescriptionPhotoInput.value = '';
+    prescriptionPhotoInput.click();
+  };
+  prescriptionUploadButton.onclick = () => {
+    prescriptionFileInput.value = '';
+    prescriptionFileInput.click();
+  };
+  prescriptionPhotoInput.onchange = () => addPrescriptionFiles([...prescriptionPhotoInput.files]);
+  prescriptionFileInput.onchange = () => addPrescriptionFiles([...prescriptionFileInput.files]);
+  prescriptionReadButton.onclick = readPrescription;
+
+  // Offline queue: retry on start, on focus and when the connection returns
+  queueButton.onclick = openQueueView;
+  closeQueueButton.onclick = () => hideModal(queueModal);
+  window.addEventListener('online', runQueue);
+  window.addEventListener('focus', runQueue);
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) runQueue();
+  });
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', e => {
+      if (e.data && e.data.type === 'process-queue') runQueue();
+      if (e.data && e.data.type === 'open-queue') openQueueView();
+      if (e.data && e.data.type === 'open-reminders') openRemindersView();
+      if (e.data && e.data.type === 'open-cabinet') openCabinetView();
+      if (e.data && e.data.type === 'dose-logged' && remindersModal.classList.contains('show')) renderReminders();
+    });
+  }
+  refreshQueueIndicator().then(runQueue);
+  if (new URLSearchParams(location.search).get('view') === 'queue') openQueueView();
+  updateInteractionsButton.onclick = async () => {
+    try {
+      const { updated, version } = await updateInteractionData();
+      alert(updated ? t('interactions.updated', { version }) : t('interactions.upToDate', { version }));
+      renderCabinet();
+    } catch (err) {
+      alert(t('interactions.updateFailed', { message: err.message }));
+    }
+  };
+  importInteractionsButton.onclick = () => {
+    interactionFileInput.value = '';
+    interactionFileInput.click();
+  };
+  interactionFileInput.onchange = async () => {
+    const file = interactionFileInput.files && interactionFileInput.files[0];
+    if (!file) return;
+    try {
+      const { updated, version } = await importInteractionData(await file.text());
+      alert(updated ? t('interactions.imported', { version }) : t('interactions.notNewer', { version }));
+      renderCabinet();
+    } catch (err) {
+      alert(t('interactions.invalidFile', { message: err.message }));
+    }
+  };
 
-  // Always start fresh on load (prevent auto-query or partial state restoration)
+  // Resume an unfinished capture; analysis only starts when the user asks
+  await loadSession();
   showCurrentStep();
 });
\ No newline at end of file
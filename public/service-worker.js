@@ -1,56 +1,416 @@
-const CACHE_NAME = 'drug-pwa-cache-v2';
-const ASSETS = [
-  '/',
-  '/index.html',
-  '/style.css',
-  '/script.js',
-  '/manifest.json',
-  '/icon.png'
+/*
+ * Drug Scanner service worker.
+ *
+ *   App shell   precached per build from precache-manifest.js (generated by
+ *               scripts/build-precache.js), then stale-while-revalidate
+ *   CDN modules esm.run / jsDelivr and Google Fonts: stale-while-revalidate
+ *   GET /api/*  network-first, falling back to the last cached response;
+ *               not cached while a PIN is set (lib/vault.js)
+ *
+ * It also retries the offline scan queue, shows medication reminders and
+ * checks saved medicines for expiry (sections at the end of this file).
+ *
+ * A new build installs alongside the old one and waits; the page shows a
+ * "new version" prompt and sends 'skip-waiting' when the user accepts.
+ */
+try {
+  importScripts('/precache-manifest.js');
+} catch (err) {
+  // No build step ran (e.g. serving public/ directly): nothing to precache
+  console.warn('[SW] No precache manifest, running the dev shell:', err);
+}
+
+const MANIFEST = self.__PRECACHE_MANIFEST || { version: 'dev', assets: [] };
+const PRECACHE = `drug-scanner-precache-${MANIFEST.version}`;
+const RUNTIME_CACHE = 'drug-scanner-runtime';
+const API_CACHE = 'drug-scanner-api';
+
+// Cross-origin modules and styles the app loads at runtime (see the import
+// map in index.html). Precached best effort: install does not fail without them.
+const EXTERNAL_ASSETS = [
+  'https://esm.run/@google/generative-ai',
+  'https://esm.run/barcode-detector@2/pure',
+  'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap'
 ];
+const RUNTIME_HOSTS = ['esm.run', 'cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
 
 self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => cache.addAll(ASSETS))
-  );
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE);
+    // Bypass the HTTP cache so the precache matches this build
+    await cache.addAll(MANIFEST.assets.map((asset) => new Request(asset.url, { cache: 'reload' })));
+
+    const runtime = await caches.open(RUNTIME_CACHE);
+    await Promise.all(EXTERNAL_ASSETS.map((url) =>
+      runtime.add(new Request(url, { mode: 'cors' })).catch((err) => console.warn('[SW] Not precached:', url, err))
+    ));
+  })());
 });
 
 self.addEventListener('activate', (event) => {
-  // Remove old caches if any
+  // Remove caches from previous builds
+  const keep = [PRECACHE, RUNTIME_CACHE, API_CACHE];
   event.waitUntil(
-    caches.keys().then((keys) => {
-      return Promise.all(
-        keys.map((key) => {
-          if (key !== CACHE_NAME) {
-            return caches.delete(key);
-          }
-        })
-      );
-    })
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !keep.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
   );
 });
 
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
 self.addEventListener('fetch', (event) => {
   const req = event.request;
   // Only handle GET requests
   if (req.method !== 'GET') return;
-  event.respondWith(
-    caches.match(req).then((cached) => {
-      if (cached) {
-        return cached;
+  const url = new URL(req.url);
+
+  if (url.origin === self.location.origin) {
+    // Autocomplete answers are only useful online and would fill the cache
+    if (url.pathname === '/api/search' && url.searchParams.has('suggest')) return;
+    if (url.pathname.startsWith('/api/')) {
+      event.respondWith(lookup(req));
+    } else if (req.mode === 'navigate') {
+      // Cache pages by path, so /?view=queue shares the entry for /
+      event.respondWith(staleWhileRevalidate(event, PRECACHE, url.pathname, '/index.html'));
+    } else {
+      event.respondWith(staleWhileRevalidate(event, PRECACHE));
+    }
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE));
+  }
+});
+
+// Serve from cache right away and refresh the cached copy in the background.
+// Opaque responses (cross-origin stylesheets) are cached as they are.
+async function staleWhileRevalidate(event, cacheName, key = event.request, fallbackUrl) {
+  const req = event.request;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(key);
+  const network = fetch(req)
+    .then((res) => {
+      if (res.ok || res.type === 'opaque') cache.put(key, res.clone());
+      return res;
+    })
+    .catch(() => null);
+  // Keep the worker alive until the refresh is stored
+  event.waitUntil(network);
+
+  if (cached) return cached;
+  const res = await network;
+  if (res) return res;
+  const fallback = fallbackUrl && await cache.match(fallbackUrl);
+  return fallback || Response.error();
+}
+
+// Lookups should be fresh; the cached copy is only for when the network fails
+async function networkFirst(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(req);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Cache Storage is not encrypted: with a PIN set, lookups of the user's
+// drugs go to the network only (lib/vault.js deletes what was cached)
+async function lookup(req) {
+  if (await isPinSet()) return fetch(req);
+  return networkFirst(req, API_CACHE);
+}
+
+async function isPinSet() {
+  const db = await openAppDB('settings');
+  if (!db) return false;
+  try {
+    return Boolean(await storeRequest(db, 'settings', 'readonly', (store) => store.get('vault')));
+  } catch (err) {
+    // Unknown: do not risk caching
+    return true;
+  } finally {
+    db.close();
+  }
+}
+
+// ========== OFFLINE SCAN QUEUE ==========
+// Background Sync for captures queued while offline (see lib/queue.js for
+// the entry format). An open app window processes the queue itself, since
+// it may hold the user's own API key; with no window open the worker sends
+// pending captures to the server proxy, which needs a server-side key.
+const SYNC_TAG = 'scan-queue';
+const MAX_ATTEMPTS = 5;
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(syncQueue());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const data = event.notification.data || {};
+  // "Taken" / "Skipped" buttons on a reminder: log it without opening the app
+  if (data.scheduleId !== undefined && DOSE_ACTIONS.includes(event.action)) {
+    event.waitUntil(logDoseInWorker(data.scheduleId, data.due, event.action));
+    return;
+  }
+  const url = data.url || '/';
+  const view = new URL(url, self.location.origin).searchParams.get('view');
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((windows) => {
+      if (windows.length > 0) {
+        windows[0].postMessage({ type: `open-${view || 'queue'}` });
+        return windows[0].focus();
       }
-      return fetch(req)
-        .then((res) => {
-          // Cache fetched resource for next time if it's ok
-          if (res && res.status === 200 && res.type === 'basic') {
-            const resClone = res.clone();
-            caches.open(CACHE_NAME).then((cache) => cache.put(req, resClone));
-          }
-          return res;
-        })
-        .catch(() => {
-          // Offline fallback to homepage
-          return caches.match('/');
-        });
+      return self.clients.openWindow(url);
     })
   );
-});
\ No newline at end of file
+});
+
+async function syncQueue() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.length > 0) {
+    windows.forEach((client) => client.postMessage({ type: 'process-queue' }));
+    return;
+  }
+
+  const db = await openAppDB('queue');
+  if (!db) return;
+  try {
+    await processQueueInWorker(db);
+  } finally {
+    // Do not block the app's version upgrades
+    db.close();
+  }
+}
+
+async function processQueueInWorker(db) {
+  const entries = await storeRequest(db, 'queue', 'readonly', (store) => store.getAll());
+  const locale = await readLocale(db);
+  let completed = 0;
+
+  // Entries encrypted under the app's PIN (`sealed`, see lib/vault.js) wait
+  // for the app to be unlocked
+  for (const entry of entries.filter((item) => item.status === 'pending' && !item.sealed)) {
+    // A network error rejects here, so the browser retries the sync later
+    const resp = await fetch('/api/analyze', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        images: entry.images.map((image) => image.dataUri),
+        roles: entry.images.map((image) => image.role),
+        barcode: entry.barcode ? entry.barcode.digits : undefined,
+        locale
+      })
+    });
+    // No server key, or rate limited: leave it for the app to retry
+    if (resp.status === 503 || resp.status === 429) break;
+
+    const json = await resp.json().catch(() => ({}));
+    const updated = { ...entry, updatedAt: Date.now() };
+    if (resp.ok && json.status === 'OK') {
+      if (entry.barcode) json.result.barcode = entry.barcode;
+      Object.assign(updated, { status: 'done', result: json.result, model: json.model || '', error: '' });
+      completed++;
+    } else {
+      updated.attempts = (entry.attempts || 0) + 1;
+      updated.error = json.error || `HTTP ${resp.status}`;
+      if (updated.attempts >= MAX_ATTEMPTS) updated.status = 'failed';
+    }
+    await storeRequest(db, 'queue', 'readwrite', (store) => store.put(updated));
+  }
+
+  if (completed > 0) {
+    const all = await storeRequest(db, 'queue', 'readonly', (store) => store.getAll());
+    const ready = all.filter((item) => item.status === 'done').length;
+    if (self.navigator.setAppBadge) self.navigator.setAppBadge(ready).catch(() => { });
+    if (self.Notification && self.Notification.permission === 'granted') {
+      await self.registration.showNotification('Drug Scanner', {
+        body: workerText(locale, 'queue.notification', { count: completed }),
+        icon: '/192.png',
+        tag: SYNC_TAG,
+        data: { url: '/?view=queue' }
+      });
+    }
+  }
+}
+
+// ========== MEDICATION REMINDERS ==========
+// While the app is closed, Periodic Background Sync wakes the worker to
+// announce doses that are due (see lib/reminders.js for the record shapes).
+// The page announces them itself while it is open; `lastNotified` on the
+// schedule keeps the two from repeating a dose.
+const REMINDER_SYNC_TAG = 'reminders';
+const NOTIFY_WINDOW_MS = 60 * 60 * 1000;
+const DOSE_ACTIONS = ['taken', 'skipped'];
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) event.waitUntil(notifyDueReminders());
+});
+
+async function notifyDueReminders() {
+  if (!self.Notification || self.Notification.permission !== 'granted') return;
+  const db = await openAppDB('reminders');
+  if (!db) return;
+  try {
+    const now = new Date();
+    const schedules = await storeRequest(db, 'reminders', 'readonly', (store) => store.getAll());
+    const locale = await readLocale(db);
+    for (const schedule of schedules) {
+      const due = dueTimes(schedule, now).filter((key) => key > (schedule.lastNotified || ''));
+      if (due.length === 0) continue;
+      await showReminder(schedule, due[due.length - 1], locale);
+      const updated = { ...schedule, lastNotified: due[due.length - 1] };
+      await storeRequest(db, 'reminders', 'readwrite', (store) => store.put(updated));
+    }
+  } finally {
+    db.close();
+  }
+}
+
+// 'YYYY-MM-DDTHH:MM' keys of doses in the last NOTIFY_WINDOW_MS
+function dueTimes(schedule, now) {
+  const keys = [];
+  for (const offset of [-1, 0]) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    const date = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+    if (date < schedule.startDate || date > schedule.endDate) continue;
+    for (const time of schedule.times) {
+      const [hh, mm] = time.split(':').map(Number);
+      const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hh, mm);
+      if (at <= now && now - at <= NOTIFY_WINDOW_MS) keys.push(`${date}T${time}`);
+    }
+  }
+  return keys;
+}
+
+// Same notification as the page's (script.js showReminder). With a PIN set
+// the name and dose are encrypted (lib/vault.js); only the times are readable.
+function showReminder(schedule, due, locale) {
+  return self.registration.showNotification(`💊 ${schedule.sealed ? 'Drug Scanner' : schedule.name}`, {
+    body: `${workerText(locale, 'reminders.due', { time: due.slice(11) })}${schedule.dose ? `: ${schedule.dose}` : ''}`,
+    icon: '/192.png',
+    tag: `reminder-${schedule.id}-${due}`,
+    requireInteraction: true,
+    actions: DOSE_ACTIONS.map((action) => ({ action, title: workerText(locale, `dose.${action}`) })),
+    data: { scheduleId: schedule.id, due, url: '/?view=reminders' }
+  });
+}
+
+async function logDoseInWorker(scheduleId, due, status) {
+  const db = await openAppDB('doseLog');
+  if (!db) return;
+  try {
+    const entry = { scheduleId, due, status, loggedAt: Date.now() };
+    await storeRequest(db, 'doseLog', 'readwrite', (store) => store.put(entry, `${scheduleId}@${due}`));
+  } finally {
+    db.close();
+  }
+  // Refresh an open reminders view
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach((client) => client.postMessage({ type: 'dose-logged' }));
+}
+
+// ========== CABINET EXPIRY CHECK ==========
+// Daily Periodic Background Sync over saved medicines (see lib/expiry.js).
+// 'expiryNotifiedOn' in settings limits it, and the page, to one notice a day.
+const EXPIRY_SYNC_TAG = 'expiry-check';
+const EXPIRY_WARNING_DAYS = 90;
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === EXPIRY_SYNC_TAG) event.waitUntil(checkExpiryInWorker());
+});
+
+async function checkExpiryInWorker() {
+  if (!self.Notification || self.Notification.permission !== 'granted') return;
+  const db = await openAppDB('cabinet');
+  if (!db) return;
+  try {
+    const now = new Date();
+    const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    if (await storeRequest(db, 'settings', 'readonly', (store) => store.get('expiryNotifiedOn')) === today) return;
+
+    const entries = await storeRequest(db, 'cabinet', 'readonly', (store) => store.getAll());
+    const limit = new Date(now.getFullYear(), now.getMonth(), now.getDate() + EXPIRY_WARNING_DAYS);
+    const flagged = entries.filter((entry) => {
+      if (!entry.expiry_date) return false;
+      const [y, m, d] = entry.expiry_date.split('-').map(Number);
+      return new Date(y, m - 1, d) <= limit;
+    });
+    if (flagged.length === 0) return;
+
+    await storeRequest(db, 'settings', 'readwrite', (store) => store.put(today, 'expiryNotifiedOn'));
+    // Same notification as the page's (script.js checkCabinetExpiry)
+    await self.registration.showNotification('Drug Scanner', {
+      body: workerText(await readLocale(db), 'cabinet.notification', { count: flagged.length }),
+      icon: '/192.png',
+      tag: EXPIRY_SYNC_TAG,
+      data: { url: '/?view=cabinet' }
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// ========== NOTIFICATION TEXT ==========
+// The messages the worker shows itself, in the language chosen in the app
+// ('locale' in settings). Keep in sync with lib/locales/*.js.
+const DEFAULT_LOCALE = 'vi';
+const WORKER_MESSAGES = {
+  vi: {
+    'queue.notification': 'Đã có kết quả cho {count} lượt quét trong hàng chờ.',
+    'reminders.due': 'Đến giờ uống thuốc ({time})',
+    'dose.taken': 'Đã uống',
+    'dose.skipped': 'Bỏ qua',
+    'cabinet.notification': 'Tủ thuốc có {count} thuốc đã hết hạn hoặc sắp hết hạn.'
+  },
+  en: {
+    'queue.notification': 'Results are ready for {count} queued scan(s).',
+    'reminders.due': 'Time to take your medicine ({time})',
+    'dose.taken': 'Taken',
+    'dose.skipped': 'Skipped',
+    'cabinet.notification': 'Your cabinet has {count} medicine(s) that have expired or expire soon.'
+  }
+};
+
+async function readLocale(db) {
+  try {
+    const locale = await storeRequest(db, 'settings', 'readonly', (store) => store.get('locale'));
+    return WORKER_MESSAGES[locale] ? locale : DEFAULT_LOCALE;
+  } catch (err) {
+    return DEFAULT_LOCALE;
+  }
+}
+
+function workerText(locale, key, params) {
+  return WORKER_MESSAGES[locale][key].replace(/\{(\w+)\}/g, (match, name) => params?.[name] ?? match);
+}
+
+// ========== APP DATABASE ==========
+// Opens the app database at its current version (the app owns upgrades);
+// null when it does not have `storeName` yet
+function openAppDB(storeName) {
+  return new Promise((resolve) => {
+    const req = indexedDB.open('DrugScannerDB');
+    req.onsuccess = () => {
+      const db = req.result;
+      if (db.objectStoreNames.contains(storeName)) return resolve(db);
+      db.close();
+      resolve(null);
+    };
+    req.onerror = () => resolve(null);
+  });
+}
+
+function storeRequest(db, storeName, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
@@ -0,0 +1,68 @@
+/*
+ * Writes public/precache-manifest.js: every app-shell file under public/
+ * with a content hash, plus a build version derived from all of them. The
+ * service worker imports it, so any changed file yields a new worker (and
+ * a new precache) without bumping a cache name by hand.
+ *
+ * Runs as `npm run build` (Vercel runs it on deploy) and before `npm start`.
+ */
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+export const MANIFEST_FILE = 'precache-manifest.js';
+
+const INCLUDE = /\.(html|css|js|json|png)$/;
+// The worker and its manifest are fetched by the browser's update check;
+// the Open Graph image is only for link previews.
+const EXCLUDE = new Set(['service-worker.js', MANIFEST_FILE, 'OG.png']);
+
+function hash(content) {
+  return createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const dirent of await readdir(dir, { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+    if (dirent.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, dirent.name), relative));
+    } else if (INCLUDE.test(dirent.name) && !EXCLUDE.has(relative)) {
+      files.push(relative);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * @param {string} [dir] Directory served at the site root
+ * @returns {Promise<{version: string, assets: Array<{url: string, revision: string}>}>}
+ */
+export async function buildPrecacheManifest(dir = PUBLIC_DIR) {
+  const assets = [];
+  for (const file of await listFiles(dir)) {
+    const revision = hash(await readFile(path.join(dir, file)));
+    assets.push({ url: `/${file}`, revision });
+    // The start URL serves index.html
+    if (file === 'index.html') assets.unshift({ url: '/', revision });
+  }
+  // Content-derived, so rebuilding unchanged files does not trigger an update
+  const version = hash(assets.map(asset => `${asset.url}@${asset.revision}`).join('\n'));
+  return { version, assets };
+}
+
+/**
+ * @param {Awaited<ReturnType<typeof buildPrecacheManifest>>} manifest
+ * @returns {string} Classic-script source for importScripts()
+ */
+export function renderManifestScript(manifest) {
+  return `// Generated by scripts/build-precache.js. Do not edit.\nself.__PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const manifest = await buildPrecacheManifest();
+  await writeFile(path.join(PUBLIC_DIR, MANIFEST_FILE), renderManifestScript(manifest));
+  console.log(`Precache manifest ${manifest.version}: ${manifest.assets.length} files`);
+}
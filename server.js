@@ -2,6 +2,8 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import identifyHandler from './api/identify.js';
+import analyzeHandler from './api/analyze.js';
+import searchHandler from './api/search.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -9,12 +11,20 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = process.env.PORT || 3001;
 
-// Serve static files from 'public' directory
-app.use(express.static(path.join(__dirname, 'public')));
+// Serve static files from 'public' directory. The service worker and its
+// precache manifest must always be revalidated, or updates are never seen.
+const NO_CACHE_FILES = ['service-worker.js', 'precache-manifest.js'];
+app.use(express.static(path.join(__dirname, 'public'), {
+    setHeaders: (res, filePath) => {
+        if (NO_CACHE_FILES.includes(path.basename(filePath))) {
+            res.setHeader('Cache-Control', 'no-cache');
+        }
+    }
+}));
 
-// API route
+// API routes
 // We do not use body-parser or express.json() here because
-// api/identify.js typically expects to read the raw request stream.
+// the api/ handlers expect to read the raw request stream.
 app.all('/api/identify', async (req, res) => {
     try {
         await identifyHandler(req, res);
@@ -26,6 +36,28 @@ app.all('/api/identify', async (req, res) => {
     }
 });
 
+app.all('/api/search', async (req, res) => {
+    try {
+        await searchHandler(req, res);
+    } catch (error) {
+        console.error('API Error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    }
+});
+
+app.all('/api/analyze', async (req, res) => {
+    try {
+        await analyzeHandler(req, res);
+    } catch (error) {
+        console.error('API Error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        }
+    }
+});
+
 app.listen(port, () => {
     console.log(`Server running at http://localhost:${port}`);
 });
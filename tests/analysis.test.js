@@ -0,0 +1,110 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOpenAIProvider, normalizeBaseUrl } from '../public/lib/openai.js';
+import {
+  analyzeWithModels, modelChain, normalizeModelSettings, parseTemperature, loadModelSettings, saveModelSettings,
+} from '../public/lib/analysis.js';
+import { DEFAULT_MODEL } from '../public/lib/prompt.js';
+
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQ';
+const RESULT = {
+  identity: { name: 'Hapacol 250', active_ingredient: 'Paracetamol', confidence: 0.9 },
+  details: { usage: 'Hạ sốt', dosage: ['1 gói'], contraindications: '' },
+  warnings: [],
+  search_fallback: { query: 'Hapacol 250', suggested_links: [] },
+};
+
+// An OpenAI-compatible endpoint answering each model from a script of
+// replies: a string is the message content, a number an HTTP error
+function stubEndpoint(replies) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    calls.push({ url, headers: init.headers, body });
+    const reply = replies[body.model].shift();
+    if (typeof reply === 'number') {
+      return new Response(JSON.stringify({ error: { message: 'overloaded' } }), { status: reply, statusText: 'Error' });
+    }
+    return Response.json({ choices: [{ message: { role: 'assistant', content: reply } }] });
+  };
+  return { fetch, calls };
+}
+
+test('the OpenAI provider sends the prompt, images and schema', async () => {
+  const { fetch, calls } = stubEndpoint({ local: [JSON.stringify(RESULT)] });
+  const provider = createOpenAIProvider({ baseUrl: 'http://localhost:8080/v1/chat/completions/', apiKey: 'sk-1', temperature: 0.2, fetch });
+  const { result, model } = await analyzeWithModels(provider, { models: ['local'], images: [JPEG], roles: ['front'], locale: 'en' });
+  assert.equal(model, 'local');
+  assert.equal(result.identity.name, 'Hapacol 250');
+
+  const [{ url, headers, body }] = calls;
+  assert.equal(url, 'http://localhost:8080/v1/chat/completions');
+  assert.equal(headers.Authorization, 'Bearer sk-1');
+  assert.equal(body.temperature, 0.2);
+  assert.equal(body.response_format.type, 'json_schema');
+  // Field descriptions follow the prompt language
+  assert.equal(body.response_format.json_schema.schema.properties.identity.properties.name.description, 'Drug name');
+  const [text, image] = body.messages[0].content;
+  assert.equal(text.type, 'text');
+  assert.deepEqual(image, { type: 'image_url', image_url: { url: JPEG } });
+});
+
+test('an invalid reply is sent back once for repair', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { fetch, calls } = stubEndpoint({ local: ['{"details": {}}', JSON.stringify(RESULT)] });
+  const provider = createOpenAIProvider({ baseUrl: 'http://localhost:8080/v1', fetch });
+  const { result } = await analyzeWithModels(provider, { models: ['local'], images: [JPEG] });
+  assert.equal(result.validation.reasked, true);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[1].body.messages[0].content.at(-1).type, 'text');
+  assert.equal(calls[0].headers.Authorization, undefined);
+});
+
+test('a failing model falls back to the next one', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { fetch } = stubEndpoint({ big: [503], small: [JSON.stringify(RESULT)] });
+  const provider = createOpenAIProvider({ baseUrl: 'http://localhost:8080/v1', fetch });
+  const { model } = await analyzeWithModels(provider, { models: modelChain({ model: 'big', fallbackModel: 'small' }), images: [JPEG] });
+  assert.equal(model, 'small');
+});
+
+test('the last error is thrown when every model fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const { fetch } = stubEndpoint({ big: [503], small: ['not json', 'still not json'] });
+  const provider = createOpenAIProvider({ baseUrl: 'http://localhost:8080/v1', fetch });
+  await assert.rejects(
+    analyzeWithModels(provider, { models: ['big', 'small'], images: [JPEG] }),
+    { name: 'ModelOutputError' },
+  );
+  await assert.rejects(analyzeWithModels(provider, { models: [], images: [JPEG] }), /No model configured/);
+});
+
+test('pill and prescription tasks use their own schema', async () => {
+  const { fetch, calls } = stubEndpoint({ local: ['{"form": "tablet", "imprint": "M 367", "shape": "round", "colors": ["white"], "confidence": 0.8}'] });
+  const provider = createOpenAIProvider({ baseUrl: 'http://localhost:8080/v1', fetch });
+  const { result } = await analyzeWithModels(provider, { task: 'pill', models: ['local'], images: [JPEG] });
+  assert.equal(result.imprint, 'M 367');
+  assert.ok(calls[0].body.response_format.json_schema.schema.properties.imprint);
+
+  const prescriptionEndpoint = stubEndpoint({ local: ['{"items": [{"name": "Amoxicillin 500mg"}], "confidence": 0.7}'] });
+  const prescriptionProvider = createOpenAIProvider({ baseUrl: 'http://localhost:8080/v1', fetch: prescriptionEndpoint.fetch });
+  const { result: prescription } = await analyzeWithModels(prescriptionProvider, { task: 'prescription', models: ['local'], images: [JPEG], locale: 'en' });
+  assert.equal(prescription.items[0].name, 'Amoxicillin 500mg');
+  const { items } = prescriptionEndpoint.calls[0].body.response_format.json_schema.schema.properties;
+  assert.equal(items.items.properties.name.description, 'Drug name as written');
+});
+
+test('model settings are normalized and stored', async () => {
+  assert.equal(normalizeBaseUrl(' http://host/v1/ '), 'http://host/v1');
+  assert.equal(parseTemperature(''), null);
+  assert.equal(parseTemperature('5'), 2);
+  assert.deepEqual(modelChain({ model: 'a', fallbackModel: ' a ' }), ['a']);
+  assert.equal(normalizeModelSettings({ provider: 'openai' }).model, '');
+  assert.equal(normalizeModelSettings({ provider: 'other' }).model, DEFAULT_MODEL);
+
+  assert.equal((await loadModelSettings()).provider, 'gemini');
+  await saveModelSettings({ provider: 'openai', baseUrl: 'http://host/v1', model: 'qwen2.5-vl', temperature: '0.3' });
+  const saved = await loadModelSettings();
+  assert.deepEqual([saved.provider, saved.model, saved.temperature], ['openai', 'qwen2.5-vl', 0.3]);
+});
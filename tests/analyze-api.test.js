@@ -0,0 +1,70 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAnalyzeHandler } from '../api/analyze.js';
+import { clientIp } from '../lib/rate-limit.js';
+import { listen } from './helpers/server.js';
+
+// The rate limit of POST /api/analyze over HTTP, with the model call stubbed
+
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==';
+const RESULT = { identity: { name: 'Hapacol 250', confidence: 0.9 } };
+
+const servers = [];
+after(() => Promise.all(servers.map(server => server.close())));
+
+async function serve(options) {
+  const server = await listen(createAnalyzeHandler({
+    apiKey: 'server-key',
+    rateLimit: 1,
+    analyze: async () => ({ result: RESULT, model: 'stub' }),
+    ...options,
+  }));
+  servers.push(server);
+  return (forwardedFor) => fetch(`${server.url}/api/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': forwardedFor },
+    body: JSON.stringify({ images: [JPEG] }),
+  }).then(async resp => {
+    await resp.body.cancel();
+    return resp.status;
+  });
+}
+
+const request = (remoteAddress, forwardedFor) => ({
+  socket: { remoteAddress },
+  headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+});
+
+test('clientIp ignores X-Forwarded-For unless proxies are trusted', () => {
+  assert.equal(clientIp(request('203.0.113.7', '198.51.100.1')), '203.0.113.7');
+  assert.equal(clientIp(request('10.0.0.1', '198.51.100.1'), 1), '198.51.100.1');
+  // A client-supplied hop to the left of the one the proxy added is skipped
+  assert.equal(clientIp(request('10.0.0.1', '1.2.3.4, 198.51.100.1'), 1), '198.51.100.1');
+  assert.equal(clientIp(request('10.0.0.2', '1.2.3.4, 198.51.100.1, 10.0.0.1'), 2), '198.51.100.1');
+  // Fewer hops than trusted proxies: the left-most is all there is
+  assert.equal(clientIp(request('10.0.0.1', '198.51.100.1'), 3), '198.51.100.1');
+  assert.equal(clientIp(request('10.0.0.1'), 1), '10.0.0.1');
+});
+
+test('a spoofed X-Forwarded-For does not reset the limit', async () => {
+  const analyze = await serve({ trustProxy: 0 });
+  assert.equal(await analyze('198.51.100.1'), 200);
+  assert.equal(await analyze('198.51.100.2'), 429);
+});
+
+test('behind a trusted proxy, spoofed hops do not reset the limit', async () => {
+  // The local client stands in for the proxy, which appends the real client
+  const analyze = await serve({ trustProxy: 1 });
+  assert.equal(await analyze('198.51.100.1'), 200);
+  assert.equal(await analyze('1.2.3.4, 198.51.100.1'), 429);
+  assert.equal(await analyze('198.51.100.2'), 200);
+});
+
+test('an unknown provider disables the endpoint instead of throwing', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const server = await listen(createAnalyzeHandler({ provider: 'nope' }));
+  servers.push(server);
+  const resp = await fetch(`${server.url}/api/analyze`);
+  assert.equal(resp.status, 500);
+  assert.match((await resp.json()).error, /ANALYZE_PROVIDER must be one of gemini, openai/);
+});
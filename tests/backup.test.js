@@ -0,0 +1,107 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_FORMAT, EXPORT_VERSION, buildExport, parseExport, newRecords, exportData, importData } from '../public/lib/backup.js';
+import { listHistory } from '../public/lib/history.js';
+import { listCabinet } from '../public/lib/cabinet.js';
+import { setLocale } from '../public/lib/i18n.js';
+import { validate } from '../public/lib/schema.js';
+
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQ';
+const HISTORY = {
+  id: 7,
+  images: [{ dataUri: JPEG, role: 'front' }],
+  thumbnails: [JPEG],
+  result: {
+    identity: { name: 'Hapacol 250', confidence: 0.9 },
+    details: { usage: 'Hạ sốt', dosage: ['1 gói mỗi 6 giờ'], contraindications: '' },
+    warnings: [],
+    search_fallback: { query: 'Hapacol 250', suggested_links: [] },
+  },
+  model: 'gemini-2.5-flash',
+  barcode: null,
+  createdAt: 1760000000000,
+};
+const CABINET = { id: 2, name: 'Warfarin 5mg', ingredients: ['warfarin'], expiry_date: '2027-12-31', expiry_precision: 'day', addedAt: 1760000000001 };
+
+const file = (data) => JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, ...data });
+
+test('buildExport leaves out the store keys', () => {
+  const data = buildExport({ history: [HISTORY], cabinet: [CABINET] }, new Date('2026-10-19T00:00:00Z'));
+  assert.equal(data.format, EXPORT_FORMAT);
+  assert.equal(data.exportedAt, '2026-10-19T00:00:00.000Z');
+  assert.equal(data.history[0].id, undefined);
+  assert.equal(data.cabinet[0].id, undefined);
+  assert.equal(data.cabinet[0].name, 'Warfarin 5mg');
+});
+
+test('parseExport round-trips an export', () => {
+  const parsed = parseExport(JSON.stringify(buildExport({ history: [HISTORY], cabinet: [CABINET] })));
+  const { id: historyId, ...history } = HISTORY;
+  assert.deepEqual(parsed.history, [history]);
+  assert.equal(parsed.cabinet[0].expiry_date, '2027-12-31');
+});
+
+test('parseExport rejects other files and newer versions', (t) => {
+  t.after(() => setLocale('vi'));
+  setLocale('en');
+  assert.throws(() => parseExport('not json'), /Not a JSON file/);
+  assert.throws(() => parseExport('{"format": "other"}'), /Not a Drug Scanner export/);
+  assert.throws(() => parseExport(`{"format": "${EXPORT_FORMAT}"}`), /Missing export version/);
+  assert.throws(() => parseExport(`{"format": "${EXPORT_FORMAT}", "version": ${EXPORT_VERSION + 1}}`), /newer version/);
+  setLocale('vi');
+  assert.throws(() => parseExport('not json'), /Không phải tệp JSON/);
+});
+
+test('parseExport drops malformed records and anything unexpected', () => {
+  const parsed = parseExport(`﻿${file({
+    history: [
+      { ...HISTORY, images: [{ dataUri: 'javascript:alert(1)' }, { dataUri: JPEG, role: 'back', extra: 1 }], extra: true },
+      { result: { identity: { name: 'No details' } } },
+      'junk',
+    ],
+    cabinet: [{ name: '  Panadol ', ingredients: ['acetaminophen', 5], script: '<x>' }, { name: '' }],
+  })}`);
+  assert.equal(parsed.history.length, 1);
+  assert.deepEqual(parsed.history[0].images, [{ dataUri: JPEG, role: 'back' }]);
+  assert.equal(parsed.history[0].extra, undefined);
+  assert.equal(parsed.cabinet.length, 1);
+  assert.equal(parsed.cabinet[0].name, 'Panadol');
+  assert.deepEqual(parsed.cabinet[0].ingredients, ['acetaminophen']);
+  assert.equal(parsed.cabinet[0].script, undefined);
+});
+
+test('parseExport repairs results the view could not show, or drops them', () => {
+  const result = HISTORY.result;
+  const parsed = parseExport(file({
+    history: [
+      { ...HISTORY, result: { ...result, warnings: { text: 'Không dùng quá liều' }, details: { ...result.details, dosage: '- 1 gói\n- Tối đa 4 gói' } } },
+      { ...HISTORY, result: { ...result, warnings: 'Không dùng quá liều', details: 'Hạ sốt' } },
+      { ...HISTORY, result: { ...result, identity: 'Hapacol 250' } },
+      { ...HISTORY, result: null },
+    ],
+  }));
+  assert.equal(parsed.history.length, 2);
+  for (const entry of parsed.history) assert.deepEqual(validate(entry.result), []);
+  assert.deepEqual(parsed.history[0].result.warnings, ['{"text":"Không dùng quá liều"}']);
+  assert.deepEqual(parsed.history[0].result.details.dosage, ['1 gói', 'Tối đa 4 gói']);
+  assert.deepEqual(parsed.history[1].result.warnings, ['Không dùng quá liều']);
+  assert.deepEqual(parsed.history[1].result.details.dosage, []);
+});
+
+test('newRecords skips records already present or repeated', () => {
+  const key = record => record.k;
+  assert.deepEqual(newRecords([{ k: 1 }, { k: 2 }, { k: 2 }], [{ k: 1 }], key), [{ k: 2 }]);
+});
+
+test('importData adds new records once and exportData reads them back', async () => {
+  const records = parseExport(file({ history: [HISTORY], cabinet: [CABINET] }));
+  assert.deepEqual(await importData(records), { history: 1, cabinet: 1, skipped: 0 });
+  assert.deepEqual(await importData(records), { history: 0, cabinet: 0, skipped: 2 });
+  assert.equal((await listHistory()).length, 1);
+  assert.equal((await listCabinet())[0].name, 'Warfarin 5mg');
+
+  const exported = await exportData();
+  assert.equal(exported.history[0].result.identity.name, 'Hapacol 250');
+  assert.equal(exported.history[0].id, undefined);
+});
@@ -0,0 +1,24 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDB, idbGet, idbPut } from '../public/lib/db.js';
+
+test('the helpers share one connection', async () => {
+  const db = await openDB();
+  await idbPut('settings', 'vi', 'locale');
+  assert.equal(await idbGet('settings', 'locale'), 'vi');
+  assert.equal(await openDB(), db);
+});
+
+test('the connection gives way to another tab and is reopened', async () => {
+  const db = await openDB();
+  // Blocked until every open connection has closed
+  await new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase('DrugScannerDB');
+    req.onsuccess = resolve;
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('blocked by an open connection'));
+  });
+  assert.equal(await idbGet('settings', 'locale'), undefined);
+  assert.notEqual(await openDB(), db);
+});
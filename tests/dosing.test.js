@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDosageLabel, matchDosageLines, computeWeightDoses, profileAlerts } from '../public/lib/dosing.js';
+
+const NOW = new Date(2026, 9, 19);
+
+// Birth date for someone `years` and `months` old on NOW
+function bornAgo(years, months = 0) {
+  const date = new Date(NOW.getFullYear() - years, NOW.getMonth() - months, NOW.getDate());
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+const PARACETAMOL_DOSAGE = [
+  'Trẻ em 6-12 tuổi: 250 mg mỗi 6 giờ',
+  'Trẻ em trên 12 tuổi và người lớn: 500 mg mỗi 6 giờ',
+  'Trẻ 6 tháng - 2 tuổi: 2.5 ml mỗi 6 giờ'
+];
+
+test('parseDosageLabel reads a unit on each end of an age range', () => {
+  assert.deepEqual(parseDosageLabel('Trẻ 6 tháng - 2 tuổi: 2.5 ml'), { min: 6, max: 36, conditions: [] });
+  assert.deepEqual(parseDosageLabel('Trẻ em 1-5 tuổi: 5 ml'), { min: 12, max: 72, conditions: [] });
+  assert.deepEqual(parseDosageLabel('Trẻ 3 đến 11 tháng: 1 ml'), { min: 3, max: 12, conditions: [] });
+});
+
+test('matchDosageLines puts a 12-year-old in "6-12 tuổi", not "trên 12 tuổi"', () => {
+  assert.deepEqual(matchDosageLines(PARACETAMOL_DOSAGE, { birthDate: bornAgo(12) }, NOW), [0]);
+  // Still 12 the day before the 13th birthday
+  const almost13 = new Date(NOW.getFullYear() + 1, NOW.getMonth(), NOW.getDate() - 1);
+  assert.deepEqual(matchDosageLines(PARACETAMOL_DOSAGE, { birthDate: bornAgo(12) }, almost13), [0]);
+  assert.deepEqual(matchDosageLines(PARACETAMOL_DOSAGE, { birthDate: bornAgo(13) }, NOW), [1]);
+});
+
+test('matchDosageLines matches a range with mixed units', () => {
+  assert.deepEqual(matchDosageLines(PARACETAMOL_DOSAGE, { birthDate: bornAgo(1) }, NOW), [2]);
+  assert.deepEqual(matchDosageLines(PARACETAMOL_DOSAGE, { birthDate: bornAgo(0, 5) }, NOW), []);
+});
+
+test('matchDosageLines adds lines for the person\'s conditions', () => {
+  const lines = [...PARACETAMOL_DOSAGE, 'Người suy thận: giãn khoảng cách liều'];
+  assert.deepEqual(matchDosageLines(lines, { birthDate: bornAgo(40), kidney: 'moderate' }, NOW), [1, 3]);
+  assert.deepEqual(matchDosageLines(lines, { birthDate: bornAgo(40), kidney: 'none' }, NOW), [1]);
+});
+
+test('computeWeightDoses tells per-dose from per-day rates', () => {
+  const doses = computeWeightDoses('10-15 mg/kg mỗi 6 giờ, tối đa 60 mg/kg/ngày', 20);
+  assert.deepEqual(doses.map(({ perDay, min, max, unit }) => ({ perDay, min, max, unit })), [
+    { perDay: false, min: 200, max: 300, unit: 'mg' },
+    { perDay: true, min: 1200, max: null, unit: 'mg' }
+  ]);
+  assert.equal(computeWeightDoses('40 mg/kg/24 giờ', 10)[0].perDay, true);
+  assert.equal(computeWeightDoses('5 mg/kg every 8 hours', 10)[0].perDay, false);
+});
+
+test('computeWeightDoses reads decimal commas, µg and UI', () => {
+  assert.equal(computeWeightDoses('1,5 mg/kg', 5)[0].min, 7.5);
+  assert.deepEqual(
+    computeWeightDoses('2 µg/kg', 7).map(({ min, unit }) => ({ min, unit })),
+    [{ min: 14, unit: 'mcg' }]
+  );
+  assert.deepEqual(
+    computeWeightDoses('50 UI/kg', 3).map(({ min, unit }) => ({ min, unit })),
+    [{ min: 150, unit: 'IU' }]
+  );
+  assert.deepEqual(computeWeightDoses('10 mg/kg', 0), []);
+});
+
+test('profileAlerts matches an allergy to a drug group', () => {
+  const data = { identity: { generic_name: 'Amoxicillin', active_ingredient: 'Amoxicillin trihydrate 500 mg' }, details: {} };
+  const alerts = profileAlerts(data, { name: 'Lan', allergies: ['Penicillin'] }, NOW);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].level, 'danger');
+  assert.match(alerts[0].message, /Lan/);
+  assert.match(alerts[0].message, /amoxicillin/);
+
+  assert.deepEqual(profileAlerts(data, { name: 'Lan', allergies: ['sulfa'] }, NOW), []);
+});
+
+test('profileAlerts flags children under the contraindicated age', () => {
+  const data = { identity: { generic_name: 'Loperamide' }, details: { contraindications: 'Trẻ em dưới 2 tuổi.' } };
+  const alerts = profileAlerts(data, { name: 'Bi', birthDate: bornAgo(1) }, NOW);
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].level, 'danger');
+  assert.match(alerts[0].message, /Bi/);
+
+  assert.deepEqual(profileAlerts(data, { name: 'Bi', birthDate: bornAgo(2) }, NOW), []);
+  // No birth date, no age alert
+  assert.deepEqual(profileAlerts(data, { name: 'Bi' }, NOW), []);
+});
+
+test('profileAlerts puts contraindications before warnings', () => {
+  const data = {
+    identity: { generic_name: 'Ibuprofen' },
+    details: { contraindications: 'Suy gan nặng.' },
+    warnings: ['Thận trọng khi đang mang thai.']
+  };
+  const alerts = profileAlerts(data, { name: 'Mai', pregnant: true, liver: 'severe' }, NOW);
+  assert.deepEqual(alerts.map(alert => alert.level), ['danger', 'warning']);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePackDate, resolvePackaging, expiryStatus } from '../public/lib/expiry.js';
+
+test('parsePackDate reads each printed format day-first', () => {
+  const cases = {
+    '31/12/2027': '2027-12-31',
+    '31-12-27': '2027-12-31',
+    '311227': '2027-12-31',
+    '5.1.2028': '2028-01-05',
+    '2027-12-31': '2027-12-31',
+    '15 DEC 2027': '2027-12-15',
+    'NSX: 01/06/2025': '2025-06-01'
+  };
+  for (const [text, iso] of Object.entries(cases)) {
+    assert.deepEqual(parsePackDate(text), { iso, precision: 'day' }, text);
+  }
+});
+
+test('parsePackDate keeps month precision for month and year only', () => {
+  const cases = ['12/2027', '12/27', '2027-12', 'EXP DEC 2027', 'DEC-27', 'HD: 12.2027', 'Exp. December 2027'];
+  for (const text of cases) {
+    assert.deepEqual(parsePackDate(text, { endOfMonth: true }), { iso: '2027-12-31', precision: 'month' }, text);
+    assert.deepEqual(parsePackDate(text), { iso: '2027-12-01', precision: 'month' }, text);
+  }
+  // The last day of a short month
+  assert.equal(parsePackDate('02/2028', { endOfMonth: true }).iso, '2028-02-29');
+  assert.equal(parsePackDate('04/2027', { endOfMonth: true }).iso, '2027-04-30');
+});
+
+test('parsePackDate rejects dates that do not exist', () => {
+  for (const text of ['31/02/2027', '00/05/2027', '15/13/2027', '13/2027', 'FOO 2027', '12/1890', '', 'HD', undefined]) {
+    assert.equal(parsePackDate(text), null, String(text));
+  }
+});
+
+test('resolvePackaging reads month-only expiry as the end and manufacture as the start', () => {
+  const out = resolvePackaging({ lot: ' A123 ', manufacture_date: '06/2025', expiry_date: '06/2027' });
+  assert.deepEqual(out, {
+    lot: 'A123',
+    manufacture_date: '2025-06-01',
+    expiry_date: '2027-06-30',
+    manufacture_precision: 'month',
+    expiry_precision: 'month',
+    sources: { lot: 'label', manufacture_date: 'label', expiry_date: 'label' }
+  });
+});
+
+test('resolvePackaging prefers GS1 data from the barcode over the label', () => {
+  const out = resolvePackaging(
+    { lot: 'A123', manufacture_date: '06/2025', expiry_date: '06/2027' },
+    { lot: 'B456', expiry: '2027-05-31' }
+  );
+  assert.equal(out.lot, 'B456');
+  assert.equal(out.expiry_date, '2027-05-31');
+  assert.equal(out.expiry_precision, 'day');
+  assert.deepEqual(out.sources, { lot: 'barcode', manufacture_date: 'label', expiry_date: 'barcode' });
+});
+
+test('resolvePackaging leaves unreadable dates empty', () => {
+  const out = resolvePackaging({ expiry_date: '31/02/2027' });
+  assert.equal(out.expiry_date, '');
+  assert.deepEqual(out.sources, {});
+  assert.equal(resolvePackaging(undefined, undefined).lot, '');
+});
+
+test('expiryStatus: usable on the expiry day, warns for 90 days', () => {
+  const now = new Date(2027, 0, 1, 15, 30);
+  assert.deepEqual(expiryStatus('2027-01-01', now), { status: 'soon', daysLeft: 0 });
+  assert.deepEqual(expiryStatus('2026-12-31', now), { status: 'expired', daysLeft: -1 });
+  assert.deepEqual(expiryStatus('2027-04-01', now), { status: 'soon', daysLeft: 90 });
+  assert.deepEqual(expiryStatus('2027-04-02', now), { status: 'ok', daysLeft: 91 });
+  assert.deepEqual(expiryStatus('', now), { status: 'unknown', daysLeft: null });
+  assert.deepEqual(expiryStatus('2027-01-11', now, 7), { status: 'ok', daysLeft: 10 });
+});
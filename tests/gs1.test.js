@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGs1, isValidGtin, gs1DateToIso } from '../public/lib/gs1.js';
+import { interpretBarcode } from '../public/lib/barcode.js';
+
+const GS = '\x1d';
+
+test('isValidGtin checks the mod-10 digit of GTIN-8/12/13/14', () => {
+  for (const gtin of ['96385074', '036000291452', '5901234123457', '08931234567897']) {
+    assert.equal(isValidGtin(gtin), true, gtin);
+  }
+  for (const gtin of ['96385075', '036000291453', '5901234123450', '08931234567890']) {
+    assert.equal(isValidGtin(gtin), false, gtin);
+  }
+  // Lengths that are not GTINs
+  assert.equal(isValidGtin('1234567'), false);
+  assert.equal(isValidGtin('123456789'), false);
+  assert.equal(isValidGtin('5901234l23457'), false);
+});
+
+test('gs1DateToIso reads day 00 as the last day of the month', () => {
+  assert.equal(gs1DateToIso('270531'), '2027-05-31');
+  assert.equal(gs1DateToIso('270200'), '2027-02-28');
+  assert.equal(gs1DateToIso('280200'), '2028-02-29');
+  assert.equal(gs1DateToIso('271100'), '2027-11-30');
+  assert.equal(gs1DateToIso('271301'), undefined);
+  assert.equal(gs1DateToIso('2705'), undefined);
+});
+
+test('parseGs1 reads the raw form with a symbology identifier and leading FNC1', () => {
+  const raw = `]d2${GS}010893123456789717270531` + `10AB12${GS}21SN0001`;
+  assert.deepEqual(parseGs1(raw), {
+    gtin: '08931234567897',
+    expiry: '2027-05-31',
+    lot: 'AB12',
+    serial: 'SN0001'
+  });
+});
+
+test('parseGs1 ends a variable-length field at the end of the string', () => {
+  assert.deepEqual(parseGs1('010893123456789717270500' + '10LOT-42'), {
+    gtin: '08931234567897',
+    expiry: '2027-05-31',
+    lot: 'LOT-42'
+  });
+});
+
+test('parseGs1 reads the printed form with or without spaces', () => {
+  const expected = { gtin: '08931234567890', expiry: '2027-05-31', lot: 'AB12' };
+  assert.deepEqual(parseGs1('(01)08931234567890(17)270531(10)AB12'), expected);
+  assert.deepEqual(parseGs1('(01)08931234567890 (17)270531 (10)AB12'), expected);
+});
+
+test('parseGs1 rejects data without a GTIN', () => {
+  assert.equal(parseGs1(''), null);
+  assert.equal(parseGs1('10AB12'), null);
+  assert.equal(parseGs1('(99)whatever'), null);
+});
+
+test('interpretBarcode takes the GTIN and dates from GS1 symbols', () => {
+  const code = interpretBarcode({ format: 'data_matrix', rawValue: `${GS}01089312345678971727053110AB12` });
+  assert.equal(code.digits, '08931234567897');
+  assert.equal(code.valid, true);
+  assert.equal(code.expiry, '2027-05-31');
+  assert.equal(code.lot, 'AB12');
+});
+
+test('interpretBarcode validates retail codes and keeps other symbols as digits', () => {
+  assert.deepEqual(interpretBarcode({ format: 'ean_13', rawValue: '5901234123457' }), {
+    format: 'ean_13',
+    raw: '5901234123457',
+    digits: '5901234123457',
+    valid: true,
+    gtin: '5901234123457'
+  });
+  assert.equal(interpretBarcode({ format: 'upc_a', rawValue: '036000291453' }).valid, false);
+
+  const plain = interpretBarcode({ format: 'code_128', rawValue: 'SDK-123-45' });
+  assert.equal(plain.digits, '12345');
+  assert.equal(plain.valid, true);
+  assert.equal(plain.gtin, undefined);
+});
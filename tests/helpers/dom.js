@@ -0,0 +1,25 @@
+import { JSDOM } from 'jsdom';
+
+// Browser globals the app modules use, taken from the jsdom window
+const GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'localStorage', 'Node', 'HTMLElement',
+  'HTMLCanvasElement', 'Image', 'Event', 'CustomEvent', 'KeyboardEvent', 'File', 'FileReader',
+  'Blob', 'URL', 'DOMParser', 'getComputedStyle', 'requestAnimationFrame', 'alert', 'confirm',
+];
+
+/**
+ * Install a jsdom document as the global browser environment.
+ * @param {string} [html]
+ * @param {{url?: string}} [options]
+ * @returns {JSDOM}
+ */
+export function installDom(html = '<!DOCTYPE html><html><body></body></html>', { url = 'http://localhost/' } = {}) {
+  const dom = new JSDOM(html, { url, pretendToBeVisual: true });
+  for (const name of GLOBALS) {
+    if (dom.window[name] === undefined) continue;
+    // Node's own URL and Blob work with jsdom and with fetch; keep those
+    if ((name === 'URL' || name === 'Blob') && globalThis[name]) continue;
+    Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+  }
+  return dom;
+}
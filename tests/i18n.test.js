@@ -0,0 +1,63 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { installDom } from './helpers/dom.js';
+import { MESSAGES as vi } from '../public/lib/locales/vi.js';
+import { MESSAGES as en } from '../public/lib/locales/en.js';
+
+const placeholders = text => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+let i18n;
+before(async () => {
+  installDom();
+  i18n = await import('../public/lib/i18n.js');
+});
+
+test('both catalogs have the same keys', () => {
+  const viKeys = Object.keys(vi).sort();
+  const enKeys = Object.keys(en).sort();
+  assert.deepEqual(viKeys.filter(key => !Object.hasOwn(en, key)), [], 'missing in en.js');
+  assert.deepEqual(enKeys.filter(key => !Object.hasOwn(vi, key)), [], 'missing in vi.js');
+});
+
+test('translations use the same placeholders and bold runs', () => {
+  for (const key of Object.keys(vi)) {
+    assert.deepEqual(placeholders(en[key]), placeholders(vi[key]), key);
+    assert.equal(en[key].split('**').length, vi[key].split('**').length, key);
+  }
+});
+
+test('every key used in the markup and the scripts is in the catalog', () => {
+  const html = readFileSync(new URL('../public/index.html', import.meta.url), 'utf8');
+  const script = readFileSync(new URL('../public/script.js', import.meta.url), 'utf8');
+  const used = new Set([
+    ...[...html.matchAll(/data-i18n(?:-placeholder|-title|-aria-label)?="([^"]+)"/g)].map(m => m[1]),
+    ...[...script.matchAll(/\bt\('([\w.]+)'/g)].map(m => m[1]),
+  ]);
+  assert.ok(used.size > 100);
+  assert.deepEqual([...used].filter(key => !Object.hasOwn(vi, key)), []);
+});
+
+test('t() interpolates and falls back to Vietnamese, then to the key', () => {
+  i18n.setLocale('en');
+  const key = Object.keys(en).find(k => placeholders(en[k]).length > 0);
+  const [name] = placeholders(en[key]);
+  assert.ok(i18n.t(key, { [name]: 'VALUE' }).includes('VALUE'));
+  assert.equal(i18n.t('no.such.key'), 'no.such.key');
+  assert.equal(i18n.setLocale('fr'), 'vi');
+  assert.equal(document.documentElement.lang, 'vi');
+});
+
+test('richText() bolds runs without letting values add markup', () => {
+  const key = Object.keys(vi).find(k => vi[k].includes('**') && placeholders(vi[k]).length > 0);
+  const [name] = placeholders(vi[key]);
+  const container = document.createElement('p');
+  container.append(...i18n.richText(key, { [name]: '<img src=x onerror=alert(1)>' }));
+  assert.ok(container.querySelector('strong'));
+  assert.equal(container.querySelector('img'), null);
+});
+
+test('detectLocale() picks the first supported browser language', () => {
+  assert.equal(i18n.detectLocale(['fr-FR', 'en-US', 'vi']), 'en');
+  assert.equal(i18n.detectLocale(['de']), 'vi');
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { listen, sendJson } from './helpers/server.js';
+
+// POST /api/identify over HTTP, with openFDA and RxNorm answered by a
+// local stub server instead of the network
+
+const fixture = name => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+const UPC = '350580449103';
+// The openFDA search expression of a request URL ("+" reads as a space)
+const searchOf = url => new URL(url, 'http://localhost').searchParams.get('search');
+
+let upstream;
+let api;
+
+before(async () => {
+  upstream = await listen((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const search = url.searchParams.get('search') || '';
+    const known = search.includes('"50580-449') || search.includes('"Tylenol Extra Strength"');
+    if (url.pathname === '/drug/ndc.json' && known) return sendJson(res, 200, fixture('openfda-ndc.json'));
+    if (url.pathname === '/drug/label.json' && known) return sendJson(res, 200, fixture('openfda-label.json'));
+    if (url.pathname === '/REST/drugs.json') return sendJson(res, 200, { drugGroup: { name: url.searchParams.get('name') } });
+    // What openFDA answers when a search has no results
+    sendJson(res, 404, { error: { code: 'NOT_FOUND', message: 'No matches found!' } });
+  });
+  process.env.OPENFDA_BASE_URL = upstream.url;
+  process.env.RXNORM_BASE_URL = `${upstream.url}/REST`;
+  const { default: handler } = await import('../api/identify.js');
+  api = await listen(handler);
+});
+
+after(async () => {
+  await api.close();
+  await upstream.close();
+});
+
+async function identify(body, init = {}) {
+  const resp = await fetch(`${api.url}/api/identify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    ...init,
+  });
+  return { status: resp.status, json: await resp.json() };
+}
+
+test('a barcode is looked up by every NDC layout it could stand for', async () => {
+  upstream.requests.length = 0;
+  const { status, json } = await identify({ identity: { brand_name: 'Tylenol Extra Strength' }, barcode: UPC });
+  assert.equal(status, 200);
+  assert.equal(json.status, 'OK');
+  assert.equal(json.drug.ndc, '50580-449');
+  assert.equal(json.matches.ndc, true);
+  assert.equal(json.matches.brand_name, true);
+  // Label text filled in from the label endpoint
+  assert.deepEqual(json.drug.indications, ['Uses temporarily relieves minor aches and pains']);
+  assert.equal(json.provenance.indications, 'openFDA Drug Label');
+  assert.deepEqual(json.sources.map(s => s.name), ['openFDA NDC Directory', 'openFDA Drug Label']);
+
+  const ndcSearch = upstream.requests.find(url => url.startsWith('/drug/ndc.json'));
+  const terms = searchOf(ndcSearch).split(' ');
+  assert.deepEqual(terms, [
+    'product_ndc:"5058-0449"',
+    'product_ndc:"50580-449"',
+    'product_ndc:"50580-4491"',
+    'packaging.package_ndc:"5058-0449-10"',
+    'packaging.package_ndc:"50580-449-10"',
+    'packaging.package_ndc:"50580-4491-0"',
+  ]);
+});
+
+test('without an NDC the label is searched by exact name', async () => {
+  upstream.requests.length = 0;
+  const { json } = await identify({ identity: { brand_name: 'Tylenol Extra Strength', dosage_form: 'TABLET, COATED' } });
+  assert.equal(json.status, 'OK');
+  assert.equal(json.drug.brand_name, 'Tylenol Extra Strength');
+  // No NDC to search the directory by
+  assert.equal(upstream.requests.some(url => url.startsWith('/drug/ndc.json')), false);
+  const labelSearch = upstream.requests.find(url => url.startsWith('/drug/label.json'));
+  assert.equal(searchOf(labelSearch), 'openfda.brand_name.exact:"Tylenol Extra Strength" AND openfda.dosage_form.exact:"TABLET, COATED"');
+  assert.ok(upstream.requests.some(url => url.startsWith('/REST/drugs.json?name=Tylenol%20Extra%20Strength')));
+});
+
+test('an unknown drug is Not_Found', async () => {
+  const { status, json } = await identify({ identity: { brand_name: 'Nonexistent' } });
+  assert.equal(status, 200);
+  assert.deepEqual(json, { status: 'Not_Found' });
+});
+
+test('bad requests are rejected', async () => {
+  const invalid = await identify('{not json');
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.json, { error: 'Invalid JSON' });
+
+  const resp = await fetch(`${api.url}/api/identify`);
+  assert.equal(resp.status, 405);
+  assert.deepEqual(await resp.json(), { error: 'Method not allowed' });
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIdentifyQuery, scoreCandidate, lookupDrug, suggestNames } from '../lib/lookup.js';
+
+const UPC = '350580449103';
+
+// A provider answering from a fixed list, or failing
+function provider(name, results, { fail = false, suggestions } = {}) {
+  return {
+    name,
+    async lookup() {
+      if (fail) throw new Error(`${name} is down`);
+      return results.map(drug => ({ drug, source: { name, url: `https://example.org/${name}` } }));
+    },
+    suggest: suggestions && (async () => suggestions),
+  };
+}
+
+test('buildIdentifyQuery prefers the NDC on the label to the barcode', () => {
+  const query = buildIdentifyQuery({ identity: { ndc: '50580-449-10' }, barcode: '0345678901234' });
+  assert.deepEqual(query.ndcCandidates, { product: ['50580-449'], package: ['50580-449-10'] });
+  assert.equal(query.barcode, '0345678901234');
+});
+
+test('buildIdentifyQuery falls back to the barcode, then to no candidates', () => {
+  assert.deepEqual(buildIdentifyQuery({ identity: { ndc: 'unreadable' }, barcode: UPC }).ndcCandidates.product,
+    ['5058-0449', '50580-449', '50580-4491']);
+  assert.deepEqual(buildIdentifyQuery({ identity: { product_ndc: '50580-449' } }).ndcCandidates.product, ['50580-449']);
+  assert.deepEqual(buildIdentifyQuery({}), { identity: {}, barcode: '', ndcCandidates: { product: [], package: [] } });
+});
+
+test('scoreCandidate counts matching and conflicting identity fields', () => {
+  const query = buildIdentifyQuery({ identity: { brand_name: 'Tylenol', generic_name: 'paracetamol', dosage_form: 'capsule' } });
+  const { score, mismatches, matches } = scoreCandidate(query, {
+    brand_name: 'TYLENOL',
+    generic_name: 'ACETAMINOPHEN',
+    dosage_form: 'TABLET',
+  });
+  assert.equal(matches.brand_name, true);
+  // Paracetamol is the INN of acetaminophen
+  assert.equal(matches.active_ingredients, true);
+  assert.equal(matches.dosage_form, false);
+  assert.equal(matches.ndc, null);
+  assert.equal(score, 2);
+  assert.equal(mismatches, 1);
+});
+
+test('scoreCandidate matches an NDC against the query candidates', () => {
+  const query = buildIdentifyQuery({ barcode: UPC });
+  assert.equal(scoreCandidate(query, { ndc: '50580-449' }).matches.ndc, true);
+  assert.equal(scoreCandidate(query, { ndc: '0000-0000' }).matches.ndc, false);
+});
+
+test('lookupDrug ranks candidates and fills gaps from the same product', async () => {
+  const providers = [
+    provider('ndc', [{ brand_name: 'Tylenol', generic_name: 'acetaminophen', ndc: '50580-449' }]),
+    provider('label', [{ brand_name: 'Tylenol', generic_name: 'acetaminophen', indications: ['pain'] }]),
+    provider('other', [{ brand_name: 'Advil', generic_name: 'ibuprofen' }]),
+  ];
+  const query = buildIdentifyQuery({ identity: { brand_name: 'Tylenol' }, barcode: UPC });
+  const { best, alternates, errors } = await lookupDrug(providers, query);
+  assert.equal(best.provider, 'ndc');
+  assert.equal(best.score, 2);
+  assert.deepEqual(best.drug.indications, ['pain']);
+  assert.equal(best.provenance.indications, 'label');
+  assert.deepEqual(best.sources.map(s => s.name), ['ndc', 'label']);
+  // Advil matches nothing and is left out
+  assert.deepEqual(alternates.map(a => a.provider), ['label']);
+  assert.deepEqual(errors, []);
+});
+
+test('lookupDrug survives failing and slow providers', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const slow = { name: 'slow', lookup: () => new Promise(() => {}) };
+  const providers = [slow, provider('down', [], { fail: true }), provider('ok', [{ brand_name: 'Tylenol' }])];
+  const { best, errors } = await lookupDrug(providers, { identity: { brand_name: 'Tylenol' } }, { timeoutMs: 20 });
+  assert.equal(best.provider, 'ok');
+  assert.deepEqual(errors.map(e => e.provider), ['slow', 'down']);
+});
+
+test('lookupDrug returns no best match when nothing scores', async () => {
+  const { best, alternates } = await lookupDrug([provider('p', [{ brand_name: 'Advil' }])], { identity: { brand_name: 'Tylenol' } });
+  assert.equal(best, null);
+  assert.deepEqual(alternates, []);
+});
+
+test('suggestNames merges provider suggestions without repeats', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const providers = [
+    provider('a', [], { suggestions: [{ label: 'Tylenol' }, { label: 'Tylenol PM' }] }),
+    provider('b', [], { suggestions: [{ label: 'tylenol' }, { label: '' }] }),
+    { name: 'c', lookup: async () => [], suggest: async () => { throw new Error('down'); } },
+  ];
+  const suggestions = await suggestNames(providers, 'tyl');
+  assert.deepEqual(suggestions.map(s => s.label), ['Tylenol', 'Tylenol PM']);
+});
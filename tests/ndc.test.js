@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ndcFromBarcode, ndcCandidates, buildNdcSearch } from '../lib/ndc.js';
+
+// UPC-A for NDC 50580-449-10 (Tylenol Extra Strength): "3" + NDC10 + check digit
+const UPC = '350580449103';
+
+test('ndcFromBarcode unwraps UPC-A, EAN-13 and GTIN-14', () => {
+  assert.deepEqual(ndcFromBarcode(UPC), { ndc10: '5058044910', format: 'upc-a' });
+  assert.deepEqual(ndcFromBarcode(`0${UPC}`), { ndc10: '5058044910', format: 'ean-13' });
+  assert.deepEqual(ndcFromBarcode(`00${UPC}`), { ndc10: '5058044910', format: 'gtin-14' });
+});
+
+test('ndcFromBarcode rejects a wrong check digit or a non-drug number system', () => {
+  assert.equal(ndcFromBarcode('350580449104'), null);
+  // Number system 0 (groceries)
+  assert.equal(ndcFromBarcode('036000291452'), null);
+  assert.equal(ndcFromBarcode('12345'), null);
+});
+
+test('ndcCandidates keeps a hyphenated NDC as printed', () => {
+  assert.deepEqual(ndcCandidates('50580-449-10'), { product: ['50580-449'], package: ['50580-449-10'] });
+  assert.deepEqual(ndcCandidates('50580-449'), { product: ['50580-449'], package: [] });
+});
+
+test('ndcCandidates removes the padding zero of an 11-digit NDC', () => {
+  assert.deepEqual(ndcCandidates('50580-0449-10'), { product: ['50580-449'], package: ['50580-449-10'] });
+  assert.deepEqual(ndcCandidates('50580044910'), { product: ['50580-449'], package: ['50580-449-10'] });
+});
+
+test('ndcCandidates expands bare 10 digits and barcodes into every layout', () => {
+  const expected = {
+    product: ['5058-0449', '50580-449', '50580-4491'],
+    package: ['5058-0449-10', '50580-449-10', '50580-4491-0'],
+  };
+  assert.deepEqual(ndcCandidates('5058044910'), expected);
+  assert.deepEqual(ndcCandidates(UPC), expected);
+});
+
+test('ndcCandidates returns nothing for other values', () => {
+  assert.deepEqual(ndcCandidates(''), { product: [], package: [] });
+  assert.deepEqual(ndcCandidates('abc'), { product: [], package: [] });
+  assert.deepEqual(ndcCandidates('8934567890123'), { product: [], package: [] });
+});
+
+test('buildNdcSearch ORs product and package terms', () => {
+  const search = buildNdcSearch({ product: ['50580-449'], package: ['50580-449-10'] });
+  assert.equal(decodeURIComponent(search), 'product_ndc:"50580-449"+packaging.package_ndc:"50580-449-10"');
+  assert.equal(buildNdcSearch({ product: [], package: [] }), '');
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { mapOpenFdaResult, buildLabelSearch } from '../lib/providers/openfda.js';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+test('mapOpenFdaResult reads the top-level fields of an NDC directory result', () => {
+  const [result] = fixture('openfda-ndc.json').results;
+  const drug = mapOpenFdaResult(result);
+  assert.equal(drug.brand_name, 'Tylenol Extra Strength');
+  assert.equal(drug.generic_name, 'Acetaminophen');
+  assert.equal(drug.ndc, '50580-449');
+  assert.equal(drug.route, 'ORAL');
+  assert.equal(drug.dosage_form, 'TABLET, COATED');
+  assert.equal(drug.manufacturer, 'Kenvue Brands LLC');
+  assert.deepEqual(drug.active_ingredients, [{ name: 'ACETAMINOPHEN', strength: '500 mg/1' }]);
+  assert.equal(drug.indications, undefined);
+});
+
+test('mapOpenFdaResult prefers the harmonized openfda fields of a label', () => {
+  const [result] = fixture('openfda-label.json').results;
+  const drug = mapOpenFdaResult(result);
+  assert.equal(drug.brand_name, 'Tylenol Extra Strength');
+  assert.equal(drug.generic_name, 'ACETAMINOPHEN');
+  assert.equal(drug.ndc, '50580-449');
+  assert.equal(drug.manufacturer, 'Kenvue Brands LLC');
+  assert.deepEqual(drug.indications, ['Uses temporarily relieves minor aches and pains']);
+  assert.deepEqual(drug.dosage, ['Directions do not take more than directed']);
+  assert.deepEqual(drug.warnings, ['Liver warning: This product contains acetaminophen.']);
+});
+
+test('mapOpenFdaResult returns undefined without a result', () => {
+  assert.equal(mapOpenFdaResult(undefined), undefined);
+  assert.equal(mapOpenFdaResult(null), undefined);
+});
+
+test('buildLabelSearch searches the label NDC fields when there are candidates', () => {
+  const search = buildLabelSearch({ brand_name: 'Tylenol' }, { product: ['50580-449'], package: ['50580-449-10'] });
+  assert.equal(
+    decodeURIComponent(search),
+    'openfda.product_ndc:"50580-449"+openfda.package_ndc:"50580-449-10"',
+  );
+});
+
+test('buildLabelSearch ANDs the exact names and dosage form without candidates', () => {
+  const identity = { brand_name: 'Tylenol', generic_name: 'acetaminophen', dosage_form: 'TABLET' };
+  const search = buildLabelSearch(identity, { product: [], package: [] });
+  assert.deepEqual(search.split('+AND+').map(decodeURIComponent), [
+    'openfda.brand_name.exact:"Tylenol"',
+    'openfda.generic_name.exact:"acetaminophen"',
+    'openfda.dosage_form.exact:"TABLET"',
+  ]);
+  assert.equal(decodeURIComponent(buildLabelSearch({ generic_name: 'ibuprofen' })), 'openfda.generic_name.exact:"ibuprofen"');
+});
+
+test('buildLabelSearch matches typed names case-insensitively', () => {
+  const search = buildLabelSearch({ brand_name: 'tylenol' }, undefined, { kind: 'name' });
+  assert.equal(decodeURIComponent(search), 'openfda.brand_name:"tylenol"');
+});
+
+test('buildLabelSearch escapes quotes and backslashes in names', () => {
+  const search = buildLabelSearch({ brand_name: 'Tylenol "8 HR"', generic_name: 'a\\b' }, undefined, { kind: 'name' });
+  assert.deepEqual(search.split('+AND+').map(decodeURIComponent), [
+    'openfda.brand_name:"Tylenol \\"8 HR\\""',
+    'openfda.generic_name:"a\\\\b"',
+  ]);
+});
+
+test('buildLabelSearch is empty with nothing to search by', () => {
+  assert.equal(buildLabelSearch({ dosage_form: 'TABLET' }), '');
+  assert.equal(buildLabelSearch({}, { product: [], package: [] }), '');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelOutputError } from '../public/lib/schema.js';
+import {
+  normalizeShape, normalizeColors, parsePillOutput, imprintTokens, imprintSimilarity, searchPills, parsePillDataset,
+} from '../public/lib/pills.js';
+
+const PILLS = [
+  { name: 'Acetaminophen/Hydrocodone 325 mg / 10 mg', imprint: 'M;367', shape: 'capsule', colors: ['white'], score: 1 },
+  { name: 'Ibuprofen 200 mg', imprint: 'I-2', shape: 'round', colors: ['brown'], score: 1 },
+  { name: 'Amlodipine 5 mg', imprint: '5;AN', shape: 'round', colors: ['white'], score: 2 },
+];
+
+test('shapes and colors are read from dataset and model spellings', () => {
+  assert.equal(normalizeShape('PENTAGON (5 sided)'), 'pentagon');
+  assert.equal(normalizeShape('blob'), '');
+  assert.deepEqual(normalizeColors('WHITE;Grey, white'), ['white', 'gray']);
+  assert.deepEqual(normalizeColors(['Pink', 'sparkly']), ['pink']);
+});
+
+test('parsePillOutput coerces the reply and rejects one without features', () => {
+  const pill = parsePillOutput('{"form": "Tablet", "imprint": ["M", "367"], "shape": "Capsule", "colors": "white", "score": "2", "confidence": 80}');
+  assert.equal(pill.form, 'tablet');
+  assert.equal(pill.imprint, 'M;367');
+  assert.equal(pill.shape, 'capsule');
+  assert.deepEqual(pill.colors, ['white']);
+  assert.equal(pill.score, 2);
+  assert.equal(pill.confidence, 0.8);
+  assert.throws(() => parsePillOutput('{"score": 1}'), ModelOutputError);
+});
+
+test('imprints match across sides, spacing and look-alike characters', () => {
+  assert.deepEqual(imprintTokens('m 367'), ['M', '367']);
+  assert.deepEqual(imprintTokens('IO'), ['10']);
+  assert.equal(imprintSimilarity('M367', 'M;367'), 1);
+  assert.equal(imprintSimilarity('367 M', 'M;367'), 1);
+  assert.ok(imprintSimilarity('M 36', 'M;367') > 0.5);
+  assert.equal(imprintSimilarity('', 'M;367'), 0);
+});
+
+test('searchPills ranks by imprint, color, shape and score', () => {
+  const matches = searchPills({ imprint: 'M 367', shape: 'capsule', colors: ['white'], score: 1 }, PILLS);
+  assert.equal(matches[0].pill.name, PILLS[0].name);
+  assert.ok(matches[0].confidence > 0.9);
+  assert.ok(matches.every(match => match.confidence >= 0.3));
+  assert.deepEqual(searchPills({ imprint: 'ZZZ', colors: ['purple'] }, PILLS), []);
+});
+
+test('parsePillDataset reads Pillbox CSV and JSON', () => {
+  const csv = 'medicine_name,splimprint,splshape_text,splcolor_text,splscore\n'
+    + 'Ibuprofen 200 mg,I-2,ROUND,BROWN,1\n'
+    + 'No features,,,,1\n';
+  assert.deepEqual(parsePillDataset(csv).map(pill => [pill.name, pill.shape, pill.colors]), [
+    ['Ibuprofen 200 mg', 'round', ['brown']],
+  ]);
+  const json = parsePillDataset(JSON.stringify({ pills: PILLS }));
+  assert.equal(json.length, 3);
+  assert.equal(json[2].score, 2);
+});
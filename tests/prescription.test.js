@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { ModelOutputError } from '../public/lib/schema.js';
+import { normalizePrescription, parsePrescriptionOutput, identifyRequestForItem } from '../public/lib/prescription.js';
+import { ingredientTerms, findInteractions, checkRegimen } from '../public/lib/interactions.js';
+import { setLocale } from '../public/lib/i18n.js';
+import { MESSAGES as vi } from '../public/lib/locales/vi.js';
+
+const dataset = JSON.parse(readFileSync(new URL('../public/data/interactions.json', import.meta.url), 'utf8'));
+
+test('parsePrescriptionOutput reads line items and their counts', () => {
+  const prescription = parsePrescriptionOutput(JSON.stringify({
+    prescriber: 'BS. Nguyễn Văn A',
+    date: '19/10/2026',
+    items: [
+      { name: 'Augmentin 625mg', generic_name: 'amoxicillin, clavulanate', dose: '1 viên', frequency: 'Ngày 2 lần', times_per_day: '2', duration: '7 ngày', days: 7 },
+      { name: 'Panadol', times_per_day: 'khi sốt', days: -1, notes: ['Cách 4-6 giờ', 'Tối đa 4 viên/ngày'] },
+      { name: '', dose: '1 viên' },
+      'Vitamin C',
+    ],
+    confidence: 85,
+  }));
+  assert.equal(prescription.prescriber, 'BS. Nguyễn Văn A');
+  assert.equal(prescription.diagnosis, '');
+  assert.equal(prescription.confidence, 0.85);
+  assert.deepEqual(prescription.items.map(item => item.name), ['Augmentin 625mg', 'Panadol', 'Vitamin C']);
+  assert.equal(prescription.items[0].times_per_day, 2);
+  assert.equal(prescription.items[0].days, 7);
+  assert.equal(prescription.items[1].times_per_day, 0);
+  assert.equal(prescription.items[1].days, 0);
+  assert.equal(prescription.items[1].notes, 'Cách 4-6 giờ; Tối đa 4 viên/ngày');
+  assert.deepEqual(prescription.validation, { repaired: false, missing: [] });
+});
+
+test('parsePrescriptionOutput rejects a reply without items', () => {
+  assert.throws(() => parsePrescriptionOutput('{"confidence": 0.5}'), err => {
+    assert.ok(err instanceof ModelOutputError);
+    assert.deepEqual(err.missing, ['items']);
+    return true;
+  });
+  assert.deepEqual(normalizePrescription(null), {
+    prescriber: '', facility: '', patient: '', date: '', diagnosis: '', notes: '',
+  });
+});
+
+test('identifyRequestForItem offers the name as a brand', () => {
+  assert.deepEqual(identifyRequestForItem({ name: 'Panadol', generic_name: '', route: 'ORAL' }), {
+    identity: { brand_name: 'Panadol', generic_name: undefined, route: 'ORAL' },
+    barcode: '',
+  });
+});
+
+test('findInteractions checks a new drug against the cabinet', () => {
+  const cabinet = [
+    { name: 'Warfarin 5mg', ingredients: [...ingredientTerms('warfarin')] },
+    { name: 'Efferalgan', ingredients: [...ingredientTerms('paracetamol')] },
+  ];
+  const found = findInteractions(ingredientTerms('Ibuprofen 400mg'), cabinet, dataset);
+  assert.deepEqual(found.map(f => [f.severity, f.drug, f.ingredients]), [['major', 'Warfarin 5mg', ['ibuprofen', 'warfarin']]]);
+
+  const duplicate = findInteractions(ingredientTerms('Acetaminophen'), cabinet, dataset);
+  assert.deepEqual(duplicate.map(f => [f.severity, f.drug]), [['duplicate', 'Efferalgan'], ['moderate', 'Warfarin 5mg']]);
+});
+
+test('interaction descriptions follow the UI language', (t) => {
+  for (const rule of dataset.interactions) {
+    assert.ok(rule.description.vi && rule.description.en, `${rule.a} + ${rule.b}`);
+  }
+  const cabinet = [{ name: 'Warfarin 5mg', ingredients: [...ingredientTerms('warfarin')] }];
+  t.after(() => setLocale('vi'));
+  setLocale('en');
+  assert.match(findInteractions(ingredientTerms('ibuprofen'), cabinet, dataset)[0].description, /risk of bleeding/);
+  setLocale('vi');
+  assert.match(findInteractions(ingredientTerms('ibuprofen'), cabinet, dataset)[0].description, /nguy cơ chảy máu/);
+
+  // Older datasets have Vietnamese strings only
+  const older = { ...dataset, interactions: [{ ...dataset.interactions[0], description: 'Tăng nguy cơ chảy máu' }] };
+  setLocale('en');
+  assert.equal(findInteractions(ingredientTerms('ibuprofen'), cabinet, older)[0].description, 'Tăng nguy cơ chảy máu');
+});
+
+test('checkRegimen checks every pair once, most severe first', () => {
+  const drugs = [
+    { name: 'Panadol', ingredients: [...ingredientTerms('paracetamol')] },
+    { name: 'Warfarin', ingredients: [...ingredientTerms('warfarin')] },
+    { name: 'Efferalgan', ingredients: [...ingredientTerms('acetaminophen')] },
+    { name: 'Advil', ingredients: [...ingredientTerms('ibuprofen')] },
+  ];
+  const found = checkRegimen(drugs, dataset);
+  assert.deepEqual(found.map(f => [f.severity, f.drugs]), [
+    // Same rank: in the order the pairs were checked
+    ['duplicate', ['Panadol', 'Efferalgan']],
+    ['major', ['Warfarin', 'Advil']],
+    ['moderate', ['Panadol', 'Warfarin']],
+    ['moderate', ['Warfarin', 'Efferalgan']],
+  ]);
+  assert.equal(found[0].description, vi['interactions.duplicateInRegimen']);
+  assert.deepEqual(checkRegimen(drugs.slice(0, 1), dataset), []);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  defaultTimes, normalizeSchedule, scheduleFromPrescriptionItem, occurrences, nextOccurrence, dueReminders, adherence, buildIcs,
+} from '../public/lib/reminders.js';
+
+// Local times, so the tests hold in any time zone
+const at = (day, time) => new Date(`${day}T${time}:00`);
+const schedule = normalizeSchedule({
+  id: 1,
+  name: 'Augmentin',
+  times: ['20:00', '08:00', '25:00', '08:00'],
+  startDate: '2026-10-19',
+  endDate: '2026-10-21',
+});
+
+test('defaultTimes spreads doses over waking hours', () => {
+  assert.deepEqual(defaultTimes(2), ['08:00', '20:00']);
+  assert.deepEqual(defaultTimes(0), ['08:00']);
+  assert.deepEqual(defaultTimes(5), ['07:00', '11:00', '14:30', '18:30', '22:00']);
+  assert.equal(defaultTimes(99).length, 6);
+});
+
+test('normalizeSchedule sorts valid times and keeps the end after the start', () => {
+  assert.deepEqual(schedule.times, ['08:00', '20:00']);
+  assert.equal(normalizeSchedule({ startDate: '2026-10-19', endDate: '2026-10-01' }).endDate, '2026-10-19');
+});
+
+test('scheduleFromPrescriptionItem follows the prescription', () => {
+  const draft = scheduleFromPrescriptionItem(
+    { name: 'Augmentin', strength: '625mg', generic_name: 'amoxicillin', dose: '1 viên', times_per_day: 3, days: 5 },
+    at('2026-10-19', '09:00'),
+  );
+  assert.equal(draft.name, 'Augmentin 625mg');
+  assert.deepEqual(draft.times, ['07:00', '13:00', '19:00']);
+  assert.equal(draft.startDate, '2026-10-19');
+  assert.equal(draft.endDate, '2026-10-23');
+  // Unclear: twice a day for a week
+  const unclear = scheduleFromPrescriptionItem({ name: 'Panadol', times_per_day: 0, days: 0 }, at('2026-10-19', '09:00'));
+  assert.deepEqual([unclear.times.length, unclear.endDate], [2, '2026-10-25']);
+});
+
+test('occurrences, nextOccurrence and dueReminders stay within the schedule', () => {
+  assert.deepEqual(
+    occurrences(schedule, at('2026-10-18', '00:00'), at('2026-10-30', '00:00')).map(o => o.due),
+    ['2026-10-19T08:00', '2026-10-19T20:00', '2026-10-20T08:00', '2026-10-20T20:00', '2026-10-21T08:00', '2026-10-21T20:00'],
+  );
+  assert.equal(nextOccurrence([schedule], at('2026-10-20', '09:00')).due, '2026-10-20T20:00');
+  assert.equal(nextOccurrence([schedule], at('2026-10-22', '09:00')), null);
+
+  assert.deepEqual(dueReminders([schedule], at('2026-10-20', '08:30')).map(r => r.due), ['2026-10-20T08:00']);
+  assert.deepEqual(dueReminders([{ ...schedule, lastNotified: '2026-10-20T08:00' }], at('2026-10-20', '08:30')), []);
+  // More than an hour late is no longer announced
+  assert.deepEqual(dueReminders([schedule], at('2026-10-20', '09:30')), []);
+});
+
+test('adherence counts taken, skipped and missed doses', () => {
+  const log = [
+    { scheduleId: 1, due: '2026-10-19T08:00', status: 'taken' },
+    { scheduleId: 1, due: '2026-10-19T20:00', status: 'skipped' },
+    { scheduleId: 2, due: '2026-10-20T08:00', status: 'taken' },
+  ];
+  assert.deepEqual(adherence(schedule, log, at('2026-10-20', '20:30')), { total: 4, taken: 1, skipped: 1, missed: 1 });
+});
+
+test('buildIcs writes one daily event per dose time', () => {
+  const ics = buildIcs([{ ...schedule, dose: '1 viên' }], new Date(Date.UTC(2026, 9, 19, 1, 2, 3)));
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 2);
+  assert.ok(ics.includes('DTSTART:20261019T080000\r\n'));
+  assert.ok(ics.includes('RRULE:FREQ=DAILY;UNTIL=20261021T235900\r\n'));
+  assert.ok(ics.includes('DTSTAMP:20261019T010203Z\r\n'));
+});
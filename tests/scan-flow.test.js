@@ -0,0 +1,212 @@
+import 'fake-indexeddb/auto';
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { installDom } from './helpers/dom.js';
+import { listen } from './helpers/server.js';
+import { createIdentifyHandler } from '../api/identify.js';
+import { createVnRegistryProvider } from '../lib/providers/vn-registry.js';
+
+// The whole app in jsdom: scan -> review -> confirm -> analyze -> result.
+// The model is an OpenAI-compatible endpoint answered by a stub, storage is
+// fake-indexeddb, and /api/identify is the real handler backed by a local
+// registry record.
+
+const MODEL_URL = 'http://model.test/v1';
+const EAN = '8935206000115';
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQSkZJRgABAQ==';
+const REPLY = {
+  identity: {
+    name: 'Hapacol 250',
+    active_ingredient: 'Paracetamol 250mg',
+    manufacturer: 'DHG Pharma',
+    brand_name: 'Hapacol 250',
+    generic_name: 'acetaminophen',
+    dosage_form: 'POWDER, FOR SOLUTION',
+    registration_number: 'VD-21130-14',
+    confidence: 0.92,
+  },
+  details: { usage: 'Hạ sốt, giảm đau cho trẻ em', dosage: ['Trẻ 1-3 tuổi: 1 gói mỗi 6 giờ'], contraindications: 'Suy gan nặng' },
+  packaging: { lot: 'A123', manufacture_date: '01/2026', expiry_date: '01/2029' },
+  warnings: ['Không dùng quá 4 gói mỗi ngày'],
+  search_fallback: { query: 'Hapacol 250', suggested_links: [] },
+};
+
+const html = readFileSync(new URL('../public/index.html', import.meta.url), 'utf8');
+const interactions = readFileSync(new URL('../public/data/interactions.json', import.meta.url), 'utf8');
+
+const nodeFetch = globalThis.fetch;
+let dom;
+let api;
+const modelRequests = [];
+const identifyRequests = [];
+
+// Resolves once `check` returns something truthy
+async function waitFor(check, what, timeoutMs = 5000) {
+  const start = Date.now();
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() - start > timeoutMs) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+const $ = id => document.getElementById(id);
+const isShown = node => !node.classList.contains('hidden');
+
+// What the browser provides and jsdom does not: image decoding, canvas,
+// a barcode detector and the network
+function stubBrowser() {
+  class FakeImage {
+    constructor() {
+      this.width = 1200;
+      this.height = 900;
+    }
+
+    set src(value) {
+      this._src = value;
+      setImmediate(() => this.onload && this.onload());
+    }
+
+    get src() {
+      return this._src;
+    }
+  }
+  window.Image = FakeImage;
+  globalThis.Image = FakeImage;
+
+  const context = {
+    drawImage() {},
+    getImageData: (x, y, width, height) => ({ width, height, data: new Uint8ClampedArray(width * height * 4).fill(128) }),
+  };
+  window.HTMLCanvasElement.prototype.getContext = () => context;
+  window.HTMLCanvasElement.prototype.toDataURL = () => JPEG;
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  // A flat test image fails the quality check; accept it anyway
+  window.confirm = globalThis.confirm = () => true;
+  window.alert = globalThis.alert = (message) => { throw new Error(`Unexpected alert: ${message}`); };
+
+  window.BarcodeDetector = class {
+    static async getSupportedFormats() {
+      return ['ean_13', 'upc_a', 'data_matrix', 'code_128'];
+    }
+
+    async detect() {
+      return [{ format: 'ean_13', rawValue: EAN }];
+    }
+  };
+
+  globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(String(input), window.location.href);
+    if (url.href === `${MODEL_URL}/chat/completions`) {
+      modelRequests.push(JSON.parse(init.body));
+      return Response.json({ choices: [{ message: { role: 'assistant', content: JSON.stringify(REPLY) } }] });
+    }
+    if (url.pathname === '/api/analyze') return Response.json({ enabled: false });
+    if (url.pathname === '/api/identify') {
+      identifyRequests.push(JSON.parse(init.body));
+      return nodeFetch(`${api.url}${url.pathname}`, init);
+    }
+    if (url.pathname === '/data/interactions.json') return new Response(interactions, { status: 200 });
+    return new Response('Not found', { status: 404 });
+  };
+}
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  // The app's timers (the file picker delay, the hourly reminder check) only
+  // run when the test moves the clock
+  mock.timers.enable({ apis: ['setTimeout'] });
+  api = await listen(createIdentifyHandler({
+    providers: [createVnRegistryProvider({
+      records: [{ name: 'Hapacol 250', registration_number: 'VD-21130-14', active_ingredient: 'Paracetamol', dosage_form: 'Thuốc bột sủi bọt', manufacturer: 'DHG Pharma' }],
+    })],
+  }));
+  dom = installDom(html);
+  stubBrowser();
+  const { saveModelSettings } = await import('../public/lib/analysis.js');
+  await saveModelSettings({ provider: 'openai', baseUrl: MODEL_URL, model: 'vision-small' });
+
+  await import('../public/script.js');
+  window.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await waitFor(() => $('instructions').textContent.trim(), 'the app to start');
+});
+
+after(async () => {
+  mock.timers.reset();
+  dom.window.close();
+  await api.close();
+});
+
+test('the app starts on the scan step without asking for a key', async () => {
+  assert.equal($('keyModal').classList.contains('show'), false);
+  assert.equal($('captureTray').classList.contains('hidden'), true);
+  await waitFor(() => $('keyStatus').textContent.includes(MODEL_URL), 'the model server in the key status');
+});
+
+test('a picked photo is reviewed, tagged and confirmed into the capture tray', async () => {
+  const file = new window.File([Buffer.from('fake jpeg')], 'box.jpg', { type: 'image/jpeg' });
+  const fileInput = $('fileInput');
+  // No camera in jsdom, so scanning opens the file picker
+  fileInput.addEventListener('click', () => {
+    Object.defineProperty(fileInput, 'files', { value: [file], configurable: true });
+    fileInput.dispatchEvent(new window.Event('change'));
+  }, { once: true });
+  $('scanButton').click();
+  mock.timers.tick(50);
+
+  await waitFor(() => isShown($('reviewContainer')), 'the review screen');
+  assert.equal($('reviewImage').getAttribute('src'), JPEG);
+  assert.equal($('roleSelect').value, 'front');
+
+  $('confirmButton').click();
+  await waitFor(() => isShown($('captureTray')), 'the capture tray');
+  assert.equal($('capturedList').children.length, 1);
+  assert.equal(isShown($('reviewContainer')), false);
+
+  // Progress is saved, with the barcode decoded on the device
+  const { readSession } = await import('../public/lib/session.js');
+  const session = await readSession();
+  assert.equal(session.capturedImages.length, 1);
+  assert.equal(session.capturedImages[0].role, 'front');
+  assert.equal(session.decodedBarcode.digits, EAN);
+});
+
+test('analysis shows the result, verifies it and saves it to history', async () => {
+  $('analyzeButton').click();
+  const results = $('results');
+  await waitFor(() => results.querySelector('h3') && results.querySelector('h3').textContent.includes('Hapacol 250'), 'the result');
+  assert.ok(results.textContent.includes('Hạ sốt, giảm đau cho trẻ em'));
+  assert.ok(results.textContent.includes('Không dùng quá 4 gói mỗi ngày'));
+  assert.ok(results.textContent.includes(EAN));
+
+  // One request to the model, with the photo and the barcode in the prompt
+  assert.equal(modelRequests.length, 1);
+  const [request] = modelRequests;
+  assert.equal(request.model, 'vision-small');
+  const [prompt, image] = request.messages[0].content;
+  assert.ok(prompt.text.includes(EAN));
+  assert.deepEqual(image, { type: 'image_url', image_url: { url: JPEG } });
+
+  // Checked against the registry through /api/identify
+  const verification = await waitFor(() => {
+    const table = $('verification').querySelector('table');
+    return table && $('verification');
+  }, 'the verification table');
+  assert.ok(verification.textContent.includes('VD-21130-14'));
+  assert.equal(identifyRequests[0].barcode, EAN);
+  assert.equal(identifyRequests[0].identity.registration_number, 'VD-21130-14');
+
+  const { listHistory } = await import('../public/lib/history.js');
+  const entry = await waitFor(async () => (await listHistory())[0], 'the history entry');
+  assert.equal(entry.result.identity.name, 'Hapacol 250');
+  assert.equal(entry.model, 'vision-small');
+  assert.equal(entry.barcode.digits, EAN);
+  assert.deepEqual(entry.thumbnails, [JPEG]);
+
+  const { readSession } = await import('../public/lib/session.js');
+  await waitFor(async () => (await readSession()) === null, 'the session to be cleared');
+  assert.equal($('captureTray').classList.contains('hidden'), true);
+});
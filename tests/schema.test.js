@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelOutputError, extractJson, validate, repairResult, parseModelOutput } from '../public/lib/schema.js';
+
+const VALID = {
+  identity: { name: 'Hapacol 250', active_ingredient: 'Paracetamol 250mg', confidence: 0.9 },
+  details: { usage: 'Hạ sốt', dosage: ['1 gói mỗi 6 giờ'], contraindications: 'Suy gan' },
+  warnings: ['Không dùng quá liều'],
+  search_fallback: { query: 'Hapacol 250', suggested_links: [] },
+};
+
+test('extractJson reads fenced, wrapped and trailing-comma replies', () => {
+  assert.deepEqual(extractJson('```json\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(extractJson('Here it is: {"a": [1, 2,],} Done.'), { a: [1, 2] });
+  assert.throws(() => extractJson('no json here'), ModelOutputError);
+});
+
+test('validate reports missing fields and wrong types by path', () => {
+  assert.deepEqual(validate(VALID), []);
+  const errors = validate({ ...VALID, identity: { name: 5, confidence: 1 }, warnings: undefined });
+  assert.deepEqual(errors.map(e => e.path), ['warnings', 'identity.name']);
+  assert.equal(errors[0].missing, true);
+});
+
+test('parseModelOutput accepts a valid reply as it is', () => {
+  const result = parseModelOutput(JSON.stringify(VALID));
+  assert.equal(result.identity.name, 'Hapacol 250');
+  assert.deepEqual(result.validation, { repaired: false, missing: [] });
+});
+
+test('parseModelOutput repairs types and fills sections the view can do without', () => {
+  const result = parseModelOutput(JSON.stringify({
+    identity: { name: 'Hapacol 250', confidence: '95%' },
+    details: { usage: ['Hạ sốt', 'Giảm đau'], dosage: '- 1 gói\n- Tối đa 4 gói' },
+  }));
+  assert.equal(result.identity.confidence, 0.95);
+  assert.equal(result.details.usage, 'Hạ sốt; Giảm đau');
+  assert.deepEqual(result.details.dosage, ['1 gói', 'Tối đa 4 gói']);
+  assert.deepEqual(result.warnings, []);
+  assert.equal(result.search_fallback.query, 'Hapacol 250');
+  assert.equal(result.validation.repaired, true);
+  assert.deepEqual(result.validation.missing, ['warnings', 'search_fallback', 'details.contraindications']);
+});
+
+test('parseModelOutput never invents an identity', () => {
+  assert.throws(() => parseModelOutput('{"details": {}}'), err => {
+    assert.ok(err instanceof ModelOutputError);
+    assert.deepEqual(err.missing, ['identity']);
+    return true;
+  });
+});
+
+test('repairResult drops links without a title and url', () => {
+  const repaired = repairResult({
+    identity: { name: 'X' },
+    search_fallback: { suggested_links: [{ title: 'ok', url: 'https://dav.gov.vn' }, { url: 'https://x' }, null] },
+  });
+  assert.deepEqual(repaired.search_fallback.suggested_links, [{ title: 'ok', url: 'https://dav.gov.vn' }]);
+});
+
+// Replies seen from models that ignored the response schema
+const UNUSABLE = [
+  '',
+  'Xin lỗi, tôi không đọc được ảnh.',
+  '{"identity": ',
+  '[1, 2]',
+  'null',
+  '{"identity": "Hapacol"}',
+  '{"identity": {"name": "Hapacol"}}',
+];
+
+test('parseModelOutput rejects replies without a usable identity', () => {
+  for (const reply of UNUSABLE) {
+    assert.throws(() => parseModelOutput(reply), ModelOutputError, reply);
+  }
+});
+
+test('parseModelOutput coerces fields of the wrong type', () => {
+  const result = parseModelOutput(JSON.stringify({
+    identity: { name: 'X', confidence: 0.8 },
+    details: { usage: 5, dosage: { morning: 1 } },
+    warnings: [1, null, 'Không dùng quá liều'],
+    search_fallback: 'Hapacol',
+  }));
+  assert.equal(result.details.usage, '5');
+  assert.ok(Array.isArray(result.details.dosage));
+  assert.deepEqual(result.warnings, ['1', 'Không dùng quá liều']);
+  assert.deepEqual(result.search_fallback, { query: 'X', suggested_links: [] });
+  assert.deepEqual(validate(result), []);
+  assert.equal(parseModelOutput('{"identity": {"name": "X", "confidence": 1}, "warnings": "Một cảnh báo"}').warnings[0], 'Một cảnh báo');
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchHandler } from '../api/search.js';
+import { createVnRegistryProvider } from '../lib/providers/vn-registry.js';
+import { listen } from './helpers/server.js';
+
+// GET /api/search over HTTP, against the local registry provider and a
+// fixture provider standing in for openFDA
+
+const registry = createVnRegistryProvider({
+  records: [
+    { 'Tên thuốc': 'Hapacol 250', 'Số đăng ký': 'VD-21130-14', 'Hoạt chất': 'Paracetamol', 'Hàm lượng': '250mg', 'Dạng bào chế': 'Thuốc bột sủi bọt' },
+    { 'Tên thuốc': 'Panadol Extra', 'Số đăng ký': 'VN-20786-17', 'Hoạt chất': 'Paracetamol; Caffeine' },
+  ],
+});
+const lookups = [];
+const openFda = {
+  name: 'openfda-ndc',
+  async lookup(query) {
+    lookups.push(query);
+    const product = query.ndcCandidates ? query.ndcCandidates.product : [];
+    if (!product.includes('50580-449')) return [];
+    return [{
+      drug: { brand_name: 'Tylenol', generic_name: 'acetaminophen', ndc: '50580-449' },
+      source: { name: 'openFDA NDC Directory', url: 'https://api.fda.gov/drug/ndc.json' },
+    }];
+  },
+};
+
+let api;
+before(async () => {
+  api = await listen(createSearchHandler({ providers: [openFda, registry] }));
+});
+after(() => api.close());
+
+async function search(params) {
+  const resp = await fetch(`${api.url}/api/search?${new URLSearchParams(params)}`);
+  return { status: resp.status, json: await resp.json() };
+}
+
+test('a registration number finds the registry record', async () => {
+  const { json } = await search({ q: 'vd-21130-14' });
+  assert.equal(json.status, 'OK');
+  assert.deepEqual(json.query, { kind: 'registration_number', value: 'vd-21130-14' });
+  assert.equal(json.drug.brand_name, 'Hapacol 250');
+  assert.equal(json.matches.registration_number, true);
+});
+
+test('an NDC is searched by its candidates', async () => {
+  const { json } = await search({ q: '50580-449-10' });
+  assert.equal(json.status, 'OK');
+  assert.equal(json.query.kind, 'ndc');
+  assert.equal(json.drug.ndc, '50580-449');
+  assert.deepEqual(lookups.at(-1).ndcCandidates, { product: ['50580-449'], package: ['50580-449-10'] });
+});
+
+test('a name is tried as a brand, then as an ingredient', async () => {
+  lookups.length = 0;
+  const { json } = await search({ q: 'Panadol Extra' });
+  assert.equal(json.status, 'OK');
+  assert.equal(json.drug.registration_number, 'VN-20786-17');
+
+  const missing = await search({ q: 'Nothing like it' });
+  assert.equal(missing.json.status, 'Not_Found');
+  assert.deepEqual(lookups.slice(-2), [
+    { kind: 'name', identity: { brand_name: 'Nothing like it' } },
+    { kind: 'name', identity: { generic_name: 'Nothing like it' } },
+  ]);
+});
+
+test('suggest=1 returns autocomplete suggestions', async () => {
+  const { json } = await search({ q: 'hapa', suggest: '1' });
+  assert.deepEqual(json, { status: 'OK', suggestions: [{ label: 'Hapacol 250', detail: 'Paracetamol' }] });
+});
+
+test('a query of the wrong length or method is rejected', async () => {
+  assert.equal((await search({ q: 'a' })).status, 400);
+  assert.equal((await search({ q: 'x'.repeat(101) })).status, 400);
+  const resp = await fetch(`${api.url}/api/search?q=hapacol`, { method: 'POST' });
+  assert.equal(resp.status, 405);
+  await resp.body.cancel();
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyQuery, suggestionIndex, rankSuggestions, mergeSuggestions, resultFromLookup,
+} from '../public/lib/search.js';
+import { validate } from '../public/lib/schema.js';
+
+test('classifyQuery tells NDCs, registration numbers and names apart', () => {
+  assert.deepEqual(classifyQuery(' 50580-449-10 '), { kind: 'ndc', value: '50580-449-10' });
+  assert.deepEqual(classifyQuery('3 50580 44910 3'), { kind: 'ndc', value: '350580449103' });
+  assert.deepEqual(classifyQuery('VD-21130-14'), { kind: 'registration_number', value: 'VD-21130-14' });
+  assert.deepEqual(classifyQuery('QLĐB-123-14'), { kind: 'registration_number', value: 'QLĐB-123-14' });
+  assert.deepEqual(classifyQuery('Hapacol   250'), { kind: 'name', value: 'Hapacol 250' });
+});
+
+test('rankSuggestions ignores case, diacritics and small typos', () => {
+  const index = suggestionIndex([
+    { label: 'Paracetamol 500mg' },
+    { label: 'Hapacol 250', terms: ['Paracetamol'] },
+    { label: 'Vitamin C 500mg' },
+    { label: 'Thuốc ho Bảo Thanh' },
+  ]);
+  const labels = term => rankSuggestions(term, index).map(entry => entry.label);
+  // An exact ingredient beats a name that starts with it
+  assert.deepEqual(labels('paracetamol'), ['Hapacol 250', 'Paracetamol 500mg']);
+  assert.deepEqual(labels('paracetmol'), ['Hapacol 250', 'Paracetamol 500mg']);
+  assert.deepEqual(labels('vitamin c'), ['Vitamin C 500mg']);
+  assert.deepEqual(labels('bao thanh'), ['Thuốc ho Bảo Thanh']);
+  assert.deepEqual(labels('p'), []);
+});
+
+test('mergeSuggestions keeps the first of names that fold alike', () => {
+  const merged = mergeSuggestions([{ label: 'Hapacol' }], [{ label: 'HAPACOL', detail: 'x' }, { label: 'Panadol' }]);
+  assert.deepEqual(merged, [{ label: 'Hapacol' }, { label: 'Panadol' }]);
+});
+
+test('resultFromLookup builds a valid result and reports missing label text', () => {
+  const result = resultFromLookup({
+    drug: {
+      brand_name: 'Tylenol',
+      generic_name: 'acetaminophen',
+      active_ingredients: [{ name: 'ACETAMINOPHEN', strength: '500 mg/1' }],
+      indications: ['Uses temporarily relieves minor aches and pains'],
+      warnings: ['Liver warning\nAllergy alert'],
+      ndc: '50580-449',
+    },
+  });
+  assert.deepEqual(validate(result), []);
+  assert.equal(result.identity.name, 'Tylenol');
+  assert.equal(result.identity.active_ingredient, 'ACETAMINOPHEN 500 mg/1');
+  assert.deepEqual(result.warnings, ['Liver warning', 'Allergy alert']);
+  assert.deepEqual(result.validation, {
+    repaired: false,
+    missing: ['details.dosage', 'details.contraindications'],
+    lookup: true,
+  });
+});
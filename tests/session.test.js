@@ -0,0 +1,40 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { idbPut } from '../public/lib/db.js';
+import { getKey, saveKey, deleteKey, writeSession, readSession, clearSession, SESSION_ID } from '../public/lib/session.js';
+
+const JPEG = 'data:image/jpeg;base64,/9j/4AAQ';
+
+test('the API key is saved, read back and deleted', async () => {
+  assert.equal(await getKey(), undefined);
+  await saveKey('AIza-test');
+  assert.equal(await getKey(), 'AIza-test');
+  await deleteKey();
+  assert.equal(await getKey(), undefined);
+});
+
+test('a capture in progress survives until it is cleared', async () => {
+  assert.equal(await readSession(), null);
+  const barcode = { format: 'ean_13', raw: '8935206000114' };
+  await writeSession({ capturedImages: [{ dataUri: JPEG, role: 'front', barcode: null }], decodedBarcode: barcode });
+  assert.deepEqual(await readSession(), {
+    capturedImages: [{ dataUri: JPEG, role: 'front', barcode: null }],
+    decodedBarcode: barcode,
+  });
+  await clearSession();
+  assert.equal(await readSession(), null);
+});
+
+test('older sessions of bare data URIs get image roles', async () => {
+  await idbPut('session', { capturedImages: [JPEG, JPEG] }, SESSION_ID);
+  const session = await readSession();
+  assert.equal(session.capturedImages.length, 2);
+  assert.ok(session.capturedImages.every(image => image.dataUri === JPEG && image.role));
+  assert.equal(session.decodedBarcode, null);
+});
+
+test('a session without images is no session', async () => {
+  await idbPut('session', { capturedImages: [], decodedBarcode: null }, SESSION_ID);
+  assert.equal(await readSession(), null);
+});
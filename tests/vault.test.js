@@ -0,0 +1,90 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { idbGet, idbPut, idbGetAll } from '../public/lib/db.js';
+import {
+  VaultLockedError, sealRecord, openRecord, loadVault, isLocked, isPinSet, setPin, unlock, lock, changePin, removePin,
+  setAutoLockMinutes, autoLockMinutes,
+} from '../public/lib/vault.js';
+import { getKey, saveKey } from '../public/lib/session.js';
+
+// What is actually stored, bypassing the cipher
+function raw(storeName, key) {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open('DrugScannerDB');
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const store = req.result.transaction(storeName).objectStore(storeName);
+      const get = key === undefined ? store.getAll() : store.get(key);
+      get.onsuccess = () => { req.result.close(); resolve(get.result); };
+      get.onerror = () => reject(get.error);
+    };
+  });
+}
+
+async function aesKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+test('sealRecord keeps only the readable fields of the store in the clear', async () => {
+  const key = await aesKey();
+  const entry = { id: 3, name: 'Warfarin', expiry_date: '2027-12-31', lot: 'A1' };
+  const sealed = await sealRecord(key, 'cabinet', entry);
+  assert.deepEqual(Object.keys(sealed).sort(), ['expiry_date', 'id', 'sealed']);
+  assert.equal(JSON.stringify(sealed).includes('Warfarin'), false);
+  assert.deepEqual(await openRecord(key, sealed), entry);
+  // Readable fields updated in place (by the service worker) win
+  assert.equal((await openRecord(key, { ...sealed, expiry_date: '2028-01-31' })).expiry_date, '2028-01-31');
+  await assert.rejects(openRecord(await aesKey(), sealed));
+  assert.equal(await openRecord(key, 'plain'), 'plain');
+});
+
+test('a PIN encrypts existing and new records until it is removed', async (t) => {
+  // The service worker's cache of lookups, deleted when a PIN is set
+  const deleted = [];
+  globalThis.caches = { delete: async name => deleted.push(name) };
+  t.after(() => { delete globalThis.caches; });
+
+  assert.equal(await loadVault(), false);
+  await setAutoLockMinutes(15);
+  assert.equal(isPinSet(), false);
+  assert.equal(await raw('settings', 'vault'), undefined);
+
+  await saveKey('AIza-secret');
+  await idbPut('history', { result: { identity: { name: 'Hapacol' } }, createdAt: 1 });
+
+  await setPin('1234');
+  assert.deepEqual(deleted, ['drug-scanner-api']);
+  await setAutoLockMinutes(15);
+  assert.equal(autoLockMinutes(), 15);
+  assert.equal(JSON.stringify((await raw('settings', 'geminiKey'))).includes('AIza'), false);
+  assert.ok((await raw('history'))[0].sealed);
+  assert.equal(await getKey(), 'AIza-secret');
+
+  // Records written while unlocked are sealed too
+  await idbPut('cabinet', { name: 'Warfarin', expiry_date: '2027-12-31' });
+  assert.deepEqual(Object.keys((await raw('cabinet'))[0]).sort(), ['expiry_date', 'id', 'sealed']);
+
+  lock();
+  assert.equal(isLocked(), true);
+  await assert.rejects(getKey(), VaultLockedError);
+  await assert.rejects(idbPut('cabinet', { name: 'Panadol' }), VaultLockedError);
+  // Unsealed settings stay usable
+  await idbPut('settings', 'en', 'locale');
+  assert.equal(await idbGet('settings', 'locale'), 'en');
+
+  assert.equal(await unlock('0000'), false);
+  assert.equal(await unlock('1234'), true);
+  assert.equal((await idbGetAll('history'))[0].result.identity.name, 'Hapacol');
+
+  assert.equal(await changePin('0000', '5678'), false);
+  assert.equal(await changePin('1234', '5678'), true);
+  lock();
+  assert.equal(await unlock('1234'), false);
+  assert.equal(await unlock('5678'), true);
+
+  assert.equal(await removePin('5678'), true);
+  assert.equal(await raw('settings', 'geminiKey'), 'AIza-secret');
+  assert.equal((await raw('cabinet'))[0].name, 'Warfarin');
+  assert.equal(await loadVault(), false);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { loadRegistry, createVnRegistryProvider, extractRegistrationNumber } from '../lib/providers/vn-registry.js';
+
+// The sample dump documented in data/README.md
+const SAMPLE = fileURLToPath(new URL('../data/vn-registry.sample.csv', import.meta.url));
+
+test('the sample dump maps the Vietnamese headers to record fields', () => {
+  const { records, source } = loadRegistry(SAMPLE);
+  assert.equal(records.length, 3);
+  assert.deepEqual(records[1], {
+    name: 'Panadol Extra',
+    registration_number: 'VN-20786-17',
+    active_ingredient: 'Paracetamol; Caffeine',
+    strength: '500mg; 65mg',
+    dosage_form: 'Viên nén bao phim',
+    packaging: 'Hộp 15 vỉ x 12 viên',
+    manufacturer: 'GlaxoSmithKline Dungarvan Ltd',
+    country: 'Ireland',
+    registrant: 'GlaxoSmithKline Pte Ltd',
+    valid_until: '30/06/2027',
+  });
+  assert.equal(source.url, 'https://dav.gov.vn');
+});
+
+test('the provider finds a product by registration number or brand name', async () => {
+  const registry = createVnRegistryProvider({ file: SAMPLE });
+  assert.equal(registry.size, 3);
+
+  const [byRegNo] = await registry.lookup({ identity: { registration_number: 'SĐK: vd - 21130 - 14' } });
+  assert.equal(byRegNo.drug.brand_name, 'Hapacol 250');
+  assert.equal(byRegNo.source.name, 'Cục Quản lý Dược (DAV) – SĐK VD-21130-14');
+
+  const [byName] = await registry.lookup({ identity: { brand_name: 'PANADOL extra' } });
+  assert.deepEqual(byName.drug.active_ingredients, [
+    { name: 'Paracetamol', strength: '500mg' },
+    { name: 'Caffeine', strength: '65mg' },
+  ]);
+  assert.deepEqual(await registry.lookup({ identity: { brand_name: 'Tylenol' } }), []);
+});
+
+test('extractRegistrationNumber folds spacing and the QLĐB spelling', () => {
+  assert.equal(extractRegistrationNumber('SĐK: QLĐB-123-14'), 'QLDB-123-14');
+  assert.equal(extractRegistrationNumber('no number here'), undefined);
+});